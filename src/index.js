@@ -5,47 +5,124 @@ import { StdioServerTransport } from "@modelcontextprotocol/sdk/server/stdio.js"
 import {
   CallToolRequestSchema,
   ListToolsRequestSchema,
+  ListResourcesRequestSchema,
+  ListResourceTemplatesRequestSchema,
+  ReadResourceRequestSchema,
+  SubscribeRequestSchema,
+  UnsubscribeRequestSchema,
 } from "@modelcontextprotocol/sdk/types.js";
 import fs from "fs";
 import path from "path";
 
 // Import utilities
-import { setupLogging, log } from "./utils/logger.js";
+import { setupLogging, log, redactParams } from "./utils/logger.js";
 import { visionService } from "./services/vision-factory.js";
+import { resourceService } from "./services/resource-service.js";
+import { createProgressReporter } from "./utils/progress.js";
+import {
+  startHttpServer,
+  getTransportOptions,
+} from "./transports/http-transport.js";
 
 // Import tool handlers
 import { handleSummary } from "./tools/summary-tool.js";
 import { handleInDepth } from "./tools/indepth-tool.js";
 import { handleFocused } from "./tools/focused-tool.js";
+import { handleVisionDiagnostics } from "./tools/diagnostics-tool.js";
 import { createDoc } from "./tools/create-doc.js";
 import { createExcel } from "./tools/create-excel.js";
 
 // Initialize logging
 setupLogging();
 
-// Create MCP server
-const server = new Server(
-  {
-    name: "mcp-doc-processor",
-    version: "1.0.0",
+const SERVER_NAME = "mcp-doc-processor";
+const SERVER_VERSION = "1.0.0";
+
+/**
+ * Image options shared by the document reading tools
+ */
+const imageOptionProperties = {
+  includeImages: {
+    type: "boolean",
+    description:
+      "Return extracted images as MCP image content (base64 data with mimeType) so vision-capable clients receive the pixels. Default: false (images are only described in text).",
   },
-  {
-    capabilities: {
-      tools: {},
-    },
+  maxImages: {
+    type: "number",
+    description:
+      "Maximum number of images to attach when includeImages is true (default: 10)",
+  },
+  maxImageBytes: {
+    type: "number",
+    description:
+      "Maximum total decoded image bytes to attach when includeImages is true (default: 5242880)",
+  },
+  imagePages: {
+    type: "array",
+    items: { type: "number" },
+    description:
+      "Only attach images from these page numbers (PDF only, 1-based)",
+  },
+  minImageSize: {
+    type: "number",
+    description:
+      "Skip images whose width or height in pixels is smaller than this value",
+  },
+};
+
+/**
+ * Page/section selection shared by the document reading tools
+ */
+const pagesProperty = {
+  pages: {
+    type: "string",
+    description:
+      'Pages to read, e.g. "5-12,20" (1-based). For DOCX files these are sections starting at headings, for Excel workbooks sheets, for PowerPoint decks slides.',
+  },
+};
+
+/**
+ * Password for opening encrypted PDFs, shared by the document reading tools
+ */
+const passwordProperty = {
+  password: {
+    type: "string",
+    description:
+      "Password for an encrypted PDF. Only needed when a previous call failed with PDF_PASSWORD_REQUIRED or PDF_PASSWORD_INCORRECT; ask the user for it.",
+  },
+};
+
+/**
+ * Chunking options for reading long documents piece by piece
+ */
+const paginationOptionProperties = {
+  maxChars: {
+    type: "number",
+    description:
+      "Maximum number of content characters to return. When the content is longer, the response ends with a continuation cursor.",
+  },
+  offset: {
+    type: "number",
+    description:
+      "Character offset into the selected content to start reading from (default: 0)",
+  },
+  cursor: {
+    type: "string",
+    description:
+      "Continuation cursor from a previous truncated response. Overrides pages and offset, and keeps the maxChars of that response unless maxChars is given.",
   },
-);
+};
 
 /**
  * Handler for listing available tools
  */
-server.setRequestHandler(ListToolsRequestSchema, async () => {
+async function handleListTools() {
   return {
     tools: [
       {
         name: "get-doc-summary",
         description:
-          "Get a high-level summary of a document including structure, sections, and content overview. Supports PDF, DOCX, Excel files. Extracts embedded images and includes them in the response.",
+          "Get a high-level summary of a document including structure, sections, and content overview. Supports PDF, DOCX, Excel, PowerPoint files. Extracts embedded images and includes them in the response.",
         inputSchema: {
           type: "object",
           properties: {
@@ -53,6 +130,14 @@ server.setRequestHandler(ListToolsRequestSchema, async () => {
               type: "string",
               description: "Local file path to the document",
             },
+            ...pagesProperty,
+            ...passwordProperty,
+            maxChars: {
+              type: "number",
+              description:
+                "Length of the content preview in characters (default: 500)",
+            },
+            ...imageOptionProperties,
           },
           required: ["filePath"],
         },
@@ -60,7 +145,7 @@ server.setRequestHandler(ListToolsRequestSchema, async () => {
       {
         name: "get-doc-indepth",
         description:
-          "Get a detailed analysis of the document including full text, structure, formatting, metadata, and embedded images. Best used after focused analysis for more detail. Supports PDF, DOCX, Excel files.",
+          "Get a detailed analysis of the document including full text, structure, formatting, metadata, and embedded images. Best used after focused analysis for more detail. Supports PDF, DOCX, Excel, PowerPoint files.",
         inputSchema: {
           type: "object",
           properties: {
@@ -68,6 +153,21 @@ server.setRequestHandler(ListToolsRequestSchema, async () => {
               type: "string",
               description: "Local file path to the document",
             },
+            ...pagesProperty,
+            ...passwordProperty,
+            ...paginationOptionProperties,
+            ...imageOptionProperties,
+            revisionView: {
+              type: "string",
+              enum: ["accepted", "original", "redline"],
+              description:
+                "For DOCX files with tracked changes, which text to show: accepted (all changes applied), original (before the changes), or redline (insertions marked [+text+], deletions [-text-]). A continuation cursor keeps the view it was returned with.",
+            },
+            showFormulas: {
+              type: "boolean",
+              description:
+                "For Excel workbooks, list every formula with its computed value and the merged cell ranges of the selected sheets (default: false)",
+            },
           },
           required: ["filePath"],
         },
@@ -75,7 +175,7 @@ server.setRequestHandler(ListToolsRequestSchema, async () => {
       {
         name: "get-doc-focused",
         description:
-          "Perform a focused analysis based on user-specific query. This tool automatically generates clarification questions to understand what aspects interest you, then processes the document accordingly. Supports PDF, DOCX, Excel files with extracted images.",
+          "Perform a focused analysis based on user-specific query. This tool automatically generates clarification questions to understand what aspects interest you, then processes the document accordingly. Supports PDF, DOCX, Excel, PowerPoint files with extracted images.",
         inputSchema: {
           type: "object",
           properties: {
@@ -93,10 +193,28 @@ server.setRequestHandler(ListToolsRequestSchema, async () => {
               description:
                 "Additional context from previous questions/responses to refine the analysis",
             },
+            ...pagesProperty,
+            ...passwordProperty,
+            ...imageOptionProperties,
           },
           required: ["filePath"],
         },
       },
+      {
+        name: "get-vision-diagnostics",
+        description:
+          "Report the health of the vision providers used for OCR: the provider chain in failover order, each provider's circuit breaker state, request and failure counts, latency and last error. Use it when scanned documents come back empty or slow.",
+        inputSchema: {
+          type: "object",
+          properties: {
+            probe: {
+              type: "boolean",
+              description:
+                "Also check right now whether each configured provider can be reached (default: false)",
+            },
+          },
+        },
+      },
       {
         name: "create-doc",
         description:
@@ -346,16 +464,18 @@ server.setRequestHandler(ListToolsRequestSchema, async () => {
       },
     ],
   };
-});
+}
 
 /**
- * Handler for calling tools
+ * Handler for calling tools.
+ * Document tools report progress when the request carries a progressToken
+ * and stop early when the client cancels the request.
  */
-server.setRequestHandler(CallToolRequestSchema, async (request) => {
+async function handleCallTool(request, extra) {
   const { name, arguments: params } = request.params;
   const toolName = name;
 
-  log("info", "Tool called:", { toolName, params });
+  log("info", "Tool called:", { toolName, params: redactParams(params) });
 
   try {
     // Validate file path exists for all tools
@@ -379,15 +499,25 @@ server.setRequestHandler(CallToolRequestSchema, async (request) => {
       params.filePath = resolvedPath;
     }
 
+    const toolOptions = { progress: createProgressReporter(extra) };
+
     switch (name) {
       case "get-doc-summary":
-        return await handleSummary(params);
+        return await handleSummary(params, toolOptions);
 
       case "get-doc-indepth":
-        return await handleInDepth(params);
+        return await handleInDepth(params, toolOptions);
 
       case "get-doc-focused":
-        return await handleFocused(params, params.userQuery, params.context);
+        return await handleFocused(
+          params,
+          params.userQuery,
+          params.context,
+          toolOptions,
+        );
+
+      case "get-vision-diagnostics":
+        return await handleVisionDiagnostics(params || {});
 
       case "create-doc":
         const docResult = await createDoc(params);
@@ -477,15 +607,84 @@ server.setRequestHandler(CallToolRequestSchema, async (request) => {
       isError: true,
     };
   }
-});
+}
+
+/**
+ * Handler for reading a document resource
+ */
+async function handleReadResource(request) {
+  const { uri } = request.params;
+  log("info", "Resource read requested:", { uri });
+  return await resourceService.readResource(uri);
+}
 
 /**
- * Start the server using stdio transport
+ * Create an MCP server instance with all handlers registered.
+ * stdio uses a single instance; the HTTP transports create one per client session.
+ * @returns {Server} Configured MCP server
+ */
+function createServer() {
+  const server = new Server(
+    {
+      name: SERVER_NAME,
+      version: SERVER_VERSION,
+    },
+    {
+      capabilities: {
+        tools: {},
+        resources: {
+          subscribe: true,
+        },
+      },
+    },
+  );
+
+  // Notify this server's client when a subscribed resource changes on disk
+  const notifyResourceUpdated = (uri) => server.sendResourceUpdated({ uri });
+
+  server.setRequestHandler(ListToolsRequestSchema, handleListTools);
+  server.setRequestHandler(CallToolRequestSchema, handleCallTool);
+  server.setRequestHandler(ListResourcesRequestSchema, async () => ({
+    resources: resourceService.listResources(),
+  }));
+  server.setRequestHandler(ListResourceTemplatesRequestSchema, async () => ({
+    resourceTemplates: resourceService.listTemplates(),
+  }));
+  server.setRequestHandler(ReadResourceRequestSchema, handleReadResource);
+  server.setRequestHandler(SubscribeRequestSchema, async (request) => {
+    resourceService.subscribe(request.params.uri, notifyResourceUpdated);
+    return {};
+  });
+  server.setRequestHandler(UnsubscribeRequestSchema, async (request) => {
+    resourceService.unsubscribe(request.params.uri, notifyResourceUpdated);
+    return {};
+  });
+
+  // Drop this client's subscriptions when its connection closes
+  server.onclose = () => resourceService.unsubscribeAll(notifyResourceUpdated);
+
+  return server;
+}
+
+/**
+ * Start the server using the transport selected on the command line
+ * (--transport=stdio|http) or via MCP_TRANSPORT
  */
 async function run() {
-  const transport = new StdioServerTransport();
-  await server.connect(transport);
-  log("info", "MCP Document Processor server running on stdio");
+  const options = getTransportOptions();
+
+  if (options.transport === "stdio") {
+    const transport = new StdioServerTransport();
+    await createServer().connect(transport);
+    log("info", "MCP Document Processor server running on stdio");
+  } else {
+    await startHttpServer(createServer, {
+      ...options,
+      name: SERVER_NAME,
+      version: SERVER_VERSION,
+    });
+  }
+
   log("info", `Vision Provider: ${visionService.name}`);
 }
 
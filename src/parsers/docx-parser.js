@@ -1,6 +1,31 @@
 import fs from "fs";
 import mammoth from "mammoth";
 import JSZip from "jszip";
+import {
+  readXmlPart,
+  findAll,
+  findFirst,
+  childElement,
+  childElements,
+  getAttr,
+  readRelationships,
+  isRelType,
+  RELATIONSHIPS_NS,
+} from "../utils/xml-utils.js";
+import { readOfficeProperties } from "../utils/office-properties.js";
+
+// Outline level 9 (w:outlineLvl val="9") means body text
+const BODY_TEXT_OUTLINE_LEVEL = 9;
+
+// Note parts and the reference elements that point into them
+const NOTE_PARTS = [
+  {
+    type: "footnote",
+    part: "word/footnotes.xml",
+    reference: "footnoteReference",
+  },
+  { type: "endnote", part: "word/endnotes.xml", reference: "endnoteReference" },
+];
 
 /**
  * DOCX Parser Module
@@ -26,9 +51,31 @@ export class DocxParser {
       // Extract images using JSZip
       const images = await this.extractImages(dataBuffer);
 
+      const text = textResult.value || "";
+
+      // Headings, list items, tracked changes and comments from the document XML
+      const zip = await JSZip.loadAsync(dataBuffer);
+      const documentXml = await readXmlPart(zip, "word/document.xml").catch(
+        () => null,
+      );
+      const outline = await this.extractOutline(zip, documentXml);
+      const review = await this.extractReview(zip, documentXml, outline);
+      const notes = await this.extractNotes(zip, documentXml);
+      const headersFooters = await this.extractHeadersFooters(zip, documentXml);
+      const tables = this.extractTables(documentXml);
+
       return {
         success: true,
-        text: textResult.value || "",
+        text,
+        outline,
+        segments: this.buildSections(text, outline),
+        segmentUnit: "section",
+        revisions: review.revisions,
+        comments: review.comments,
+        revisionViews: review.views,
+        notes,
+        headersFooters,
+        tables,
         messages: textResult.messages || [],
         metadata: await this.extractMetadata(dataBuffer, filePath),
         images: images,
@@ -55,30 +102,9 @@ export class DocxParser {
         sizeBytes: dataBuffer.length || null,
       };
 
-      // Try to extract document properties from docProps/core.xml
+      // Document properties from docProps/core.xml, app.xml and custom.xml
       try {
-        const coreXml = await zip.file("docProps/core.xml")?.async("string");
-        if (coreXml) {
-          const parser = new DOMParser();
-          const xmlDoc = parser.parseFromString(coreXml, "text/xml");
-
-          // Extract common metadata fields
-          const getTextContent = (tagName) => {
-            const element = xmlDoc.getElementsByTagName(tagName)[0];
-            return element ? element.textContent : null;
-          };
-
-          metadata.title = getTextContent("dc:title");
-          metadata.author = getTextContent("dc:creator");
-          metadata.subject = getTextContent("dc:subject");
-          metadata.description = getTextContent("dc:description");
-
-          const createdText = getTextContent("dcterms:created");
-          metadata.created = createdText ? new Date(createdText) : null;
-
-          const modifiedText = getTextContent("dcterms:modified");
-          metadata.modified = modifiedText ? new Date(modifiedText) : null;
-        }
+        Object.assign(metadata, await readOfficeProperties(zip));
       } catch (metadataError) {
         // Metadata extraction is not critical, continue without it
         console.warn("Could not extract metadata:", metadataError.message);
@@ -219,9 +245,782 @@ export class DocxParser {
   }
 
   /**
-   * Get basic structure of the DOCX content
+   * Extract headings and list items from word/document.xml
+   *
+   * Headings come from paragraph outline levels, either set directly on the
+   * paragraph or inherited from its style (Heading 1-9 define them), and list
+   * items from numbering properties.
+   * @param {JSZip} zip - Loaded DOCX package
+   * @param {Document|null} document - Parsed word/document.xml
+   * @returns {Promise<Array|null>} Outline items in document order, or null if
+   *   the document XML could not be read
+   */
+  async extractOutline(zip, document) {
+    try {
+      if (!document) {
+        return null;
+      }
+
+      const styles = this.readStyles(await readXmlPart(zip, "word/styles.xml"));
+      const outline = [];
+
+      findAll(findFirst(document, "body"), "p").forEach(
+        (paragraph, paragraphIndex) => {
+          const text = this.getParagraphText(paragraph).trim();
+          if (text.length === 0) {
+            return;
+          }
+
+          const pPr = childElement(paragraph, "pPr");
+          const styleId = getAttr(childElement(pPr, "pStyle"), "val");
+          const style = this.resolveStyle(styles, styleId);
+
+          const directLevel = getAttr(childElement(pPr, "outlineLvl"), "val");
+          const outlineLevel =
+            directLevel !== null ? parseInt(directLevel) : style.outlineLevel;
+
+          if (outlineLevel !== null && outlineLevel < BODY_TEXT_OUTLINE_LEVEL) {
+            outline.push({
+              text,
+              isHeader: true,
+              level: outlineLevel + 1,
+              style: style.name || styleId || null,
+              paragraphIndex,
+            });
+            return;
+          }
+
+          const numPr = childElement(pPr, "numPr") || style.numPr;
+          const numId = getAttr(childElement(numPr, "numId"), "val");
+          // numId 0 removes numbering inherited from the style
+          if (numPr && numId !== "0") {
+            const ilvl = parseInt(
+              getAttr(childElement(numPr, "ilvl"), "val") || "0",
+            );
+            outline.push({
+              text,
+              isHeader: false,
+              isListItem: true,
+              level: ilvl + 1,
+              listId: numId,
+              style: style.name || styleId || null,
+              paragraphIndex,
+            });
+          }
+        },
+      );
+
+      return outline;
+    } catch (error) {
+      console.warn("Could not extract outline from DOCX:", error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Extract tracked changes and comments, and build the accepted, original
+   * and redline views of the text
+   *
+   * Views mirror mammoth's raw text layout (each paragraph followed by a
+   * blank line). In the redline view insertions are marked [+text+] and
+   * deletions [-text-].
+   * @param {JSZip} zip - Loaded DOCX package
+   * @param {Document|null} document - Parsed word/document.xml
+   * @param {Array|null} outline - Outline used to split views into sections
+   * @returns {Promise<Object>} { revisions, comments, views } where views is
+   *   null when the document has no tracked changes
+   */
+  async extractReview(zip, document, outline) {
+    const review = { revisions: [], comments: [], views: null };
+    if (!document) {
+      return review;
+    }
+
+    try {
+      const comments = await this.readComments(zip);
+      const openComments = new Set();
+      const paragraphs = { accepted: [], original: [], redline: [] };
+
+      findAll(findFirst(document, "body"), "p").forEach(
+        (paragraph, paragraphIndex) => {
+          const line = { accepted: "", original: "", redline: "" };
+
+          const append = (text, mode, revision) => {
+            if (mode !== "deleted") {
+              line.accepted += text;
+            }
+            if (mode !== "inserted") {
+              line.original += text;
+            }
+            if (revision) {
+              revision.text += text;
+            } else {
+              line.redline += text;
+            }
+            for (const id of openComments) {
+              comments.get(id).anchorText += text;
+            }
+          };
+
+          const walk = (node, mode, revision) => {
+            for (const child of childElements(node)) {
+              switch (child.localName) {
+                case "p":
+                case "pPr":
+                case "rPr":
+                  // Nested paragraphs (text boxes) are visited on their own,
+                  // and property changes are not content
+                  break;
+                case "ins":
+                case "moveTo":
+                case "del":
+                case "moveFrom": {
+                  const inserted =
+                    child.localName === "ins" || child.localName === "moveTo";
+                  const entry = {
+                    id: getAttr(child, "id"),
+                    type: {
+                      ins: "insertion",
+                      del: "deletion",
+                      moveTo: "move-to",
+                      moveFrom: "move-from",
+                    }[child.localName],
+                    author: getAttr(child, "author"),
+                    date: this.parseDate(getAttr(child, "date")),
+                    text: "",
+                    paragraphIndex,
+                  };
+                  walk(child, inserted ? "inserted" : "deleted", entry);
+                  if (entry.text.length > 0) {
+                    review.revisions.push(entry);
+                    line.redline += inserted
+                      ? `[+${entry.text}+]`
+                      : `[-${entry.text}-]`;
+                  }
+                  break;
+                }
+                case "t":
+                case "delText":
+                  append(child.textContent || "", mode, revision);
+                  break;
+                case "tab":
+                  append("\t", mode, revision);
+                  break;
+                case "br":
+                case "cr":
+                  append("\n", mode, revision);
+                  break;
+                case "commentRangeStart": {
+                  const id = getAttr(child, "id");
+                  if (comments.has(id)) {
+                    openComments.add(id);
+                    comments.get(id).paragraphIndex ??= paragraphIndex;
+                  }
+                  break;
+                }
+                case "commentRangeEnd":
+                  openComments.delete(getAttr(child, "id"));
+                  break;
+                case "commentReference": {
+                  // Comments without a range are anchored at their reference
+                  const comment = comments.get(getAttr(child, "id"));
+                  if (comment) {
+                    comment.paragraphIndex ??= paragraphIndex;
+                  }
+                  break;
+                }
+                default:
+                  walk(child, mode, revision);
+              }
+            }
+          };
+
+          walk(paragraph, null, null);
+          for (const view of Object.keys(paragraphs)) {
+            paragraphs[view].push(`${line[view]}\n\n`);
+          }
+        },
+      );
+
+      review.comments = [...comments.values()].map((comment) => ({
+        ...comment,
+        anchorText: comment.anchorText.trim() || null,
+        paragraphIndex: comment.paragraphIndex ?? null,
+      }));
+
+      if (review.revisions.length > 0) {
+        review.views = {};
+        for (const [view, lines] of Object.entries(paragraphs)) {
+          const text = lines.join("");
+          review.views[view] = {
+            text,
+            segments: this.buildSections(text, outline),
+          };
+        }
+      }
+    } catch (error) {
+      console.warn(
+        "Could not extract tracked changes from DOCX:",
+        error.message,
+      );
+    }
+
+    return review;
+  }
+
+  /**
+   * Read comments from word/comments.xml
+   * @returns {Promise<Map>} id -> { id, author, initials, date, text, anchorText, paragraphIndex }
+   */
+  async readComments(zip) {
+    const comments = new Map();
+    const commentsDoc = await readXmlPart(zip, "word/comments.xml");
+
+    for (const comment of findAll(commentsDoc, "comment")) {
+      const id = getAttr(comment, "id");
+      comments.set(id, {
+        id,
+        author: getAttr(comment, "author"),
+        initials: getAttr(comment, "initials"),
+        date: this.parseDate(getAttr(comment, "date")),
+        text: findAll(comment, "p")
+          .map((paragraph) => this.getParagraphText(paragraph))
+          .join("\n")
+          .trim(),
+        anchorText: "",
+        paragraphIndex: undefined,
+      });
+    }
+
+    return comments;
+  }
+
+  /**
+   * Extract tables from word/document.xml as row/column grids
+   *
+   * Cells merged across columns (gridSpan) or rows (vMerge) keep their text in
+   * the top-left position of the merged area; the other positions are empty
+   * and the area is listed in merges. Nested tables become separate entries
+   * that follow their parent, and the parent cell refers to them as [Table n].
+   * @param {Document|null} document - Parsed word/document.xml
+   * @returns {Array} Tables in the shape used by the other parsers, plus
+   *   rows, merges, rowCount, columnCount, depth, parent and paragraphIndex
+   */
+  extractTables(document) {
+    const tables = [];
+
+    try {
+      const body = findFirst(document, "body");
+      const paragraphIndexes = new Map(
+        findAll(body, "p").map((paragraph, index) => [paragraph, index]),
+      );
+
+      for (const table of findAll(body, "tbl")) {
+        if (!this.closestAncestor(table, "tbl")) {
+          this.parseTable(table, tables, paragraphIndexes, null, 0);
+        }
+      }
+    } catch (error) {
+      console.warn("Could not extract tables from DOCX:", error.message);
+    }
+
+    return tables;
+  }
+
+  /**
+   * Parse one w:tbl element into tables, followed by its nested tables
+   * @param {Element} table - w:tbl element
+   * @param {Array} tables - Output list
+   * @param {Map} paragraphIndexes - Body paragraph -> index
+   * @param {Object|null} parent - { table, row, col } of the containing cell
+   * @param {number} depth - Nesting depth (0 for top-level tables)
+   */
+  parseTable(table, tables, paragraphIndexes, parent, depth) {
+    const entry = { index: tables.length };
+    tables.push(entry);
+
+    const rows = [];
+    const merges = [];
+    // Column -> merge area still open for vMerge continuation cells
+    const verticalMerges = new Map();
+    let columnCount = 0;
+
+    const ownRows = findAll(table, "tr").filter(
+      (row) => this.closestAncestor(row, "tbl") === table,
+    );
+
+    ownRows.forEach((row, rowIndex) => {
+      const values = [];
+      const gridBefore = parseInt(
+        getAttr(findFirst(childElement(row, "trPr"), "gridBefore"), "val") ||
+          "0",
+      );
+      for (let i = 0; i < gridBefore; i++) {
+        values.push("");
+      }
+
+      const cells = findAll(row, "tc").filter(
+        (cell) => this.closestAncestor(cell, "tr") === row,
+      );
+      for (const cell of cells) {
+        const tcPr = childElement(cell, "tcPr");
+        const colSpan = parseInt(
+          getAttr(childElement(tcPr, "gridSpan"), "val") || "1",
+        );
+        const vMerge = childElement(tcPr, "vMerge");
+        const vMergeValue = vMerge
+          ? getAttr(vMerge, "val") || "continue"
+          : null;
+        const col = values.length;
+
+        const openMerge = verticalMerges.get(col);
+        if (vMergeValue === "continue" && openMerge) {
+          openMerge.rowSpan = rowIndex - openMerge.row + 1;
+          for (let i = 0; i < colSpan; i++) {
+            values.push("");
+          }
+          continue;
+        }
+
+        const text = this.getCellText(
+          cell,
+          tables,
+          paragraphIndexes,
+          { table: entry.index, row: rowIndex, col },
+          depth + 1,
+        );
+        values.push(text);
+        for (let i = 1; i < colSpan; i++) {
+          values.push("");
+        }
+
+        const merge = { row: rowIndex, col, rowSpan: 1, colSpan };
+        for (let i = 0; i < colSpan; i++) {
+          verticalMerges.delete(col + i);
+        }
+        if (vMergeValue === "restart") {
+          verticalMerges.set(col, merge);
+        }
+        merges.push(merge);
+      }
+
+      columnCount = Math.max(columnCount, values.length);
+      rows.push(values);
+    });
+
+    for (const values of rows) {
+      while (values.length < columnCount) {
+        values.push("");
+      }
+    }
+
+    const markdown = rows.map(
+      (values) =>
+        `| ${values.map((value) => value.replace(/\s*\n\s*/g, " ")).join(" | ")} |`,
+    );
+    if (markdown.length > 1) {
+      markdown.splice(1, 0, `|${" --- |".repeat(columnCount)}`);
+    }
+
+    const firstParagraph = findFirst(table, "p");
+
+    Object.assign(entry, {
+      type: "docx-table",
+      rows,
+      merges: merges.filter((merge) => merge.rowSpan > 1 || merge.colSpan > 1),
+      rowCount: rows.length,
+      columnCount,
+      depth,
+      parent,
+      paragraphIndex: paragraphIndexes.get(firstParagraph) ?? null,
+      content: markdown.join("\n"),
+      extractedContent: markdown.join("\n"),
+      source: "docx",
+      confidence: 1,
+    });
+  }
+
+  /**
+   * Get the text of a table cell; nested tables are parsed into tables and
+   * referred to as [Table n]
+   * @param {Element} cell - w:tc element
+   * @param {Array} tables - Output list for nested tables
+   * @param {Map} paragraphIndexes - Body paragraph -> index
+   * @param {Object} position - { table, row, col } of the cell
+   * @param {number} nestedDepth - Depth of tables nested in the cell
+   * @returns {string} Cell text, one line per paragraph
+   */
+  getCellText(cell, tables, paragraphIndexes, position, nestedDepth) {
+    const lines = [];
+
+    const walk = (node) => {
+      for (const child of childElements(node)) {
+        switch (child.localName) {
+          case "p":
+            lines.push(this.getParagraphText(child).trim());
+            break;
+          case "tbl":
+            lines.push(`[Table ${tables.length + 1}]`);
+            this.parseTable(
+              child,
+              tables,
+              paragraphIndexes,
+              position,
+              nestedDepth,
+            );
+            break;
+          case "tcPr":
+            break;
+          default:
+            // Content controls and other wrappers
+            walk(child);
+        }
+      }
+    };
+
+    walk(cell);
+    return lines.filter((line) => line.length > 0).join("\n");
+  }
+
+  /**
+   * Find the nearest ancestor element with a local name
+   * @param {Node} node - Node to start from
+   * @param {string} localName - Element local name
+   * @returns {Element|null} Ancestor, or null if there is none
    */
-  async getStructure(content) {
+  closestAncestor(node, localName) {
+    let current = node.parentNode;
+    while (current && current.nodeType === 1) {
+      if (current.localName === localName) {
+        return current;
+      }
+      current = current.parentNode;
+    }
+    return null;
+  }
+
+  /**
+   * Extract footnotes and endnotes, linked to the paragraphs that reference them
+   *
+   * Notes are numbered in the order they are first referenced, as Word does
+   * with automatic numbering. Separator notes are left out.
+   * @param {JSZip} zip - Loaded DOCX package
+   * @param {Document|null} document - Parsed word/document.xml
+   * @returns {Promise<Array>} Notes as { type, id, number, text,
+   *   paragraphIndex, referenceText }, in reference order
+   */
+  async extractNotes(zip, document) {
+    const notes = [];
+
+    try {
+      const paragraphs = findAll(findFirst(document, "body"), "p");
+
+      for (const { type, part, reference } of NOTE_PARTS) {
+        const bodies = new Map();
+        for (const note of findAll(await readXmlPart(zip, part), type)) {
+          const noteType = getAttr(note, "type");
+          if (noteType && noteType !== "normal") {
+            continue;
+          }
+          bodies.set(getAttr(note, "id"), note);
+        }
+        if (bodies.size === 0) {
+          continue;
+        }
+
+        const found = [];
+        paragraphs.forEach((paragraph, paragraphIndex) => {
+          for (const ref of findAll(paragraph, reference)) {
+            const id = getAttr(ref, "id");
+            const note = bodies.get(id);
+            if (!note) {
+              continue;
+            }
+            bodies.delete(id);
+            found.push({
+              type,
+              id,
+              number: found.length + 1,
+              text: this.getNoteText(note),
+              paragraphIndex,
+              referenceText: this.getParagraphText(paragraph).trim() || null,
+            });
+          }
+        });
+
+        // Notes that are never referenced are kept without a number
+        for (const [id, note] of bodies) {
+          found.push({
+            type,
+            id,
+            number: null,
+            text: this.getNoteText(note),
+            paragraphIndex: null,
+            referenceText: null,
+          });
+        }
+
+        notes.push(...found.filter((note) => note.text.length > 0));
+      }
+    } catch (error) {
+      console.warn("Could not extract notes from DOCX:", error.message);
+    }
+
+    return notes;
+  }
+
+  /**
+   * Get the text of a footnote or endnote
+   * @param {Element} note - w:footnote or w:endnote element
+   * @returns {string} Note text, one line per paragraph
+   */
+  getNoteText(note) {
+    return findAll(note, "p")
+      .map((paragraph) => this.getParagraphText(paragraph))
+      .join("\n")
+      .trim();
+  }
+
+  /**
+   * Extract the text of the header and footer parts used by each section
+   * @param {JSZip} zip - Loaded DOCX package
+   * @param {Document|null} document - Parsed word/document.xml
+   * @returns {Promise<Array>} { type ("header" or "footer"), kind ("default",
+   *   "first" or "even"), section, part, text }, one entry per non-empty part
+   */
+  async extractHeadersFooters(zip, document) {
+    const headersFooters = [];
+
+    try {
+      const rels = await readRelationships(zip, "word/document.xml");
+      const seen = new Set();
+
+      // Section properties sit at the end of each section, in document order
+      const sections = findAll(findFirst(document, "body"), "sectPr");
+      for (const [index, sectPr] of sections.entries()) {
+        for (const type of ["header", "footer"]) {
+          for (const reference of childElements(sectPr, `${type}Reference`)) {
+            const rel = rels.get(getAttr(reference, "id", RELATIONSHIPS_NS));
+            if (!rel || !isRelType(rel, type) || seen.has(rel.target)) {
+              continue;
+            }
+            seen.add(rel.target);
+
+            const part = await readXmlPart(zip, rel.target);
+            const text = findAll(part, "p")
+              .map((paragraph) => this.getParagraphText(paragraph).trim())
+              .filter((line) => line.length > 0)
+              .join("\n");
+            if (text.length > 0) {
+              headersFooters.push({
+                type,
+                kind: getAttr(reference, "type") || "default",
+                section: index + 1,
+                part: rel.target,
+                text,
+              });
+            }
+          }
+        }
+      }
+    } catch (error) {
+      console.warn(
+        "Could not extract headers and footers from DOCX:",
+        error.message,
+      );
+    }
+
+    return headersFooters;
+  }
+
+  /**
+   * Parse a revision or comment date, returning null when missing or invalid
+   */
+  parseDate(value) {
+    if (!value) {
+      return null;
+    }
+    const date = new Date(value);
+    return isNaN(date.getTime()) ? null : date;
+  }
+
+  /**
+   * Read paragraph styles from word/styles.xml
+   * @param {Document|null} stylesDoc - Parsed styles part
+   * @returns {Map} styleId -> { name, basedOn, outlineLevel, numPr }
+   */
+  readStyles(stylesDoc) {
+    const styles = new Map();
+
+    for (const style of findAll(stylesDoc, "style")) {
+      if (getAttr(style, "type") !== "paragraph") {
+        continue;
+      }
+      const pPr = childElement(style, "pPr");
+      const outlineLevel = getAttr(childElement(pPr, "outlineLvl"), "val");
+      styles.set(getAttr(style, "styleId"), {
+        name: getAttr(childElement(style, "name"), "val"),
+        basedOn: getAttr(childElement(style, "basedOn"), "val"),
+        outlineLevel: outlineLevel !== null ? parseInt(outlineLevel) : null,
+        numPr: childElement(pPr, "numPr"),
+      });
+    }
+
+    return styles;
+  }
+
+  /**
+   * Resolve a paragraph style's outline level, numbering and name, following
+   * the basedOn chain
+   * @param {Map} styles - Styles from readStyles
+   * @param {string|null} styleId - Paragraph style id
+   * @returns {Object} { name, outlineLevel, numPr }
+   */
+  resolveStyle(styles, styleId) {
+    const resolved = { name: null, outlineLevel: null, numPr: null };
+    const seen = new Set();
+    let currentId = styleId;
+
+    while (currentId && !seen.has(currentId)) {
+      seen.add(currentId);
+      const style = styles.get(currentId);
+      const name = style?.name || currentId;
+
+      resolved.name = resolved.name || style?.name || null;
+      if (resolved.outlineLevel === null) {
+        if (style?.outlineLevel != null) {
+          resolved.outlineLevel = style.outlineLevel;
+        } else {
+          // Built-in heading styles don't always spell out their outline level
+          const match = /^heading\s*([1-9])$/i.exec(name);
+          if (match) {
+            resolved.outlineLevel = parseInt(match[1]) - 1;
+          } else if (/^title$/i.test(name)) {
+            resolved.outlineLevel = 0;
+          }
+        }
+      }
+      resolved.numPr = resolved.numPr || style?.numPr || null;
+
+      currentId = style?.basedOn;
+    }
+
+    return resolved;
+  }
+
+  /**
+   * Get the text of a paragraph, leaving out text boxes nested inside it
+   * @param {Element} paragraph - w:p element
+   * @returns {string} Paragraph text
+   */
+  getParagraphText(paragraph) {
+    let text = "";
+
+    const walk = (node) => {
+      for (const child of childElements(node)) {
+        switch (child.localName) {
+          case "p":
+            // Nested paragraph (text box); it is visited on its own
+            break;
+          case "t":
+            text += child.textContent || "";
+            break;
+          case "tab":
+            text += "\t";
+            break;
+          case "br":
+          case "cr":
+            text += "\n";
+            break;
+          default:
+            walk(child);
+        }
+      }
+    };
+
+    walk(paragraph);
+    return text;
+  }
+
+  /**
+   * Split document text into sections that start at headings
+   *
+   * Uses the headings from the document outline, and falls back to guessing
+   * headings from the text when the document XML could not be read.
+   * @param {string} text - Raw document text
+   * @param {Array|null} [outline] - Outline from extractOutline
+   * @returns {Array} Sections as { number, label, text }
+   */
+  buildSections(text, outline = null) {
+    const useOutline = Array.isArray(outline);
+    const headings = useOutline ? outline.filter((item) => item.isHeader) : [];
+    const sections = [];
+    let current = { label: "Start", lines: [] };
+
+    const pushCurrent = () => {
+      const sectionText = current.lines.join("\n").trim();
+      if (sectionText.length > 0) {
+        sections.push({
+          number: sections.length + 1,
+          label: current.label,
+          text: sectionText,
+        });
+      }
+    };
+
+    // Headings are matched against the text lines in document order. A
+    // heading whose XML text differs from the extracted text (fields, tabs,
+    // tracked deletions) is skipped rather than blocking the ones after it.
+    const normalize = (value) => value.replace(/\s+/g, " ").trim();
+    const headingTexts = headings.map((heading) =>
+      normalize(heading.text.split("\n")[0]),
+    );
+    let nextHeading = 0;
+    const startsSection = (trimmed) => {
+      if (!useOutline) {
+        return (
+          trimmed.length > 0 &&
+          trimmed.length < 100 &&
+          this.isLikelyHeader(trimmed)
+        );
+      }
+      if (trimmed.length === 0) {
+        return false;
+      }
+      const match = headingTexts.indexOf(normalize(trimmed), nextHeading);
+      if (match === -1) {
+        return false;
+      }
+      nextHeading = match + 1;
+      return true;
+    };
+
+    for (const line of text.split("\n")) {
+      const trimmed = line.trim();
+      if (startsSection(trimmed)) {
+        pushCurrent();
+        current = { label: trimmed, lines: [] };
+      }
+      current.lines.push(line);
+    }
+    pushCurrent();
+
+    return sections;
+  }
+
+  /**
+   * Get structure of the DOCX content
+   * @param {string} content - Extracted text
+   * @param {Object} [result] - Parse result; its outline (real headings and
+   *   list items) is used when available, followed by labelled sections for
+   *   headers and footers, footnotes and endnotes
+   */
+  async getStructure(content, result = null) {
+    if (result && Array.isArray(result.outline)) {
+      return [...result.outline, ...this.getNoteStructure(result)];
+    }
+
+    // No document XML available: guess headers from the text
     const lines = content.split("\n");
 
     // Remove empty lines and whitespace-only lines
@@ -238,6 +1037,52 @@ export class DocxParser {
     return structure;
   }
 
+  /**
+   * Build structure items for headers and footers, footnotes and endnotes
+   * @param {Object} result - Parse result
+   * @returns {Array} A level 1 item per group followed by its entries
+   */
+  getNoteStructure(result) {
+    const items = [];
+    const addGroup = (label, entries) => {
+      if (entries.length === 0) {
+        return;
+      }
+      items.push({ text: label, isHeader: true, level: 1 });
+      items.push(...entries);
+    };
+
+    addGroup(
+      "Headers and Footers",
+      (result.headersFooters || []).map((entry) => ({
+        text: `${entry.type === "header" ? "Header" : "Footer"} (${entry.kind}, section ${entry.section}): ${entry.text}`,
+        isHeader: false,
+        level: 2,
+      })),
+    );
+
+    for (const [type, label] of [
+      ["footnote", "Footnotes"],
+      ["endnote", "Endnotes"],
+    ]) {
+      addGroup(
+        label,
+        (result.notes || [])
+          .filter((note) => note.type === type)
+          .map((note) => ({
+            text: `[${note.number ?? "unreferenced"}] ${note.text}`,
+            isHeader: false,
+            level: 2,
+            ...(note.paragraphIndex !== null && {
+              paragraphIndex: note.paragraphIndex,
+            }),
+          })),
+      );
+    }
+
+    return items;
+  }
+
   /**
    * Determine if a line is likely a header based on patterns
    */
@@ -1,13 +1,40 @@
 import fs from "fs";
+import path from "path";
 import xlsx from "xlsx";
+import JSZip from "jszip";
+import {
+  readXmlPart,
+  readRelationships,
+  findAll,
+  findFirst,
+  childElement,
+  childElements,
+  getAttr,
+  textOf,
+  isRelType,
+  RELATIONSHIPS_NS,
+} from "../utils/xml-utils.js";
+import { readOfficeProperties } from "../utils/office-properties.js";
+
+// Workbook sheet Hidden flag -> visibility
+const SHEET_VISIBILITY = ["visible", "hidden", "veryHidden"];
+
+// Cap on cells kept in the structured sheet model per workbook
+const MAX_MODEL_CELLS = 50000;
+
+// Drawing anchors that position pictures and charts on a sheet
+const ANCHOR_ELEMENTS = new Set([
+  "twoCellAnchor",
+  "oneCellAnchor",
+  "absoluteAnchor",
+]);
 
 /**
  * Excel Parser Module
  * Handles extraction of text, data, and images from Excel workbooks (.xlsx, .xls)
  *
- * Note: The xlsx library used here focuses on data extraction and does not support
- * image extraction. For image extraction capabilities, consider using ExcelJS or
- * parsing the XLSX ZIP structure directly.
+ * Note: The xlsx library used here focuses on data extraction and does not read
+ * drawings, so images and charts are read from the XLSX ZIP structure directly.
  */
 export class ExcelParser {
   constructor() {
@@ -19,15 +46,37 @@ export class ExcelParser {
    */
   async parse(filePath) {
     try {
-      const workbook = xlsx.readFile(filePath, { type: "file" });
+      const dataBuffer = fs.readFileSync(filePath);
+      const workbook = xlsx.read(dataBuffer, {
+        type: "buffer",
+        cellFormula: true,
+        cellNF: true,
+        cellDates: true,
+        bookVBA: true,
+      });
+      // Drawings, properties and links are read from the package of XLSX files
+      const zip =
+        dataBuffer.subarray(0, 2).toString("latin1") === "PK"
+          ? await JSZip.loadAsync(dataBuffer)
+          : null;
+
+      const sheetTexts = this.extractSheetTexts(workbook);
+      const { images, charts } = await this.extractDrawings(zip);
 
       return {
         success: true,
-        text: this.extractText(workbook),
+        text: sheetTexts.map((sheet) => sheet.text).join(""),
+        segments: sheetTexts.map((sheet, index) => ({
+          number: index + 1,
+          label: `Sheet: ${sheet.name}${this.formatVisibility(sheet.visibility)}`,
+          text: sheet.text,
+        })),
+        segmentUnit: "sheet",
         sheets: workbook.SheetNames || [],
-        metadata: await this.extractMetadata(filePath, workbook),
-        // Note: Image extraction not supported by xlsx library
-        images: await this.extractImages(workbook),
+        sheetModels: this.extractSheetModels(workbook),
+        metadata: await this.extractMetadata(filePath, workbook, zip),
+        images,
+        charts,
       };
     } catch (error) {
       return {
@@ -39,13 +88,14 @@ export class ExcelParser {
   }
 
   /**
-   * Extract text content from workbook
+   * Extract text content for each sheet of the workbook
+   * @returns {Array} Array of { name, visibility, text } in workbook order
    */
-  extractText(workbook) {
-    let fullText = "";
-
+  extractSheetTexts(workbook) {
     // Iterate through all sheets
-    workbook.SheetNames.forEach((sheetName) => {
+    return workbook.SheetNames.map((sheetName, index) => {
+      const visibility = this.getSheetVisibility(workbook, index);
+      let fullText = "";
       const worksheet = workbook.Sheets[sheetName];
 
       // Get cell values as array of arrays with proper configuration
@@ -68,42 +118,253 @@ export class ExcelParser {
       });
 
       // Append sheet title as heading (to distinguish sheets)
-      fullText += `## Sheet: ${sheetName}\n`;
+      fullText += `## Sheet: ${sheetName}${this.formatVisibility(visibility)}\n`;
 
       // Append cell values as plain text with tab separation
       range.forEach((row) => {
         const textRow = row.join("\t");
         fullText += `${textRow}\n`;
       });
+
+      return { name: sheetName, visibility, text: fullText };
+    });
+  }
+
+  /**
+   * Get the visibility of a sheet
+   * @returns {string} visible, hidden or veryHidden (only unhidden via VBA)
+   */
+  getSheetVisibility(workbook, index) {
+    const hidden = workbook.Workbook?.Sheets?.[index]?.Hidden || 0;
+    return SHEET_VISIBILITY[hidden] || "hidden";
+  }
+
+  /**
+   * Format a sheet visibility as a suffix for sheet headings
+   */
+  formatVisibility(visibility) {
+    if (visibility === "veryHidden") {
+      return " (very hidden)";
+    }
+    return visibility === "hidden" ? " (hidden)" : "";
+  }
+
+  /**
+   * Build a structured model of each sheet: typed cell values with their
+   * number format and formula, plus merged ranges
+   * @returns {Array} Array of { name, index, visibility, range, merges, cells, truncated }
+   *   where cells are { address, row, col, value, type, text, format, formula, merge }
+   */
+  extractSheetModels(workbook) {
+    let remaining = MAX_MODEL_CELLS;
+
+    return workbook.SheetNames.map((sheetName, index) => {
+      const worksheet = workbook.Sheets[sheetName];
+      const merges = (worksheet["!merges"] || []).map((merge) =>
+        xlsx.utils.encode_range(merge),
+      );
+      // Merged ranges keyed by their top-left cell
+      const mergeStarts = new Map(
+        merges.map((range) => [range.split(":")[0], range]),
+      );
+
+      const addresses = Object.keys(worksheet)
+        .filter((key) => !key.startsWith("!"))
+        .map((address) => ({ address, ...xlsx.utils.decode_cell(address) }))
+        .sort((a, b) => a.r - b.r || a.c - b.c);
+
+      const cells = [];
+      let truncated = false;
+
+      for (const { address, r, c } of addresses) {
+        const cell = worksheet[address];
+        if (cell.t === "z" && !cell.f) {
+          continue;
+        }
+        if (remaining <= 0) {
+          truncated = true;
+          break;
+        }
+        remaining--;
+
+        cells.push({
+          address,
+          row: r + 1,
+          col: c + 1,
+          value: cell.t === "e" ? (cell.w ?? null) : (cell.v ?? null),
+          type: this.getCellType(cell),
+          text: cell.w ?? null,
+          format: cell.z ?? null,
+          formula: cell.f ? `=${cell.f}` : null,
+          merge: mergeStarts.get(address) || null,
+        });
+      }
+
+      return {
+        name: sheetName,
+        index: index + 1,
+        visibility: this.getSheetVisibility(workbook, index),
+        range: worksheet["!ref"] || null,
+        merges,
+        cells,
+        truncated,
+      };
     });
+  }
 
-    return fullText;
+  /**
+   * Classify a cell value, using the number format to tell dates, currency
+   * and percentages apart from plain numbers
+   * @returns {string} string, number, currency, percentage, date, boolean, error or empty
+   */
+  getCellType(cell) {
+    switch (cell.t) {
+      case "s":
+        return "string";
+      case "b":
+        return "boolean";
+      case "e":
+        return "error";
+      case "d":
+        return "date";
+      case "z":
+        return "empty";
+      case "n": {
+        const format = typeof cell.z === "string" ? cell.z : "";
+        if (format && xlsx.SSF.is_date(format)) {
+          return "date";
+        }
+        // Ignore colour and condition sections like [Red] or [>=100]
+        const pattern = format.replace(/\[(?!\$)[^\]]*\]/g, "");
+        if (pattern.includes("%")) {
+          return "percentage";
+        }
+        if (/[$€£¥]|\[\$/.test(pattern)) {
+          return "currency";
+        }
+        return "number";
+      }
+      default:
+        return "string";
+    }
   }
 
   /**
    * Extract metadata from Excel file
    */
-  async extractMetadata(filePath, workbook) {
+  async extractMetadata(filePath, workbook, zip = null) {
     try {
       const stats = fs.statSync(filePath);
+      const properties = await this.extractProperties(workbook, zip);
+
+      const sheets = workbook.SheetNames.map((name, index) => ({
+        name,
+        visibility: this.getSheetVisibility(workbook, index),
+      }));
 
       return {
         filename: this.extractFilename(filePath),
         sizeBytes: stats.size || null,
         sheetNames: workbook.SheetNames || [],
         sheetCount: workbook.SheetNames.length || 0,
-        // Note: Additional document properties would require parsing
-        // the docProps/core.xml file in a real implementation
-        creationDate: null,
-        modificationDate: null,
-        author: null,
-        title: null,
+        creationDate: properties.created,
+        modificationDate: properties.modified,
+        author: properties.author,
+        title: properties.title,
+        subject: properties.subject,
+        keywords: properties.keywords,
+        description: properties.description,
+        lastModifiedBy: properties.lastModifiedBy,
+        company: properties.company,
+        application: properties.application,
+        customProperties: properties.customProperties || null,
+        sheets,
+        hiddenSheets: sheets
+          .filter((sheet) => sheet.visibility !== "visible")
+          .map((sheet) => sheet.name),
+        definedNames: this.extractDefinedNames(workbook),
+        externalLinks: await this.extractExternalLinks(zip),
+        hasMacros:
+          Boolean(workbook.vbaraw) ||
+          Boolean(zip && zip.file(/(^|\/)vbaProject\.bin$/i).length > 0),
       };
     } catch (error) {
       return { error: `Metadata extraction failed: ${error.message}` };
     }
   }
 
+  /**
+   * Read document properties from docProps/core.xml and docProps/app.xml,
+   * or from the workbook's property sets for legacy .xls files
+   */
+  async extractProperties(workbook, zip) {
+    if (zip) {
+      try {
+        return await readOfficeProperties(zip);
+      } catch (error) {
+        // Properties are not critical, fall back to what xlsx read
+        console.warn("Could not read document properties:", error.message);
+      }
+    }
+
+    const props = workbook.Props || {};
+    return {
+      title: props.Title || null,
+      subject: props.Subject || null,
+      author: props.Author || null,
+      keywords: props.Keywords || null,
+      description: props.Comments || null,
+      lastModifiedBy: props.LastAuthor || null,
+      created: props.CreatedDate || null,
+      modified: props.ModifiedDate || null,
+      company: props.Company || null,
+      application: props.Application || null,
+    };
+  }
+
+  /**
+   * List the workbook's defined names
+   * @returns {Array} Array of { name, ref, scope, hidden } where scope is the
+   *   sheet name for sheet-level names and null for workbook-level names
+   */
+  extractDefinedNames(workbook) {
+    return (workbook.Workbook?.Names || []).map((definedName) => ({
+      name: definedName.Name,
+      ref: definedName.Ref || null,
+      scope:
+        definedName.Sheet !== undefined && definedName.Sheet !== null
+          ? workbook.SheetNames[definedName.Sheet] || null
+          : null,
+      hidden: Boolean(definedName.Hidden),
+    }));
+  }
+
+  /**
+   * List the external workbooks this workbook links to
+   * @returns {Promise<Array>} Array of { part, target }
+   */
+  async extractExternalLinks(zip) {
+    const links = [];
+    if (!zip) {
+      return links;
+    }
+
+    const workbookRels = await readRelationships(zip, "xl/workbook.xml");
+    for (const rel of workbookRels.values()) {
+      if (!isRelType(rel, "externalLink")) {
+        continue;
+      }
+      // The linked file is the external target of the link part
+      const linkRels = await readRelationships(zip, rel.target);
+      const pathRel = [...linkRels.values()].find((linkRel) =>
+        /externalLinkPath|xlPathMissing|xlExternalLinkPath/.test(linkRel.type),
+      );
+      links.push({ part: rel.target, target: pathRel ? pathRel.target : null });
+    }
+
+    return links;
+  }
+
   /**
    * Extract filename from file path
    */
@@ -113,46 +374,269 @@ export class ExcelParser {
   }
 
   /**
-   * Extract images from Excel workbook
-   *
-   * IMPORTANT: The xlsx library does NOT support image extraction.
-   * This is a known limitation. To extract images from Excel files,
-   * you would need to:
-   *
-   * 1. Use ExcelJS library (exceljs/exceljs) which has image support:
-   *    - Supports reading images embedded in workbooks
-   *    - Can access image metadata and data
-   *    - Returns images as base64 or buffers
-   *
-   * 2. Or parse the XLSX ZIP structure directly:
-   *    - Extract from xl/media/ folder
-   *    - Parse drawing relationships in xl/drawings/
-   *    - Handle image positioning and anchoring
+   * Extract images and charts from the drawings of each sheet
    *
-   * For production use with image extraction, consider switching to ExcelJS:
-   *
-   * ```javascript
-   * import ExcelJS from 'exceljs';
-   * const workbook = new ExcelJS.Workbook();
-   * await workbook.xlsx.readFile(filePath);
-   * const images = [];
-   * workbook.eachSheet((worksheet) => {
-   *   worksheet.getImages().forEach((image) => {
-   *     const img = workbook.model.media.find((m) => m.index === image.imageId);
-   *     images.push({
-   *       name: img.name,
-   *       data: img.buffer.toString('base64'),
-   *       mimeType: img.extension,
-   *       // ... more metadata
-   *     });
-   *   });
-   * });
-   * ```
+   * Only XLSX (ZIP) workbooks have drawing parts; legacy .xls files return
+   * no images or charts.
+   * @param {JSZip|null} zip - Loaded XLSX package, or null for .xls files
+   * @returns {Promise<Object>} { images, charts }, each tagged with its sheet
+   *   and anchor cell range
+   */
+  async extractDrawings(zip) {
+    const images = [];
+    const charts = [];
+    if (!zip) {
+      return { images, charts };
+    }
+
+    try {
+      const workbookPath = "xl/workbook.xml";
+      const workbookDoc = await readXmlPart(zip, workbookPath);
+      const workbookRels = await readRelationships(zip, workbookPath);
+
+      const sheetElements = findAll(findFirst(workbookDoc, "sheets"), "sheet");
+      for (const [index, sheetElement] of sheetElements.entries()) {
+        const sheetName = getAttr(sheetElement, "name");
+        const sheetRel = workbookRels.get(
+          getAttr(sheetElement, "id", RELATIONSHIPS_NS),
+        );
+        if (!sheetRel) {
+          continue;
+        }
+
+        const sheetRels = await readRelationships(zip, sheetRel.target);
+        for (const drawingRel of sheetRels.values()) {
+          if (!isRelType(drawingRel, "drawing")) {
+            continue;
+          }
+          const drawing = await this.extractDrawing(zip, drawingRel.target, {
+            sheet: sheetName,
+            sheetIndex: index + 1,
+          });
+          images.push(...drawing.images);
+          charts.push(...drawing.charts);
+        }
+      }
+    } catch (error) {
+      console.warn("Failed to extract drawings from Excel:", error.message);
+    }
+
+    return { images, charts };
+  }
+
+  /**
+   * Extract the pictures and charts anchored in one drawing part
+   */
+  async extractDrawing(zip, drawingPath, { sheet, sheetIndex }) {
+    const images = [];
+    const charts = [];
+    const drawingDoc = await readXmlPart(zip, drawingPath);
+    const rels = await readRelationships(zip, drawingPath);
+
+    const anchors = childElements(drawingDoc?.documentElement).filter(
+      (element) => ANCHOR_ELEMENTS.has(element.localName),
+    );
+
+    for (const anchorElement of anchors) {
+      const anchor = this.readAnchor(anchorElement);
+      const properties = findFirst(anchorElement, "cNvPr");
+      const name = getAttr(properties, "name");
+      const description = getAttr(properties, "descr");
+
+      // Pictures
+      for (const blip of findAll(anchorElement, "blip")) {
+        const rel = rels.get(getAttr(blip, "embed", RELATIONSHIPS_NS));
+        const file = rel && !rel.external ? zip.file(rel.target) : null;
+        if (!file) {
+          continue;
+        }
+        try {
+          const buffer = Buffer.from(await file.async("arraybuffer"));
+          const mimeType = this.getMimeTypeFromFilename(rel.target);
+          images.push({
+            data: `data:${mimeType};base64,${buffer.toString("base64")}`,
+            name: path.posix.basename(rel.target),
+            path: rel.target,
+            mimeType,
+            size: buffer.length,
+            sheet,
+            page: sheetIndex,
+            anchor,
+            title: name,
+            description,
+          });
+        } catch (fileError) {
+          console.warn(
+            `Failed to extract image ${rel.target}:`,
+            fileError.message,
+          );
+        }
+      }
+
+      // Charts
+      for (const chartRef of findAll(anchorElement, "chart")) {
+        const rel = rels.get(getAttr(chartRef, "id", RELATIONSHIPS_NS));
+        if (!rel || !isRelType(rel, "chart")) {
+          continue;
+        }
+        const chart = await this.extractChart(zip, rel.target);
+        if (chart) {
+          charts.push({
+            ...chart,
+            sheet,
+            name,
+            path: rel.target,
+            anchor,
+            description: this.describeChart({ ...chart, sheet, anchor }),
+          });
+        }
+      }
+    }
+
+    return { images, charts };
+  }
+
+  /**
+   * Read the cell range covered by a drawing anchor
+   * @returns {Object|null} { from, to, range } with A1-style cell references
    */
-  async extractImages(workbook) {
-    // Return empty array as xlsx library doesn't support image extraction
-    // This matches the current limitation of the library
-    return [];
+  readAnchor(anchorElement) {
+    const readMarker = (marker) => {
+      if (!marker) {
+        return null;
+      }
+      const col = parseInt(childElement(marker, "col")?.textContent || "0");
+      const row = parseInt(childElement(marker, "row")?.textContent || "0");
+      return xlsx.utils.encode_cell({ c: col, r: row });
+    };
+
+    const from = readMarker(childElement(anchorElement, "from"));
+    const to = readMarker(childElement(anchorElement, "to"));
+    if (!from) {
+      return null;
+    }
+    return { from, to, range: to && to !== from ? `${from}:${to}` : from };
+  }
+
+  /**
+   * Extract the type, title and series references of a chart part
+   * @returns {Promise<Object|null>} { type, types, title, series }
+   */
+  async extractChart(zip, chartPath) {
+    const chartDoc = await readXmlPart(zip, chartPath);
+    const chart = findFirst(chartDoc, "chart");
+    if (!chart) {
+      return null;
+    }
+
+    const plotArea = childElement(chart, "plotArea");
+    const groups = childElements(plotArea).filter((element) =>
+      element.localName.endsWith("Chart"),
+    );
+
+    const types = groups.map((group) => {
+      const type = group.localName.replace(/Chart$/, "");
+      // Bar charts are drawn as columns unless barDir says otherwise
+      if (/^bar(3D)?$/.test(type)) {
+        const direction = getAttr(childElement(group, "barDir"), "val");
+        return direction === "col" ? type.replace("bar", "column") : type;
+      }
+      return type;
+    });
+
+    const series = [];
+    for (const [index, group] of groups.entries()) {
+      for (const ser of childElements(group, "ser")) {
+        const tx = childElement(ser, "tx");
+        series.push({
+          name: textOf(tx, "v") || null,
+          nameRef: textOf(tx, "f") || null,
+          categories:
+            textOf(
+              childElement(ser, "cat") || childElement(ser, "xVal"),
+              "f",
+            ) || null,
+          values:
+            textOf(
+              childElement(ser, "val") || childElement(ser, "yVal"),
+              "f",
+            ) || null,
+          type: types[index],
+        });
+      }
+    }
+
+    const titleElement = childElement(chart, "title");
+    const title =
+      textOf(findFirst(titleElement, "rich")) ||
+      textOf(titleElement, "v") ||
+      null;
+
+    return {
+      type: types[0] || "unknown",
+      types,
+      title,
+      series,
+    };
+  }
+
+  /**
+   * Describe a chart in one sentence, e.g.
+   * "Sheet Revenue has a column chart of B2:B13"
+   */
+  describeChart(chart) {
+    const ranges = chart.series
+      .map((series) => series.values)
+      .filter(Boolean)
+      .map((ref) => {
+        // Drop the sheet prefix when the data lives on the chart's own sheet
+        const [sheetPart, cells] = ref.includes("!")
+          ? [
+              ref.slice(0, ref.lastIndexOf("!")),
+              ref.slice(ref.lastIndexOf("!") + 1),
+            ]
+          : [null, ref];
+        const sheetName = sheetPart?.replace(/^'|'$/g, "").replace(/''/g, "'");
+        const range = cells.replace(/\$/g, "");
+        return sheetName && sheetName !== chart.sheet
+          ? `${sheetName}!${range}`
+          : range;
+      });
+
+    const type = chart.types.length > 1 ? chart.types.join("/") : chart.type;
+    const article = /^[aeiou]/i.test(type) ? "an" : "a";
+    let description = `Sheet ${chart.sheet} has ${article} ${type} chart`;
+    if (chart.title) {
+      description += ` "${chart.title}"`;
+    }
+    if (ranges.length > 0) {
+      description += ` of ${ranges.join(", ")}`;
+    }
+    if (chart.anchor) {
+      description += ` (placed at ${chart.anchor.range})`;
+    }
+    return description;
+  }
+
+  /**
+   * Get MIME type from filename extension
+   */
+  getMimeTypeFromFilename(filename) {
+    const ext = filename.split(".").pop().toLowerCase();
+    const mimeTypes = {
+      png: "image/png",
+      jpg: "image/jpeg",
+      jpeg: "image/jpeg",
+      gif: "image/gif",
+      bmp: "image/bmp",
+      tiff: "image/tiff",
+      webp: "image/webp",
+      svg: "image/svg+xml",
+      emf: "image/emf",
+      wmf: "image/wmf",
+    };
+
+    return mimeTypes[ext] || "application/octet-stream";
   }
 
   /**
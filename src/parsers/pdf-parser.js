@@ -4,6 +4,23 @@ import { visionService } from "../services/vision-factory.js";
 import { DocumentLayoutAnalyzer } from "../services/layout-analyzer.js";
 import { OcrPostProcessor } from "../services/ocr-postprocessor.js";
 import { TableExtractor } from "../services/table-extractor.js";
+import { noopProgress, isAbortError } from "../utils/progress.js";
+import { parseCache } from "../services/parse-cache.js";
+import { runQueue } from "../utils/work-queue.js";
+import {
+  isInvoiceAttachment,
+  parseCrossIndustryInvoice,
+} from "../utils/e-invoice.js";
+
+// Annotation subtypes reported as comments or text markup
+const MARKUP_TYPES = {
+  Highlight: "highlight",
+  Underline: "underline",
+  StrikeOut: "strikeout",
+  Squiggly: "squiggly",
+  Text: "note",
+  FreeText: "freetext",
+};
 
 /**
  * PDF Parser Module
@@ -27,6 +44,12 @@ export class PdfParser {
 
     // Option to skip table extraction (to prevent hangs)
     this.skipTableExtraction = process.env.SKIP_TABLE_EXTRACTION !== "false";
+
+    // Number of pages sent to the vision service at the same time
+    this.ocrConcurrency = Math.max(
+      1,
+      parseInt(process.env.OCR_CONCURRENCY || "2") || 1,
+    );
   }
 
   /**
@@ -47,20 +70,37 @@ export class PdfParser {
     return hasImages && hasMinimalText;
   }
 
+  /**
+   * Options that change the parse result, used to key the parse cache
+   * @returns {Object} Cache options
+   */
+  getCacheOptions() {
+    return {
+      minTextThreshold: this.minTextThreshold,
+      skipTableExtraction: this.skipTableExtraction,
+      visionProvider: visionService.getPreferredService(),
+    };
+  }
+
   /**
    * Parse PDF file and extract text content and images
+   * @param {string} filePath - Path to the PDF file
+   * @param {Object} [options] - { progress, password } progress reporter and
+   *   the user password for encrypted PDFs
    */
-  async parse(filePath) {
+  async parse(filePath, options = {}) {
     console.error(`[PdfParser] ======== PARSE STARTED ========`);
     console.error(`[PdfParser] File: ${filePath}`);
+    const progress = options.progress || noopProgress;
+    progress.addSteps(2);
 
     let parser;
     try {
       // Read the PDF file as buffer
       const dataBuffer = fs.readFileSync(filePath);
 
-      // Initialize PDF parser
-      parser = new PDFParse({ data: dataBuffer });
+      // Initialize PDF parser (the password is only needed for encrypted files)
+      parser = new PDFParse({ data: dataBuffer, password: options.password });
 
       // Extract text content
       const textResult = await parser.getText();
@@ -72,13 +112,33 @@ export class PdfParser {
         imageBuffer: true, // Include binary buffers
       });
 
+      // Read bookmarks (document outline)
+      const outline = await this.extractOutline(parser);
+
+      // Read fillable form fields (AcroForm)
+      const formFields = await this.extractFormFields(parser);
+
+      // Read comments, links and embedded files
+      const { annotations, links, attachments } =
+        await this.extractAnnotations(parser);
+      const invoice = this.extractInvoice(attachments);
+      const isEncrypted = await this.isEncrypted(parser);
+
       // Process and format images
       const processedImages = this.processImages(imagesResult);
+      await progress.step(
+        `Extracted text and ${processedImages.length} images from ${textResult.total || 0} pages`,
+      );
+      progress.throwIfAborted();
 
-      // ANALYZE DOCUMENT LAYOUT BEFORE OCR
+      // ANALYZE DOCUMENT LAYOUT BEFORE OCR (reusing the extraction above)
       console.error(`[PdfParser] ===== ENTERING LAYOUT ANALYSIS BLOCK =====`);
-      const layoutAnalysis =
-        await this.layoutAnalyzer.analyzeDocument(filePath);
+      const layoutAnalysis = await this.layoutAnalyzer.analyzeDocument(
+        filePath,
+        { textResult, imageResult: imagesResult, parser },
+      );
+
+      await progress.step("Analyzed page layout");
 
       if (layoutAnalysis.success) {
         console.error(`[PdfParser] Layout analysis completed successfully`);
@@ -103,14 +163,20 @@ export class PdfParser {
         `[PdfParser] Image extraction: ${processedImages.length} embedded images found`,
       );
 
-      // Check if this is an image-based PDF that needs OCR
-      const isImageBased =
-        this.isImageBasedPdf(textResult.text, processedImages) ||
-        (layoutAnalysis.success &&
-          layoutAnalysis.structureType === "image-heavy-document");
+      // Decide per page whether the text layer is usable or OCR is needed
+      const pageCount = textResult.total || 0;
+      const ocrPages = this.selectOcrPages(
+        textResult,
+        processedImages,
+        layoutAnalysis,
+      );
+      const isImageBased = ocrPages.length > 0;
+      const wholeDocumentOcr = isImageBased && ocrPages.length >= pageCount;
 
       console.error(`[PdfParser] ===== IS IMAGE BASED CHECK =====`);
-      console.error(`[PdfParser] isImageBasedPdf returned: ${isImageBased}`);
+      console.error(
+        `[PdfParser] Pages needing OCR: ${ocrPages.length} of ${pageCount}${isImageBased ? ` (${ocrPages.join(", ")})` : ""}`,
+      );
       console.error(
         `[PdfParser] Text length: ${(textResult.text || "").length}`,
       );
@@ -122,6 +188,11 @@ export class PdfParser {
       );
 
       let finalText = textResult.text || "";
+      let pageTexts = (textResult.pages || []).map((page) => ({
+        page: page.num,
+        text: page.text || "",
+        source: "text",
+      }));
       let ocrResult = null;
       let extractedTables = [];
 
@@ -143,21 +214,46 @@ export class PdfParser {
           const ocrPrompt = this.generateOcrPrompt(layoutAnalysis);
 
           // Pass parser to performOcr so it can get page screenshots
-          ocrResult = await this.performOcr(parser, processedImages, ocrPrompt);
+          ocrResult = await this.performOcr(
+            parser,
+            processedImages,
+            ocrPrompt,
+            {
+              progress,
+              pages: wholeDocumentOcr ? null : ocrPages,
+              encrypted: Boolean(options.password),
+            },
+          );
 
-          if (ocrResult.success) {
+          if (ocrResult.success && !wholeDocumentOcr) {
+            // Mixed document: swap the OCR text into the scanned pages only
+            pageTexts = this.mergeOcrPages(pageTexts, ocrResult.pageTexts);
+            finalText = this.joinPageTexts(pageTexts, pageCount);
+            console.error(
+              `[PdfParser] OCR completed for ${ocrResult.pagesProcessed} of ${pageCount} pages`,
+            );
+          } else if (ocrResult.success) {
             finalText = ocrResult.text;
+            pageTexts = ocrResult.pageTexts.map((page) => ({
+              ...page,
+              source: "ocr",
+            }));
             console.error("[PdfParser] OCR completed successfully");
 
             // Post-process the OCR text
             console.error(
               `[PdfParser] ===== ENTERING OCR POST-PROCESSING BLOCK =====`,
             );
+            progress.addSteps(1);
             const postProcessingResult =
               await this.ocrPostProcessor.processOcrText(
                 finalText,
                 layoutAnalysis,
+                true,
+                { signal: progress.signal },
               );
+            progress.throwIfAborted();
+            await progress.step("Post-processed OCR text");
             if (postProcessingResult.success) {
               finalText = postProcessingResult.processedText;
               console.error(
@@ -171,6 +267,9 @@ export class PdfParser {
             console.error("[PdfParser] OCR failed:", ocrResult.error);
           }
         } catch (error) {
+          if (isAbortError(error)) {
+            throw error;
+          }
           console.error(`[PdfParser] ===== OCR BLOCK ERROR =====`);
           console.error(
             "[PdfParser] Vision service initialization failed:",
@@ -181,8 +280,10 @@ export class PdfParser {
       } else {
         console.error(`[PdfParser] ===== SKIPPING OCR BLOCK =====`);
         console.error(`[PdfParser] Reason: isImageBased=${isImageBased}`);
+      }
 
-        // For text-based PDFs, only apply basic text cleaning (no AI/Vision needed)
+      if (!wholeDocumentOcr) {
+        // For text-based and mixed PDFs, only apply basic text cleaning (no AI/Vision needed)
         console.error(`[PdfParser] ===== ENTERING TEXT CLEANING BLOCK =====`);
         const postProcessingResult = await this.ocrPostProcessor.processOcrText(
           finalText,
@@ -196,11 +297,13 @@ export class PdfParser {
           );
 
           // Store post-processing metadata
-          ocrResult = {
-            success: false,
-            postProcessing: postProcessingResult,
-            source: "text-cleaning",
-          };
+          ocrResult = ocrResult?.success
+            ? { ...ocrResult, postProcessing: postProcessingResult }
+            : {
+                success: false,
+                postProcessing: postProcessingResult,
+                source: "text-cleaning",
+              };
         }
       }
 
@@ -214,12 +317,20 @@ export class PdfParser {
         extractedTables = [];
       } else {
         try {
-          extractedTables =
-            await this.tableExtractor.extractTablesFromPdf(filePath);
+          progress.addSteps(1);
+          extractedTables = await this.tableExtractor.extractTablesFromPdf(
+            filePath,
+            { progress, textResult, imageResult: imagesResult },
+          );
+          progress.throwIfAborted();
+          await progress.step(`Extracted ${extractedTables.length} tables`);
           console.error(
             `[PdfParser] Table extraction completed: ${extractedTables.length} tables found`,
           );
         } catch (error) {
+          if (isAbortError(error)) {
+            throw error;
+          }
           console.error(
             `[PdfParser] Table extraction FAILED (continuing without tables): ${error.message}`,
           );
@@ -239,11 +350,29 @@ export class PdfParser {
         success: true,
         text: finalText,
         pages: textResult.numPages || 0,
-        metadata: this.extractMetadata(textResult),
+        pageTexts, // Per-page text, with source "ocr" or "text" and the OCR service per page
+        segments: pageTexts.map((page) => ({
+          number: page.page,
+          label: `Page ${page.page}`,
+          text: page.text,
+          source: page.source,
+          ...(page.ocrSource && { ocrSource: page.ocrSource }),
+        })),
+        segmentUnit: "page",
+        metadata: this.extractMetadata(textResult, isEncrypted),
+        outline,
+        formFields,
+        annotations,
+        links,
+        attachments,
+        invoice,
         images: processedImages,
         isImageBased,
+        ocrPages, // Pages classified as scanned (OCR'd when ocrApplied)
         ocrApplied: ocrResult?.success || false,
         ocrSource: ocrResult?.success ? ocrResult.source : null,
+        // OCR text came from a fallback provider, so the result is not cached
+        ocrFallback: ocrResult?.success ? ocrResult.fallback : false,
         layoutAnalysis: layoutAnalysis.success ? layoutAnalysis : null, // Include layout analysis in result
         ocrPostProcessing: ocrResult?.postProcessing || null, // Include post-processing metadata
         tables: extractedTables || [], // Include extracted tables
@@ -258,6 +387,13 @@ export class PdfParser {
           // Ignore cleanup errors
         }
       }
+      if (isAbortError(error)) {
+        console.error(`[PdfParser] Parsing cancelled by client`);
+        return { success: false, error: error.message, cancelled: true };
+      }
+      if (error.name === "PasswordException") {
+        return this.passwordError(error, options.password);
+      }
       return {
         success: false,
         error: `Failed to parse PDF: ${error.message || "Unknown error"}`,
@@ -267,23 +403,92 @@ export class PdfParser {
   }
 
   /**
-   * Perform OCR on PDF pages using page screenshots (preferred) or embedded images
+   * Choose the pages to OCR. Scans without any usable text layer are OCR'd
+   * as a whole; otherwise only the pages the layout analysis classified as
+   * scanned (mostly image, little text) are.
+   * @param {Object} textResult - Result of getText()
+   * @param {Array} images - Processed embedded images
+   * @param {Object} layoutAnalysis - Result of the layout analyzer
+   * @returns {Array<number>} Page numbers in ascending order
+   */
+  selectOcrPages(textResult, images, layoutAnalysis) {
+    const pageCount = textResult.total || 0;
+    const allPages = Array.from({ length: pageCount }, (_, i) => i + 1);
+
+    if (
+      this.isImageBasedPdf(textResult.text, images) ||
+      (layoutAnalysis.success &&
+        layoutAnalysis.structureType === "image-heavy-document")
+    ) {
+      return allPages;
+    }
+
+    if (!layoutAnalysis.success) {
+      return [];
+    }
+
+    return layoutAnalysis.pages
+      .filter((page) => page.needsOcr)
+      .map((page) => page.pageNumber)
+      .sort((a, b) => a - b);
+  }
+
+  /**
+   * Replace the text of OCR'd pages, keeping the extracted text elsewhere
+   * @param {Array} pageTexts - Extracted { page, text, source } entries
+   * @param {Array} ocrPageTexts - OCR { page, text, ocrSource } entries
+   * @returns {Array} Merged entries in page order
+   */
+  mergeOcrPages(pageTexts, ocrPageTexts) {
+    const ocrByPage = new Map(ocrPageTexts.map((page) => [page.page, page]));
+    return pageTexts.map((page) =>
+      ocrByPage.has(page.page)
+        ? {
+            page: page.page,
+            text: ocrByPage.get(page.page).text,
+            source: "ocr",
+            ocrSource: ocrByPage.get(page.page).ocrSource,
+          }
+        : page,
+    );
+  }
+
+  /**
+   * Join page texts the way pdf-parse does ("-- N of M --" after each page)
+   */
+  joinPageTexts(pageTexts, pageCount) {
+    return pageTexts
+      .map((page) => `${page.text}\n\n-- ${page.page} of ${pageCount} --\n\n`)
+      .join("");
+  }
+
+  /**
+   * Perform OCR on PDF pages using page screenshots (preferred) or embedded images.
+   * Up to OCR_CONCURRENCY pages are read at once; the text keeps page order.
    * @param {Object} parser - PDFParse instance (for getting screenshots)
    * @param {Array} images - Array of embedded images (fallback)
    * @param {string} customPrompt - Optional custom prompt for OCR (e.g., based on layout analysis)
+   * @param {Object} [options] - { progress, pages, encrypted } reporter for
+   *   per-page progress and cancellation, the page numbers to OCR (default:
+   *   all), and whether the PDF was opened with a password
    * @returns {Promise<Object>} OCR result with extracted text
+   * @throws {Error} AbortError when the client cancels the request
    */
-  async performOcr(parser, images, customPrompt = null) {
+  async performOcr(parser, images, customPrompt = null, options = {}) {
+    const progress = options.progress || noopProgress;
+    const pages = options.pages?.length > 0 ? options.pages : null;
     try {
       let pageImages = [];
 
       // First try to get full page screenshots (best for scanned/image-based PDFs)
       try {
-        const screenshots = await parser.getScreenshot();
+        const screenshots = await parser.getScreenshot(
+          pages ? { partial: pages } : {},
+        );
         if (screenshots && screenshots.pages && screenshots.pages.length > 0) {
           pageImages = screenshots.pages.map((page, i) => ({
             data: page.dataUrl,
-            page: i + 1,
+            page: page.pageNumber || i + 1,
             width: page.width,
             height: page.height,
             source: "screenshot",
@@ -301,7 +506,9 @@ export class PdfParser {
 
       // Fall back to embedded images if screenshots failed or are empty
       if (pageImages.length === 0 && images && images.length > 0) {
-        pageImages = images.filter((img) => img.data);
+        pageImages = images.filter(
+          (img) => img.data && (!pages || pages.includes(img.page)),
+        );
         console.error(
           `[PdfParser] Falling back to ${pageImages.length} embedded image(s) for OCR`,
         );
@@ -311,36 +518,80 @@ export class PdfParser {
         return { success: false, error: "No images available for OCR" };
       }
 
-      const allText = [];
+      progress.addSteps(pageImages.length);
+      let completed = 0;
 
-      for (let i = 0; i < pageImages.length; i++) {
-        const image = pageImages[i];
+      // OCR pages in parallel; results come back in page order
+      const results = await runQueue(
+        pageImages,
+        async (image, i) => {
+          const pageNumber = image.page || i + 1;
+          progress.throwIfAborted();
 
-        if (!image.data) {
-          console.error(`[PdfParser] Image ${i} has no data, skipping`);
-          continue;
-        }
+          if (!image.data) {
+            console.error(`[PdfParser] Image ${i} has no data, skipping`);
+            return null;
+          }
 
-        const prompt =
-          customPrompt ||
-          `Extract all text from this document image (page ${image.page || i + 1}).
+          const prompt =
+            customPrompt ||
+            `Extract all text from this document image (page ${pageNumber}).
 This is a scanned document or PDF page. Please:
 1. Extract ALL visible text accurately
 2. Preserve the document structure (headers, paragraphs, lists, tables)
 3. Use markdown formatting for structure
 4. If it's an invoice/form, preserve the field labels and values`;
 
-        const result = await visionService.extractText(image.data, prompt);
+          // Reuse OCR output for identical page images so a scan is only sent
+          // once. Text from a fallback provider is not kept, so the page is
+          // read again once the preferred provider is back.
+          const { value: result, cached } = await parseCache.getOrCompute(
+            parseCache.buildOcrKey(
+              image.data,
+              prompt,
+              visionService.getPreferredService(),
+            ),
+            () =>
+              visionService.extractText(image.data, prompt, {
+                signal: progress.signal,
+              }),
+            (ocr) => ocr.success && !ocr.fallback,
+            // Text read from a password-protected PDF is not written to disk
+            { persist: !options.encrypted },
+          );
+          progress.throwIfAborted();
+          if (cached) {
+            console.error(
+              `[PdfParser] Using cached OCR result for page ${pageNumber}`,
+            );
+          }
+          if (!result.success) {
+            console.error(
+              `[PdfParser] OCR failed for page ${pageNumber}:`,
+              result.error,
+            );
+          }
 
-        if (result.success) {
-          allText.push(`--- Page ${image.page || i + 1} ---\n${result.text}`);
-        } else {
-          console.error(
-            `[PdfParser] OCR failed for page ${image.page || i + 1}:`,
-            result.error,
+          completed++;
+          await progress.step(
+            `OCR page ${pageNumber} (${completed} of ${pageImages.length})`,
           );
-        }
-      }
+          return result.success
+            ? {
+                page: pageNumber,
+                text: result.text,
+                ocrSource: result.service || visionService.getActiveService(),
+                fallback: Boolean(result.fallback),
+              }
+            : null;
+        },
+        { concurrency: this.ocrConcurrency },
+      );
+
+      const pageTexts = results.filter(Boolean);
+      const allText = pageTexts.map(
+        (page) => `--- Page ${page.page} ---\n${page.text}`,
+      );
 
       if (allText.length === 0) {
         return { success: false, error: "OCR failed for all pages" };
@@ -349,10 +600,22 @@ This is a scanned document or PDF page. Please:
       return {
         success: true,
         text: allText.join("\n\n"),
-        source: visionService.name || "vision-service",
+        pageTexts: pageTexts.map(({ page, text, ocrSource }) => ({
+          page,
+          text,
+          ocrSource,
+        })),
+        // Every service that read a page, in page order
+        source: [...new Set(pageTexts.map((page) => page.ocrSource))].join(
+          ", ",
+        ),
+        fallback: pageTexts.some((page) => page.fallback),
         pagesProcessed: allText.length,
       };
     } catch (error) {
+      if (isAbortError(error)) {
+        throw error;
+      }
       return {
         success: false,
         error: `OCR processing failed: ${error.message}`,
@@ -362,8 +625,10 @@ This is a scanned document or PDF page. Please:
 
   /**
    * Extract metadata from PDF parsing result
+   * @param {Object} textResult - Result of getText()
+   * @param {boolean} [isEncrypted] - Whether the file has an encryption dictionary
    */
-  extractMetadata(textResult) {
+  extractMetadata(textResult, isEncrypted = false) {
     return {
       title: textResult.infoData?.Title || null,
       author: textResult.infoData?.Author || null,
@@ -378,10 +643,393 @@ This is a scanned document or PDF page. Please:
         : null,
       pageCount: textResult.total || 0,
       fileSize: textResult.infoData?.FileSize || null,
-      isEncrypted: textResult.infoData?.Encrypted || false,
+      isEncrypted,
     };
   }
 
+  /**
+   * Check whether the PDF is encrypted; only encrypted files carry permissions
+   * @param {PDFParse} parser - Parser holding the loaded document
+   * @returns {Promise<boolean>} True when the file has an encryption dictionary
+   */
+  async isEncrypted(parser) {
+    try {
+      const doc = await parser.load();
+      return (await doc.getPermissions()) !== null;
+    } catch (error) {
+      console.warn("[PdfParser] Could not read permissions:", error.message);
+      return false;
+    }
+  }
+
+  /**
+   * Read the document outline (bookmarks) with the page each entry points to
+   * @param {PDFParse} parser - Parser holding the loaded document
+   * @returns {Promise<Array|null>} Entries as { title, level, page, url } in
+   *   reading order, or null when the PDF has no outline
+   */
+  async extractOutline(parser) {
+    try {
+      const info = await parser.getInfo();
+      if (!Array.isArray(info.outline) || info.outline.length === 0) {
+        return null;
+      }
+
+      // getInfo() has loaded the pdf.js document; destinations are resolved
+      // against it to find their pages
+      const doc = await parser.load();
+      const outline = [];
+
+      const visit = async (items, level) => {
+        for (const item of items) {
+          outline.push({
+            title: (item.title || "").trim(),
+            level,
+            page: await this.resolveDestinationPage(doc, item.dest),
+            url: item.url || null,
+          });
+          if (Array.isArray(item.items) && item.items.length > 0) {
+            await visit(item.items, level + 1);
+          }
+        }
+      };
+      await visit(info.outline, 1);
+
+      console.error(`[PdfParser] Outline: ${outline.length} entries`);
+      return outline;
+    } catch (error) {
+      console.warn(`[PdfParser] Could not read outline: ${error.message}`);
+      return null;
+    }
+  }
+
+  /**
+   * Get the 1-based page number an outline destination points to
+   * @param {Object} doc - pdf.js document
+   * @param {string|Array|null} dest - Named or explicit destination
+   * @returns {Promise<number|null>} Page number, or null if it can't be resolved
+   */
+  async resolveDestinationPage(doc, dest) {
+    try {
+      // Named destinations are looked up in the document's name tree
+      const explicit =
+        typeof dest === "string" ? await doc.getDestination(dest) : dest;
+      if (!Array.isArray(explicit) || explicit[0] === null) {
+        return null;
+      }
+
+      // The target is a page reference, or a page index in some producers
+      const target = explicit[0];
+      const index =
+        typeof target === "number" ? target : await doc.getPageIndex(target);
+      return index + 1;
+    } catch {
+      return null;
+    }
+  }
+
+  /**
+   * Read the fields of a fillable (AcroForm) PDF with their current values
+   *
+   * Values come from the form data rather than from the rendered page, so
+   * they are exact even when OCR would misread them. Push buttons carry no
+   * value and are left out.
+   * @param {PDFParse} parser - Parser holding the loaded document
+   * @returns {Promise<Array>} Fields as { name, type, value, options, checked,
+   *   page, readOnly }; empty when the PDF has no form
+   */
+  async extractFormFields(parser) {
+    try {
+      const doc = await parser.load();
+      const fieldObjects = await doc.getFieldObjects();
+      if (!fieldObjects) {
+        return [];
+      }
+
+      const fields = [];
+      for (const [name, objects] of Object.entries(fieldObjects)) {
+        // Parent entries (type "") only group the widgets of a field
+        const widgets = objects.filter(
+          (object) => object.type && object.type !== "button",
+        );
+        if (widgets.length === 0) {
+          continue;
+        }
+
+        const [first] = widgets;
+        const isToggle = ["checkbox", "radiobutton"].includes(first.type);
+        let value = first.value;
+        let options = null;
+
+        if (isToggle) {
+          // "Off" is the unchecked state; otherwise the value is the export
+          // value of the selected widget
+          value =
+            widgets.find((widget) => widget.value && widget.value !== "Off")
+              ?.value ?? null;
+          if (first.type === "radiobutton" || widgets.length > 1) {
+            options = widgets
+              .map((widget) => widget.exportValues)
+              .filter(Boolean);
+          }
+        } else if (Array.isArray(first.items)) {
+          options = first.items.map(
+            (item) => item.displayValue ?? item.exportValue,
+          );
+        }
+
+        fields.push({
+          name,
+          type: first.type,
+          value: value === "" || value === undefined ? null : value,
+          options,
+          checked: isToggle ? value !== null : null,
+          page: Number.isInteger(first.page) ? first.page + 1 : null,
+          readOnly: first.editable === false,
+        });
+      }
+
+      console.error(`[PdfParser] Form fields: ${fields.length}`);
+      return fields;
+    } catch (error) {
+      console.warn(`[PdfParser] Could not read form fields: ${error.message}`);
+      return [];
+    }
+  }
+
+  /**
+   * Read comments and text markup, links and file attachments
+   *
+   * Markup annotations (highlights, underlines, ...) carry the text they
+   * cover as quotedText, and links the text they are placed on. Attachments
+   * include both document-level embedded files and file attachment
+   * annotations, with their bytes base64-encoded in data.
+   * @param {PDFParse} parser - Parser holding the loaded document
+   * @returns {Promise<Object>} { annotations, links, attachments } where
+   *   annotations are { type, page, author, text, quotedText, date }, links
+   *   { page, url, targetPage, text } and attachments { name, description,
+   *   mimeType, size, page, data }
+   */
+  async extractAnnotations(parser) {
+    const annotations = [];
+    const links = [];
+    const attachments = [];
+
+    try {
+      const doc = await parser.load();
+
+      const embeddedFiles = (await doc.getAttachments()) || {};
+      for (const file of Object.values(embeddedFiles)) {
+        this.addAttachment(attachments, file, null);
+      }
+
+      for (let pageNumber = 1; pageNumber <= doc.numPages; pageNumber++) {
+        const page = await doc.getPage(pageNumber);
+        const pageAnnotations = await page.getAnnotations();
+        let textItems = null;
+        const getText = async (boxes) => {
+          textItems ??= (await page.getTextContent()).items;
+          return this.getTextInBoxes(textItems, boxes);
+        };
+
+        for (const annotation of pageAnnotations) {
+          if (annotation.subtype === "Link") {
+            links.push({
+              page: pageNumber,
+              url: annotation.url || annotation.unsafeUrl || null,
+              targetPage: annotation.dest
+                ? await this.resolveDestinationPage(doc, annotation.dest)
+                : null,
+              text: (await getText([annotation.rect])) || null,
+            });
+          } else if (annotation.subtype === "FileAttachment") {
+            this.addAttachment(attachments, annotation.file, pageNumber);
+          } else if (MARKUP_TYPES[annotation.subtype]) {
+            const quadPoints = annotation.quadPoints;
+            const boxes = [];
+            for (let i = 0; quadPoints && i < quadPoints.length; i += 8) {
+              // pdf.js normalizes each quad to top-left, top-right,
+              // bottom-left, bottom-right
+              boxes.push([
+                quadPoints[i],
+                quadPoints[i + 5],
+                quadPoints[i + 2],
+                quadPoints[i + 1],
+              ]);
+            }
+            annotations.push({
+              type: MARKUP_TYPES[annotation.subtype],
+              page: pageNumber,
+              author: annotation.titleObj?.str || null,
+              text: annotation.contentsObj?.str || null,
+              quotedText:
+                boxes.length > 0 ? (await getText(boxes)) || null : null,
+              date: this.parsePdfDate(annotation.modificationDate),
+            });
+          }
+        }
+
+        page.cleanup();
+      }
+
+      console.error(
+        `[PdfParser] Annotations: ${annotations.length}, links: ${links.length}, attachments: ${attachments.length}`,
+      );
+    } catch (error) {
+      console.warn(`[PdfParser] Could not read annotations: ${error.message}`);
+    }
+
+    return { annotations, links, attachments };
+  }
+
+  /**
+   * Add an embedded file (pdf.js file spec) to the attachment list
+   */
+  addAttachment(attachments, file, page) {
+    if (!file || !file.content) {
+      return;
+    }
+    const buffer = Buffer.from(file.content);
+    const name = file.filename || `attachment-${attachments.length + 1}`;
+    attachments.push({
+      name,
+      description: file.description || null,
+      mimeType: this.getMimeTypeFromFilename(name),
+      size: buffer.length,
+      page,
+      data: buffer.toString("base64"),
+    });
+  }
+
+  /**
+   * Parse an e-invoice (ZUGFeRD, Factur-X, XRechnung) from the attachments
+   *
+   * Attachments with a standard invoice name are tried first, then any other
+   * XML attachment.
+   * @param {Array} attachments - Attachments from extractAnnotations
+   * @returns {Object|null} Parsed invoice with the attachment name in source,
+   *   or null when no attachment is a Cross Industry Invoice
+   */
+  extractInvoice(attachments) {
+    const candidates = attachments
+      .filter(
+        (attachment) =>
+          isInvoiceAttachment(attachment.name) ||
+          attachment.mimeType === "application/xml",
+      )
+      .sort(
+        (a, b) => isInvoiceAttachment(b.name) - isInvoiceAttachment(a.name),
+      );
+
+    for (const attachment of candidates) {
+      try {
+        const invoice = parseCrossIndustryInvoice(
+          Buffer.from(attachment.data, "base64").toString("utf8"),
+        );
+        if (invoice) {
+          return { ...invoice, source: attachment.name };
+        }
+      } catch (error) {
+        console.warn(
+          `[PdfParser] Could not parse ${attachment.name} as an invoice: ${error.message}`,
+        );
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Get the page text that falls inside a set of boxes
+   *
+   * Text items are cut by their horizontal overlap with each box, assuming
+   * evenly spaced characters, which is close enough for quoting a highlight.
+   * @param {Array} items - Text content items of the page
+   * @param {Array} boxes - Boxes as [minX, minY, maxX, maxY] in PDF units
+   * @returns {string} Covered text, one box after another
+   */
+  getTextInBoxes(items, boxes) {
+    const parts = [];
+
+    for (const [minX, minY, maxX, maxY] of boxes) {
+      for (const item of items) {
+        if (!item.str || !item.transform) {
+          continue;
+        }
+        const x = item.transform[4];
+        const y = item.transform[5];
+        const height = item.height || Math.abs(item.transform[3]) || 0;
+        const middle = y + height / 2;
+        if (middle < minY || middle > maxY) {
+          continue;
+        }
+        if (x + item.width < minX || x > maxX) {
+          continue;
+        }
+
+        const length = item.str.length;
+        const charWidth = item.width > 0 ? item.width / length : 0;
+        const start =
+          charWidth > 0 ? Math.max(0, Math.round((minX - x) / charWidth)) : 0;
+        const end =
+          charWidth > 0
+            ? Math.min(length, Math.round((maxX - x) / charWidth))
+            : length;
+        parts.push(item.str.substring(start, end));
+      }
+    }
+
+    return parts.join(" ").replace(/\s+/g, " ").trim();
+  }
+
+  /**
+   * Parse a PDF date string (D:YYYYMMDDHHmmSSOHH'mm'), returning null when
+   * missing or invalid
+   */
+  parsePdfDate(value) {
+    const match =
+      /^(?:D:)?(\d{4})(\d{2})?(\d{2})?(\d{2})?(\d{2})?(\d{2})?([Zz+-])?(\d{2})?'?(\d{2})?/.exec(
+        value || "",
+      );
+    if (!match) {
+      return null;
+    }
+    const [, year, month = "01", day = "01", hour = "00", minute = "00"] =
+      match;
+    const second = match[6] || "00";
+    let offset = 0;
+    if (match[7] === "+" || match[7] === "-") {
+      offset =
+        (parseInt(match[8] || "0") * 60 + parseInt(match[9] || "0")) *
+        (match[7] === "+" ? 1 : -1);
+    }
+    const date = new Date(
+      Date.UTC(year, month - 1, day, hour, minute, second) - offset * 60000,
+    );
+    return isNaN(date.getTime()) ? null : date;
+  }
+
+  /**
+   * Get MIME type of an attachment from its file name
+   */
+  getMimeTypeFromFilename(filename) {
+    const ext = filename.split(".").pop().toLowerCase();
+    const mimeTypes = {
+      xml: "application/xml",
+      pdf: "application/pdf",
+      json: "application/json",
+      txt: "text/plain",
+      csv: "text/csv",
+      png: "image/png",
+      jpg: "image/jpeg",
+      jpeg: "image/jpeg",
+      xlsx: "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet",
+      docx: "application/vnd.openxmlformats-officedocument.wordprocessingml.document",
+      zip: "application/zip",
+    };
+
+    return mimeTypes[ext] || "application/octet-stream";
+  }
+
   /**
    * Process images extracted from PDF and format them for MCP
    */
@@ -535,6 +1183,28 @@ Key instructions:
     return basePrompt;
   }
 
+  /**
+   * Build the result for an encrypted PDF that could not be opened
+   * @param {Error} error - PasswordException thrown by the PDF engine
+   * @param {string} [password] - Password that was supplied, if any
+   * @returns {Object} Failed result with errorCode PDF_PASSWORD_REQUIRED or
+   *   PDF_PASSWORD_INCORRECT
+   */
+  passwordError(error, password) {
+    // pdf.js reports NEED_PASSWORD (1) or INCORRECT_PASSWORD (2) on the cause
+    const incorrect = Boolean(password) || error.cause?.code === 2;
+    console.error(
+      `[PdfParser] Encrypted PDF: ${incorrect ? "incorrect password" : "password required"}`,
+    );
+    return {
+      success: false,
+      errorCode: incorrect ? "PDF_PASSWORD_INCORRECT" : "PDF_PASSWORD_REQUIRED",
+      error: incorrect
+        ? "The PDF is encrypted and the supplied password is incorrect. Ask the user for the correct password and pass it as 'password'."
+        : "The PDF is encrypted and requires a password. Ask the user for it and pass it as 'password'.",
+    };
+  }
+
   /**
    * Handle and format parsing errors
    */
@@ -548,8 +1218,20 @@ Key instructions:
 
   /**
    * Get basic structure of the PDF content
+   * @param {string} content - Extracted text
+   * @param {Object} [result] - Parse result; its outline (bookmarks) is used
+   *   when the PDF has one, otherwise headers are guessed from the text
    */
-  async getStructure(content) {
+  async getStructure(content, result = null) {
+    if (result && Array.isArray(result.outline) && result.outline.length > 0) {
+      return result.outline.map((entry) => ({
+        text: entry.title,
+        isHeader: true,
+        level: entry.level,
+        page: entry.page,
+      }));
+    }
+
     const lines = content.split("\n");
 
     // Remove empty lines and whitespace-only lines
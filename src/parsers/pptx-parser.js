@@ -0,0 +1,406 @@
+import fs from "fs";
+import path from "path";
+import JSZip from "jszip";
+import {
+  readXmlPart,
+  readRelationships,
+  findAll,
+  findFirst,
+  childElements,
+  getAttr,
+  textOf,
+  isRelType,
+  RELATIONSHIPS_NS,
+} from "../utils/xml-utils.js";
+import { readOfficeProperties } from "../utils/office-properties.js";
+
+// Placeholders that repeat on every slide and add no content
+const IGNORED_PLACEHOLDERS = new Set(["sldNum", "dt", "ftr", "hdr"]);
+const TITLE_PLACEHOLDERS = new Set(["title", "ctrTitle"]);
+
+/**
+ * PPTX Parser Module
+ * Handles extraction of slide titles, body text, speaker notes, tables and
+ * embedded media from PowerPoint presentations (.pptx)
+ */
+export class PptxParser {
+  constructor() {
+    this.name = "PptxParser";
+  }
+
+  /**
+   * Parse PPTX file and extract slides, notes, tables and images
+   */
+  async parse(filePath) {
+    const dataBuffer = fs.readFileSync(filePath);
+
+    try {
+      const zip = await JSZip.loadAsync(dataBuffer);
+      const slidePaths = await this.getSlidePaths(zip);
+
+      const slides = [];
+      const images = [];
+      const media = [];
+      const tables = [];
+
+      for (let i = 0; i < slidePaths.length; i++) {
+        const slide = await this.parseSlide(zip, slidePaths[i], i + 1);
+        slides.push(slide);
+        images.push(...slide.images);
+        media.push(...slide.media);
+        slide.tables.forEach((rows, index) => {
+          tables.push(this.buildTable(rows, slide.number, index));
+        });
+      }
+
+      const segments = slides.map((slide) => ({
+        number: slide.number,
+        label: slide.title
+          ? `Slide ${slide.number}: ${slide.title}`
+          : `Slide ${slide.number}`,
+        text: slide.text,
+      }));
+
+      const text = segments
+        .map((segment) => `--- ${segment.label} ---\n${segment.text}`)
+        .join("\n\n");
+
+      return {
+        success: true,
+        text,
+        slides: slides.map(({ images, media, ...slide }) => slide),
+        segments,
+        segmentUnit: "slide",
+        metadata: await this.extractMetadata(zip, dataBuffer, filePath, slides),
+        images,
+        media,
+        tables,
+      };
+    } catch (error) {
+      return {
+        success: false,
+        error: `Failed to parse PPTX: ${error.message || "Unknown error"}`,
+        details: this.handleError(error),
+      };
+    }
+  }
+
+  /**
+   * Get slide part paths in presentation order
+   */
+  async getSlidePaths(zip) {
+    const presentationPath = "ppt/presentation.xml";
+    const presentation = await readXmlPart(zip, presentationPath);
+    if (!presentation) {
+      throw new Error("Missing ppt/presentation.xml");
+    }
+
+    const rels = await readRelationships(zip, presentationPath);
+    const slidePaths = [];
+
+    for (const slideId of findAll(presentation, "sldId")) {
+      const rel = rels.get(getAttr(slideId, "id", RELATIONSHIPS_NS));
+      if (rel && isRelType(rel, "slide") && zip.file(rel.target)) {
+        slidePaths.push(rel.target);
+      }
+    }
+
+    return slidePaths;
+  }
+
+  /**
+   * Extract title, body text, tables, notes and media from one slide
+   */
+  async parseSlide(zip, slidePath, number) {
+    const slideDoc = await readXmlPart(zip, slidePath);
+    const rels = await readRelationships(zip, slidePath);
+
+    let title = null;
+    const bodyLines = [];
+
+    // Text shapes (including those nested in groups) in document order
+    for (const shape of findAll(slideDoc, "sp")) {
+      const placeholder = findFirst(findFirst(shape, "nvPr"), "ph");
+      const placeholderType = placeholder
+        ? getAttr(placeholder, "type") || "body"
+        : null;
+
+      if (IGNORED_PLACEHOLDERS.has(placeholderType)) {
+        continue;
+      }
+
+      const lines = this.extractParagraphs(findFirst(shape, "txBody"));
+      if (lines.length === 0) {
+        continue;
+      }
+
+      if (!title && TITLE_PLACEHOLDERS.has(placeholderType)) {
+        title = lines.map((line) => line.trim()).join(" ");
+      } else {
+        bodyLines.push(...lines);
+      }
+    }
+
+    const tables = findAll(slideDoc, "tbl").map((table) =>
+      findAll(table, "tr").map((row) =>
+        childElements(row, "tc").map((cell) =>
+          this.extractParagraphs(findFirst(cell, "txBody"))
+            .map((line) => line.trim())
+            .join(" "),
+        ),
+      ),
+    );
+
+    const notes = await this.extractNotes(zip, rels);
+    const { images, media } = await this.extractMedia(zip, rels, number);
+
+    const textParts = [];
+    if (title) {
+      textParts.push(title);
+    }
+    if (bodyLines.length > 0) {
+      textParts.push(bodyLines.join("\n"));
+    }
+    for (const rows of tables) {
+      textParts.push(rows.map((row) => `| ${row.join(" | ")} |`).join("\n"));
+    }
+    if (notes) {
+      textParts.push(`Speaker notes:\n${notes}`);
+    }
+
+    return {
+      number,
+      title,
+      body: bodyLines.join("\n"),
+      notes,
+      tables,
+      hidden: getAttr(slideDoc.documentElement, "show") === "0",
+      text: textParts.join("\n\n"),
+      images,
+      media,
+    };
+  }
+
+  /**
+   * Extract paragraph lines from a text body, indenting nested bullet levels
+   */
+  extractParagraphs(txBody) {
+    if (!txBody) {
+      return [];
+    }
+
+    const lines = [];
+    for (const paragraph of childElements(txBody, "p")) {
+      const text = textOf(paragraph);
+      if (text.trim().length === 0) {
+        continue;
+      }
+      const level = parseInt(
+        getAttr(findFirst(paragraph, "pPr"), "lvl") || "0",
+      );
+      lines.push(`${"  ".repeat(level)}${text}`);
+    }
+    return lines;
+  }
+
+  /**
+   * Extract speaker notes text from the slide's notes part
+   */
+  async extractNotes(zip, slideRels) {
+    const notesRel = [...slideRels.values()].find((rel) =>
+      isRelType(rel, "notesSlide"),
+    );
+    if (!notesRel) {
+      return null;
+    }
+
+    const notesDoc = await readXmlPart(zip, notesRel.target);
+    if (!notesDoc) {
+      return null;
+    }
+
+    const lines = [];
+    for (const shape of findAll(notesDoc, "sp")) {
+      const placeholder = findFirst(findFirst(shape, "nvPr"), "ph");
+      // The notes text lives in the body placeholder; skip the slide image and number
+      if (placeholder && getAttr(placeholder, "type") === "body") {
+        lines.push(...this.extractParagraphs(findFirst(shape, "txBody")));
+      }
+    }
+
+    return lines.length > 0 ? lines.join("\n") : null;
+  }
+
+  /**
+   * Extract images (as data URLs) and list audio/video referenced by a slide
+   */
+  async extractMedia(zip, slideRels, slideNumber) {
+    const images = [];
+    const media = [];
+
+    for (const rel of slideRels.values()) {
+      const isImage = isRelType(rel, "image");
+      const isOtherMedia =
+        isRelType(rel, "video") ||
+        isRelType(rel, "audio") ||
+        isRelType(rel, "media");
+
+      if (!isImage && !isOtherMedia) {
+        continue;
+      }
+
+      const name = path.posix.basename(rel.target);
+
+      if (isOtherMedia || rel.external) {
+        media.push({
+          name,
+          path: rel.external ? null : rel.target,
+          url: rel.external ? rel.target : null,
+          type: rel.type.split("/").pop(),
+          mimeType: this.getMimeTypeFromFilename(name),
+          slide: slideNumber,
+        });
+        continue;
+      }
+
+      const file = zip.file(rel.target);
+      if (!file) {
+        continue;
+      }
+
+      try {
+        const buffer = Buffer.from(await file.async("arraybuffer"));
+        const mimeType = this.getMimeTypeFromFilename(name);
+        images.push({
+          data: `data:${mimeType};base64,${buffer.toString("base64")}`,
+          name,
+          path: rel.target,
+          mimeType,
+          size: buffer.length,
+          page: slideNumber,
+          slide: slideNumber,
+        });
+      } catch (fileError) {
+        console.warn(
+          `Failed to extract image ${rel.target}:`,
+          fileError.message,
+        );
+      }
+    }
+
+    return { images, media };
+  }
+
+  /**
+   * Build a table entry in the shape used by the other parsers
+   */
+  buildTable(rows, slideNumber, index) {
+    const markdown = rows.map((row) => `| ${row.join(" | ")} |`);
+    if (markdown.length > 1) {
+      markdown.splice(1, 0, `|${" --- |".repeat(rows[0].length)}`);
+    }
+
+    return {
+      type: "slide-table",
+      slide: slideNumber,
+      page: slideNumber,
+      index,
+      rows,
+      content: markdown.join("\n"),
+      extractedContent: markdown.join("\n"),
+      source: "pptx",
+      confidence: 1,
+    };
+  }
+
+  /**
+   * Extract metadata from the presentation
+   */
+  async extractMetadata(zip, dataBuffer, filePath, slides) {
+    const metadata = {
+      filename: path.basename(filePath),
+      sizeBytes: dataBuffer.length || null,
+      slideCount: slides.length,
+      hiddenSlideCount: slides.filter((slide) => slide.hidden).length,
+    };
+
+    try {
+      Object.assign(metadata, await readOfficeProperties(zip));
+    } catch (metadataError) {
+      // Metadata extraction is not critical, continue without it
+      console.warn("Could not extract metadata:", metadataError.message);
+    }
+
+    return metadata;
+  }
+
+  /**
+   * Get basic structure of the presentation: one header item per slide
+   * @param {string} content - Extracted text
+   * @param {Object} [result] - Parse result (uses its slides when available)
+   */
+  async getStructure(content, result = null) {
+    if (result && Array.isArray(result.slides)) {
+      return result.slides.map((slide) => ({
+        text: slide.title
+          ? `Slide ${slide.number}: ${slide.title}`
+          : `Slide ${slide.number}`,
+        isHeader: true,
+        level: 1,
+        slide: slide.number,
+        hidden: slide.hidden,
+      }));
+    }
+
+    // Fall back to the slide markers in the extracted text
+    return content
+      .split("\n")
+      .filter((line) => /^--- Slide \d+.*---$/.test(line))
+      .map((line) => ({
+        text: line.replace(/^--- | ---$/g, ""),
+        isHeader: true,
+        level: 1,
+      }));
+  }
+
+  /**
+   * Get MIME type from filename extension
+   */
+  getMimeTypeFromFilename(filename) {
+    const ext = filename.split(".").pop().toLowerCase();
+    const mimeTypes = {
+      png: "image/png",
+      jpg: "image/jpeg",
+      jpeg: "image/jpeg",
+      gif: "image/gif",
+      bmp: "image/bmp",
+      tiff: "image/tiff",
+      webp: "image/webp",
+      svg: "image/svg+xml",
+      emf: "image/emf",
+      wmf: "image/wmf",
+      mp4: "video/mp4",
+      m4v: "video/mp4",
+      mov: "video/quicktime",
+      wmv: "video/x-ms-wmv",
+      avi: "video/x-msvideo",
+      mp3: "audio/mpeg",
+      m4a: "audio/mp4",
+      wav: "audio/wav",
+      wma: "audio/x-ms-wma",
+    };
+
+    return mimeTypes[ext] || "application/octet-stream";
+  }
+
+  /**
+   * Handle and format parsing errors
+   */
+  handleError(error) {
+    return {
+      message: error.message,
+      code: error.code || null,
+      stack: process.env.NODE_ENV === "development" ? error.stack : undefined,
+    };
+  }
+}
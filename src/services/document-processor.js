@@ -1,8 +1,11 @@
 import { PdfParser } from "../parsers/pdf-parser.js";
 import { DocxParser } from "../parsers/docx-parser.js";
 import { ExcelParser } from "../parsers/excel-parser.js";
+import { PptxParser } from "../parsers/pptx-parser.js";
 import { FileTypeDetector } from "../utils/file-detector.js";
 import { log, logFunctionCall, logPath } from "../utils/logger.js";
+import { noopProgress } from "../utils/progress.js";
+import { parseCache } from "./parse-cache.js";
 
 /**
  * Document Processor Service
@@ -15,6 +18,7 @@ export class DocumentProcessor {
     this.pdfParser = new PdfParser();
     this.docxParser = new DocxParser();
     this.excelParser = new ExcelParser();
+    this.pptxParser = new PptxParser();
     this.fileDetector = new FileTypeDetector();
   }
 
@@ -37,6 +41,9 @@ export class DocumentProcessor {
         case "excel":
           return this.excelParser;
 
+        case "pptx":
+          return this.pptxParser;
+
         default:
           log("warn", "No parser available for file type:", { fileType });
           return null;
@@ -47,35 +54,109 @@ export class DocumentProcessor {
     return parser;
   }
 
+  /**
+   * Run a parser, reusing a cached result for identical file contents and
+   * parse options, and report a progress step when it finishes
+   * @param {Object} parser - Parser instance
+   * @param {string} fileType - Detected file type
+   * @param {string} filePath - Path to the file
+   * @param {Object} progress - Progress reporter
+   * @param {string} [password] - Password for encrypted documents
+   * @returns {Promise<Object>} Parser result
+   */
+  async parseWithProgress(parser, fileType, filePath, progress, password) {
+    progress.addSteps(1);
+
+    const contentHash = await parseCache.hashFile(filePath);
+    const cacheKey = parseCache.buildParseKey(contentHash, {
+      fileType,
+      parser: parser.name,
+      ...(typeof parser.getCacheOptions === "function"
+        ? parser.getCacheOptions()
+        : {}),
+      // Keyed by password so a cached decrypt is never served without it
+      password: password ? parseCache.hash(password) : null,
+    });
+
+    const { value: result, cached } = await parseCache.getOrCompute(
+      cacheKey,
+      () => parser.parse(filePath, { progress, password }),
+      // Don't cache failures, or scans whose OCR could not run this time or
+      // was done by a fallback provider
+      (parsed) =>
+        parsed.success &&
+        !parsed.cancelled &&
+        !(parsed.isImageBased && !parsed.ocrApplied) &&
+        !parsed.ocrFallback,
+      // Decrypted content stays in memory, never in PARSE_CACHE_DIR
+      { persist: !password },
+    );
+
+    if (result.cancelled) {
+      log("info", "Document processing cancelled by client:", { filePath });
+      return result;
+    }
+
+    log("info", "Parse result source:", { filePath, cached });
+    await progress.step(
+      cached ? "Loaded cached parse result" : "Parsed document",
+    );
+    return result;
+  }
+
   /**
    * Process a document based on the requested type
    * @param {string} filePath - Path to the file
    * @param {string} processingType - Type of processing ('summary', 'indepth')
+   * @param {Object} [options] - { progress, password } reporter for progress
+   *   notifications and cancellation, and the password for encrypted PDFs
    * @returns {Promise<Object>} Processing result
    */
-  async processDocument(filePath, processingType) {
+  async processDocument(filePath, processingType, options = {}) {
     logFunctionCall("processDocument", { filePath, processingType });
+    const progress = options.progress || noopProgress;
     logPath("ENTER_PROCESS_DOCUMENT", `type=${processingType}`);
 
     // Detect file type
     const detected = this.fileDetector.detect(filePath);
     log("info", "File type detection result:", {
       filePath,
-      detected: detected.success ? `success (${detected.fileType})` : "failed",
+      detected: detected.success
+        ? `success (${detected.fileType}/${detected.format}, confidence ${detected.confidence})`
+        : "failed",
     });
 
     if (!detected.success) {
       logPath("PATH_DETECTION_FAILED");
-      return { success: false, error: "Could not detect file type" };
+      return {
+        success: false,
+        error: `Could not detect file type: ${detected.error}`,
+      };
+    }
+
+    if (detected.warning) {
+      log("warn", "File extension does not match content:", {
+        filePath,
+        warning: detected.warning,
+      });
     }
 
+    const detection = {
+      fileType: detected.fileType,
+      format: detected.format,
+      mimeType: detected.mimeType,
+      confidence: detected.confidence,
+      warning: detected.warning,
+    };
+
     const parser = this.getParserForType(detected.fileType);
 
     if (!parser) {
       logPath("PATH_NO_PARSER", `fileType=${detected.fileType}`);
       return {
         success: false,
-        error: `No parser available for type ${detected.fileType}`,
+        error: `No parser available for type ${detected.fileType} (${detected.format.toUpperCase()} files are not supported)`,
+        detection,
       };
     }
 
@@ -90,13 +171,28 @@ export class DocumentProcessor {
       case "summary":
         logPath("PATH_SUMMARY_PROCESSING");
         log("info", "Processing as summary - calling parser.parse()");
-        result = await parser.parse(filePath);
+        result = await this.parseWithProgress(
+          parser,
+          detected.fileType,
+          filePath,
+          progress,
+          options.password,
+        );
         break;
 
       case "indepth":
         logPath("PATH_INDEPTH_PROCESSING");
         log("info", "Processing as in-depth - calling parser.parse()");
-        result = await parser.parse(filePath);
+        result = await this.parseWithProgress(
+          parser,
+          detected.fileType,
+          filePath,
+          progress,
+          options.password,
+        );
+        if (!result.success) {
+          return result;
+        }
 
         // Try to get structure if the parser supports it
         const contentText = result.text || "";
@@ -105,7 +201,7 @@ export class DocumentProcessor {
         if (typeof parser.getStructure === "function") {
           logPath("PATH_PARSER_HAS_GET_STRUCTURE");
           log("info", "Parser supports getStructure, extracting structure");
-          structure = await parser.getStructure(contentText);
+          structure = await parser.getStructure(contentText, result);
         }
 
         log("info", "In-depth processing result:", {
@@ -120,7 +216,27 @@ export class DocumentProcessor {
           text: result.text || "",
           structure,
           images: result.images || [],
+          tables: result.tables || [],
+          charts: result.charts || [],
+          sheetModels: result.sheetModels || [],
+          revisions: result.revisions || [],
+          comments: result.comments || [],
+          revisionViews: result.revisionViews || null,
+          formFields: result.formFields || [],
+          annotations: result.annotations || [],
+          links: result.links || [],
+          attachments: result.attachments || [],
+          invoice: result.invoice || null,
+          notes: result.notes || [],
+          headersFooters: result.headersFooters || [],
+          segments: result.segments || [],
+          segmentUnit: result.segmentUnit || null,
           metadata: result.metadata || null,
+          isImageBased: result.isImageBased || false,
+          ocrApplied: result.ocrApplied || false,
+          ocrSource: result.ocrSource || null,
+          ocrPages: result.ocrPages || [],
+          detection,
         };
       default:
         logPath("PATH_UNKNOWN_PROCESSING_TYPE", `type=${processingType}`);
@@ -131,6 +247,10 @@ export class DocumentProcessor {
         };
     }
 
+    if (!result.success) {
+      return result;
+    }
+
     log("info", "Summary processing result:", {
       success: result.success,
       textLength: (result.text || "").length,
@@ -141,7 +261,24 @@ export class DocumentProcessor {
       success: result.success,
       text: result.text || "",
       images: result.images || [],
+      tables: result.tables || [],
+      charts: result.charts || [],
+      revisions: result.revisions || [],
+      comments: result.comments || [],
+      outline: result.outline || null,
+      formFields: result.formFields || [],
+      annotations: result.annotations || [],
+      links: result.links || [],
+      attachments: result.attachments || [],
+      invoice: result.invoice || null,
+      segments: result.segments || [],
+      segmentUnit: result.segmentUnit || null,
       metadata: result.metadata || null,
+      isImageBased: result.isImageBased || false,
+      ocrApplied: result.ocrApplied || false,
+      ocrSource: result.ocrSource || null,
+      ocrPages: result.ocrPages || [],
+      detection,
     };
   }
 }
@@ -1,5 +1,14 @@
 import fs from "fs";
 import { PDFParse } from "pdf-parse";
+import { OPS } from "pdfjs-dist/legacy/build/pdf.mjs";
+
+// pdf.js operators that paint images into the current transform
+const IMAGE_OPS = new Set([
+  OPS.paintImageMaskXObject,
+  OPS.paintImageXObject,
+  OPS.paintImageXObjectRepeat,
+  OPS.paintInlineImageXObject
+]);
 
 /**
  * Document Layout Analyzer
@@ -9,24 +18,51 @@ export class DocumentLayoutAnalyzer {
   constructor() {
     this.name = "DocumentLayoutAnalyzer";
     this.minTextBlockSize = 20; // Minimum character count to consider a block
+    // A page is treated as scanned when images cover at least this share of it...
+    this.minScanImageCoverage = 0.5;
+    // ...and its text layer holds fewer characters per square inch than this
+    this.minTextDensity = 1;
+    // Character count used instead when the page geometry could not be read
+    this.minPageTextLength = 50;
   }
 
   /**
    * Analyze document layout and extract structural elements
    * @param {string} filePath - Path to PDF file
+   * @param {Object} [extracted] - Content already extracted by the caller
+   *   ({ textResult, imageResult, parser }); the parser is used to measure
+   *   how much of each page its images cover
    * @returns {Promise<Object>} Layout analysis results
    */
-  async analyzeDocument(filePath) {
+  async analyzeDocument(filePath, extracted = {}) {
     console.error(`[LayoutAnalyzer] Analyzing document layout: ${filePath}`);
 
+    let parser = null;
     try {
-      // Read PDF file
-      const dataBuffer = fs.readFileSync(filePath);
-      const parser = new PDFParse({ data: dataBuffer });
+      let { textResult, imageResult } = extracted;
+      let sourceParser = extracted.parser || null;
+
+      // Only open the PDF when the caller did not provide extracted content
+      if (!textResult || !imageResult) {
+        const dataBuffer = fs.readFileSync(filePath);
+        parser = new PDFParse({ data: dataBuffer });
+        textResult = await parser.getText();
+        imageResult = await parser.getImage({ imageThreshold: 0 });
+        sourceParser = sourceParser || parser;
+      }
 
-      // Extract text and images
-      const textResult = await parser.getText();
-      const imageResult = await parser.getImage({ imageThreshold: 0 });
+      // Only pages with images and little text can be scans, so the image
+      // coverage is measured for those alone
+      const isScanCandidate = (pageNumber, area) => {
+        const index = pageNumber - 1;
+        const images = imageResult.pages?.[index]?.images || [];
+        const textLength = this.countTextChars(textResult.pages?.[index]?.text);
+        return images.length > 0 &&
+          this.computeTextDensity(textLength, area) < this.minTextDensity;
+      };
+      const geometry = sourceParser
+        ? await this.measurePageGeometry(sourceParser, isScanCandidate)
+        : new Map();
 
       // Analyze page structure
       const pages = [];
@@ -44,19 +80,29 @@ export class DocumentLayoutAnalyzer {
           // Identify potential tables
           const tableCandidates = this.findTableCandidates(pageData);
 
+          const pageNumber = pageData.num || i + 1;
+          const textSource = this.classifyPageTextSource(
+            pageData.text,
+            imagesOnPage,
+            geometry.get(pageNumber)
+          );
+
           pages.push({
-            pageNumber: i + 1,
+            pageNumber: pageNumber,
             textBlocks: textBlocks,
             images: imagesOnPage,
             tables: tableCandidates,
             totalTextLength: pageData.text.length,
-            estimatedLayoutType: this.estimatePageLayout(textBlocks, imagesOnPage)
+            estimatedLayoutType: this.estimatePageLayout(textBlocks, imagesOnPage),
+            ...textSource
           });
         }
       }
 
       // Clean up parser
-      await parser.destroy();
+      if (parser) {
+        await parser.destroy();
+      }
 
       return {
         success: true,
@@ -76,6 +122,133 @@ export class DocumentLayoutAnalyzer {
     }
   }
 
+  /**
+   * Measure the size of every page and the share of it covered by images,
+   * following the transformation matrix each image is painted with
+   * @param {PDFParse} parser - Parser holding the loaded document
+   * @param {Function} [shouldMeasure] - (pageNumber, area) => boolean; the
+   *   operator list is only read for pages it accepts (default: all pages)
+   * @returns {Promise<Map>} page number -> { area, imageCoverage } (area in
+   *   square points, coverage null for pages that were not measured); empty
+   *   when the pages could not be read
+   */
+  async measurePageGeometry(parser, shouldMeasure = () => true) {
+    const geometry = new Map();
+    try {
+      const doc = await parser.load();
+      for (let pageNumber = 1; pageNumber <= doc.numPages; pageNumber++) {
+        const page = await doc.getPage(pageNumber);
+        const [x0, y0, x1, y1] = page.view;
+        const area = (x1 - x0) * (y1 - y0);
+
+        if (!shouldMeasure(pageNumber, area)) {
+          geometry.set(pageNumber, { area, imageCoverage: null });
+          continue;
+        }
+
+        const ops = await page.getOperatorList();
+
+        let ctm = [1, 0, 0, 1, 0, 0];
+        const stack = [];
+        let imageArea = 0;
+
+        for (let j = 0; j < ops.fnArray.length; j++) {
+          const fn = ops.fnArray[j];
+          const args = ops.argsArray[j];
+
+          if (fn === OPS.save) {
+            stack.push(ctm);
+          } else if (fn === OPS.restore) {
+            ctm = stack.pop() || ctm;
+          } else if (fn === OPS.transform) {
+            ctm = multiplyMatrix(ctm, args);
+          } else if (fn === OPS.paintFormXObjectBegin) {
+            stack.push(ctm);
+            if (Array.isArray(args[0]) && args[0].length === 6) {
+              ctm = multiplyMatrix(ctm, args[0]);
+            }
+          } else if (fn === OPS.paintFormXObjectEnd) {
+            ctm = stack.pop() || ctm;
+          } else if (IMAGE_OPS.has(fn)) {
+            // Images are painted into the unit square of the current matrix
+            for (const matrix of imagePlacements(fn, args, ctm)) {
+              imageArea += clippedArea(unitSquareBounds(matrix), page.view);
+            }
+          }
+        }
+
+        geometry.set(pageNumber, {
+          area,
+          imageCoverage: area > 0 ? Math.min(1, imageArea / area) : 0
+        });
+        page.cleanup();
+      }
+    } catch (error) {
+      console.error(`[LayoutAnalyzer] Could not measure page geometry: ${error.message}`);
+      geometry.clear();
+    }
+    return geometry;
+  }
+
+  /**
+   * Decide whether a page's text layer can be used or the page must be OCR'd.
+   * Scanned pages are mostly covered by images and carry little or no text.
+   * @param {string} text - Text extracted from the page
+   * @param {Array} images - Images found on the page
+   * @param {Object} [geometry] - { area, imageCoverage } of the page
+   * @returns {Object} { textLength, textDensity, imageCoverage, needsOcr };
+   *   density is in characters per square inch and, like coverage, null when
+   *   the page geometry is unknown; coverage is also null when it was not
+   *   measured because the page has enough text
+   */
+  classifyPageTextSource(text, images, geometry) {
+    const textLength = this.countTextChars(text);
+
+    if (!geometry) {
+      return {
+        textLength,
+        textDensity: null,
+        imageCoverage: null,
+        needsOcr: images.length > 0 && textLength < this.minPageTextLength
+      };
+    }
+
+    const textDensity = this.computeTextDensity(textLength, geometry.area);
+    const imageCoverage = images.length > 0 ? geometry.imageCoverage : 0;
+
+    return {
+      textLength,
+      textDensity: Math.round(textDensity * 100) / 100,
+      imageCoverage:
+        imageCoverage === null ? null : Math.round(imageCoverage * 100) / 100,
+      needsOcr:
+        imageCoverage !== null &&
+        imageCoverage >= this.minScanImageCoverage &&
+        textDensity < this.minTextDensity
+    };
+  }
+
+  /**
+   * Count the characters of a page's text, ignoring whitespace
+   * @param {string} [text] - Text extracted from the page
+   * @returns {number} Character count
+   */
+  countTextChars(text) {
+    return (text || '').replace(/\s+/g, '').length;
+  }
+
+  /**
+   * Compute how densely a page is covered by text
+   * @param {number} textLength - Characters on the page
+   * @param {number} area - Page area in square points
+   * @returns {number} Characters per square inch
+   */
+  computeTextDensity(textLength, area) {
+    // 72 points per inch
+    const squareInches = area / (72 * 72);
+    return squareInches > 0 ? textLength / squareInches : 0;
+  }
+
   /**
    * Extract text blocks with positional information
    */
@@ -227,3 +400,53 @@ export class DocumentLayoutAnalyzer {
     return 'mixed-document';
   }
 }
+
+/**
+ * Multiply two PDF transformation matrices ([a, b, c, d, e, f]), applying m2 first
+ */
+function multiplyMatrix(m1, m2) {
+  return [
+    m2[0] * m1[0] + m2[1] * m1[2],
+    m2[0] * m1[1] + m2[1] * m1[3],
+    m2[2] * m1[0] + m2[3] * m1[2],
+    m2[2] * m1[1] + m2[3] * m1[3],
+    m2[4] * m1[0] + m2[5] * m1[2] + m1[4],
+    m2[4] * m1[1] + m2[5] * m1[3] + m1[5]
+  ];
+}
+
+/**
+ * Matrices an image operator paints into. When pdf.js optimizes an operator
+ * list it merges runs of one image drawn at several offsets into
+ * paintImageXObjectRepeat, with [objId, scaleX, scaleY, positions] arguments
+ * and the positions given as x, y pairs.
+ */
+function imagePlacements(fn, args, ctm) {
+  if (fn !== OPS.paintImageXObjectRepeat) {
+    return [ctm];
+  }
+  const [, scaleX, scaleY, positions] = args;
+  const placements = [];
+  for (let i = 0; i + 1 < positions.length; i += 2) {
+    placements.push(multiplyMatrix(ctm, [scaleX, 0, 0, scaleY, positions[i], positions[i + 1]]));
+  }
+  return placements;
+}
+
+/**
+ * Bounding box of the unit square under a transformation matrix
+ */
+function unitSquareBounds(m) {
+  const xs = [m[4], m[0] + m[4], m[2] + m[4], m[0] + m[2] + m[4]];
+  const ys = [m[5], m[1] + m[5], m[3] + m[5], m[1] + m[3] + m[5]];
+  return [Math.min(...xs), Math.min(...ys), Math.max(...xs), Math.max(...ys)];
+}
+
+/**
+ * Area of a box after clipping it to the page box
+ */
+function clippedArea(box, view) {
+  const width = Math.min(box[2], view[2]) - Math.max(box[0], view[0]);
+  const height = Math.min(box[3], view[3]) - Math.max(box[1], view[1]);
+  return width > 0 && height > 0 ? width * height : 0;
+}
@@ -3,6 +3,10 @@
  * Integrates with LM Studio's VLM (Vision Language Models) for OCR and image analysis
  */
 
+import { RateLimiter, callWithRetry, httpError } from "../utils/work-queue.js";
+import { throwIfAborted } from "../utils/progress.js";
+import { OCR_SYSTEM_PROMPT } from "../utils/vision-prompts.js";
+
 export class LmStudioService {
   constructor() {
     this.name = "LmStudioService";
@@ -15,6 +19,14 @@ export class LmStudioService {
     this.temperature = parseFloat(process.env.LM_STUDIO_TEMPERATURE || "0.8");
     this.topP = parseFloat(process.env.LM_STUDIO_TOP_P || "0.6");
     this.vlmModelId = null;
+    // Requests per minute (0 = no limit) and retries on 429/5xx responses
+    this.rateLimiter = new RateLimiter(
+      parseInt(process.env.LM_STUDIO_RATE_LIMIT || "0"),
+    );
+    this.maxRetries = parseInt(process.env.VISION_MAX_RETRIES || "3");
+    this.retryBaseDelay = parseInt(
+      process.env.VISION_RETRY_BASE_DELAY_MS || "1000",
+    );
 
     console.error(
       `[LmStudio] Service initialized with baseUrl=${this.baseUrl}, timeout=${this.timeout}ms`,
@@ -259,11 +271,13 @@ export class LmStudioService {
    * Extract text from an image using the selected VLM model
    * @param {string} imageData - Base64 data URL of the image
    * @param {string} prompt - Optional prompt for extraction guidance
+   * @param {Object} [options] - { signal } to cancel the request
    * @returns {Promise<Object>} Extraction result
    */
   async extractText(
     imageData,
     prompt = "Extract all text from this image. Preserve the original formatting and structure as much as possible.",
+    options = {},
   ) {
     console.error(
       `[LmStudio] ==================== EXTRACT TEXT (OCR) ====================`,
@@ -289,21 +303,6 @@ export class LmStudioService {
         `[LmStudio] Extracting text with VLM model: ${this.vlmModelId}`,
       );
 
-      const systemPrompt = `You are an advanced OCR and text extraction specialist. Your task is to accurately extract and recognize text from images.
-
-Key responsibilities:
-1. Extract ALL visible text from the image with high accuracy
-2. Preserve the original formatting, layout, and structure
-3. For documents with tables, maintain table structure using markdown
-4. For code snippets, identify the programming language and format appropriately
-5. Handle multiple languages if present
-6. Note any text that is unclear or partially visible
-
-Output format:
-- Return the extracted text in a clean, readable format
-- Use markdown formatting where appropriate (headers, lists, tables, code blocks)
-- If the image contains structured data (invoices, forms), preserve that structure`;
-
       // Prepare the image first
       let preparedImageId;
       try {
@@ -321,7 +320,7 @@ Output format:
       const messages = [
         {
           role: "system",
-          content: systemPrompt,
+          content: OCR_SYSTEM_PROMPT,
         },
         {
           role: "user",
@@ -345,7 +344,7 @@ Output format:
       );
       console.error(`[LmStudio] Prompt: ${prompt.substring(0, 100)}...`);
 
-      const result = await this.callChatCompletions(messages);
+      const result = await this.callChatCompletions(messages, options.signal);
 
       console.error(
         `[LmStudio] ✅ OCR extraction completed, extracted ${result.length} characters`,
@@ -361,6 +360,7 @@ Output format:
       return {
         success: false,
         error: `OCR extraction failed: ${error.message}`,
+        cancelled: error.name === "AbortError",
         details: error,
       };
     }
@@ -370,9 +370,14 @@ Output format:
    * Analyze an image for general understanding using the VLM model
    * @param {string} imageData - Base64 data URL of the image
    * @param {string} prompt - Analysis prompt
+   * @param {Object} [options] - { signal } to cancel the request
    * @returns {Promise<Object>} Analysis result
    */
-  async analyzeImage(imageData, prompt = "Describe this image in detail.") {
+  async analyzeImage(
+    imageData,
+    prompt = "Describe this image in detail.",
+    options = {},
+  ) {
     console.error(
       `[LmStudio] ==================== ANALYZING IMAGE ====================`,
     );
@@ -434,7 +439,7 @@ Output format:
       );
       console.error(`[LmStudio] Prompt: ${prompt.substring(0, 100)}...`);
 
-      const result = await this.callChatCompletions(messages);
+      const result = await this.callChatCompletions(messages, options.signal);
 
       console.error(
         `[LmStudio] ✅ Image analysis completed, result length: ${result.length} characters`,
@@ -450,17 +455,40 @@ Output format:
       return {
         success: false,
         error: `Image analysis failed: ${error.message}`,
+        cancelled: error.name === "AbortError",
         details: error,
       };
     }
   }
 
   /**
-   * Call LM Studio chat completions endpoint
+   * Call LM Studio chat completions endpoint within the rate limit, retrying
+   * throttled (429) and failed (5xx) requests with exponential backoff
+   * @param {Array} messages - Messages array for the API
+   * @param {AbortSignal} [signal] - Cancels the request when aborted
+   * @returns {Promise<string>} API response content
+   */
+  async callChatCompletions(messages, signal) {
+    return callWithRetry(
+      () => this.sendChatCompletions(messages, signal),
+      signal,
+      "LmStudio",
+      {
+        rateLimiter: this.rateLimiter,
+        retries: this.maxRetries,
+        baseDelay: this.retryBaseDelay,
+      },
+    );
+  }
+
+  /**
+   * Send one request to the chat completions endpoint
    * @param {Array} messages - Messages array for the API
+   * @param {AbortSignal} [signal] - Cancels the request when aborted
    * @returns {Promise<string>} API response content
+   * @throws {Error} With the HTTP status when the server rejects the request
    */
-  async callChatCompletions(messages) {
+  async sendChatCompletions(messages, signal) {
     const chatUrl = `${this.baseUrl}/chat/completions`;
 
     console.error(
@@ -492,14 +520,25 @@ Output format:
     console.error(`  - Max tokens: ${this.maxTokens}`);
     console.error(`  - Stream: false`);
 
-    const response = await fetch(chatUrl, {
-      method: "POST",
-      headers: {
-        "Content-Type": "application/json",
-      },
-      body: JSON.stringify(requestBody),
-      signal: AbortSignal.timeout(this.timeout),
-    });
+    let response;
+    try {
+      response = await fetch(chatUrl, {
+        method: "POST",
+        headers: {
+          "Content-Type": "application/json",
+        },
+        body: JSON.stringify(requestBody),
+        signal: signal
+          ? AbortSignal.any([signal, AbortSignal.timeout(this.timeout)])
+          : AbortSignal.timeout(this.timeout),
+      });
+    } catch (error) {
+      if (signal?.aborted) {
+        console.error(`[LmStudio] Chat completions cancelled by client`);
+        throwIfAborted(signal);
+      }
+      throw error;
+    }
 
     if (!response.ok) {
       const errorText = await response.text();
@@ -507,7 +546,7 @@ Output format:
         `[LmStudio] ❌ Chat completions FAILED: HTTP ${response.status}`,
       );
       console.error(`[LmStudio] Error response: ${errorText}`);
-      throw new Error(`HTTP ${response.status}: ${errorText}`);
+      throw httpError(response, errorText);
     }
 
     const data = await response.json();
@@ -13,9 +13,16 @@ export class OcrPostProcessor {
    * Post-process OCR output to improve accuracy and structure
    * @param {string} ocrText - Raw OCR text output
    * @param {Object} layoutAnalysis - Layout analysis results from DocumentLayoutAnalyzer
+   * @param {boolean} useAI - Refine with the vision service (false for basic cleaning only)
+   * @param {Object} [options] - { signal } to cancel the AI request
    * @returns {Promise<Object>} Processed text with improvements and metadata
    */
-  async processOcrText(ocrText, layoutAnalysis = null, useAI = true) {
+  async processOcrText(
+    ocrText,
+    layoutAnalysis = null,
+    useAI = true,
+    options = {},
+  ) {
     console.error(
       `[OcrPostProcessor] Processing OCR output ${useAI ? "with AI" : "with basic cleaning"}...`,
     );
@@ -58,7 +65,7 @@ export class OcrPostProcessor {
 
     try {
       // Use vision service (LM Studio or Z.AI) to process text
-      const result = await visionService.extractText(ocrText, prompt);
+      const result = await visionService.extractText(ocrText, prompt, options);
 
       // Analyze the improvements made
       const improvements = this.analyzeImprovements(ocrText, result.text);
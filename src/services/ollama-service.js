@@ -0,0 +1,340 @@
+/**
+ * Ollama Vision Service
+ * Uses Ollama's native API: models are discovered with /api/tags, their
+ * capabilities read from /api/show, and images are sent to /api/chat as
+ * base64 strings in the message's `images` field.
+ */
+
+import { RateLimiter, callWithRetry, httpError } from "../utils/work-queue.js";
+import { throwIfAborted } from "../utils/progress.js";
+import { OCR_SYSTEM_PROMPT } from "../utils/vision-prompts.js";
+import { isLikelyVisionModelName } from "../utils/vision-models.js";
+
+// Model families that carry a vision projector in older Ollama versions
+const VISION_FAMILIES = ["clip", "mllama"];
+
+export class OllamaService {
+  constructor() {
+    this.name = "OllamaService";
+    this.baseUrl = (
+      process.env.OLLAMA_BASE_URL || "http://localhost:11434"
+    ).replace(/\/+$/, "");
+    this.timeout = parseInt(process.env.OLLAMA_TIMEOUT || "120000");
+    this.maxTokens = parseInt(process.env.OLLAMA_MAX_TOKENS || "8192");
+    this.temperature = parseFloat(process.env.OLLAMA_TEMPERATURE || "0.2");
+    this.topP = parseFloat(process.env.OLLAMA_TOP_P || "0.9");
+    // Model to use; discovered from /api/tags when not set
+    this.vlmModelId = process.env.OLLAMA_VISION_MODEL || null;
+    // Requests per minute (0 = no limit) and retries on 429/5xx responses
+    this.rateLimiter = new RateLimiter(
+      parseInt(process.env.OLLAMA_RATE_LIMIT || "0"),
+    );
+    this.maxRetries = parseInt(process.env.VISION_MAX_RETRIES || "3");
+    this.retryBaseDelay = parseInt(
+      process.env.VISION_RETRY_BASE_DELAY_MS || "1000",
+    );
+  }
+
+  /**
+   * Call an Ollama API endpoint and parse its JSON response
+   * @param {string} path - API path (e.g. "/api/tags")
+   * @param {Object} [body] - JSON body; sent as POST when given
+   * @returns {Promise<Object>} Response data
+   * @throws {Error} When the server cannot be reached or rejects the request
+   */
+  async request(path, body) {
+    const response = await fetch(`${this.baseUrl}${path}`, {
+      method: body ? "POST" : "GET",
+      headers: { "Content-Type": "application/json" },
+      ...(body && { body: JSON.stringify(body) }),
+      signal: AbortSignal.timeout(this.timeout),
+    });
+
+    if (!response.ok) {
+      throw httpError(response, await response.text());
+    }
+    return response.json();
+  }
+
+  /**
+   * Get the models installed in Ollama
+   * @returns {Promise<Array<Object>>} Model entries ({ name, details, ... })
+   */
+  async getModels() {
+    const data = await this.request("/api/tags");
+    return Array.isArray(data.models) ? data.models : [];
+  }
+
+  /**
+   * Get the names of the models currently loaded in memory
+   * @returns {Promise<Set<string>>} Loaded model names (empty if unknown)
+   */
+  async getLoadedModels() {
+    try {
+      const data = await this.request("/api/ps");
+      return new Set((data.models || []).map((model) => model.name));
+    } catch {
+      return new Set();
+    }
+  }
+
+  /**
+   * Check whether a model accepts images. Ollama 0.6+ lists "vision" in the
+   * model's capabilities; older versions only show a clip/mllama family.
+   * @param {Object} model - Model entry from /api/tags
+   * @returns {Promise<boolean>} True if the model accepts images
+   */
+  async supportsVision(model) {
+    try {
+      const info = await this.request("/api/show", { model: model.name });
+      if (Array.isArray(info.capabilities)) {
+        return info.capabilities.includes("vision");
+      }
+      if (info.projector_info) {
+        return true;
+      }
+      const families = info.details?.families || model.details?.families || [];
+      if (families.some((family) => VISION_FAMILIES.includes(family))) {
+        return true;
+      }
+    } catch (error) {
+      console.error(
+        `[Ollama] Could not read capabilities of ${model.name}: ${error.message}`,
+      );
+    }
+    return isLikelyVisionModelName(model.name);
+  }
+
+  /**
+   * Find a vision-capable model, preferring models already loaded
+   * @returns {Promise<string|null>} Model name, or null when none accepts images
+   */
+  async findVisionModel() {
+    const models = await this.getModels();
+    console.error(
+      `[Ollama] ${models.length} model(s) installed: ${models.map((m) => m.name).join(", ")}`,
+    );
+
+    const visionModels = [];
+    for (const model of models) {
+      if (await this.supportsVision(model)) {
+        visionModels.push(model.name);
+      }
+    }
+    if (visionModels.length === 0) {
+      return null;
+    }
+
+    const loaded = await this.getLoadedModels();
+    return visionModels.find((name) => loaded.has(name)) || visionModels[0];
+  }
+
+  /**
+   * Initialize the service and select a vision model
+   * @returns {Promise<string|null>} Selected model name, or null when Ollama
+   *   is unreachable or has no vision model installed
+   */
+  async initialize() {
+    if (this.vlmModelId) {
+      return this.vlmModelId;
+    }
+
+    try {
+      this.vlmModelId = await this.findVisionModel();
+    } catch (error) {
+      console.error(
+        `[Ollama] Model discovery failed at ${this.baseUrl}: ${error.message}`,
+      );
+      return null;
+    }
+
+    if (this.vlmModelId) {
+      console.error(`[Ollama] Selected vision model: ${this.vlmModelId}`);
+    } else {
+      console.error(`[Ollama] No vision model installed at ${this.baseUrl}`);
+    }
+    return this.vlmModelId;
+  }
+
+  /**
+   * Extract text from an image using OCR
+   * @param {string} imageData - Base64 data URL of the image
+   * @param {string} prompt - Optional prompt for extraction guidance
+   * @param {Object} [options] - { signal } to cancel the request
+   * @returns {Promise<Object>} Extraction result
+   */
+  async extractText(
+    imageData,
+    prompt = "Extract all text from this image. Preserve the original formatting and structure as much as possible.",
+    options = {},
+  ) {
+    try {
+      await this.requireModel();
+
+      const result = await this.callChat(
+        [
+          { role: "system", content: OCR_SYSTEM_PROMPT },
+          {
+            role: "user",
+            content: prompt,
+            images: [this.toBase64(imageData)],
+          },
+        ],
+        options.signal,
+      );
+
+      return {
+        success: true,
+        text: result,
+        source: "ollama",
+        model: this.vlmModelId,
+      };
+    } catch (error) {
+      return {
+        success: false,
+        error: `OCR extraction failed: ${error.message}`,
+        cancelled: error.name === "AbortError",
+        details: error,
+      };
+    }
+  }
+
+  /**
+   * Analyze an image for general understanding
+   * @param {string} imageData - Base64 data URL of the image
+   * @param {string} prompt - Analysis prompt
+   * @param {Object} [options] - { signal } to cancel the request
+   * @returns {Promise<Object>} Analysis result
+   */
+  async analyzeImage(
+    imageData,
+    prompt = "Describe this image in detail.",
+    options = {},
+  ) {
+    try {
+      await this.requireModel();
+
+      const result = await this.callChat(
+        [
+          {
+            role: "user",
+            content: prompt,
+            images: [this.toBase64(imageData)],
+          },
+        ],
+        options.signal,
+      );
+
+      return {
+        success: true,
+        analysis: result,
+        source: "ollama",
+        model: this.vlmModelId,
+      };
+    } catch (error) {
+      return {
+        success: false,
+        error: `Image analysis failed: ${error.message}`,
+        cancelled: error.name === "AbortError",
+        details: error,
+      };
+    }
+  }
+
+  /**
+   * Make sure a vision model is selected before sending a request
+   * @throws {Error} When no vision model is available
+   */
+  async requireModel() {
+    if (!(await this.initialize())) {
+      throw new Error(
+        `No vision models available in Ollama at ${this.baseUrl}`,
+      );
+    }
+  }
+
+  /**
+   * Strip the data URL prefix; Ollama expects bare base64 image data
+   * @param {string} imageData - Base64 data URL of the image
+   * @returns {string} Base64 content
+   * @throws {Error} When the input is not a base64 data URL
+   */
+  toBase64(imageData) {
+    const match = /^data:[^;]+;base64,(.+)$/.exec(imageData || "");
+    if (!match) {
+      throw new Error("Invalid base64 data URL format");
+    }
+    return match[1];
+  }
+
+  /**
+   * Call the chat endpoint within the rate limit, retrying throttled (429)
+   * and failed (5xx) requests with exponential backoff
+   * @param {Array} messages - Messages array for the API
+   * @param {AbortSignal} [signal] - Cancels the request when aborted
+   * @returns {Promise<string>} Response content
+   */
+  async callChat(messages, signal) {
+    return callWithRetry(
+      () => this.sendChat(messages, signal),
+      signal,
+      "Ollama",
+      {
+        rateLimiter: this.rateLimiter,
+        retries: this.maxRetries,
+        baseDelay: this.retryBaseDelay,
+      },
+    );
+  }
+
+  /**
+   * Send one request to /api/chat
+   * @param {Array} messages - Messages array for the API
+   * @param {AbortSignal} [signal] - Cancels the request when aborted
+   * @returns {Promise<string>} Response content
+   * @throws {Error} With the HTTP status when Ollama rejects the request
+   */
+  async sendChat(messages, signal) {
+    console.error(
+      `[Ollama] Calling ${this.baseUrl}/api/chat with model: ${this.vlmModelId}`,
+    );
+
+    let response;
+    try {
+      response = await fetch(`${this.baseUrl}/api/chat`, {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({
+          model: this.vlmModelId,
+          messages,
+          stream: false,
+          options: {
+            temperature: this.temperature,
+            top_p: this.topP,
+            num_predict: this.maxTokens,
+          },
+        }),
+        signal: signal
+          ? AbortSignal.any([signal, AbortSignal.timeout(this.timeout)])
+          : AbortSignal.timeout(this.timeout),
+      });
+    } catch (error) {
+      throwIfAborted(signal);
+      throw error;
+    }
+
+    if (!response.ok) {
+      throw httpError(response, await response.text());
+    }
+
+    const data = await response.json();
+    const content = data.message?.content;
+    if (typeof content !== "string") {
+      throw new Error("Invalid API response: missing message content");
+    }
+    return content;
+  }
+}
+
+// Export singleton instance
+export const ollamaService = new OllamaService();
@@ -0,0 +1,366 @@
+/**
+ * OpenAI-Compatible Vision Service
+ * Talks to any server implementing the OpenAI chat completions API (vLLM,
+ * llama.cpp server, LiteLLM, LocalAI, OpenAI itself) and sends images as
+ * standard `image_url` content parts.
+ */
+
+import { RateLimiter, callWithRetry, httpError } from "../utils/work-queue.js";
+import { throwIfAborted } from "../utils/progress.js";
+import { OCR_SYSTEM_PROMPT } from "../utils/vision-prompts.js";
+import {
+  isLikelyVisionModelName,
+  PROBE_IMAGE_DATA_URL,
+} from "../utils/vision-models.js";
+
+// Models probed with a test image when none is recognised by name
+const MAX_PROBED_MODELS = 5;
+
+export class OpenAiCompatibleService {
+  constructor() {
+    this.name = "OpenAiCompatibleService";
+    // Default to a local vLLM server
+    this.baseUrl = (
+      process.env.OPENAI_BASE_URL || "http://localhost:8000/v1"
+    ).replace(/\/+$/, "");
+    this.apiKey = process.env.OPENAI_API_KEY || null;
+    this.timeout = parseInt(process.env.OPENAI_TIMEOUT || "120000");
+    this.maxTokens = parseInt(process.env.OPENAI_MAX_TOKENS || "8192");
+    this.temperature = parseFloat(process.env.OPENAI_TEMPERATURE || "0.2");
+    this.topP = parseFloat(process.env.OPENAI_TOP_P || "0.9");
+    // Model to use; discovered from /models when not set
+    this.vlmModelId = process.env.OPENAI_VISION_MODEL || null;
+    // Vision support per model id, learned from probes
+    this.visionSupport = new Map();
+    // Requests per minute (0 = no limit) and retries on 429/5xx responses
+    this.rateLimiter = new RateLimiter(
+      parseInt(process.env.OPENAI_RATE_LIMIT || "0"),
+    );
+    this.maxRetries = parseInt(process.env.VISION_MAX_RETRIES || "3");
+    this.retryBaseDelay = parseInt(
+      process.env.VISION_RETRY_BASE_DELAY_MS || "1000",
+    );
+  }
+
+  /**
+   * Build request headers, adding the bearer token when an API key is set
+   * @returns {Object} HTTP headers
+   */
+  getHeaders() {
+    return {
+      "Content-Type": "application/json",
+      ...(this.apiKey && { Authorization: `Bearer ${this.apiKey}` }),
+    };
+  }
+
+  /**
+   * Get the models served by the endpoint
+   * @returns {Promise<Array<Object>>} Model entries ({ id, ... })
+   * @throws {Error} When the server cannot be reached or rejects the request
+   */
+  async getModels() {
+    const response = await fetch(`${this.baseUrl}/models`, {
+      method: "GET",
+      headers: this.getHeaders(),
+      signal: AbortSignal.timeout(this.timeout),
+    });
+
+    if (!response.ok) {
+      throw httpError(response, await response.text());
+    }
+
+    const data = await response.json();
+    return Array.isArray(data.data) ? data.data : [];
+  }
+
+  /**
+   * Check whether a model entry declares image input. Most servers do not
+   * report this; some (OpenRouter, LiteLLM) list input modalities.
+   * @param {Object} model - Model entry from /models
+   * @returns {boolean|null} True or false when declared, null when unknown
+   */
+  getDeclaredVisionSupport(model) {
+    const modalities =
+      model.architecture?.input_modalities ||
+      model.input_modalities ||
+      model.modalities;
+    if (Array.isArray(modalities)) {
+      return modalities.includes("image");
+    }
+    if (typeof model.capabilities?.vision === "boolean") {
+      return model.capabilities.vision;
+    }
+    return null;
+  }
+
+  /**
+   * Check whether a model accepts images by sending it a 1x1 test image
+   * @param {string} modelId - Model to probe
+   * @returns {Promise<boolean>} True if the model answered the request
+   */
+  async probeVisionSupport(modelId) {
+    if (this.visionSupport.has(modelId)) {
+      return this.visionSupport.get(modelId);
+    }
+
+    try {
+      await this.sendChatCompletions(
+        [
+          {
+            role: "user",
+            content: [
+              { type: "image_url", image_url: { url: PROBE_IMAGE_DATA_URL } },
+              { type: "text", text: "Reply with OK." },
+            ],
+          },
+        ],
+        undefined,
+        { model: modelId, maxTokens: 1 },
+      );
+      this.visionSupport.set(modelId, true);
+      return true;
+    } catch (error) {
+      console.error(
+        `[OpenAiCompat] Model ${modelId} did not accept the test image: ${error.message}`,
+      );
+      // Only a rejected request tells us the model cannot read images
+      if (error.status >= 400 && error.status < 500) {
+        this.visionSupport.set(modelId, false);
+      }
+      return false;
+    }
+  }
+
+  /**
+   * Find a vision-capable model: declared capabilities first, then model
+   * names, then a probe request with a test image
+   * @returns {Promise<string|null>} Model id, or null when none accepts images
+   */
+  async findVisionModel() {
+    const models = await this.getModels();
+    console.error(
+      `[OpenAiCompat] ${models.length} model(s) at ${this.baseUrl}: ${models.map((m) => m.id).join(", ")}`,
+    );
+
+    const declared = models.filter(
+      (model) => this.getDeclaredVisionSupport(model) === true,
+    );
+    if (declared.length > 0) {
+      return declared[0].id;
+    }
+
+    const undeclared = models.filter(
+      (model) => this.getDeclaredVisionSupport(model) === null,
+    );
+    const byName = undeclared.find((model) =>
+      isLikelyVisionModelName(model.id),
+    );
+    if (byName) {
+      return byName.id;
+    }
+
+    for (const model of undeclared.slice(0, MAX_PROBED_MODELS)) {
+      if (await this.probeVisionSupport(model.id)) {
+        return model.id;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Initialize the service and select a vision model
+   * @returns {Promise<string|null>} Selected model id, or null when the
+   *   server is unreachable or serves no vision model
+   */
+  async initialize() {
+    if (this.vlmModelId) {
+      return this.vlmModelId;
+    }
+
+    try {
+      this.vlmModelId = await this.findVisionModel();
+    } catch (error) {
+      console.error(
+        `[OpenAiCompat] Model discovery failed at ${this.baseUrl}: ${error.message}`,
+      );
+      return null;
+    }
+
+    if (this.vlmModelId) {
+      console.error(`[OpenAiCompat] Selected vision model: ${this.vlmModelId}`);
+    } else {
+      console.error(`[OpenAiCompat] No vision model found at ${this.baseUrl}`);
+    }
+    return this.vlmModelId;
+  }
+
+  /**
+   * Extract text from an image using OCR
+   * @param {string} imageData - Base64 data URL of the image
+   * @param {string} prompt - Optional prompt for extraction guidance
+   * @param {Object} [options] - { signal } to cancel the request
+   * @returns {Promise<Object>} Extraction result
+   */
+  async extractText(
+    imageData,
+    prompt = "Extract all text from this image. Preserve the original formatting and structure as much as possible.",
+    options = {},
+  ) {
+    try {
+      await this.requireModel();
+
+      const result = await this.callChatCompletions(
+        [
+          { role: "system", content: OCR_SYSTEM_PROMPT },
+          {
+            role: "user",
+            content: [
+              { type: "image_url", image_url: { url: imageData } },
+              { type: "text", text: prompt },
+            ],
+          },
+        ],
+        options.signal,
+      );
+
+      return {
+        success: true,
+        text: result,
+        source: "openai-compatible",
+        model: this.vlmModelId,
+      };
+    } catch (error) {
+      return {
+        success: false,
+        error: `OCR extraction failed: ${error.message}`,
+        cancelled: error.name === "AbortError",
+        details: error,
+      };
+    }
+  }
+
+  /**
+   * Analyze an image for general understanding
+   * @param {string} imageData - Base64 data URL of the image
+   * @param {string} prompt - Analysis prompt
+   * @param {Object} [options] - { signal } to cancel the request
+   * @returns {Promise<Object>} Analysis result
+   */
+  async analyzeImage(
+    imageData,
+    prompt = "Describe this image in detail.",
+    options = {},
+  ) {
+    try {
+      await this.requireModel();
+
+      const result = await this.callChatCompletions(
+        [
+          {
+            role: "user",
+            content: [
+              { type: "image_url", image_url: { url: imageData } },
+              { type: "text", text: prompt },
+            ],
+          },
+        ],
+        options.signal,
+      );
+
+      return {
+        success: true,
+        analysis: result,
+        source: "openai-compatible",
+        model: this.vlmModelId,
+      };
+    } catch (error) {
+      return {
+        success: false,
+        error: `Image analysis failed: ${error.message}`,
+        cancelled: error.name === "AbortError",
+        details: error,
+      };
+    }
+  }
+
+  /**
+   * Make sure a vision model is selected before sending a request
+   * @throws {Error} When no vision model is available
+   */
+  async requireModel() {
+    if (!(await this.initialize())) {
+      throw new Error(`No vision models available at ${this.baseUrl}`);
+    }
+  }
+
+  /**
+   * Call the chat completions endpoint within the rate limit, retrying
+   * throttled (429) and failed (5xx) requests with exponential backoff
+   * @param {Array} messages - Messages array for the API
+   * @param {AbortSignal} [signal] - Cancels the request when aborted
+   * @returns {Promise<string>} API response content
+   */
+  async callChatCompletions(messages, signal) {
+    return callWithRetry(
+      () => this.sendChatCompletions(messages, signal),
+      signal,
+      "OpenAiCompat",
+      {
+        rateLimiter: this.rateLimiter,
+        retries: this.maxRetries,
+        baseDelay: this.retryBaseDelay,
+      },
+    );
+  }
+
+  /**
+   * Send one request to the chat completions endpoint
+   * @param {Array} messages - Messages array for the API
+   * @param {AbortSignal} [signal] - Cancels the request when aborted
+   * @param {Object} [overrides] - { model, maxTokens } for probe requests
+   * @returns {Promise<string>} API response content
+   * @throws {Error} With the HTTP status when the server rejects the request
+   */
+  async sendChatCompletions(messages, signal, overrides = {}) {
+    const model = overrides.model || this.vlmModelId;
+    console.error(
+      `[OpenAiCompat] Calling ${this.baseUrl}/chat/completions with model: ${model}`,
+    );
+
+    let response;
+    try {
+      response = await fetch(`${this.baseUrl}/chat/completions`, {
+        method: "POST",
+        headers: this.getHeaders(),
+        body: JSON.stringify({
+          model,
+          messages,
+          stream: false,
+          temperature: this.temperature,
+          top_p: this.topP,
+          max_tokens: overrides.maxTokens || this.maxTokens,
+        }),
+        signal: signal
+          ? AbortSignal.any([signal, AbortSignal.timeout(this.timeout)])
+          : AbortSignal.timeout(this.timeout),
+      });
+    } catch (error) {
+      throwIfAborted(signal);
+      throw error;
+    }
+
+    if (!response.ok) {
+      throw httpError(response, await response.text());
+    }
+
+    const data = await response.json();
+    const content = data.choices?.[0]?.message?.content;
+    if (typeof content !== "string") {
+      throw new Error("Invalid API response: missing content");
+    }
+    return content;
+  }
+}
+
+// Export singleton instance
+export const openAiCompatibleService = new OpenAiCompatibleService();
@@ -0,0 +1,257 @@
+import fs from "fs";
+import path from "path";
+import v8 from "v8";
+import crypto from "crypto";
+import { log } from "../utils/logger.js";
+
+// Bump when the shape of cached parse results changes so stale entries are ignored
+const CACHE_FORMAT_VERSION = 14;
+
+/**
+ * Parse Cache Service
+ * Caches parser results keyed by file content hash and parse options, plus
+ * individual OCR results keyed by image hash, prompt and vision provider.
+ *
+ * Entries live in an in-memory LRU bounded by entry count and by the total
+ * serialized size of the entries, since parse results carry base64 images and
+ * page screenshots. When PARSE_CACHE_DIR is set they are also
+ * persisted to disk (v8-serialized, so Dates and Buffers survive) and survive
+ * server restarts. Callers pass { persist: false } for content that must not
+ * reach the disk, such as text decrypted from a password-protected PDF.
+ *
+ * Environment variables:
+ * - PARSE_CACHE_ENABLED: set to "false" to disable caching (default: enabled)
+ * - PARSE_CACHE_MAX_ENTRIES: in-memory LRU size (default: 50)
+ * - PARSE_CACHE_MAX_BYTES: in-memory size budget in bytes (default: 100 MB)
+ * - PARSE_CACHE_DIR: directory for on-disk persistence (default: memory only)
+ *
+ * Cached values are shared between callers and must be treated as read-only.
+ */
+export class ParseCache {
+  constructor() {
+    this.name = "ParseCache";
+    this.enabled = process.env.PARSE_CACHE_ENABLED !== "false";
+    this.maxEntries = parseInt(process.env.PARSE_CACHE_MAX_ENTRIES || "50");
+    this.maxBytes = parseInt(
+      process.env.PARSE_CACHE_MAX_BYTES || `${100 * 1024 * 1024}`,
+    );
+    this.cacheDir = process.env.PARSE_CACHE_DIR
+      ? path.resolve(process.env.PARSE_CACHE_DIR)
+      : null;
+    // key -> { value, size }, ordered from least to most recently used
+    this.entries = new Map();
+    // Serialized size of all in-memory entries
+    this.totalBytes = 0;
+    this.stats = { hits: 0, diskHits: 0, misses: 0, writes: 0 };
+  }
+
+  /**
+   * Hash arbitrary content with SHA-256
+   * @param {string|Buffer} content - Content to hash
+   * @returns {string} Hex digest
+   */
+  hash(content) {
+    return crypto.createHash("sha256").update(content).digest("hex");
+  }
+
+  /**
+   * Hash the contents of a file
+   * @param {string} filePath - Path to the file
+   * @returns {Promise<string>} Hex digest of the file contents
+   */
+  async hashFile(filePath) {
+    return this.hash(await fs.promises.readFile(filePath));
+  }
+
+  /**
+   * Build the cache key for a parse result
+   * @param {string} contentHash - Hash of the file contents
+   * @param {Object} options - Options that influence the parse result
+   * @returns {string} Cache key
+   */
+  buildParseKey(contentHash, options = {}) {
+    return `parse-${this.hash(
+      JSON.stringify({ v: CACHE_FORMAT_VERSION, contentHash, options }),
+    )}`;
+  }
+
+  /**
+   * Build the cache key for an OCR result
+   * @param {string} imageData - Image data (data URL or base64)
+   * @param {string} prompt - Prompt sent to the vision model
+   * @param {string} provider - Vision provider name
+   * @returns {string} Cache key
+   */
+  buildOcrKey(imageData, prompt, provider) {
+    return `ocr-${this.hash(
+      JSON.stringify({
+        v: CACHE_FORMAT_VERSION,
+        image: this.hash(imageData),
+        prompt,
+        provider,
+      }),
+    )}`;
+  }
+
+  /**
+   * Look up a cached value
+   * @param {string} key - Cache key
+   * @returns {Promise<*>} Cached value or undefined
+   */
+  async get(key) {
+    if (!this.enabled) {
+      return undefined;
+    }
+
+    if (this.entries.has(key)) {
+      const entry = this.entries.get(key);
+      // Move to the most recently used position
+      this.entries.delete(key);
+      this.entries.set(key, entry);
+      this.stats.hits++;
+      return entry.value;
+    }
+
+    if (this.cacheDir) {
+      try {
+        const buffer = await fs.promises.readFile(this.getDiskPath(key));
+        const value = v8.deserialize(buffer);
+        this.remember(key, value, buffer.length);
+        this.stats.diskHits++;
+        return value;
+      } catch (error) {
+        if (error.code !== "ENOENT") {
+          log("warn", "Ignoring unreadable parse cache entry:", {
+            key,
+            error: error.message,
+          });
+        }
+      }
+    }
+
+    this.stats.misses++;
+    return undefined;
+  }
+
+  /**
+   * Store a value
+   * @param {string} key - Cache key
+   * @param {*} value - Value to cache (must be v8-serializable)
+   * @param {Object} [options] - { persist } set persist to false to keep the
+   *   value in memory only
+   */
+  async set(key, value, options = {}) {
+    if (!this.enabled) {
+      return;
+    }
+
+    // The serialized form doubles as the size estimate for the memory budget
+    let serialized;
+    try {
+      serialized = v8.serialize(value);
+    } catch (error) {
+      log("warn", "Not caching a value that cannot be serialized:", {
+        key,
+        error: error.message,
+      });
+      return;
+    }
+    this.remember(key, value, serialized.length);
+    this.stats.writes++;
+
+    if (this.cacheDir && options.persist !== false) {
+      try {
+        await fs.promises.mkdir(this.cacheDir, { recursive: true });
+        // Write to a temporary file first so readers never see a partial entry
+        const target = this.getDiskPath(key);
+        const temp = `${target}.${process.pid}.tmp`;
+        await fs.promises.writeFile(temp, serialized);
+        await fs.promises.rename(temp, target);
+      } catch (error) {
+        log("warn", "Failed to persist parse cache entry:", {
+          key,
+          error: error.message,
+        });
+      }
+    }
+  }
+
+  /**
+   * Return a cached value or compute and cache it
+   * @param {string} key - Cache key
+   * @param {Function} compute - Async function producing the value
+   * @param {Function} [shouldCache] - Predicate deciding whether a computed value is cached
+   * @param {Object} [options] - { persist } passed on to set()
+   * @returns {Promise<Object>} { value, cached }
+   */
+  async getOrCompute(key, compute, shouldCache = () => true, options = {}) {
+    const cachedValue = await this.get(key);
+    if (cachedValue !== undefined) {
+      return { value: cachedValue, cached: true };
+    }
+
+    const value = await compute();
+    if (shouldCache(value)) {
+      await this.set(key, value, options);
+    }
+    return { value, cached: false };
+  }
+
+  /**
+   * Add an entry to the in-memory LRU, evicting the oldest entries when the
+   * entry count or byte budget is exceeded. An entry larger than the whole
+   * budget is not kept in memory (it can still be read back from disk).
+   * @param {string} key - Cache key
+   * @param {*} value - Value to keep
+   * @param {number} size - Estimated size in bytes
+   */
+  remember(key, value, size) {
+    this.forget(key);
+    if (size > this.maxBytes) {
+      log("info", "Parse cache entry exceeds the memory budget, not kept:", {
+        key,
+        size,
+      });
+      return;
+    }
+
+    this.entries.set(key, { value, size });
+    this.totalBytes += size;
+
+    while (
+      this.entries.size > Math.max(1, this.maxEntries) ||
+      this.totalBytes > this.maxBytes
+    ) {
+      this.forget(this.entries.keys().next().value);
+    }
+  }
+
+  /**
+   * Drop an in-memory entry
+   */
+  forget(key) {
+    const entry = this.entries.get(key);
+    if (entry) {
+      this.entries.delete(key);
+      this.totalBytes -= entry.size;
+    }
+  }
+
+  /**
+   * Remove every in-memory entry (disk entries are kept)
+   */
+  clear() {
+    this.entries.clear();
+    this.totalBytes = 0;
+  }
+
+  /**
+   * Get the on-disk path for a cache key
+   */
+  getDiskPath(key) {
+    return path.join(this.cacheDir, `${key}.bin`);
+  }
+}
+
+// Export singleton instance
+export const parseCache = new ParseCache();
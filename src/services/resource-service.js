@@ -0,0 +1,463 @@
+import fs from "fs";
+import path from "path";
+import { McpError, ErrorCode } from "@modelcontextprotocol/sdk/types.js";
+import { documentProcessor } from "./document-processor.js";
+import { log, logFunctionCall } from "../utils/logger.js";
+
+// MCP error code for "resource not found" (see MCP resources specification)
+const RESOURCE_NOT_FOUND = -32002;
+
+// Matches doc://{path}/{kind}[/{index}] where {path} is a percent-encoded file path
+const DOC_URI_PATTERN =
+  /^doc:\/\/([^/]+)\/(text|page|images|tables|attachments)(?:\/(\d+))?$/;
+
+// Parsed documents kept for repeated slice reads (each read usually targets
+// one page or item of the same document)
+const MAX_LOADED_DOCUMENTS = 4;
+
+/**
+ * Resource Service
+ * Exposes parsed documents as MCP resources so clients can read only the slice
+ * they need (full text, a single page, one image, one table or one attachment).
+ *
+ * URI scheme (the file path is percent-encoded into a single segment):
+ * - doc://{path}/text        Full extracted text
+ * - doc://{path}/page/{n}    Text of page n (1-based); section n for DOCX, sheet n for Excel
+ * - doc://{path}/images/{i}  Embedded image i (0-based), returned as a blob
+ * - doc://{path}/tables/{i}  Extracted table i (0-based), returned as JSON
+ * - doc://{path}/attachments/{i}  Embedded file i (0-based) of a PDF, returned as a blob
+ *
+ * Subscriptions poll the file on disk and invoke the subscriber's notify callback
+ * with the subscribed URI whenever the file's modification time or size changes.
+ */
+export class ResourceService {
+  constructor() {
+    this.name = "ResourceService";
+    this.pollInterval = parseInt(process.env.RESOURCE_WATCH_INTERVAL || "1000");
+    // uri -> Set of notify callbacks
+    this.subscriptions = new Map();
+    // filePath -> listener registered with fs.watchFile
+    this.watchers = new Map();
+    // Documents that have been read or subscribed to during this session
+    this.knownDocuments = new Set();
+    // filePath -> { mtimeMs, size, promise } of the in-depth processing result,
+    // ordered from least to most recently read
+    this.loadedDocuments = new Map();
+  }
+
+  /**
+   * Build a resource URI for a document slice
+   * @param {string} filePath - Absolute path to the document
+   * @param {string} kind - One of text, page, images, tables, attachments
+   * @param {number} [index] - Page number or item index
+   * @returns {string} Resource URI
+   */
+  buildUri(filePath, kind, index) {
+    const base = `doc://${encodeURIComponent(filePath)}/${kind}`;
+    return index === undefined ? base : `${base}/${index}`;
+  }
+
+  /**
+   * Parse a doc:// resource URI
+   * @param {string} uri - Resource URI
+   * @returns {Object} { filePath, kind, index }
+   * @throws {McpError} If the URI is malformed
+   */
+  parseUri(uri) {
+    const match = DOC_URI_PATTERN.exec(uri || "");
+    if (!match) {
+      throw new McpError(
+        ErrorCode.InvalidParams,
+        `Invalid document resource URI: ${uri}`,
+      );
+    }
+
+    const [, encodedPath, kind, index] = match;
+    if (kind !== "text" && index === undefined) {
+      throw new McpError(
+        ErrorCode.InvalidParams,
+        `Resource URI is missing an index: ${uri}`,
+      );
+    }
+
+    let filePath;
+    try {
+      filePath = path.resolve(decodeURIComponent(encodedPath));
+    } catch (error) {
+      throw new McpError(
+        ErrorCode.InvalidParams,
+        `Invalid path encoding in resource URI: ${uri}`,
+      );
+    }
+
+    return {
+      filePath,
+      kind,
+      index: index === undefined ? null : parseInt(index, 10),
+    };
+  }
+
+  /**
+   * Get the resource templates advertised to clients
+   * @returns {Array} MCP resource templates
+   */
+  listTemplates() {
+    return [
+      {
+        uriTemplate: "doc://{path}/text",
+        name: "Document text",
+        description:
+          "Full extracted text of a document. {path} is the percent-encoded local file path.",
+        mimeType: "text/plain",
+      },
+      {
+        uriTemplate: "doc://{path}/page/{n}",
+        name: "Document page",
+        description:
+          "Text of a single page (1-based) of a document. For DOCX files this is section n, for Excel workbooks sheet n, for PowerPoint decks slide n.",
+        mimeType: "text/plain",
+      },
+      {
+        uriTemplate: "doc://{path}/images/{i}",
+        name: "Document image",
+        description:
+          "Embedded image (0-based index) extracted from a document, returned as binary data.",
+      },
+      {
+        uriTemplate: "doc://{path}/tables/{i}",
+        name: "Document table",
+        description:
+          "Extracted table (0-based index) from a document, returned as JSON.",
+        mimeType: "application/json",
+      },
+      {
+        uriTemplate: "doc://{path}/attachments/{i}",
+        name: "Document attachment",
+        description:
+          "File embedded in a PDF (0-based index), such as the XML of a ZUGFeRD or Factur-X invoice, returned as binary data.",
+      },
+    ];
+  }
+
+  /**
+   * List concrete resources for documents seen during this session
+   * @returns {Array} MCP resources
+   */
+  listResources() {
+    return [...this.knownDocuments]
+      .filter((filePath) => fs.existsSync(filePath))
+      .map((filePath) => ({
+        uri: this.buildUri(filePath, "text"),
+        name: path.basename(filePath),
+        description: `Extracted text of ${filePath}`,
+        mimeType: "text/plain",
+      }));
+  }
+
+  /**
+   * Read a document resource
+   * @param {string} uri - Resource URI
+   * @returns {Promise<Object>} MCP read resource result ({ contents })
+   * @throws {McpError} If the URI is invalid or the resource does not exist
+   */
+  async readResource(uri) {
+    logFunctionCall("readResource", { uri });
+    const { filePath, kind, index } = this.parseUri(uri);
+
+    if (!fs.existsSync(filePath)) {
+      throw new McpError(RESOURCE_NOT_FOUND, `File not found: ${filePath}`, {
+        uri,
+      });
+    }
+
+    const result = await this.loadDocument(filePath);
+    if (!result.success) {
+      throw this.documentError(uri, result);
+    }
+
+    this.knownDocuments.add(filePath);
+
+    switch (kind) {
+      case "text":
+        return {
+          contents: [{ uri, mimeType: "text/plain", text: result.text || "" }],
+        };
+
+      case "page": {
+        // Pages for PDF, sections for DOCX, sheets for Excel
+        const segments = result.segments || [];
+        const unit = result.segmentUnit || "page";
+        if (segments.length === 0) {
+          throw new McpError(
+            RESOURCE_NOT_FOUND,
+            "Page-level access is not available for this document type",
+            { uri },
+          );
+        }
+
+        const segment = segments.find((item) => item.number === index);
+        if (!segment) {
+          throw new McpError(
+            RESOURCE_NOT_FOUND,
+            `${unit} ${index} not found (document has ${segments.length} ${unit}s)`,
+            { uri },
+          );
+        }
+        return {
+          contents: [{ uri, mimeType: "text/plain", text: segment.text }],
+        };
+      }
+
+      case "images": {
+        const image = (result.images || [])[index];
+        if (!image || !image.data) {
+          throw new McpError(RESOURCE_NOT_FOUND, `Image ${index} not found`, {
+            uri,
+          });
+        }
+
+        const match = /^data:([^;]+);base64,(.*)$/s.exec(image.data);
+        return {
+          contents: [
+            {
+              uri,
+              mimeType: match ? match[1] : image.mimeType || "image/jpeg",
+              blob: match ? match[2] : image.data,
+            },
+          ],
+        };
+      }
+
+      case "tables": {
+        const table = (result.tables || [])[index];
+        if (!table) {
+          throw new McpError(RESOURCE_NOT_FOUND, `Table ${index} not found`, {
+            uri,
+          });
+        }
+        return {
+          contents: [
+            {
+              uri,
+              mimeType: "application/json",
+              text: JSON.stringify(table, null, 2),
+            },
+          ],
+        };
+      }
+
+      case "attachments": {
+        const attachment = (result.attachments || [])[index];
+        if (!attachment || !attachment.data) {
+          throw new McpError(
+            RESOURCE_NOT_FOUND,
+            `Attachment ${index} not found`,
+            { uri },
+          );
+        }
+        return {
+          contents: [
+            {
+              uri,
+              mimeType: attachment.mimeType || "application/octet-stream",
+              blob: attachment.data,
+            },
+          ],
+        };
+      }
+
+      default:
+        throw new McpError(
+          ErrorCode.InvalidParams,
+          `Unsupported resource kind: ${kind}`,
+        );
+    }
+  }
+
+  /**
+   * Build the error for a document that could not be processed. Failures with
+   * a machine-readable errorCode carry it in the message and the error data.
+   * Resource reads take no password, so encrypted PDFs point to the tools.
+   * @param {string} uri - Resource URI
+   * @param {Object} result - Failed processing result
+   * @returns {McpError} Internal error with data { uri, errorCode? }
+   */
+  documentError(uri, result) {
+    const message = result.error || "Failed to process document";
+    if (!result.errorCode) {
+      return new McpError(ErrorCode.InternalError, message, { uri });
+    }
+
+    const hint = result.errorCode.startsWith("PDF_PASSWORD_")
+      ? " Resources cannot take a password; read encrypted PDFs with get-doc-summary or get-doc-indepth and their 'password' parameter."
+      : "";
+    return new McpError(
+      ErrorCode.InternalError,
+      `[${result.errorCode}] ${message}${hint}`,
+      { uri, errorCode: result.errorCode },
+    );
+  }
+
+  /**
+   * Process a document once and reuse the result for later reads until the
+   * file's modification time or size changes
+   * @param {string} filePath - Absolute path to the document
+   * @returns {Promise<Object>} In-depth processing result
+   */
+  async loadDocument(filePath) {
+    const { mtimeMs, size } = fs.statSync(filePath);
+    const loaded = this.loadedDocuments.get(filePath);
+    this.loadedDocuments.delete(filePath);
+
+    if (loaded && loaded.mtimeMs === mtimeMs && loaded.size === size) {
+      this.loadedDocuments.set(filePath, loaded);
+      return loaded.promise;
+    }
+
+    const promise = documentProcessor
+      .processDocument(filePath, "indepth")
+      .catch((error) => ({ success: false, error: error.message }));
+    const entry = { mtimeMs, size, promise };
+    this.loadedDocuments.set(filePath, entry);
+    while (this.loadedDocuments.size > MAX_LOADED_DOCUMENTS) {
+      this.loadedDocuments.delete(this.loadedDocuments.keys().next().value);
+    }
+
+    // Failures are not kept, so the next read tries again
+    const result = await promise;
+    if (!result.success && this.loadedDocuments.get(filePath) === entry) {
+      this.loadedDocuments.delete(filePath);
+    }
+    return result;
+  }
+
+  /**
+   * Subscribe to update notifications for a resource
+   * @param {string} uri - Resource URI
+   * @param {Function} notify - Called with the URI when the underlying file changes
+   */
+  subscribe(uri, notify) {
+    const { filePath } = this.parseUri(uri);
+
+    if (!this.subscriptions.has(uri)) {
+      this.subscriptions.set(uri, new Set());
+    }
+    this.subscriptions.get(uri).add(notify);
+    this.knownDocuments.add(filePath);
+
+    this.watchFile(filePath);
+    log("info", "Resource subscription added:", { uri, filePath });
+  }
+
+  /**
+   * Remove a subscription for a resource
+   * @param {string} uri - Resource URI
+   * @param {Function} [notify] - Callback to remove; removes all when omitted
+   */
+  unsubscribe(uri, notify) {
+    const subscribers = this.subscriptions.get(uri);
+    if (!subscribers) {
+      return;
+    }
+
+    if (notify) {
+      subscribers.delete(notify);
+    } else {
+      subscribers.clear();
+    }
+
+    if (subscribers.size === 0) {
+      this.subscriptions.delete(uri);
+    }
+
+    const { filePath } = this.parseUri(uri);
+    if (!this.hasSubscriptionsForFile(filePath)) {
+      this.unwatchFile(filePath);
+    }
+    log("info", "Resource subscription removed:", { uri });
+  }
+
+  /**
+   * Remove every subscription registered with a notify callback
+   * (used when a client session closes)
+   * @param {Function} notify - Callback to remove
+   */
+  unsubscribeAll(notify) {
+    for (const [uri, subscribers] of [...this.subscriptions]) {
+      if (subscribers.has(notify)) {
+        this.unsubscribe(uri, notify);
+      }
+    }
+  }
+
+  /**
+   * Check whether any subscribed URI refers to the given file
+   */
+  hasSubscriptionsForFile(filePath) {
+    for (const uri of this.subscriptions.keys()) {
+      if (this.parseUri(uri).filePath === filePath) {
+        return true;
+      }
+    }
+    return false;
+  }
+
+  /**
+   * Start polling a file for changes
+   */
+  watchFile(filePath) {
+    if (this.watchers.has(filePath)) {
+      return;
+    }
+
+    const listener = (current, previous) => {
+      if (
+        current.mtimeMs === previous.mtimeMs &&
+        current.size === previous.size
+      ) {
+        return;
+      }
+      log("info", "Watched document changed on disk:", { filePath });
+      this.notifySubscribers(filePath);
+    };
+
+    fs.watchFile(filePath, { interval: this.pollInterval }, listener);
+    this.watchers.set(filePath, listener);
+  }
+
+  /**
+   * Stop polling a file for changes
+   */
+  unwatchFile(filePath) {
+    const listener = this.watchers.get(filePath);
+    if (listener) {
+      fs.unwatchFile(filePath, listener);
+      this.watchers.delete(filePath);
+    }
+  }
+
+  /**
+   * Notify every subscriber of resources that belong to a file
+   */
+  notifySubscribers(filePath) {
+    for (const [uri, subscribers] of this.subscriptions) {
+      if (this.parseUri(uri).filePath !== filePath) {
+        continue;
+      }
+
+      for (const notify of subscribers) {
+        Promise.resolve()
+          .then(() => notify(uri))
+          .catch((error) => {
+            log("warn", "Failed to send resource update notification:", {
+              uri,
+              error: error.message,
+            });
+          });
+      }
+    }
+  }
+}
+
+// Export singleton instance
+export const resourceService = new ResourceService();
@@ -1,6 +1,7 @@
 import fs from "fs";
 import { PDFParse } from "pdf-parse";
 import { visionService } from "./vision-factory.js";
+import { noopProgress } from "../utils/progress.js";
 
 /**
  * Table Extractor
@@ -162,8 +163,9 @@ export class TableExtractor {
 
   /**
    * Extract table content using AI
+   * @param {Object} [options] - { signal } to cancel the request
    */
-  async extractTableContent(tableContent, tableType) {
+  async extractTableContent(tableContent, tableType, options = {}) {
     console.error(`[TableExtractor] Extracting ${tableType} table content...`);
 
     const prompt = `Extract this table from the document and format it as a markdown table.
@@ -183,7 +185,11 @@ Instructions:
 Return only the markdown table with no additional text.`;
 
     try {
-      const result = await visionService.extractText(tableContent, prompt);
+      const result = await visionService.extractText(
+        tableContent,
+        prompt,
+        options,
+      );
 
       // Validate the output is a proper table
       if (!result || result.trim().length === 0) {
@@ -227,27 +233,57 @@ Return only the markdown table with no additional text.`;
 
   /**
    * Extract tables from PDF document
+   * @param {string} filePath - Path to the PDF file
+   * @param {Object} [options] - Extraction options
+   * @param {Object} [options.progress] - Reporter for progress and cancellation
+   * @param {Object} [options.textResult] - Text already extracted with PDFParse.getText()
+   * @param {Object} [options.imageResult] - Images already extracted with PDFParse.getImage()
    */
-  async extractTablesFromPdf(filePath) {
+  async extractTablesFromPdf(filePath, options = {}) {
     console.error(`[TableExtractor] Extracting tables from PDF: ${filePath}`);
+    const progress = options.progress || noopProgress;
+    const visionOptions = { signal: progress.signal };
+    let parser = null;
 
     try {
-      // Read PDF file
-      const dataBuffer = fs.readFileSync(filePath);
-      const parser = new PDFParse({ data: dataBuffer });
-
-      // Extract text and images
-      const textResult = await parser.getText();
-      const imageResult = await parser.getImage({ imageThreshold: 0 });
+      let { textResult, imageResult } = options;
+
+      // Only open the PDF when the caller did not provide extracted content
+      if (!textResult || !imageResult) {
+        const dataBuffer = fs.readFileSync(filePath);
+        parser = new PDFParse({ data: dataBuffer });
+        textResult = await parser.getText();
+        imageResult = await parser.getImage({ imageThreshold: 0 });
+      }
 
       // Extract tables from text
       const textTables = this.detectTablesInText(textResult.text || "");
+      const simpleTableTypes = [
+        "markdown",
+        "tab-separated",
+        "header-separator",
+      ];
+      const maxImagesToProcess = 5; // Limit number of images to process to avoid timeouts
+
+      // Announce one progress step per AI extraction
+      const candidateImages = (imageResult.pages || []).reduce(
+        (count, page) =>
+          count +
+          (page.images || []).filter(
+            (image) => image.data && image.data.length > 1000,
+          ).length,
+        0,
+      );
+      progress.addSteps(
+        Math.min(candidateImages, maxImagesToProcess) +
+          textTables.filter((table) => !simpleTableTypes.includes(table.type))
+            .length,
+      );
 
       // Extract tables from images (if any)
       const imageTables = [];
       if (imageResult.pages && imageResult.pages.length > 0) {
         let imagesProcessed = 0;
-        const maxImagesToProcess = 5; // Limit number of images to process to avoid timeouts
 
         for (let i = 0; i < imageResult.pages.length; i++) {
           const page = imageResult.pages[i];
@@ -262,13 +298,18 @@ Return only the markdown table with no additional text.`;
 
               if (image.data && image.data.length > 1000) {
                 // Only process non-trivial images
+                progress.throwIfAborted();
                 try {
                   imagesProcessed++;
                   const tablePrompt = `Extract any tables from this image. Use markdown format with | for columns and --- for header separator.
 Do NOT extract non-table content. Only return the table in markdown format.`;
 
                   const tableResult = await this.withTimeout(
-                    visionService.extractText(image.data, tablePrompt),
+                    visionService.extractText(
+                      image.data,
+                      tablePrompt,
+                      visionOptions,
+                    ),
                     this.timeout,
                     `Image table extraction timeout (${this.timeout}ms) - page ${i + 1}, image ${imagesProcessed}`,
                   );
@@ -287,6 +328,9 @@ Do NOT extract non-table content. Only return the table in markdown format.`;
                   );
                   // Continue with other images
                 }
+                await progress.step(
+                  `Checked image ${imagesProcessed} on page ${i + 1} for tables`,
+                );
               }
             }
           }
@@ -298,9 +342,7 @@ Do NOT extract non-table content. Only return the table in markdown format.`;
 
       // Add text-based tables (skip AI extraction for simple text tables)
       for (const table of textTables) {
-        if (
-          ["markdown", "tab-separated", "header-separator"].includes(table.type)
-        ) {
+        if (simpleTableTypes.includes(table.type)) {
           // Simple text-based table - use direct content without AI extraction
           console.log(
             `[TableExtractor] Using direct extraction for ${table.type} table (skipping AI)`,
@@ -313,11 +355,13 @@ Do NOT extract non-table content. Only return the table in markdown format.`;
           });
         } else {
           // Complex table - use AI extraction
+          progress.throwIfAborted();
           const extracted = await this.withTimeout(
-            this.extractTableContent(table.content, table.type),
+            this.extractTableContent(table.content, table.type, visionOptions),
             this.timeout,
             `Text table extraction timeout (${this.timeout}ms)`,
           );
+          await progress.step(`Extracted ${table.type} table`);
           if (extracted) {
             allTables.push({
               ...table,
@@ -342,7 +386,9 @@ Do NOT extract non-table content. Only return the table in markdown format.`;
       }
 
       // Clean up parser
-      await parser.destroy();
+      if (parser) {
+        await parser.destroy();
+      }
 
       console.error(
         `[TableExtractor] Extracted ${allTables.length} tables from PDF`,
@@ -0,0 +1,213 @@
+/**
+ * Tesseract OCR Service
+ * Local OCR engine based on tesseract.js that needs no vision model or
+ * network access. English language data ships with the package, so scanned
+ * documents can be read on air-gapped machines.
+ */
+
+import { throwIfAborted } from "../utils/progress.js";
+
+export class TesseractService {
+  constructor() {
+    this.name = "TesseractService";
+    // Languages to recognise, joined with "+" (e.g. "eng+deu")
+    this.languages = process.env.TESSERACT_LANGS || "eng";
+    // Directory with <lang>.traineddata files for languages beyond English
+    this.langPath = process.env.TESSERACT_LANG_PATH || null;
+    // The worker holds the language model in memory; free it when idle
+    this.idleTimeout = parseInt(process.env.TESSERACT_IDLE_TIMEOUT || "60000");
+    this.workerPromise = null;
+    this.activeJobs = 0;
+    this.idleTimer = null;
+  }
+
+  /**
+   * Check if tesseract.js is installed
+   * @returns {Promise<boolean>} True if the engine can be loaded
+   */
+  async isAvailable() {
+    try {
+      await import("tesseract.js");
+      return true;
+    } catch {
+      return false;
+    }
+  }
+
+  /**
+   * Initialize the service by starting the OCR worker
+   * @returns {Promise<boolean>} True if the engine is ready
+   */
+  async initialize() {
+    try {
+      await this.getWorker();
+      if (this.activeJobs === 0) {
+        this.scheduleIdleShutdown();
+      }
+      console.error(
+        `[Tesseract] Service initialized (languages: ${this.languages})`,
+      );
+      return true;
+    } catch (error) {
+      console.error(`[Tesseract] Service not initialized: ${error.message}`);
+      return false;
+    }
+  }
+
+  /**
+   * Extract text from an image using OCR. Tesseract reads the image as-is,
+   * so the prompt used to guide vision models is ignored.
+   * @param {string} imageData - Base64 data URL of the image
+   * @param {string} prompt - Unused, kept for interface compatibility
+   * @param {Object} [options] - { signal } to cancel the request
+   * @returns {Promise<Object>} Extraction result
+   */
+  async extractText(imageData, prompt, options = {}) {
+    if (typeof imageData !== "string" || !imageData.startsWith("data:image/")) {
+      return {
+        success: false,
+        error: "Local OCR can only read images (expected a data:image/ URL)",
+        unsupported: true,
+      };
+    }
+
+    this.activeJobs++;
+    clearTimeout(this.idleTimer);
+    try {
+      throwIfAborted(options.signal);
+      const worker = await this.getWorker();
+      const { data } = await worker.recognize(imageData);
+      throwIfAborted(options.signal);
+
+      return {
+        success: true,
+        text: data.text.trim(),
+        confidence: data.confidence,
+        source: "tesseract",
+        model: `tesseract (${this.languages})`,
+      };
+    } catch (error) {
+      return {
+        success: false,
+        error: `OCR extraction failed: ${error.message}`,
+        cancelled: error.name === "AbortError",
+        details: error,
+      };
+    } finally {
+      this.activeJobs--;
+      if (this.activeJobs === 0) {
+        this.scheduleIdleShutdown();
+      }
+    }
+  }
+
+  /**
+   * Analyze an image. Without a vision model the only thing the engine can
+   * report is the text it recognises.
+   * @param {string} imageData - Base64 data URL of the image
+   * @param {string} prompt - Unused, kept for interface compatibility
+   * @param {Object} [options] - { signal } to cancel the request
+   * @returns {Promise<Object>} Analysis result
+   */
+  async analyzeImage(imageData, prompt, options = {}) {
+    const result = await this.extractText(imageData, prompt, options);
+    if (!result.success) {
+      return result;
+    }
+    return {
+      success: true,
+      analysis: result.text,
+      source: result.source,
+      model: result.model,
+    };
+  }
+
+  /**
+   * Get the shared OCR worker, starting it on first use
+   * @returns {Promise<Object>} tesseract.js worker
+   */
+  getWorker() {
+    if (!this.workerPromise) {
+      this.workerPromise = this.createWorker().catch((error) => {
+        this.workerPromise = null;
+        throw error;
+      });
+    }
+    return this.workerPromise;
+  }
+
+  /**
+   * Start a tesseract.js worker with local language data
+   * @returns {Promise<Object>} tesseract.js worker
+   */
+  async createWorker() {
+    let tesseract;
+    try {
+      tesseract = await import("tesseract.js");
+    } catch {
+      throw new Error(
+        "tesseract.js is not installed. Run npm install to enable local OCR.",
+      );
+    }
+
+    const languageData = this.langPath
+      ? { langPath: this.langPath, gzip: false }
+      : await this.getBundledLanguageData();
+
+    console.error(
+      `[Tesseract] Starting OCR worker (languages: ${this.languages})`,
+    );
+    return tesseract.createWorker(this.languages.split("+"), undefined, {
+      ...languageData,
+      // Language data is read from disk; never write a copy into the cwd
+      cacheMethod: "none",
+    });
+  }
+
+  /**
+   * Locate the English language data bundled with @tesseract.js-data/eng
+   * @returns {Promise<Object>} { langPath, gzip }, or {} to let tesseract.js
+   *   download the data when the package is missing
+   */
+  async getBundledLanguageData() {
+    try {
+      const { default: eng } = await import("@tesseract.js-data/eng");
+      return { langPath: eng.langPath, gzip: eng.gzip };
+    } catch {
+      console.error(
+        "[Tesseract] Bundled language data not found, tesseract.js will download it",
+      );
+      return {};
+    }
+  }
+
+  /**
+   * Terminate the worker once no OCR request has arrived for a while
+   */
+  scheduleIdleShutdown() {
+    clearTimeout(this.idleTimer);
+    this.idleTimer = setTimeout(() => this.terminate(), this.idleTimeout);
+    this.idleTimer.unref();
+  }
+
+  /**
+   * Stop the OCR worker and release its memory
+   * @returns {Promise<void>}
+   */
+  async terminate() {
+    clearTimeout(this.idleTimer);
+    const workerPromise = this.workerPromise;
+    this.workerPromise = null;
+    if (workerPromise) {
+      try {
+        await (await workerPromise).terminate();
+        console.error("[Tesseract] OCR worker stopped");
+      } catch {
+        // Worker failed to start; nothing to stop
+      }
+    }
+  }
+}
+
+// Export singleton instance
+export const tesseractService = new TesseractService();
@@ -1,5 +1,34 @@
 import { zaiVisionService } from "./zai-vision.js";
 import { lmStudioService } from "./lm-studio-service.js";
+import { tesseractService } from "./tesseract-service.js";
+import { openAiCompatibleService } from "./openai-compatible-service.js";
+import { ollamaService } from "./ollama-service.js";
+import { CircuitBreaker } from "../utils/circuit-breaker.js";
+
+// Accepted spellings of each provider in VISION_PROVIDER and VISION_PROVIDERS
+const PROVIDER_ALIASES = {
+  zai: ["zai", "z.ai", "zai-vision"],
+  "lm-studio": ["lm-studio", "lmstudio", "local"],
+  openai: ["openai", "openai-compatible", "vllm"],
+  ollama: ["ollama"],
+  tesseract: ["tesseract", "tesseract.js", "local-ocr"],
+};
+
+const PROVIDER_SERVICES = {
+  zai: zaiVisionService,
+  "lm-studio": lmStudioService,
+  openai: openAiCompatibleService,
+  ollama: ollamaService,
+  tesseract: tesseractService,
+};
+
+// Vision model providers, in the order they back each other up by default.
+// The OpenAI-compatible and Ollama providers join the chain only when
+// selected, so documents never go to an unexpected endpoint.
+const MODEL_PROVIDERS = ["zai", "lm-studio"];
+
+// Number of recent request durations kept per provider for latency stats
+const LATENCY_WINDOW = 50;
 
 /**
  * Vision Factory
@@ -7,25 +36,61 @@ import { lmStudioService } from "./lm-studio-service.js";
  * Selects appropriate vision service (OCR/Image Analysis) based on configuration.
  *
  * Configuration:
- * - VISION_PROVIDER: "zai" or "lm-studio" (default: lm-studio)
+ * - VISION_PROVIDER: "zai", "lm-studio", "openai", "ollama" or "tesseract"
+ *   (default: lm-studio)
+ * - VISION_PROVIDERS: Ordered, comma-separated provider chain
+ *   (e.g. "zai,lm-studio,tesseract"); overrides the default chain
  *
  * The service can be explicitly selected via VISION_PROVIDER environment variable.
  * If not specified, it attempts to intelligently guess based on available credentials,
  * defaulting to LM Studio if ambiguous.
  *
- * Automatic failover is enabled by default - if primary service (Z.AI) fails with
- * authentication errors, the system automatically retries with fallback service (LM Studio).
+ * Without VISION_PROVIDERS the chain starts with the selected provider,
+ * followed by the other vision model providers and the local Tesseract engine
+ * (disable with TESSERACT_FALLBACK=false). Selecting tesseract uses that
+ * engine only.
  */
 export class VisionFactory {
   constructor() {
     this.name = "VisionFactory";
   }
 
+  /**
+   * Map a provider name or alias to its canonical name
+   * @param {string} name - Provider name from configuration
+   * @returns {string|null} Canonical provider name, or null if unknown
+   */
+  resolveProviderName(name) {
+    const wanted = (name || "").trim().toLowerCase();
+    const match = Object.entries(PROVIDER_ALIASES).find(([, aliases]) =>
+      aliases.includes(wanted),
+    );
+    return match ? match[0] : null;
+  }
+
+  /**
+   * Get the service instance for a canonical provider name
+   * @param {string} name - Canonical provider name
+   * @returns {Object|null} Vision service, or null if unknown
+   */
+  getServiceByName(name) {
+    return PROVIDER_SERVICES[name] || null;
+  }
+
   /**
    * Get the configured vision service instance
-   * @returns {Object} The selected vision service (ZaiVisionService or LmStudioService)
+   * @returns {Object} The selected vision service (ZaiVisionService,
+   *   LmStudioService or TesseractService)
    */
   getService() {
+    return this.getServiceByName(this.getProviderName());
+  }
+
+  /**
+   * Resolve the primary provider from VISION_PROVIDER or the credentials
+   * @returns {string} Canonical provider name
+   */
+  getProviderName() {
     const provider = (process.env.VISION_PROVIDER || "").toLowerCase();
 
     console.error(
@@ -33,22 +98,12 @@ export class VisionFactory {
     );
 
     // Explicit selection
-    if (
-      provider === "zai" ||
-      provider === "z.ai" ||
-      provider === "zai-vision"
-    ) {
-      console.error("[VisionFactory] Selected: ZaiVisionService");
-      return zaiVisionService;
-    }
-
-    if (
-      provider === "lm-studio" ||
-      provider === "lmstudio" ||
-      provider === "local"
-    ) {
-      console.error("[VisionFactory] Selected: LmStudioService");
-      return lmStudioService;
+    const selected = this.resolveProviderName(provider);
+    if (selected) {
+      console.error(
+        `[VisionFactory] Selected: ${this.getServiceByName(selected).name}`,
+      );
+      return selected;
     }
 
     // Auto-detection logic if not explicitly set
@@ -61,221 +116,511 @@ export class VisionFactory {
       console.error(
         "[VisionFactory] Auto-detected: ZaiVisionService (only Z.AI key found)",
       );
-      return zaiVisionService;
+      return "zai";
     }
 
     // If both are configured or neither, default to LM Studio (local)
     // LM Studio is preferred as default for "local first" approach
     console.error("[VisionFactory] Defaulting to: LmStudioService");
-    return lmStudioService;
+    return "lm-studio";
+  }
+
+  /**
+   * Get the ordered list of providers to try for each vision request
+   * @returns {Array<string>} Canonical provider names, most preferred first
+   */
+  getProviderChain() {
+    if (process.env.VISION_PROVIDERS) {
+      const chain = [];
+      for (const entry of process.env.VISION_PROVIDERS.split(",")) {
+        const name = this.resolveProviderName(entry);
+        if (!name) {
+          console.error(
+            `[VisionFactory] Ignoring unknown provider in VISION_PROVIDERS: '${entry.trim()}'`,
+          );
+        } else if (!chain.includes(name)) {
+          chain.push(name);
+        }
+      }
+      if (chain.length > 0) {
+        return chain;
+      }
+      console.error(
+        "[VisionFactory] VISION_PROVIDERS lists no known provider, using the default chain",
+      );
+    }
+
+    const primary = this.getProviderName();
+    if (primary === "tesseract") {
+      return [primary];
+    }
+    const chain = [primary, ...MODEL_PROVIDERS.filter((p) => p !== primary)];
+    if (process.env.TESSERACT_FALLBACK !== "false") {
+      chain.push("tesseract");
+    }
+    return chain;
   }
 }
 
 /**
- * Failover Vision Service
+ * Vision Provider Chain
+ *
+ * Sends each vision request to the providers in chain order. A provider is
+ * skipped when it is not configured or its circuit breaker is open, and the
+ * next one is tried when it fails with an authentication error, a timeout,
+ * a 429/5xx response or a connection failure. Errors about the request
+ * itself (e.g. HTTP 400) are returned without failing over, and cancelled
+ * requests are never retried elsewhere.
  *
- * Provides automatic failover between vision services.
- * Tries primary service (Z.AI) first, then falls back to secondary (LM Studio)
- * on authentication failures or errors that indicate service unavailability.
+ * Configuration:
+ * - VISION_BREAKER_THRESHOLD: Consecutive failures that open a provider's
+ *   circuit (default: 3)
+ * - VISION_BREAKER_COOLDOWN_MS: How long an open circuit skips the provider
+ *   before a trial request (default: 60000)
  */
-export class FailoverVisionService {
-  constructor() {
-    this.name = "FailoverVisionService";
-    this.primary = zaiVisionService;
-    this.fallback = lmStudioService;
-    this.useFallback = false;
+export class VisionProviderChain {
+  /**
+   * @param {VisionFactory} [factory] - Resolves the provider chain
+   */
+  constructor(factory = new VisionFactory()) {
+    this.factory = factory;
+    this.configure();
+  }
+
+  /**
+   * Build the provider chain from the environment, resetting health stats
+   */
+  configure() {
+    const breakerOptions = {
+      failureThreshold: parseInt(process.env.VISION_BREAKER_THRESHOLD || "3"),
+      cooldown: parseInt(process.env.VISION_BREAKER_COOLDOWN_MS || "60000"),
+    };
+    this.providers = this.factory
+      .getProviderChain()
+      .map(
+        (name) =>
+          new ChainProvider(
+            name,
+            this.factory.getServiceByName(name),
+            breakerOptions,
+          ),
+      );
+    this.activeProvider = null;
+    this.name = `VisionProviderChain (${this.getProviderNames().join(" > ")})`;
+    console.error(`[VisionChain] Provider chain: ${this.name}`);
+  }
+
+  /**
+   * Get the canonical names of the providers in chain order
+   * @returns {Array<string>} Provider names
+   */
+  getProviderNames() {
+    return this.providers.map((provider) => provider.name);
   }
 
   /**
-   * Initialize the vision service with automatic failover
-   * Tries primary service first, then falls back to secondary if it fails
+   * Initialize the first provider in the chain that can be used
    * @returns {Promise<Object>} Initialization result
    */
   async initialize() {
-    console.error(
-      "[Failover] Attempting to initialize primary service: ZaiVisionService",
-    );
-
-    try {
-      // Try to initialize primary service (Z.AI)
-      if (typeof this.primary.initialize === "function") {
-        await this.primary.initialize();
-        console.error("[Failover] Primary service initialized successfully");
-        this.useFallback = false;
-        return { success: true, service: "ZaiVisionService" };
-      } else {
-        // Primary service doesn't need initialization or doesn't have initialize method
-        console.error(
-          "[Failover] Primary service doesn't require initialization",
-        );
-        this.useFallback = false;
-        return { success: true, service: "ZaiVisionService" };
+    for (const provider of this.providers) {
+      if (!provider.isConfigured() || provider.breaker.isOpen()) {
+        continue;
       }
-    } catch (error) {
-      console.error(
-        `[Failover] Primary service initialization failed: ${error.message}`,
-      );
 
-      // Try to initialize fallback service (LM Studio)
+      console.error(`[VisionChain] Initializing ${provider.service.name}`);
       try {
-        if (typeof this.fallback.initialize === "function") {
-          await this.fallback.initialize();
-          console.error("[Failover] Fallback service initialized successfully");
-          this.useFallback = true;
-          return { success: true, service: "LmStudioService (fallback)" };
-        } else {
-          // Fallback service doesn't need initialization
-          console.error(
-            "[Failover] Fallback service doesn't require initialization",
-          );
-          this.useFallback = true;
-          return { success: true, service: "LmStudioService (fallback)" };
+        if (await provider.service.initialize()) {
+          return { success: true, service: provider.service.name };
         }
-      } catch (fallbackError) {
+      } catch (error) {
         console.error(
-          `[Failover] Fallback service initialization failed: ${fallbackError.message}`,
+          `[VisionChain] ${provider.service.name} initialization failed: ${error.message}`,
         );
-        // Return error - both services failed to initialize
-        return {
-          success: false,
-          error: `Both primary and fallback services failed to initialize: ${error.message}`,
-        };
       }
     }
+
+    return {
+      success: false,
+      error: `No vision provider could be initialized (${this.getProviderNames().join(", ")})`,
+    };
   }
 
   /**
-   * Extract text with automatic failover
+   * Extract text from an image with the first provider that answers
    * @param {string} imageData - Base64 data URL of image
    * @param {string} prompt - Optional prompt for extraction guidance
-   * @returns {Promise<Object>} Extraction result from primary or fallback service
+   * @param {Object} [options] - { signal } to cancel the request
+   * @returns {Promise<Object>} Extraction result
    */
   async extractText(
     imageData,
     prompt = "Extract all text from this image. Preserve original formatting and structure as much as possible.",
+    options = {},
   ) {
-    // Try primary service first (Z.AI)
-    console.error("[Failover] Attempting primary service: ZaiVisionService");
-    const primaryResult = await this.primary.extractText(imageData, prompt);
-
-    // If primary succeeds, return immediately
-    if (primaryResult.success) {
-      this.useFallback = false;
-      console.error("[Failover] Primary service succeeded");
-      return primaryResult;
-    }
+    return this.callProviders("extractText", imageData, prompt, options);
+  }
 
-    // Check if error is authentication-related (might be recoverable)
-    if (this.isAuthError(primaryResult.error)) {
-      console.error(
-        "[Failover] Primary failed with auth error, attempting fallback service: LmStudioService",
-      );
-      this.useFallback = true;
+  /**
+   * Analyze an image with the first provider that answers
+   * @param {string} imageData - Base64 data URL of image
+   * @param {string} prompt - Analysis prompt
+   * @param {Object} [options] - { signal } to cancel the request
+   * @returns {Promise<Object>} Analysis result
+   */
+  async analyzeImage(
+    imageData,
+    prompt = "Describe this image in detail.",
+    options = {},
+  ) {
+    return this.callProviders("analyzeImage", imageData, prompt, options);
+  }
+
+  /**
+   * Call a service method on each provider in turn until one succeeds or
+   * fails in a way another provider cannot fix
+   * @param {string} method - "extractText" or "analyzeImage"
+   * @param {string} imageData - Base64 data URL of image
+   * @param {string} prompt - Prompt for the provider
+   * @param {Object} options - { signal } to cancel the request
+   * @returns {Promise<Object>} Result of the provider that answered, or the
+   *   last provider failure
+   */
+  async callProviders(method, imageData, prompt, options) {
+    const skipped = [];
+    let lastFailure = null;
+
+    for (const provider of this.providers) {
+      if (!provider.isConfigured()) {
+        skipped.push(`${provider.name} (not configured)`);
+        continue;
+      }
+      if (!provider.breaker.tryAcquire()) {
+        skipped.push(`${provider.name} (circuit open)`);
+        continue;
+      }
+
+      console.error(`[VisionChain] Attempting ${provider.service.name}`);
+      const started = Date.now();
+      let result;
+      try {
+        result = await provider.service[method](imageData, prompt, options);
+      } catch (error) {
+        result = {
+          success: false,
+          error: error.message,
+          cancelled: error.name === "AbortError",
+          details: error,
+        };
+      }
+      const latency = Date.now() - started;
+
+      if (result.success) {
+        provider.recordSuccess(latency);
+        this.activeProvider = provider.name;
+        // Name the service that answered, and whether it stood in for the
+        // preferred one, so callers can attribute and cache the result
+        return {
+          ...result,
+          service: provider.service.name,
+          fallback: provider !== this.getPreferredProvider(),
+        };
+      }
+
+      // Never fail over a request the client cancelled
+      if (result.cancelled) {
+        provider.breaker.release();
+        return result;
+      }
+
+      // The provider cannot handle this kind of input; not a health problem
+      if (result.unsupported) {
+        provider.breaker.release();
+        skipped.push(`${provider.name} (unsupported input)`);
+        continue;
+      }
+
+      const failureType = classifyFailure(result);
+      provider.recordFailure(latency, result.error, failureType);
+      if (!failureType) {
+        console.error(
+          `[VisionChain] ${provider.service.name} rejected the request, not failing over: ${result.error}`,
+        );
+        return result;
+      }
 
-      // Try fallback service (LM Studio)
-      const fallbackResult = await this.fallback.extractText(imageData, prompt);
       console.error(
-        "[Failover] Fallback service result:",
-        fallbackResult.success ? "SUCCESS" : "FAILED",
+        `[VisionChain] ${provider.service.name} failed (${failureType}), trying next provider`,
       );
-      return fallbackResult;
+      lastFailure = result;
     }
 
-    // Return primary failure if not an auth error
-    console.error(
-      "[Failover] Primary failed with non-auth error, returning failure",
+    if (lastFailure) {
+      return lastFailure;
+    }
+    return {
+      success: false,
+      error: `No vision provider available: ${skipped.join(", ")}`,
+    };
+  }
+
+  /**
+   * Get the provider requests go to while it is healthy: the first one in
+   * the chain that is configured
+   * @returns {ChainProvider|null} Preferred provider
+   */
+  getPreferredProvider() {
+    return (
+      this.providers.find((provider) => provider.isConfigured()) ||
+      this.providers[0] ||
+      null
     );
-    this.useFallback = false;
-    return primaryResult;
   }
 
   /**
-   * Analyze image with automatic failover
-   * @param {string} imageData - Base64 data URL of image
-   * @param {string} prompt - Analysis prompt
-   * @returns {Promise<Object>} Analysis result from primary or fallback service
+   * Get the service name of the preferred provider. Cached OCR is keyed by
+   * it, and only results from this service are cached.
+   * @returns {string|null} Service name
    */
-  async analyzeImage(imageData, prompt = "Describe this image in detail.") {
-    // Try primary service first (Z.AI)
-    console.error("[Failover] Attempting primary service: ZaiVisionService");
-    const primaryResult = await this.primary.analyzeImage(imageData, prompt);
-
-    // If primary succeeds, return immediately
-    if (primaryResult.success) {
-      this.useFallback = false;
-      console.error("[Failover] Primary service succeeded");
-      return primaryResult;
-    }
+  getPreferredService() {
+    return this.getPreferredProvider()?.service.name || null;
+  }
 
-    // Check if error is authentication-related (might be recoverable)
-    if (this.isAuthError(primaryResult.error)) {
-      console.error(
-        "[Failover] Primary failed with auth error, attempting fallback service: LmStudioService",
-      );
-      this.useFallback = true;
+  /**
+   * Get the service that answered the most recent request
+   * @returns {string} Service name (the first in the chain before any request)
+   */
+  getActiveService() {
+    const active =
+      this.providers.find(
+        (provider) => provider.name === this.activeProvider,
+      ) || this.providers[0];
+    return active?.service.name || null;
+  }
 
-      // Try fallback service (LM Studio)
-      const fallbackResult = await this.fallback.analyzeImage(
-        imageData,
-        prompt,
-      );
-      console.error(
-        "[Failover] Fallback service result:",
-        fallbackResult.success ? "SUCCESS" : "FAILED",
-      );
-      return fallbackResult;
+  /**
+   * Report circuit state, request counts and latency for every provider
+   * @returns {Object} { chain, activeProvider, providers: [...] }
+   */
+  getDiagnostics() {
+    return {
+      chain: this.getProviderNames(),
+      activeProvider: this.activeProvider,
+      providers: this.providers.map((provider) => provider.getStats()),
+    };
+  }
+
+  /**
+   * Check whether each configured provider can be reached right now
+   * @returns {Promise<Array<Object>>} { name, reachable, latencyMs, error }
+   *   per provider
+   */
+  async probe() {
+    const results = [];
+    for (const provider of this.providers) {
+      if (!provider.isConfigured()) {
+        results.push({
+          name: provider.name,
+          reachable: false,
+          latencyMs: null,
+          error: "Not configured",
+        });
+        continue;
+      }
+
+      const started = Date.now();
+      try {
+        const ready = await provider.service.initialize();
+        results.push({
+          name: provider.name,
+          reachable: !!ready,
+          latencyMs: Date.now() - started,
+          error: ready ? null : "Initialization failed",
+        });
+      } catch (error) {
+        results.push({
+          name: provider.name,
+          reachable: false,
+          latencyMs: Date.now() - started,
+          error: error.message,
+        });
+      }
     }
+    return results;
+  }
+}
 
-    // Return primary failure if not an auth error
-    console.error(
-      "[Failover] Primary failed with non-auth error, returning failure",
+/**
+ * A provider in the chain with its circuit breaker and request statistics
+ */
+class ChainProvider {
+  /**
+   * @param {string} name - Canonical provider name
+   * @param {Object} service - Vision service instance
+   * @param {Object} breakerOptions - { failureThreshold, cooldown }
+   */
+  constructor(name, service, breakerOptions) {
+    this.name = name;
+    this.service = service;
+    this.breaker = new CircuitBreaker(breakerOptions);
+    this.requests = 0;
+    this.successes = 0;
+    this.failures = 0;
+    this.latencies = [];
+    this.lastError = null;
+    this.lastErrorType = null;
+    this.lastSuccessAt = null;
+    this.lastFailureAt = null;
+  }
+
+  /**
+   * Check whether the service has the configuration it needs (API keys)
+   * @returns {boolean} True if requests can be sent
+   */
+  isConfigured() {
+    return (
+      typeof this.service.isConfigured !== "function" ||
+      !!this.service.isConfigured()
     );
-    this.useFallback = false;
-    return primaryResult;
   }
 
   /**
-   * Check if error indicates authentication failure
-   * @param {string} error - Error message from service
-   * @returns {boolean} True if error is auth-related
+   * Record a successful request
+   * @param {number} latency - Request duration in milliseconds
+   */
+  recordSuccess(latency) {
+    this.requests++;
+    this.successes++;
+    this.lastSuccessAt = new Date();
+    this.recordLatency(latency);
+    this.breaker.recordSuccess();
+  }
+
+  /**
+   * Record a failed request. Only provider failures count against the
+   * circuit breaker; a rejected request shows the provider is up.
+   * @param {number} latency - Request duration in milliseconds
+   * @param {string} error - Error message
+   * @param {string|null} failureType - Result of classifyFailure()
    */
-  isAuthError(error) {
-    if (!error || typeof error !== "string") {
-      return false;
+  recordFailure(latency, error, failureType) {
+    this.requests++;
+    this.failures++;
+    this.lastError = error || "Unknown error";
+    this.lastErrorType = failureType || "rejected";
+    this.lastFailureAt = new Date();
+    this.recordLatency(latency);
+    if (failureType) {
+      this.breaker.recordFailure();
+    } else {
+      this.breaker.recordSuccess();
     }
+  }
 
-    const lowerError = error.toLowerCase();
-    const authErrorPatterns = [
-      "401 unauthorized",
-      "403 forbidden",
-      "api key",
-      "api-key",
-      "apikey",
-      "unauthorized",
-      "forbidden",
-      "expired",
-      "invalid token",
-      "authentication failed",
-      "auth failed",
-      "not authenticated",
-    ];
-
-    return authErrorPatterns.some((pattern) => lowerError.includes(pattern));
+  /**
+   * Keep the duration of a recent request
+   * @param {number} latency - Request duration in milliseconds
+   */
+  recordLatency(latency) {
+    this.latencies.push(latency);
+    if (this.latencies.length > LATENCY_WINDOW) {
+      this.latencies.shift();
+    }
   }
 
   /**
-   * Get currently active service name
-   * @returns {string} Name of service being used (primary or fallback)
+   * Get the health statistics of this provider
+   * @returns {Object} Circuit state, request counts and latency figures
    */
-  getActiveService() {
-    return this.useFallback
-      ? "LmStudioService (fallback)"
-      : "ZaiVisionService (primary)";
+  getStats() {
+    const sorted = [...this.latencies].sort((a, b) => a - b);
+    const retryAt = this.breaker.getRetryAt();
+    return {
+      name: this.name,
+      service: this.service.name,
+      configured: this.isConfigured(),
+      circuit: this.breaker.state,
+      consecutiveFailures: this.breaker.consecutiveFailures,
+      retryAt: retryAt ? new Date(retryAt).toISOString() : null,
+      requests: this.requests,
+      successes: this.successes,
+      failures: this.failures,
+      averageLatencyMs: sorted.length
+        ? Math.round(sorted.reduce((sum, ms) => sum + ms, 0) / sorted.length)
+        : null,
+      p95LatencyMs: sorted.length
+        ? sorted[Math.ceil(sorted.length * 0.95) - 1]
+        : null,
+      lastLatencyMs: this.latencies.at(-1) ?? null,
+      lastError: this.lastError,
+      lastErrorType: this.lastErrorType,
+      lastSuccessAt: this.lastSuccessAt?.toISOString() || null,
+      lastFailureAt: this.lastFailureAt?.toISOString() || null,
+    };
+  }
+}
+
+const AUTH_ERROR_PATTERNS = [
+  "401 unauthorized",
+  "403 forbidden",
+  "api key",
+  "api-key",
+  "apikey",
+  "unauthorized",
+  "forbidden",
+  "expired",
+  "invalid token",
+  "authentication failed",
+  "auth failed",
+  "not authenticated",
+];
+
+const UNAVAILABLE_ERROR_PATTERNS = [
+  "fetch failed",
+  "econnrefused",
+  "econnreset",
+  "enotfound",
+  "socket hang up",
+  "no vlm models",
+  "no vision models",
+];
+
+/**
+ * Classify a failed provider result to decide whether to fail over
+ * @param {Object} result - Failed result ({ error, details })
+ * @returns {string|null} "auth", "server", "timeout" or "unavailable" for
+ *   failures another provider may not have, or null when the request itself
+ *   was rejected
+ */
+export function classifyFailure(result) {
+  const status = result.details?.status;
+  const message = (result.error || "").toLowerCase();
+
+  if (
+    status === 401 ||
+    status === 403 ||
+    AUTH_ERROR_PATTERNS.some((pattern) => message.includes(pattern))
+  ) {
+    return "auth";
+  }
+  if (status === 429 || status >= 500 || /http (429|5\d\d)\b/.test(message)) {
+    return "server";
+  }
+  if (
+    result.details?.name === "TimeoutError" ||
+    message.includes("timeout") ||
+    message.includes("timed out")
+  ) {
+    return "timeout";
+  }
+  if (UNAVAILABLE_ERROR_PATTERNS.some((pattern) => message.includes(pattern))) {
+    return "unavailable";
   }
+  return null;
 }
 
 // Create factory instance for initial service detection
 export const visionFactory = new VisionFactory();
 
-// Create and export failover service with automatic retry logic
-export const visionService = new FailoverVisionService();
+// Create and export the provider chain used for all vision requests
+export const visionService = new VisionProviderChain(visionFactory);
@@ -3,6 +3,10 @@
  * Integrates with Z.AI's GLM-4.6V model for OCR and image analysis
  */
 
+import { RateLimiter, callWithRetry, httpError } from "../utils/work-queue.js";
+import { throwIfAborted } from "../utils/progress.js";
+import { OCR_SYSTEM_PROMPT } from "../utils/vision-prompts.js";
+
 /**
  * Z.AI Vision Service for OCR and image analysis
  */
@@ -19,6 +23,14 @@ export class ZaiVisionService {
       process.env.Z_AI_VISION_MODEL_TEMPERATURE || "0.8",
     );
     this.topP = parseFloat(process.env.Z_AI_VISION_MODEL_TOP_P || "0.6");
+    // Requests per minute (0 = no limit) and retries on 429/5xx responses
+    this.rateLimiter = new RateLimiter(
+      parseInt(process.env.Z_AI_RATE_LIMIT || "0"),
+    );
+    this.maxRetries = parseInt(process.env.VISION_MAX_RETRIES || "3");
+    this.retryBaseDelay = parseInt(
+      process.env.VISION_RETRY_BASE_DELAY_MS || "1000",
+    );
   }
 
   /**
@@ -99,11 +111,13 @@ export class ZaiVisionService {
    * Extract text from an image using OCR
    * @param {string} imageData - Base64 data URL of the image
    * @param {string} prompt - Optional prompt for extraction guidance
+   * @param {Object} [options] - { signal } to cancel the request
    * @returns {Promise<Object>} Extraction result
    */
   async extractText(
     imageData,
     prompt = "Extract all text from this image. Preserve the original formatting and structure as much as possible.",
+    options = {},
   ) {
     if (!this.isConfigured()) {
       return {
@@ -114,25 +128,10 @@ export class ZaiVisionService {
     }
 
     try {
-      const systemPrompt = `You are an advanced OCR and text extraction specialist. Your task is to accurately extract and recognize text from images.
-
-Key responsibilities:
-1. Extract ALL visible text from the image with high accuracy
-2. Preserve the original formatting, layout, and structure
-3. For documents with tables, maintain table structure using markdown
-4. For code snippets, identify the programming language and format appropriately
-5. Handle multiple languages if present
-6. Note any text that is unclear or partially visible
-
-Output format:
-- Return the extracted text in a clean, readable format
-- Use markdown formatting where appropriate (headers, lists, tables, code blocks)
-- If the image contains structured data (invoices, forms), preserve that structure`;
-
       const messages = [
         {
           role: "system",
-          content: systemPrompt,
+          content: OCR_SYSTEM_PROMPT,
         },
         {
           role: "user",
@@ -151,7 +150,7 @@ Output format:
         },
       ];
 
-      const result = await this.callVisionApi(messages);
+      const result = await this.callVisionApi(messages, options.signal);
 
       return {
         success: true,
@@ -163,6 +162,7 @@ Output format:
       return {
         success: false,
         error: `OCR extraction failed: ${error.message}`,
+        cancelled: error.name === "AbortError",
         details: error,
       };
     }
@@ -172,9 +172,14 @@ Output format:
    * Analyze an image for general understanding
    * @param {string} imageData - Base64 data URL of the image
    * @param {string} prompt - Analysis prompt
+   * @param {Object} [options] - { signal } to cancel the request
    * @returns {Promise<Object>} Analysis result
    */
-  async analyzeImage(imageData, prompt = "Describe this image in detail.") {
+  async analyzeImage(
+    imageData,
+    prompt = "Describe this image in detail.",
+    options = {},
+  ) {
     if (!this.isConfigured()) {
       return {
         success: false,
@@ -202,7 +207,7 @@ Output format:
         },
       ];
 
-      const result = await this.callVisionApi(messages);
+      const result = await this.callVisionApi(messages, options.signal);
 
       return {
         success: true,
@@ -214,17 +219,40 @@ Output format:
       return {
         success: false,
         error: `Image analysis failed: ${error.message}`,
+        cancelled: error.name === "AbortError",
         details: error,
       };
     }
   }
 
   /**
-   * Call the Z.AI Vision API
+   * Call the Z.AI Vision API within the rate limit, retrying throttled (429)
+   * and failed (5xx) requests with exponential backoff
    * @param {Array} messages - Messages array for the API
+   * @param {AbortSignal} [signal] - Cancels the request when aborted
    * @returns {Promise<string>} API response content
    */
-  async callVisionApi(messages) {
+  async callVisionApi(messages, signal) {
+    return callWithRetry(
+      () => this.sendVisionRequest(messages, signal),
+      signal,
+      "ZaiVision",
+      {
+        rateLimiter: this.rateLimiter,
+        retries: this.maxRetries,
+        baseDelay: this.retryBaseDelay,
+      },
+    );
+  }
+
+  /**
+   * Send one request to the Z.AI Vision API
+   * @param {Array} messages - Messages array for the API
+   * @param {AbortSignal} [signal] - Cancels the request when aborted
+   * @returns {Promise<string>} API response content
+   * @throws {Error} With the HTTP status when the API rejects the request
+   */
+  async sendVisionRequest(messages, signal) {
     const apiKey = this.getApiKey();
     const url = this.baseUrl + "chat/completions";
 
@@ -254,14 +282,15 @@ Output format:
           "Accept-Language": "en-US,en",
         },
         body: JSON.stringify(requestBody),
-        signal: controller.signal,
+        signal: signal
+          ? AbortSignal.any([controller.signal, signal])
+          : controller.signal,
       });
 
       clearTimeout(timeoutId);
 
       if (!response.ok) {
-        const errorText = await response.text();
-        throw new Error(`HTTP ${response.status}: ${errorText}`);
+        throw httpError(response, await response.text());
       }
 
       const data = await response.json();
@@ -276,6 +305,8 @@ Output format:
     } catch (error) {
       clearTimeout(timeoutId);
 
+      throwIfAborted(signal);
+
       if (error.name === "AbortError") {
         throw new Error(`Request timeout after ${this.timeout}ms`);
       }
@@ -0,0 +1,62 @@
+import { visionService } from "../services/vision-factory.js";
+import { logFunctionCall } from "../utils/logger.js";
+
+/**
+ * Handle vision diagnostics request: reports the provider chain with each
+ * provider's circuit state, request counts and latency
+ * @param {Object} params - Tool parameters (probe)
+ * @returns {Object} Tool response
+ */
+export async function handleVisionDiagnostics(params = {}) {
+  logFunctionCall("handleVisionDiagnostics", params);
+
+  const diagnostics = visionService.getDiagnostics();
+  const probes = params.probe ? await visionService.probe() : [];
+
+  let text = "# Vision Provider Diagnostics\n\n";
+  text += `**Provider chain:** ${diagnostics.chain.join(" > ")}\n`;
+  text += `**Last provider used:** ${diagnostics.activeProvider || "none yet"}\n`;
+
+  diagnostics.providers.forEach((provider, index) => {
+    text += `\n## ${index + 1}. ${provider.name} (${provider.service})\n\n`;
+    text += `- Configured: ${provider.configured ? "yes" : "no"}\n`;
+    text += `- Circuit: ${provider.circuit}`;
+    if (provider.retryAt) {
+      text += ` (trial request after ${provider.retryAt})`;
+    }
+    text += `, ${provider.consecutiveFailures} consecutive failures\n`;
+
+    if (provider.requests > 0) {
+      const successRate = Math.round(
+        (provider.successes / provider.requests) * 100,
+      );
+      text += `- Requests: ${provider.requests} (${provider.successes} succeeded, ${provider.failures} failed, ${successRate}% success)\n`;
+      text += `- Latency: average ${provider.averageLatencyMs}ms, p95 ${provider.p95LatencyMs}ms, last ${provider.lastLatencyMs}ms\n`;
+    } else {
+      text += "- Requests: none yet\n";
+    }
+
+    if (provider.lastSuccessAt) {
+      text += `- Last success: ${provider.lastSuccessAt}\n`;
+    }
+    if (provider.lastError) {
+      text += `- Last error (${provider.lastErrorType}, ${provider.lastFailureAt}): ${provider.lastError}\n`;
+    }
+
+    const probe = probes.find((entry) => entry.name === provider.name);
+    if (probe) {
+      text += probe.reachable
+        ? `- Probe: reachable in ${probe.latencyMs}ms\n`
+        : `- Probe: unreachable (${probe.error})\n`;
+    }
+  });
+
+  return {
+    content: [
+      {
+        type: "text",
+        text,
+      },
+    ],
+  };
+}
@@ -1,21 +1,29 @@
 import { documentProcessor } from "../services/document-processor.js";
 import { analysisService } from "../services/analysis-service.js";
 import { imageProcessor } from "../utils/image-processor.js";
-import { log, logFunctionCall, logPath } from "../utils/logger.js";
+import {
+  log,
+  logFunctionCall,
+  logPath,
+  redactParams,
+} from "../utils/logger.js";
+import { sliceDocument } from "../utils/content-slicer.js";
+import { getImageResponseOptions, documentErrorResponse } from "./utils.js";
 
 // Store context for documents to support follow-up queries
 const documentContext = new Map();
 
 /**
  * Handle focused analysis request
- * @param {Object} params - Tool parameters (filePath)
+ * @param {Object} params - Tool parameters (filePath, pages, password)
  * @param {string} userQuery - Optional user query
  * @param {string} context - Optional context
+ * @param {Object} [options] - { progress } reporter for progress notifications and cancellation
  * @returns {Object} Tool response
  */
-export async function handleFocused(params, userQuery, context) {
+export async function handleFocused(params, userQuery, context, options = {}) {
   logFunctionCall("handleFocused", {
-    params,
+    params: redactParams(params),
     hasUserQuery: !!userQuery,
     hasContext: !!context,
   });
@@ -33,6 +41,7 @@ export async function handleFocused(params, userQuery, context) {
   const result = await documentProcessor.processDocument(
     params.filePath,
     "summary",
+    { ...options, password: params.password },
   );
 
   if (!result.success) {
@@ -40,15 +49,23 @@ export async function handleFocused(params, userQuery, context) {
     log("warn", "handleFocused failed to process document:", {
       error: result.error,
     });
-    return {
-      content: [
-        { type: "text", text: result.error || "Failed to process document" },
-      ],
-    };
+    return documentErrorResponse(result);
   }
 
   const images = Array.isArray(result.images) ? result.images : [];
-  const textContent = result.text || "";
+  let textContent = result.text || "";
+
+  // Restrict the analysis to the selected pages/sections/sheets
+  if (params.pages) {
+    try {
+      textContent = sliceDocument(result, { pages: params.pages }).text;
+    } catch (error) {
+      return {
+        content: [{ type: "text", text: `Error: ${error.message}` }],
+        isError: true,
+      };
+    }
+  }
 
   log("info", "Document processed:", {
     textLength: textContent.length,
@@ -135,15 +152,26 @@ export async function handleFocused(params, userQuery, context) {
 
     analysis += `\n\nYou can request more details by using the "get-doc-indepth" tool, or ask another question to refine the analysis.`;
 
+    const content = [
+      {
+        type: "text",
+        text: analysis || "Unable to generate focused analysis",
+      },
+    ];
+
+    // Attach the actual image pixels for vision-capable clients
+    if (params.includeImages && images.length > 0) {
+      log("info", "Attaching images as MCP image content");
+      content.push(
+        ...imageProcessor.toMcpImageBlocks(
+          images,
+          getImageResponseOptions(params),
+        ),
+      );
+    }
+
     log("info", "handleFocused completed with user query");
-    return {
-      content: [
-        {
-          type: "text",
-          text: analysis || "Unable to generate focused analysis",
-        },
-      ],
-    };
+    return { content };
   }
 
   // No query yet - generate clarification questions
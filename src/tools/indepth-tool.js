@@ -1,18 +1,31 @@
 import { documentProcessor } from "../services/document-processor.js";
 import { imageProcessor } from "../utils/image-processor.js";
-import { log, logFunctionCall } from "../utils/logger.js";
+import { log, logFunctionCall, redactParams } from "../utils/logger.js";
+import {
+  sliceDocument,
+  decodeCursor,
+  formatPageRange,
+} from "../utils/content-slicer.js";
+import { resourceService } from "../services/resource-service.js";
+import {
+  getImageResponseOptions,
+  formatFormFieldValue,
+  documentErrorResponse,
+  formatOcrNote,
+} from "./utils.js";
 
 /**
  * Handle in-depth analysis request
- * @param {Object} params - Tool parameters (filePath)
+ * @param {Object} params - Tool parameters (filePath, pages, offset, maxChars, cursor, password)
+ * @param {Object} [options] - { progress } reporter for progress notifications and cancellation
  * @returns {Object} Tool response
  */
-export async function handleInDepth(params) {
+export async function handleInDepth(params, options = {}) {
   console.error(
     `[MCP] ==================== TOOL CALLED: handleInDepth ====================`,
   );
-  console.error(`[MCP] Parameters: ${JSON.stringify(params)}`);
-  logFunctionCall("handleInDepth", params);
+  console.error(`[MCP] Parameters: ${JSON.stringify(redactParams(params))}`);
+  logFunctionCall("handleInDepth", redactParams(params));
   log("info", "Processing file for in-depth analysis:", {
     filePath: params.filePath,
   });
@@ -20,6 +33,7 @@ export async function handleInDepth(params) {
   const result = await documentProcessor.processDocument(
     params.filePath,
     "indepth",
+    { ...options, password: params.password },
   );
 
   log("info", "handleInDepth result:", {
@@ -29,55 +43,214 @@ export async function handleInDepth(params) {
 
   if (!result.success) {
     log("warn", "handleInDepth failed:", { error: result.error });
+    return documentErrorResponse(result);
+  }
+
+  // A continuation cursor remembers the chunk size and revision view
+  let cursorState = null;
+  if (params.cursor) {
+    try {
+      cursorState = decodeCursor(params.cursor);
+    } catch (error) {
+      return {
+        content: [{ type: "text", text: `Error: ${error.message}` }],
+        isError: true,
+      };
+    }
+  }
+  const revisionView = params.revisionView ?? cursorState?.revisionView;
+
+  // Pick the accepted, original or redline text of DOCX tracked changes
+  let source = result;
+  if (revisionView) {
+    if (!REVISION_VIEWS.includes(revisionView)) {
+      return {
+        content: [
+          {
+            type: "text",
+            text: `Error: revisionView must be one of ${REVISION_VIEWS.join(", ")}`,
+          },
+        ],
+        isError: true,
+      };
+    }
+    if (result.revisionViews) {
+      source = { ...result, ...result.revisionViews[revisionView] };
+    }
+  }
+
+  // Select the requested pages/sections and the requested chunk of text
+  let slice;
+  try {
+    slice = sliceDocument(source, {
+      pages: params.pages,
+      offset: params.offset,
+      maxChars:
+        params.maxChars ?? cursorState?.maxChars ?? getDefaultMaxChars(),
+      cursor: params.cursor,
+      cursorState: revisionView ? { revisionView } : undefined,
+    });
+  } catch (error) {
+    log("warn", "handleInDepth invalid pagination parameters:", {
+      error: error.message,
+    });
     return {
-      content: [
-        { type: "text", text: result.error || "Failed to process document" },
-      ],
+      content: [{ type: "text", text: `Error: ${error.message}` }],
+      isError: true,
     };
   }
 
+  // Structure, metadata and images are only sent with the first chunk
+  const isFirstChunk = slice.start === 0;
+
   let output = "In-Depth Document Analysis\n=========================\n\n";
 
+  if (revisionView) {
+    output += result.revisionViews
+      ? `[Revision view: ${revisionView}${revisionView === "redline" ? " (insertions [+text+], deletions [-text-])" : ""}]\n\n`
+      : `[Note: This document has no tracked changes, so every revision view shows the same text]\n\n`;
+  }
+
   // Indicate if OCR was applied
   if (result.ocrApplied) {
-    output += `[OCR Applied: Text extracted via ${result.ocrSource}]\n\n`;
-    log("info", "OCR was applied:", { source: result.ocrSource });
+    log("info", "OCR was applied:", {
+      source: result.ocrSource,
+      pages: result.ocrPages,
+    });
   } else if (result.isImageBased) {
-    output += `[Note: Image-based PDF detected. OCR with Vision Provider was not applied.\n\n`;
     log("warn", "Image-based PDF detected, but OCR was not applied");
   }
+  output += formatOcrNote(result);
+
+  // Warn when the file extension disagrees with the detected content
+  if (result.detection?.warning) {
+    output += `[Warning: ${result.detection.warning}]\n\n`;
+  }
 
   // Add document content
-  output += `=== Document Content ===\n${result.text || ""}\n\n`;
+  output += `=== Document Content ===\n`;
+  if (slice.pages || slice.start > 0 || slice.truncated) {
+    const scope = slice.pages
+      ? `${slice.unit}s ${formatScope(slice.pages)} | `
+      : "";
+    output += `[Showing ${scope}characters ${slice.start}-${slice.end} of ${slice.totalChars}]\n`;
+  }
+  output += `${slice.text}\n\n`;
+
+  if (slice.truncated) {
+    output += `[Content truncated. To continue, call get-doc-indepth again with cursor: "${slice.nextCursor}"]\n\n`;
+    log("info", "In-depth content truncated:", {
+      end: slice.end,
+      totalChars: slice.totalChars,
+    });
+  }
 
   // Add structure if available
-  if (result.structure && result.structure.length > 0) {
+  if (isFirstChunk && result.structure && result.structure.length > 0) {
     log("info", "Adding document structure:", {
       itemCount: result.structure.length,
     });
     output += `=== Document Structure ===\n`;
     result.structure.forEach((item) => {
       const headerMark = item.isHeader ? "# " : "  ";
-      output += `${headerMark}[L${item.level}] ${item.text}\n`;
+      const listMark = item.isListItem
+        ? `${"  ".repeat(item.level - 1)}- `
+        : "";
+      let position = "";
+      if (item.paragraphIndex !== undefined) {
+        position = ` (paragraph ${item.paragraphIndex})`;
+      } else if (item.page) {
+        position = ` (page ${item.page})`;
+      }
+      output += `${headerMark}${listMark}[L${item.level}] ${item.text}${position}\n`;
     });
     output += "\n";
   }
 
   // Add metadata
   const metadata = result.metadata || {};
-  if (Object.keys(metadata).length > 0) {
+  if (isFirstChunk && Object.keys(metadata).length > 0) {
     log("info", "Adding metadata:", { keyCount: Object.keys(metadata).length });
     output += `=== Metadata ===\n`;
     Object.entries(metadata).forEach(([key, value]) => {
       if (value !== null && value !== undefined) {
-        output += `${key}: ${value}\n`;
+        output += `${key}: ${formatMetadataValue(value)}\n`;
+      }
+    });
+    output += "\n";
+  }
+
+  // List formulas and merged ranges (Excel workbooks)
+  if (isFirstChunk && params.showFormulas) {
+    output += formatFormulas(result.sheetModels || [], slice.pages);
+  }
+
+  // List form fields with their values (fillable PDFs)
+  const formFields = Array.isArray(result.formFields) ? result.formFields : [];
+  if (isFirstChunk && formFields.length > 0) {
+    output += `=== Form Fields ===\n`;
+    formFields.forEach((field) => {
+      const details = [field.type];
+      if (field.page) {
+        details.push(`page ${field.page}`);
       }
+      if (field.readOnly) {
+        details.push("read-only");
+      }
+      output += `- ${field.name}: ${formatFormFieldValue(field)} (${details.join(", ")})\n`;
+      if (field.options?.length > 0) {
+        output += `  Options: ${field.options.join(", ")}\n`;
+      }
+    });
+    output += "\n";
+  }
+
+  // List comments, links, attachments and the embedded invoice (PDF)
+  if (isFirstChunk) {
+    output += formatAnnotations(result.annotations || [], result.links || []);
+    output += formatAttachments(
+      params.filePath,
+      result.attachments || [],
+      result.invoice,
+    );
+  }
+
+  // List tracked changes and comments (DOCX)
+  if (isFirstChunk) {
+    output += formatReview(result.revisions || [], result.comments || []);
+  }
+
+  // List headers, footers, footnotes and endnotes (DOCX)
+  if (isFirstChunk) {
+    output += formatNotes(result.headersFooters || [], result.notes || []);
+  }
+
+  // Add charts (Excel workbooks)
+  if (
+    isFirstChunk &&
+    Array.isArray(result.charts) &&
+    result.charts.length > 0
+  ) {
+    log("info", "Adding chart information:", {
+      chartCount: result.charts.length,
+    });
+    output += `=== Charts ===\n`;
+    result.charts.forEach((chart) => {
+      output += `- ${chart.description}\n`;
+      chart.series.forEach((series) => {
+        const name = series.name || series.nameRef || "Series";
+        const categories = series.categories
+          ? `, categories ${series.categories}`
+          : "";
+        output += `  ${name}: values ${series.values || "n/a"}${categories}\n`;
+      });
     });
     output += "\n";
   }
 
   // Add images
-  const images = Array.isArray(result.images) ? result.images : [];
+  const images =
+    isFirstChunk && Array.isArray(result.images) ? result.images : [];
   if (images.length > 0) {
     log("info", "Adding image information:", { imageCount: images.length });
     output += `=== Images ===\n`;
@@ -87,10 +260,328 @@ export async function handleInDepth(params) {
     }
   }
 
+  const content = [
+    { type: "text", text: output || "Unable to generate in-depth analysis" },
+  ];
+
+  // Attach the actual image pixels for vision-capable clients
+  if (params.includeImages && images.length > 0) {
+    log("info", "Attaching images as MCP image content");
+    content.push(
+      ...imageProcessor.toMcpImageBlocks(
+        images,
+        getImageResponseOptions(params),
+      ),
+    );
+  }
+
   log("info", "handleInDepth completed successfully");
-  return {
-    content: [
-      { type: "text", text: output || "Unable to generate in-depth analysis" },
-    ],
+  return { content };
+}
+
+/**
+ * Get the default character limit for in-depth output (unlimited unless configured)
+ * @returns {number|undefined} Character limit
+ */
+function getDefaultMaxChars() {
+  const limit = parseInt(process.env.INDEPTH_MAX_CHARS || "", 10);
+  return Number.isFinite(limit) && limit > 0 ? limit : undefined;
+}
+
+/**
+ * Format selected page numbers for display (e.g. "5-12, 20")
+ * @param {number[]} pages - Sorted page numbers
+ * @returns {string} Display string
+ */
+function formatScope(pages) {
+  return formatPageRange(pages).split(",").join(", ");
+}
+
+const REVISION_VIEWS = ["accepted", "original", "redline"];
+
+// Cap on tracked changes and comments listed
+const MAX_REVIEW_ITEMS = 200;
+
+/**
+ * Format tracked changes and comments with their author, date and text
+ * @param {Array} revisions - Revisions from the DOCX parser
+ * @param {Array} comments - Comments from the DOCX parser
+ * @returns {string} Formatted sections (empty when there are none)
+ */
+function formatReview(revisions, comments) {
+  const describe = (item) => {
+    const date =
+      item.date instanceof Date ? `, ${item.date.toISOString()}` : "";
+    const where =
+      item.paragraphIndex !== null && item.paragraphIndex !== undefined
+        ? `, paragraph ${item.paragraphIndex}`
+        : "";
+    return `${item.author || "Unknown author"}${date}${where}`;
   };
+
+  let output = "";
+
+  if (revisions.length > 0) {
+    output += `=== Tracked Changes ===\n`;
+    revisions.slice(0, MAX_REVIEW_ITEMS).forEach((revision) => {
+      output += `- [${revision.type}] ${describe(revision)}: "${truncateText(revision.text)}"\n`;
+    });
+    if (revisions.length > MAX_REVIEW_ITEMS) {
+      output += `... and ${revisions.length - MAX_REVIEW_ITEMS} more change(s)\n`;
+    }
+    output += "\n";
+  }
+
+  if (comments.length > 0) {
+    output += `=== Comments ===\n`;
+    comments.slice(0, MAX_REVIEW_ITEMS).forEach((comment) => {
+      output += `- ${describe(comment)}: "${truncateText(comment.text)}"\n`;
+      if (comment.anchorText) {
+        output += `  On: "${truncateText(comment.anchorText)}"\n`;
+      }
+    });
+    if (comments.length > MAX_REVIEW_ITEMS) {
+      output += `... and ${comments.length - MAX_REVIEW_ITEMS} more comment(s)\n`;
+    }
+    output += "\n";
+  }
+
+  return output;
+}
+
+/**
+ * Format PDF comments, text markup and links
+ * @param {Array} annotations - Annotations from the PDF parser
+ * @param {Array} links - Links from the PDF parser
+ * @returns {string} Formatted sections (empty when there are none)
+ */
+function formatAnnotations(annotations, links) {
+  let output = "";
+
+  if (annotations.length > 0) {
+    output += `=== Annotations ===\n`;
+    annotations.slice(0, MAX_REVIEW_ITEMS).forEach((annotation) => {
+      const date =
+        annotation.date instanceof Date
+          ? `, ${annotation.date.toISOString()}`
+          : "";
+      const text = annotation.text
+        ? `: "${truncateText(annotation.text)}"`
+        : "";
+      output += `- [${annotation.type}] ${annotation.author || "Unknown author"}${date}, page ${annotation.page}${text}\n`;
+      if (annotation.quotedText) {
+        output += `  On: "${truncateText(annotation.quotedText)}"\n`;
+      }
+    });
+    if (annotations.length > MAX_REVIEW_ITEMS) {
+      output += `... and ${annotations.length - MAX_REVIEW_ITEMS} more annotation(s)\n`;
+    }
+    output += "\n";
+  }
+
+  if (links.length > 0) {
+    output += `=== Links ===\n`;
+    links.slice(0, MAX_REVIEW_ITEMS).forEach((link) => {
+      const target =
+        link.url || (link.targetPage ? `page ${link.targetPage}` : "unknown");
+      const text = link.text ? ` "${truncateText(link.text)}"` : "";
+      output += `- Page ${link.page}${text} -> ${target}\n`;
+    });
+    if (links.length > MAX_REVIEW_ITEMS) {
+      output += `... and ${links.length - MAX_REVIEW_ITEMS} more link(s)\n`;
+    }
+    output += "\n";
+  }
+
+  return output;
+}
+
+/**
+ * Format PDF file attachments with their resource URIs, and the e-invoice
+ * parsed from them
+ * @param {string} filePath - Document path, used to build resource URIs
+ * @param {Array} attachments - Attachments from the PDF parser
+ * @param {Object|null} invoice - Parsed e-invoice
+ * @returns {string} Formatted sections (empty when there are none)
+ */
+function formatAttachments(filePath, attachments, invoice) {
+  let output = "";
+
+  if (attachments.length > 0) {
+    output += `=== Attachments ===\n`;
+    attachments.forEach((attachment, index) => {
+      const page = attachment.page ? `, page ${attachment.page}` : "";
+      output += `- ${attachment.name} (${attachment.mimeType}, ${attachment.size} bytes${page})\n`;
+      if (attachment.description) {
+        output += `  ${attachment.description}\n`;
+      }
+      output += `  Resource: ${resourceService.buildUri(filePath, "attachments", index)}\n`;
+    });
+    output += "\n";
+  }
+
+  if (invoice) {
+    const date = (value) =>
+      value instanceof Date ? value.toISOString().substring(0, 10) : "n/a";
+    const party = (value) =>
+      value
+        ? [value.name, value.vatId && `VAT ${value.vatId}`, value.country]
+            .filter(Boolean)
+            .join(", ")
+        : "n/a";
+    const currency = invoice.currency ? ` ${invoice.currency}` : "";
+
+    output += `=== Embedded Invoice (${invoice.source}) ===\n`;
+    output += `Number: ${invoice.number || "n/a"}\n`;
+    if (invoice.profile) {
+      output += `Profile: ${invoice.profile}\n`;
+    }
+    output += `Issue Date: ${date(invoice.issueDate)}\n`;
+    output += `Due Date: ${date(invoice.dueDate)}\n`;
+    output += `Seller: ${party(invoice.seller)}\n`;
+    output += `Buyer: ${party(invoice.buyer)}\n`;
+    for (const [key, label] of [
+      ["lineTotal", "Line Total"],
+      ["taxBasis", "Tax Basis"],
+      ["tax", "Tax"],
+      ["grandTotal", "Grand Total"],
+      ["duePayable", "Amount Due"],
+    ]) {
+      if (invoice.totals[key] !== null) {
+        output += `${label}: ${invoice.totals[key]}${currency}\n`;
+      }
+    }
+    if (invoice.lineItems.length > 0) {
+      output += `Line Items:\n`;
+      invoice.lineItems.forEach((item) => {
+        const quantity =
+          item.quantity !== null
+            ? `${item.quantity}${item.unit ? ` ${item.unit}` : ""} x `
+            : "";
+        const price = item.netPrice !== null ? `${item.netPrice}` : "n/a";
+        const total = item.total !== null ? ` = ${item.total}${currency}` : "";
+        output += `- ${item.name || "Item"}: ${quantity}${price}${total}\n`;
+      });
+    }
+    output += "\n";
+  }
+
+  return output;
+}
+
+/**
+ * Format headers and footers, footnotes and endnotes as labelled sections
+ * @param {Array} headersFooters - Header and footer parts from the DOCX parser
+ * @param {Array} notes - Footnotes and endnotes from the DOCX parser
+ * @returns {string} Formatted sections (empty when there are none)
+ */
+function formatNotes(headersFooters, notes) {
+  let output = "";
+
+  if (headersFooters.length > 0) {
+    output += `=== Headers and Footers ===\n`;
+    headersFooters.forEach((entry) => {
+      const label = entry.type === "header" ? "Header" : "Footer";
+      output += `- ${label} (${entry.kind}, section ${entry.section}): ${entry.text}\n`;
+    });
+    output += "\n";
+  }
+
+  for (const [type, label] of [
+    ["footnote", "Footnotes"],
+    ["endnote", "Endnotes"],
+  ]) {
+    const entries = notes.filter((note) => note.type === type);
+    if (entries.length === 0) {
+      continue;
+    }
+    output += `=== ${label} ===\n`;
+    entries.forEach((note) => {
+      output += `[${note.number ?? "unreferenced"}] ${note.text}\n`;
+      if (note.paragraphIndex !== null) {
+        output += `  Referenced in paragraph ${note.paragraphIndex}: "${truncateText(note.referenceText || "")}"\n`;
+      }
+    });
+    output += "\n";
+  }
+
+  return output;
+}
+
+/**
+ * Shorten long text for listings
+ */
+function truncateText(text) {
+  return text.length > 200 ? `${text.substring(0, 200)}...` : text;
+}
+
+// Cap on formulas listed by showFormulas
+const MAX_FORMULAS_LISTED = 500;
+
+/**
+ * Format the formulas and merged ranges of the selected sheets
+ * @param {Array} sheetModels - Sheet models from the Excel parser
+ * @param {number[]|null} pages - Selected sheet numbers, or null for all
+ * @returns {string} Formatted section
+ */
+function formatFormulas(sheetModels, pages) {
+  if (sheetModels.length === 0) {
+    return `=== Formulas ===\nFormulas are only available for Excel workbooks.\n\n`;
+  }
+
+  const selected = pages
+    ? sheetModels.filter((sheet) => pages.includes(sheet.index))
+    : sheetModels;
+
+  let output = `=== Formulas ===\n`;
+  let listed = 0;
+  let skipped = 0;
+
+  for (const sheet of selected) {
+    const formulaCells = sheet.cells.filter((cell) => cell.formula);
+    output += `Sheet: ${sheet.name} (${formulaCells.length} formula(s))\n`;
+
+    for (const cell of formulaCells) {
+      if (listed >= MAX_FORMULAS_LISTED) {
+        skipped++;
+        continue;
+      }
+      const value = cell.text ?? cell.value;
+      output += `  ${cell.address}: ${cell.formula}${value !== null && value !== undefined ? ` -> ${value}` : ""}\n`;
+      listed++;
+    }
+
+    if (sheet.merges.length > 0) {
+      output += `  Merged: ${sheet.merges.join(", ")}\n`;
+    }
+    if (sheet.truncated) {
+      output += `  (cell model truncated, some formulas are not listed)\n`;
+    }
+  }
+
+  if (skipped > 0) {
+    output += `... and ${skipped} more formula(s)\n`;
+  }
+
+  return `${output}\n`;
+}
+
+/**
+ * Format a metadata value for display; lists of objects (sheets, defined
+ * names, links) are shown as JSON
+ */
+function formatMetadataValue(value) {
+  if (value instanceof Date) {
+    return value.toISOString();
+  }
+  if (
+    Array.isArray(value) &&
+    value.every((item) => item === null || typeof item !== "object")
+  ) {
+    return value.join(", ");
+  }
+  if (typeof value === "object") {
+    return JSON.stringify(value);
+  }
+  return String(value);
 }
@@ -1,24 +1,33 @@
 import { documentProcessor } from "../services/document-processor.js";
 import { imageProcessor } from "../utils/image-processor.js";
-import { log, logFunctionCall } from "../utils/logger.js";
+import { log, logFunctionCall, redactParams } from "../utils/logger.js";
+import { sliceDocument } from "../utils/content-slicer.js";
+import {
+  getImageResponseOptions,
+  formatFormFieldValue,
+  documentErrorResponse,
+  formatOcrNote,
+} from "./utils.js";
 
 /**
  * Handle document summary request
- * @param {Object} params - Tool parameters (filePath)
+ * @param {Object} params - Tool parameters (filePath, pages, maxChars, password)
+ * @param {Object} [options] - { progress } reporter for progress notifications and cancellation
  * @returns {Object} Tool response
  */
-export async function handleSummary(params) {
+export async function handleSummary(params, options = {}) {
   console.error(
     `[MCP] ==================== TOOL CALLED: handleSummary ====================`,
   );
-  console.error(`[MCP] Parameters: ${JSON.stringify(params)}`);
-  logFunctionCall("handleSummary", params);
+  console.error(`[MCP] Parameters: ${JSON.stringify(redactParams(params))}`);
+  logFunctionCall("handleSummary", redactParams(params));
   log("info", "Processing file for summary:", { filePath: params.filePath });
 
   // Use the document processor service to handle parsing
   const result = await documentProcessor.processDocument(
     params.filePath,
     "summary",
+    { ...options, password: params.password },
   );
 
   log("info", "handleSummary result:", {
@@ -28,11 +37,7 @@ export async function handleSummary(params) {
 
   if (!result.success) {
     log("warn", "handleSummary failed:", { error: result.error });
-    return {
-      content: [
-        { type: "text", text: result.error || "Failed to process document" },
-      ],
-    };
+    return documentErrorResponse(result);
   }
 
   // Format the summary
@@ -43,12 +48,19 @@ export async function handleSummary(params) {
 
   // Indicate if OCR was applied (if supported by the parser/processor)
   if (result.ocrApplied) {
-    summary += `[OCR Applied: Text extracted via ${result.ocrSource}]\n\n`;
-    log("info", "OCR was applied:", { source: result.ocrSource });
+    log("info", "OCR was applied:", {
+      source: result.ocrSource,
+      pages: result.ocrPages,
+    });
   } else if (result.isImageBased) {
-    summary += `[Note: Image-based PDF detected. OCR with Vision Provider was not applied.\n\n`;
     log("warn", "Image-based PDF detected, but OCR was not applied");
   }
+  summary += formatOcrNote(result);
+
+  // Warn when the file extension disagrees with the detected content
+  if (result.detection?.warning) {
+    summary += `[Warning: ${result.detection.warning}]\n\n`;
+  }
 
   // Add metadata
   if (metadata.title) {
@@ -61,6 +73,34 @@ export async function handleSummary(params) {
     log("info", "Adding author to summary:", { author: metadata.author });
   }
 
+  // Provenance from the document properties
+  if (metadata.lastModifiedBy) {
+    summary += `Last Modified By: ${metadata.lastModifiedBy}\n`;
+  }
+  if (metadata.company) {
+    summary += `Company: ${metadata.company}\n`;
+  }
+  const created = metadata.created || metadata.creationDate;
+  if (created) {
+    summary += `Created: ${formatDate(created)}\n`;
+  }
+  const modified = metadata.modified || metadata.modificationDate;
+  if (modified) {
+    summary += `Modified: ${formatDate(modified)}\n`;
+  }
+  if (metadata.revision) {
+    summary += `Revision: ${metadata.revision}\n`;
+  }
+  if (metadata.template) {
+    summary += `Template: ${metadata.template}\n`;
+  }
+  if (metadata.customProperties) {
+    const custom = Object.entries(metadata.customProperties)
+      .map(([name, value]) => `${name}=${formatDate(value)}`)
+      .join(", ");
+    summary += `Custom Properties: ${custom}\n`;
+  }
+
   if (metadata.pageCount) {
     summary += `Page Count: ${metadata.pageCount}\n`;
   }
@@ -68,10 +108,134 @@ export async function handleSummary(params) {
   if (metadata.sheetCount) {
     summary += `Sheet Count: ${metadata.sheetCount}\n`;
   }
+  if (metadata.slideCount) {
+    summary += `Slide Count: ${metadata.slideCount}\n`;
+  }
+  if (metadata.wordCount) {
+    summary += `Word Count: ${metadata.wordCount}\n`;
+  }
+
+  // Content a reviewer should know about before trusting a workbook
+  if (Array.isArray(metadata.sheets) && metadata.hiddenSheets?.length > 0) {
+    const hidden = metadata.sheets
+      .filter((sheet) => sheet.visibility !== "visible")
+      .map(
+        (sheet) =>
+          `${sheet.name}${sheet.visibility === "veryHidden" ? " (very hidden)" : ""}`,
+      );
+    summary += `Hidden Sheets: ${hidden.join(", ")}\n`;
+  }
+  if (metadata.hasMacros) {
+    summary += `Macros: contains a VBA project\n`;
+  }
+  if (metadata.externalLinks?.length > 0) {
+    summary += `External Links: ${metadata.externalLinks
+      .map((link) => link.target || link.part)
+      .join(", ")}\n`;
+  }
+  if (metadata.definedNames?.length > 0) {
+    summary += `Defined Names: ${metadata.definedNames.length}\n`;
+  }
+
+  // Table of contents from the PDF bookmarks
+  const outline = Array.isArray(result.outline) ? result.outline : [];
+  if (outline.length > 0) {
+    summary += `\nTable of Contents:\n`;
+    outline.slice(0, MAX_TOC_ENTRIES).forEach((entry) => {
+      const page = entry.page ? ` (page ${entry.page})` : "";
+      summary += `${"  ".repeat(entry.level - 1)}- ${entry.title}${page}\n`;
+    });
+    if (outline.length > MAX_TOC_ENTRIES) {
+      summary += `... and ${outline.length - MAX_TOC_ENTRIES} more entries\n`;
+    }
+  }
+
+  // Truncate text for summary view (optionally scoped to selected pages)
+  let previewSource = result.text || "";
+  if (params.pages) {
+    try {
+      previewSource = sliceDocument(result, { pages: params.pages }).text;
+    } catch (error) {
+      return {
+        content: [{ type: "text", text: `Error: ${error.message}` }],
+        isError: true,
+      };
+    }
+  }
+  const previewLength = params.maxChars || 500;
+  const previewText = previewSource.substring(0, previewLength);
+  summary += `\nContent Preview:\n${previewText}${previewSource.length > previewLength ? "..." : ""}`;
 
-  // Truncate text for summary view
-  const previewText = (result.text || "").substring(0, 500);
-  summary += `\nContent Preview:\n${previewText}${result.text.length > 500 ? "..." : ""}`;
+  // Count tracked changes and comments (DOCX)
+  const revisions = Array.isArray(result.revisions) ? result.revisions : [];
+  if (revisions.length > 0) {
+    const authors = [
+      ...new Set(revisions.map((revision) => revision.author).filter(Boolean)),
+    ];
+    const insertions = revisions.filter((revision) =>
+      ["insertion", "move-to"].includes(revision.type),
+    ).length;
+    summary += `\n\nTracked Changes: ${revisions.length} (${insertions} insertion(s), ${revisions.length - insertions} deletion(s))`;
+    if (authors.length > 0) {
+      summary += ` by ${authors.join(", ")}`;
+    }
+    summary += `\nUse get-doc-indepth with revisionView to see the redline.`;
+  }
+  const comments = Array.isArray(result.comments) ? result.comments : [];
+  if (comments.length > 0) {
+    summary += revisions.length > 0 ? "\n" : "\n\n";
+    summary += `Comments: ${comments.length}`;
+  }
+
+  // List form field values (fillable PDFs)
+  const formFields = Array.isArray(result.formFields) ? result.formFields : [];
+  if (formFields.length > 0) {
+    summary += `\n\nForm Fields (${formFields.length}):\n`;
+    formFields.slice(0, MAX_FORM_FIELDS).forEach((field) => {
+      summary += `- ${field.name}: ${formatFormFieldValue(field)}\n`;
+    });
+    if (formFields.length > MAX_FORM_FIELDS) {
+      summary += `... and ${formFields.length - MAX_FORM_FIELDS} more field(s)\n`;
+    }
+  }
+
+  // Comments, links and attachments (PDF)
+  const annotations = Array.isArray(result.annotations)
+    ? result.annotations
+    : [];
+  if (annotations.length > 0) {
+    const authors = [
+      ...new Set(annotations.map((item) => item.author).filter(Boolean)),
+    ];
+    summary += `\n\nAnnotations: ${annotations.length}`;
+    if (authors.length > 0) {
+      summary += ` by ${authors.join(", ")}`;
+    }
+  }
+  const links = Array.isArray(result.links) ? result.links : [];
+  if (links.length > 0) {
+    summary += annotations.length > 0 ? "\n" : "\n\n";
+    summary += `Links: ${links.length}`;
+  }
+  const attachments = Array.isArray(result.attachments)
+    ? result.attachments
+    : [];
+  if (attachments.length > 0) {
+    summary += `\n\nAttachments: ${attachments
+      .map((attachment) => `${attachment.name} (${attachment.size} bytes)`)
+      .join(", ")}`;
+  }
+  if (result.invoice) {
+    summary += `\nE-Invoice: ${describeInvoice(result.invoice)}`;
+  }
+
+  // Describe charts (Excel workbooks)
+  if (Array.isArray(result.charts) && result.charts.length > 0) {
+    summary += `\n\nFound ${result.charts.length} chart(s) in document:\n`;
+    result.charts.forEach((chart) => {
+      summary += `- ${chart.description}\n`;
+    });
+  }
 
   // Add image information
   if (images.length > 0) {
@@ -85,8 +249,57 @@ export async function handleSummary(params) {
     }
   }
 
+  const content = [
+    { type: "text", text: summary || "Unable to generate summary" },
+  ];
+
+  // Attach the actual image pixels for vision-capable clients
+  if (params.includeImages && images.length > 0) {
+    log("info", "Attaching images as MCP image content");
+    content.push(
+      ...imageProcessor.toMcpImageBlocks(
+        images,
+        getImageResponseOptions(params),
+      ),
+    );
+  }
+
   log("info", "handleSummary completed successfully");
-  return {
-    content: [{ type: "text", text: summary || "Unable to generate summary" }],
-  };
+  return { content };
+}
+
+// Cap on table of contents entries shown in the summary
+const MAX_TOC_ENTRIES = 100;
+
+// Cap on form fields listed in the summary
+const MAX_FORM_FIELDS = 100;
+
+/**
+ * Describe an embedded e-invoice in one line
+ * @param {Object} invoice - Invoice from the PDF parser
+ * @returns {string} Number, parties, total and due date
+ */
+function describeInvoice(invoice) {
+  let text = `invoice ${invoice.number || "(no number)"}`;
+  if (invoice.seller?.name) {
+    text += ` from ${invoice.seller.name}`;
+  }
+  if (invoice.buyer?.name) {
+    text += ` to ${invoice.buyer.name}`;
+  }
+  if (invoice.totals.grandTotal !== null) {
+    text +=
+      `, total ${invoice.totals.grandTotal} ${invoice.currency || ""}`.trimEnd();
+  }
+  if (invoice.dueDate) {
+    text += `, due ${invoice.dueDate.toISOString().substring(0, 10)}`;
+  }
+  return `${text} (${invoice.source})`;
+}
+
+/**
+ * Format a Date as an ISO timestamp; other values are returned as text
+ */
+function formatDate(value) {
+  return value instanceof Date ? value.toISOString() : String(value);
 }
@@ -1,6 +1,7 @@
 import fs from "fs/promises";
 import { constants as fsConstants } from "fs";
 import path from "path";
+import { formatPageRange } from "../utils/content-slicer.js";
 
 /**
  * Enforces docs/ folder structure for file organization
@@ -230,3 +231,115 @@ export async function ensureDirectory(dirPath) {
     );
   }
 }
+
+/**
+ * Maps read-tool image parameters to ImageProcessor selection options
+ * @param {Object} params - Tool parameters
+ * @param {number} [params.maxImages] - Maximum number of images to attach
+ * @param {number} [params.maxImageBytes] - Maximum total image bytes to attach
+ * @param {number[]} [params.imagePages] - Only attach images from these pages
+ * @param {number} [params.minImageSize] - Minimum image width and height in pixels
+ * @returns {Object} Options for imageProcessor.toMcpImageBlocks()
+ */
+export function getImageResponseOptions(params = {}) {
+  return {
+    maxImages: params.maxImages,
+    maxBytes: params.maxImageBytes,
+    pages: params.imagePages,
+    minSize: params.minImageSize,
+  };
+}
+
+/**
+ * Name the services that OCR'd the pages, with their pages when more than
+ * one service was used (e.g. after a fallback)
+ * @param {Array} ocrSegments - Segments with source "ocr"
+ * @returns {string} Description, or "" when no segment names its service
+ */
+function describeOcrSources(ocrSegments) {
+  const pagesBySource = new Map();
+  for (const segment of ocrSegments) {
+    if (!segment.ocrSource) {
+      continue;
+    }
+    if (!pagesBySource.has(segment.ocrSource)) {
+      pagesBySource.set(segment.ocrSource, []);
+    }
+    pagesBySource.get(segment.ocrSource).push(segment.number);
+  }
+
+  if (pagesBySource.size <= 1) {
+    return [...pagesBySource.keys()].join("");
+  }
+  return [...pagesBySource]
+    .map(
+      ([source, pages]) =>
+        `${source} (page${pages.length > 1 ? "s" : ""} ${formatPageRange(pages)})`,
+    )
+    .join(", ");
+}
+
+/**
+ * Format the value of a PDF form field for display
+ * @param {Object} field - Form field from the PDF parser
+ * @returns {string} Display value
+ */
+export function formatFormFieldValue(field) {
+  if (field.type === "checkbox") {
+    return field.checked ? "checked" : "unchecked";
+  }
+  if (field.value === null || field.value === undefined) {
+    return "(empty)";
+  }
+  return String(field.value);
+}
+
+/**
+ * Build the tool response for a document that could not be processed.
+ * Failures with a machine-readable errorCode (e.g. PDF_PASSWORD_REQUIRED)
+ * are flagged as errors and lead with the code so agents can act on it.
+ * @param {Object} result - Failed processing result
+ * @returns {Object} Tool response
+ */
+export function documentErrorResponse(result) {
+  const message = result.error || "Failed to process document";
+  if (!result.errorCode) {
+    return { content: [{ type: "text", text: message }] };
+  }
+  return {
+    content: [
+      { type: "text", text: `Error [${result.errorCode}]: ${message}` },
+    ],
+    isError: true,
+  };
+}
+
+/**
+ * Describe how the text of a scanned or partly scanned PDF was obtained
+ * @param {Object} result - Processing result
+ * @returns {string} Note for the tool response, or "" when no page is scanned
+ */
+export function formatOcrNote(result) {
+  if (!result.isImageBased) {
+    return "";
+  }
+
+  const segments = result.segments || [];
+  const scannedPages = result.ocrPages || [];
+  const partial =
+    scannedPages.length > 0 && scannedPages.length < segments.length;
+
+  if (result.ocrApplied) {
+    const ocrSegments = segments.filter((segment) => segment.source === "ocr");
+    const via = describeOcrSources(ocrSegments) || result.ocrSource;
+    if (!partial) {
+      return `[OCR Applied: Text extracted via ${via}]\n\n`;
+    }
+    const ocrPages = ocrSegments.map((segment) => segment.number);
+    return `[OCR Applied: Scanned pages ${formatPageRange(ocrPages)} extracted via ${via}; the other pages use the PDF text layer]\n\n`;
+  }
+
+  return partial
+    ? `[Note: Pages ${formatPageRange(scannedPages)} are scanned images. OCR with Vision Provider was not applied, so their text is missing.]\n\n`
+    : `[Note: Image-based PDF detected. OCR with Vision Provider was not applied.]\n\n`;
+}
@@ -0,0 +1,608 @@
+import http from "http";
+import { randomUUID, timingSafeEqual } from "crypto";
+import { StreamableHTTPServerTransport } from "@modelcontextprotocol/sdk/server/streamableHttp.js";
+import { SSEServerTransport } from "@modelcontextprotocol/sdk/server/sse.js";
+import { isInitializeRequest } from "@modelcontextprotocol/sdk/types.js";
+import { log } from "../utils/logger.js";
+
+const DEFAULT_HOST = "127.0.0.1";
+const DEFAULT_PORT = 3000;
+const MAX_BODY_BYTES = 4 * 1024 * 1024;
+// Sessions without a request for this long are closed (0 = never)
+const DEFAULT_SESSION_IDLE_TIMEOUT = 30 * 60 * 1000;
+// Upper bound on how often idle sessions are looked for
+const SESSION_SWEEP_INTERVAL = 60 * 1000;
+
+const TRANSPORTS = ["stdio", "http"];
+
+// Host names that always refer to the local machine
+const LOOPBACK_HOSTNAMES = ["localhost", "127.0.0.1", "[::1]"];
+
+/**
+ * Read a "--name=value" or "--name value" command line option
+ */
+function readArg(argv, name) {
+  const flag = `--${name}`;
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === flag && i + 1 < argv.length) {
+      return argv[i + 1];
+    }
+    if (argv[i].startsWith(`${flag}=`)) {
+      return argv[i].substring(flag.length + 1);
+    }
+  }
+  return undefined;
+}
+
+/**
+ * Split a comma-separated setting into trimmed, lowercased entries
+ */
+function readList(value) {
+  return (value || "")
+    .split(",")
+    .map((entry) => entry.trim().toLowerCase())
+    .filter(Boolean);
+}
+
+/**
+ * Resolve transport settings from command line flags and environment variables.
+ * Flags take precedence over environment variables.
+ *
+ * - --transport / MCP_TRANSPORT: "stdio" (default) or "http" ("sse" is accepted as an alias)
+ * - --host / MCP_HTTP_HOST: bind address (default 127.0.0.1)
+ * - --port / MCP_HTTP_PORT: listen port (default 3000)
+ * - MCP_AUTH_TOKEN: optional bearer token required on every HTTP request except /health
+ * - MCP_ALLOWED_HOSTS: extra host names accepted in the Host header
+ * - MCP_ALLOWED_ORIGINS: extra browser origins accepted in the Origin header
+ * - MCP_SESSION_IDLE_TIMEOUT: milliseconds before an idle session is closed
+ *   (default 30 minutes, 0 = never)
+ *
+ * @param {string[]} [argv] - Command line arguments
+ * @param {Object} [env] - Environment variables
+ * @returns {Object} { transport, host, port, authToken, allowedHosts,
+ *   allowedOrigins, sessionIdleTimeout }
+ * @throws {Error} If the transport, port or idle timeout is invalid
+ */
+export function getTransportOptions(
+  argv = process.argv.slice(2),
+  env = process.env,
+) {
+  let transport = (
+    readArg(argv, "transport") ||
+    env.MCP_TRANSPORT ||
+    "stdio"
+  ).toLowerCase();
+  if (transport === "sse") {
+    transport = "http";
+  }
+  if (!TRANSPORTS.includes(transport)) {
+    throw new Error(
+      `Unknown transport "${transport}" (expected one of: stdio, http)`,
+    );
+  }
+
+  const rawPort =
+    readArg(argv, "port") || env.MCP_HTTP_PORT || `${DEFAULT_PORT}`;
+  const port = parseInt(rawPort, 10);
+  if (!Number.isInteger(port) || port < 0 || port > 65535) {
+    throw new Error(`Invalid HTTP port: ${rawPort}`);
+  }
+
+  const rawIdleTimeout =
+    env.MCP_SESSION_IDLE_TIMEOUT || `${DEFAULT_SESSION_IDLE_TIMEOUT}`;
+  const sessionIdleTimeout = parseInt(rawIdleTimeout, 10);
+  if (!Number.isInteger(sessionIdleTimeout) || sessionIdleTimeout < 0) {
+    throw new Error(`Invalid session idle timeout: ${rawIdleTimeout}`);
+  }
+
+  return {
+    transport,
+    host: readArg(argv, "host") || env.MCP_HTTP_HOST || DEFAULT_HOST,
+    port,
+    authToken: env.MCP_AUTH_TOKEN || null,
+    allowedHosts: readList(env.MCP_ALLOWED_HOSTS),
+    allowedOrigins: readList(env.MCP_ALLOWED_ORIGINS),
+    sessionIdleTimeout,
+  };
+}
+
+/**
+ * HTTP Transport Server
+ * Serves the MCP server over HTTP so several clients can share one instance.
+ *
+ * Endpoints:
+ * - POST/GET/DELETE /mcp   Streamable HTTP transport (sessions via the Mcp-Session-Id header)
+ * - GET /sse               Legacy HTTP+SSE transport event stream
+ * - POST /messages         Legacy HTTP+SSE transport messages (?sessionId=...)
+ * - GET /health            Health check (never requires authentication)
+ *
+ * Every session gets its own MCP server instance from the createServer factory,
+ * so resource subscriptions and notifications stay scoped to the client.
+ * Sessions that see no request for sessionIdleTimeout milliseconds, and have
+ * no open stream, are closed so clients that vanish without DELETE do not
+ * keep their server alive.
+ *
+ * To block DNS rebinding, requests are refused when their Host header names
+ * another machine (while bound to loopback) or their Origin header is a web
+ * page that was not explicitly allowed.
+ */
+export class HttpTransportServer {
+  /**
+   * @param {Function} createServer - Factory returning a new, unconnected MCP server
+   * @param {Object} options - { host, port, authToken, allowedHosts,
+   *   allowedOrigins, sessionIdleTimeout, name, version }
+   */
+  constructor(createServer, options = {}) {
+    this.name = "HttpTransportServer";
+    this.createServer = createServer;
+    this.host = options.host || DEFAULT_HOST;
+    this.port = options.port ?? DEFAULT_PORT;
+    this.authToken = options.authToken || null;
+    // Host names accepted in the Host header; loopback names are always
+    // accepted when bound to loopback, otherwise any host is unless listed
+    this.allowedHosts = [
+      ...(isLoopback(this.host) ? LOOPBACK_HOSTNAMES : []),
+      ...(options.allowedHosts || []),
+    ];
+    // Origins accepted in addition to pages served from the local machine
+    this.allowedOrigins = options.allowedOrigins || [];
+    this.serverInfo = {
+      name: options.name || "mcp-doc-processor",
+      version: options.version || "1.0.0",
+    };
+    this.sessionIdleTimeout =
+      options.sessionIdleTimeout ?? DEFAULT_SESSION_IDLE_TIMEOUT;
+    // sessionId -> { type, transport, server, lastActivity, openRequests }
+    this.sessions = new Map();
+    this.httpServer = null;
+    this.sweepTimer = null;
+    this.startedAt = null;
+  }
+
+  /**
+   * Start listening for HTTP connections
+   * @returns {Promise<Object>} Bound address ({ address, port })
+   */
+  async start() {
+    this.httpServer = http.createServer((req, res) => {
+      this.handleRequest(req, res).catch((error) => {
+        log("error", "Error handling HTTP request:", {
+          method: req.method,
+          url: req.url,
+          error: error.message,
+        });
+        if (!res.headersSent) {
+          this.sendJsonRpcError(res, 500, -32603, "Internal server error");
+        } else {
+          res.end();
+        }
+      });
+    });
+
+    await new Promise((resolve, reject) => {
+      this.httpServer.once("error", reject);
+      this.httpServer.listen(this.port, this.host, () => {
+        this.httpServer.off("error", reject);
+        resolve();
+      });
+    });
+
+    if (this.sessionIdleTimeout > 0) {
+      this.sweepTimer = setInterval(
+        () => this.expireIdleSessions(),
+        Math.min(this.sessionIdleTimeout, SESSION_SWEEP_INTERVAL),
+      );
+      this.sweepTimer.unref();
+    }
+
+    this.startedAt = Date.now();
+    const address = this.httpServer.address();
+    log("info", "MCP Document Processor server running on HTTP", {
+      url: `http://${address.address}:${address.port}/mcp`,
+      legacySse: `http://${address.address}:${address.port}/sse`,
+      auth: this.authToken ? "bearer" : "none",
+    });
+
+    if (!this.authToken && !isLoopback(this.host)) {
+      log(
+        "warn",
+        "HTTP transport is bound to a non-loopback address without MCP_AUTH_TOKEN; any host that can reach it can read local files",
+        { host: this.host },
+      );
+    }
+
+    return address;
+  }
+
+  /**
+   * Close every session and stop the HTTP server
+   */
+  async close() {
+    clearInterval(this.sweepTimer);
+    this.sweepTimer = null;
+
+    for (const [sessionId, session] of [...this.sessions]) {
+      await this.closeSession(sessionId, session);
+    }
+
+    if (this.httpServer) {
+      await new Promise((resolve) => this.httpServer.close(() => resolve()));
+      this.httpServer = null;
+    }
+  }
+
+  /**
+   * Route an incoming HTTP request
+   */
+  async handleRequest(req, res) {
+    const url = new URL(req.url, "http://localhost");
+
+    if (url.pathname === "/health") {
+      return this.handleHealth(req, res);
+    }
+
+    if (!this.isAllowedHost(req) || !this.isAllowedOrigin(req)) {
+      log("warn", "Rejected HTTP request from a disallowed host or origin", {
+        host: req.headers.host,
+        origin: req.headers.origin,
+      });
+      return this.sendJsonRpcError(res, 403, -32000, "Forbidden");
+    }
+
+    if (!this.isAuthorized(req)) {
+      res.setHeader("WWW-Authenticate", 'Bearer realm="mcp-doc-processor"');
+      return this.sendJsonRpcError(res, 401, -32001, "Unauthorized");
+    }
+
+    switch (url.pathname) {
+      case "/mcp":
+        return this.handleStreamableRequest(req, res);
+      case "/sse":
+        return this.handleSseConnect(req, res);
+      case "/messages":
+        return this.handleSseMessage(
+          req,
+          res,
+          url.searchParams.get("sessionId"),
+        );
+      default:
+        return this.sendJsonRpcError(res, 404, -32601, "Not found");
+    }
+  }
+
+  /**
+   * GET /health
+   */
+  handleHealth(req, res) {
+    if (req.method !== "GET") {
+      return this.sendJsonRpcError(res, 405, -32000, "Method not allowed");
+    }
+
+    const sessions = { streamable: 0, sse: 0 };
+    for (const session of this.sessions.values()) {
+      sessions[session.type]++;
+    }
+
+    res.writeHead(200, { "Content-Type": "application/json" });
+    res.end(
+      JSON.stringify({
+        status: "ok",
+        ...this.serverInfo,
+        uptimeSeconds: Math.round((Date.now() - this.startedAt) / 1000),
+        sessions,
+      }),
+    );
+  }
+
+  /**
+   * Streamable HTTP transport: POST for client messages, GET for the
+   * server-to-client stream and DELETE to end a session
+   */
+  async handleStreamableRequest(req, res) {
+    const sessionId = req.headers["mcp-session-id"];
+    let body;
+
+    if (req.method === "POST") {
+      body = await this.readJsonBody(req, res);
+      if (body === undefined) {
+        return;
+      }
+    } else if (req.method !== "GET" && req.method !== "DELETE") {
+      return this.sendJsonRpcError(res, 405, -32000, "Method not allowed");
+    }
+
+    if (sessionId) {
+      const session = this.sessions.get(sessionId);
+      if (!session || session.type !== "streamable") {
+        return this.sendJsonRpcError(res, 404, -32001, "Session not found");
+      }
+      this.trackActivity(session, res);
+      return session.transport.handleRequest(req, res, body);
+    }
+
+    if (req.method !== "POST" || !isInitializeRequest(body)) {
+      return this.sendJsonRpcError(
+        res,
+        400,
+        -32000,
+        "Bad Request: No valid session ID provided",
+      );
+    }
+
+    const server = this.createServer();
+    const transport = new StreamableHTTPServerTransport({
+      sessionIdGenerator: () => randomUUID(),
+      onsessioninitialized: (newSessionId) => {
+        const session = this.createSession("streamable", transport, server);
+        this.sessions.set(newSessionId, session);
+        this.trackActivity(session, res);
+        log("info", "HTTP session opened:", { sessionId: newSessionId });
+      },
+    });
+
+    transport.onclose = () => {
+      if (transport.sessionId && this.sessions.has(transport.sessionId)) {
+        this.sessions.delete(transport.sessionId);
+        log("info", "HTTP session closed:", { sessionId: transport.sessionId });
+      }
+    };
+
+    try {
+      await server.connect(transport);
+      await transport.handleRequest(req, res, body);
+    } finally {
+      // A failed initialize leaves no session behind to close it later
+      if (!transport.sessionId || !this.sessions.has(transport.sessionId)) {
+        await this.discardServer(server, transport);
+      }
+    }
+  }
+
+  /**
+   * Legacy HTTP+SSE transport: open the event stream
+   */
+  async handleSseConnect(req, res) {
+    if (req.method !== "GET") {
+      return this.sendJsonRpcError(res, 405, -32000, "Method not allowed");
+    }
+
+    const server = this.createServer();
+    const transport = new SSEServerTransport("/messages", res);
+    const sessionId = transport.sessionId;
+    const session = this.createSession("sse", transport, server);
+
+    this.sessions.set(sessionId, session);
+    this.trackActivity(session, res);
+    log("info", "SSE session opened:", { sessionId });
+
+    res.on("close", () => {
+      if (this.sessions.delete(sessionId)) {
+        log("info", "SSE session closed:", { sessionId });
+      }
+    });
+
+    await server.connect(transport);
+  }
+
+  /**
+   * Legacy HTTP+SSE transport: receive a client message
+   */
+  async handleSseMessage(req, res, sessionId) {
+    if (req.method !== "POST") {
+      return this.sendJsonRpcError(res, 405, -32000, "Method not allowed");
+    }
+
+    const session = sessionId ? this.sessions.get(sessionId) : null;
+    if (!session || session.type !== "sse") {
+      return this.sendJsonRpcError(res, 404, -32001, "Session not found");
+    }
+
+    this.trackActivity(session, res);
+    const body = await this.readJsonBody(req, res);
+    if (body === undefined) {
+      return;
+    }
+    await session.transport.handlePostMessage(req, res, body);
+  }
+
+  /**
+   * Create the bookkeeping entry for a new session
+   */
+  createSession(type, transport, server) {
+    return {
+      type,
+      transport,
+      server,
+      lastActivity: Date.now(),
+      openRequests: 0,
+    };
+  }
+
+  /**
+   * Mark a session as in use until the response closes. Open streams (such
+   * as the SSE event stream) keep a session from expiring.
+   */
+  trackActivity(session, res) {
+    session.lastActivity = Date.now();
+    session.openRequests++;
+    res.once("close", () => {
+      session.openRequests--;
+      session.lastActivity = Date.now();
+    });
+  }
+
+  /**
+   * Close sessions that have been idle for longer than the idle timeout
+   * @param {number} [now] - Current time in milliseconds
+   * @returns {Promise<number>} Number of sessions closed
+   */
+  async expireIdleSessions(now = Date.now()) {
+    let expired = 0;
+    for (const [sessionId, session] of [...this.sessions]) {
+      if (
+        session.openRequests === 0 &&
+        now - session.lastActivity >= this.sessionIdleTimeout
+      ) {
+        log("info", "Closing idle HTTP session:", { sessionId });
+        await this.closeSession(sessionId, session);
+        expired++;
+      }
+    }
+    return expired;
+  }
+
+  /**
+   * Close the server and transport of a session that was never registered
+   */
+  async discardServer(server, transport) {
+    try {
+      await server.close();
+      await transport.close();
+    } catch (error) {
+      log("warn", "Error closing unused MCP server:", {
+        error: error.message,
+      });
+    }
+  }
+
+  /**
+   * Close a single session (the MCP server's onclose releases its subscriptions)
+   */
+  async closeSession(sessionId, session) {
+    this.sessions.delete(sessionId);
+    try {
+      await session.transport.close();
+    } catch (error) {
+      log("warn", "Error closing session:", {
+        sessionId,
+        error: error.message,
+      });
+    }
+  }
+
+  /**
+   * Check the Host header against the allowed host names (port ignored)
+   */
+  isAllowedHost(req) {
+    if (this.allowedHosts.length === 0) {
+      return true;
+    }
+    const hostname = parseHostname(`http://${req.headers.host || ""}`);
+    return hostname !== null && this.allowedHosts.includes(hostname);
+  }
+
+  /**
+   * Check the Origin header sent by browsers. Requests without an Origin
+   * (non-browser clients) pass; pages served from the local machine and
+   * explicitly allowed origins pass.
+   */
+  isAllowedOrigin(req) {
+    const origin = req.headers.origin;
+    if (!origin) {
+      return true;
+    }
+    if (this.allowedOrigins.includes(origin.toLowerCase())) {
+      return true;
+    }
+    return LOOPBACK_HOSTNAMES.includes(parseHostname(origin));
+  }
+
+  /**
+   * Check the bearer token when authentication is enabled
+   */
+  isAuthorized(req) {
+    if (!this.authToken) {
+      return true;
+    }
+
+    const header = req.headers["authorization"] || "";
+    const match = /^Bearer\s+(.+)$/i.exec(header);
+    if (!match) {
+      return false;
+    }
+
+    const provided = Buffer.from(match[1].trim());
+    const expected = Buffer.from(this.authToken);
+    return (
+      provided.length === expected.length && timingSafeEqual(provided, expected)
+    );
+  }
+
+  /**
+   * Read and parse a JSON request body.
+   * Sends an error response and returns undefined when the body is invalid.
+   */
+  async readJsonBody(req, res) {
+    const chunks = [];
+    let size = 0;
+
+    for await (const chunk of req) {
+      size += chunk.length;
+      if (size > MAX_BODY_BYTES) {
+        this.sendJsonRpcError(res, 413, -32600, "Request body too large");
+        return undefined;
+      }
+      chunks.push(chunk);
+    }
+
+    try {
+      return JSON.parse(Buffer.concat(chunks).toString("utf8"));
+    } catch (error) {
+      this.sendJsonRpcError(res, 400, -32700, "Parse error: invalid JSON");
+      return undefined;
+    }
+  }
+
+  /**
+   * Send a JSON-RPC error response
+   */
+  sendJsonRpcError(res, status, code, message) {
+    res.writeHead(status, { "Content-Type": "application/json" });
+    res.end(
+      JSON.stringify({
+        jsonrpc: "2.0",
+        error: { code, message },
+        id: null,
+      }),
+    );
+  }
+}
+
+/**
+ * Get the lowercased host name of a URL, or null if it cannot be parsed
+ */
+function parseHostname(url) {
+  try {
+    return new URL(url).hostname.toLowerCase();
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Whether a bind address only accepts local connections
+ */
+function isLoopback(host) {
+  return host === "localhost" || host === "::1" || host.startsWith("127.");
+}
+
+/**
+ * Start the HTTP transport and close it cleanly on SIGINT/SIGTERM
+ * @param {Function} createServer - Factory returning a new, unconnected MCP server
+ * @param {Object} options - { host, port, authToken, name, version }
+ * @returns {Promise<HttpTransportServer>} Running transport server
+ */
+export async function startHttpServer(createServer, options = {}) {
+  const httpTransport = new HttpTransportServer(createServer, options);
+  await httpTransport.start();
+
+  const shutdown = async (signal) => {
+    log("info", `Received ${signal}, shutting down HTTP transport`);
+    await httpTransport.close();
+    process.exit(0);
+  };
+  process.once("SIGINT", shutdown);
+  process.once("SIGTERM", shutdown);
+
+  return httpTransport;
+}
@@ -0,0 +1,100 @@
+/**
+ * Circuit Breaker Utility
+ * Stops sending requests to a provider that keeps failing. After a number of
+ * consecutive failures the circuit opens and requests are refused until a
+ * cooldown has passed; then a single trial request is let through
+ * (half-open) and its outcome closes or reopens the circuit.
+ */
+
+export const CIRCUIT_CLOSED = "closed";
+export const CIRCUIT_OPEN = "open";
+export const CIRCUIT_HALF_OPEN = "half-open";
+
+export class CircuitBreaker {
+  /**
+   * @param {Object} [options] - { failureThreshold, cooldown } consecutive
+   *   failures that open the circuit (default: 3) and milliseconds it stays
+   *   open (default: 60000)
+   */
+  constructor(options = {}) {
+    this.failureThreshold = Math.max(1, options.failureThreshold || 3);
+    this.cooldown = options.cooldown ?? 60000;
+    this.state = CIRCUIT_CLOSED;
+    this.consecutiveFailures = 0;
+    this.openedAt = null;
+    this.trialInFlight = false;
+  }
+
+  /**
+   * Check whether the circuit is refusing requests
+   * @returns {boolean} True while open and the cooldown has not passed
+   */
+  isOpen() {
+    return (
+      this.state === CIRCUIT_OPEN && Date.now() - this.openedAt < this.cooldown
+    );
+  }
+
+  /**
+   * Check whether a request may be sent, claiming the trial request when
+   * the cooldown of an open circuit has passed
+   * @returns {boolean} True if the request may be sent
+   */
+  tryAcquire() {
+    if (this.isOpen()) {
+      return false;
+    }
+    if (this.state === CIRCUIT_OPEN) {
+      this.state = CIRCUIT_HALF_OPEN;
+    }
+    if (this.state === CIRCUIT_HALF_OPEN) {
+      if (this.trialInFlight) {
+        return false;
+      }
+      this.trialInFlight = true;
+    }
+    return true;
+  }
+
+  /**
+   * Record a successful request, closing the circuit
+   */
+  recordSuccess() {
+    this.state = CIRCUIT_CLOSED;
+    this.consecutiveFailures = 0;
+    this.openedAt = null;
+    this.trialInFlight = false;
+  }
+
+  /**
+   * Record a failed request, opening the circuit when the threshold is
+   * reached or the trial request failed
+   */
+  recordFailure() {
+    this.consecutiveFailures++;
+    this.trialInFlight = false;
+    if (
+      this.state === CIRCUIT_HALF_OPEN ||
+      this.consecutiveFailures >= this.failureThreshold
+    ) {
+      this.state = CIRCUIT_OPEN;
+      this.openedAt = Date.now();
+    }
+  }
+
+  /**
+   * Release a claimed request whose outcome says nothing about the
+   * provider's health (e.g. cancelled by the client)
+   */
+  release() {
+    this.trialInFlight = false;
+  }
+
+  /**
+   * Get the time at which an open circuit lets a trial request through
+   * @returns {number|null} Epoch milliseconds, or null when not open
+   */
+  getRetryAt() {
+    return this.state === CIRCUIT_OPEN ? this.openedAt + this.cooldown : null;
+  }
+}
@@ -0,0 +1,222 @@
+/**
+ * Content Slicer Utility
+ * Selects pages/sections of a parsed document and splits long text into
+ * chunks that a client can page through with a continuation cursor.
+ *
+ * Parsers expose their natural units as "segments" ({ number, label, text }):
+ * pages for PDF, sections for DOCX and sheets for Excel.
+ */
+
+/**
+ * Parse a page range specification such as "5-12,20"
+ * @param {string|number|number[]} spec - Range specification
+ * @param {number} [total] - Total number of pages (used to clamp open ranges like "10-")
+ * @returns {number[]} Sorted, de-duplicated page numbers (1-based)
+ * @throws {Error} If the specification is invalid
+ */
+export function parsePageRange(spec, total = Infinity) {
+  if (spec === undefined || spec === null || spec === "") {
+    return [];
+  }
+
+  if (typeof spec === "number") {
+    spec = String(spec);
+  }
+
+  if (Array.isArray(spec)) {
+    spec = spec.join(",");
+  }
+
+  if (typeof spec !== "string") {
+    throw new Error('Page range must be a string like "5-12,20"');
+  }
+
+  const pages = new Set();
+
+  for (const rawPart of spec.split(",")) {
+    const part = rawPart.trim();
+    if (part.length === 0) {
+      continue;
+    }
+
+    const match = /^(\d+)?\s*(-)?\s*(\d+)?$/.exec(part);
+    if (!match || (!match[1] && !match[3])) {
+      throw new Error(`Invalid page range segment: "${part}"`);
+    }
+
+    const start = match[1] ? parseInt(match[1], 10) : 1;
+    let end;
+    if (match[2]) {
+      end = match[3] ? parseInt(match[3], 10) : total;
+    } else {
+      end = start;
+    }
+
+    if (start < 1 || end < start) {
+      throw new Error(`Invalid page range segment: "${part}"`);
+    }
+
+    if (!Number.isFinite(end)) {
+      throw new Error(
+        `Open-ended page range "${part}" requires a known page count`,
+      );
+    }
+
+    for (let page = start; page <= Math.min(end, total); page++) {
+      pages.add(page);
+    }
+  }
+
+  return [...pages].sort((a, b) => a - b);
+}
+
+/**
+ * Format page numbers back into a compact range string ("5-12,20")
+ * @param {number[]} pages - Sorted page numbers
+ * @returns {string} Compact range string
+ */
+export function formatPageRange(pages) {
+  const parts = [];
+  let start = null;
+  let previous = null;
+
+  for (const page of pages) {
+    if (start === null) {
+      start = previous = page;
+    } else if (page === previous + 1) {
+      previous = page;
+    } else {
+      parts.push(start === previous ? `${start}` : `${start}-${previous}`);
+      start = previous = page;
+    }
+  }
+
+  if (start !== null) {
+    parts.push(start === previous ? `${start}` : `${start}-${previous}`);
+  }
+
+  return parts.join(",");
+}
+
+/**
+ * Encode a continuation cursor
+ * @param {Object} state - { offset, pages, maxChars } plus any state the
+ *   caller keeps in the cursor
+ * @returns {string} Opaque cursor string
+ */
+export function encodeCursor(state) {
+  return Buffer.from(JSON.stringify(state), "utf8").toString("base64url");
+}
+
+/**
+ * Decode a continuation cursor
+ * @param {string} cursor - Cursor returned by a previous response
+ * @returns {Object} { offset, pages, maxChars, ... }
+ * @throws {Error} If the cursor is malformed
+ */
+export function decodeCursor(cursor) {
+  try {
+    const state = JSON.parse(Buffer.from(cursor, "base64url").toString("utf8"));
+    if (!Number.isInteger(state.offset) || state.offset < 0) {
+      throw new Error("missing offset");
+    }
+    return state;
+  } catch (error) {
+    throw new Error(`Invalid cursor: ${error.message}`);
+  }
+}
+
+/**
+ * Select segments and slice the resulting text
+ * @param {Object} document - Parsed document ({ text, segments, segmentUnit })
+ * @param {Object} options - Slicing options
+ * @param {string} [options.pages] - Page/section/sheet range, e.g. "5-12,20"
+ * @param {number} [options.offset] - Character offset into the selected text
+ * @param {number} [options.maxChars] - Maximum characters to return
+ * @param {string} [options.cursor] - Continuation cursor (overrides pages/offset;
+ *   its maxChars applies unless maxChars is given)
+ * @param {Object} [options.cursorState] - Extra state to keep in the next cursor
+ * @returns {Object} { text, start, end, totalChars, pages, unit, truncated, nextCursor }
+ * @throws {Error} If the range or cursor is invalid
+ */
+export function sliceDocument(document, options = {}) {
+  const segments = Array.isArray(document.segments) ? document.segments : [];
+  const unit = document.segmentUnit || "page";
+
+  let pagesSpec = options.pages;
+  let offset = options.offset || 0;
+  let maxChars = options.maxChars;
+
+  if (options.cursor) {
+    const state = decodeCursor(options.cursor);
+    pagesSpec = state.pages;
+    offset = state.offset;
+    // Keep the chunk size of the request that returned the cursor
+    maxChars = maxChars ?? state.maxChars;
+  }
+
+  let selectedText = document.text || "";
+  let selectedPages = null;
+
+  if (pagesSpec) {
+    if (segments.length === 0) {
+      throw new Error(`This document does not expose ${unit}s for selection`);
+    }
+
+    const maxNumber = Math.max(...segments.map((segment) => segment.number));
+    selectedPages = parsePageRange(pagesSpec, maxNumber);
+    const wanted = new Set(selectedPages);
+    const selected = segments.filter((segment) => wanted.has(segment.number));
+
+    if (selected.length === 0) {
+      throw new Error(
+        `No ${unit}s match "${pagesSpec}" (document has ${segments.length} ${unit}s)`,
+      );
+    }
+
+    selectedText = selected
+      .map((segment) => `--- ${segment.label} ---\n${segment.text}`)
+      .join("\n\n");
+  }
+
+  const totalChars = selectedText.length;
+  const start = Math.min(Math.max(0, offset), totalChars);
+  let end = totalChars;
+
+  if (maxChars && maxChars > 0) {
+    end = Math.min(totalChars, start + maxChars);
+
+    // Prefer to break on a line or word boundary near the limit
+    if (end < totalChars) {
+      const window = selectedText.substring(start, end);
+      const minBreak = Math.floor(window.length * 0.8);
+      const lineBreak = window.lastIndexOf("\n");
+      const wordBreak = window.lastIndexOf(" ");
+      if (lineBreak >= minBreak) {
+        end = start + lineBreak + 1;
+      } else if (wordBreak >= minBreak) {
+        end = start + wordBreak + 1;
+      }
+    }
+  }
+
+  const truncated = end < totalChars;
+
+  return {
+    text: selectedText.substring(start, end),
+    start,
+    end,
+    totalChars,
+    pages: selectedPages,
+    unit,
+    truncated,
+    nextCursor: truncated
+      ? encodeCursor({
+          ...options.cursorState,
+          offset: end,
+          pages: selectedPages ? formatPageRange(selectedPages) : undefined,
+          maxChars,
+        })
+      : null,
+  };
+}
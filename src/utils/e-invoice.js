@@ -0,0 +1,141 @@
+import {
+  parseXml,
+  findAll,
+  findFirst,
+  childElement,
+  getAttr,
+} from "./xml-utils.js";
+
+/**
+ * E-Invoice Utility
+ * Reads the UN/CEFACT Cross Industry Invoice (CII) XML embedded in hybrid
+ * PDF invoices: ZUGFeRD 2.x, Factur-X and XRechnung (CII syntax).
+ */
+
+// Attachment names defined by the ZUGFeRD, Factur-X and XRechnung specifications
+const INVOICE_ATTACHMENT_NAMES = [
+  "factur-x.xml",
+  "zugferd-invoice.xml",
+  "xrechnung.xml",
+];
+
+/**
+ * Check whether an attachment name is one of the standard e-invoice names
+ * @param {string} name - Attachment file name
+ * @returns {boolean} True for factur-x.xml, zugferd-invoice.xml or xrechnung.xml
+ */
+export function isInvoiceAttachment(name) {
+  return INVOICE_ATTACHMENT_NAMES.includes((name || "").toLowerCase());
+}
+
+/**
+ * Parse a Cross Industry Invoice document
+ * @param {string} xml - Invoice XML
+ * @returns {Object|null} { format, profile, number, typeCode, issueDate,
+ *   dueDate, currency, seller, buyer, totals, lineItems }, or null when the
+ *   XML is not a Cross Industry Invoice
+ */
+export function parseCrossIndustryInvoice(xml) {
+  const doc = parseXml(xml);
+  const root = doc.documentElement;
+  if (!root || root.localName !== "CrossIndustryInvoice") {
+    return null;
+  }
+
+  const header = findFirst(root, "ExchangedDocument");
+  const agreement = findFirst(root, "ApplicableHeaderTradeAgreement");
+  const settlement = findFirst(root, "ApplicableHeaderTradeSettlement");
+  const summation = findFirst(
+    settlement,
+    "SpecifiedTradeSettlementHeaderMonetarySummation",
+  );
+
+  return {
+    format: "CII",
+    profile: childText(
+      findFirst(root, "GuidelineSpecifiedDocumentContextParameter"),
+      "ID",
+    ),
+    number: childText(header, "ID"),
+    typeCode: childText(header, "TypeCode"),
+    issueDate: parseDateTime(findFirst(header, "IssueDateTime")),
+    dueDate: parseDateTime(findFirst(settlement, "DueDateDateTime")),
+    currency: childText(settlement, "InvoiceCurrencyCode"),
+    seller: parseParty(childElement(agreement, "SellerTradeParty")),
+    buyer: parseParty(childElement(agreement, "BuyerTradeParty")),
+    totals: {
+      lineTotal: childAmount(summation, "LineTotalAmount"),
+      taxBasis: childAmount(summation, "TaxBasisTotalAmount"),
+      tax: childAmount(summation, "TaxTotalAmount"),
+      grandTotal: childAmount(summation, "GrandTotalAmount"),
+      duePayable: childAmount(summation, "DuePayableAmount"),
+    },
+    lineItems: findAll(root, "IncludedSupplyChainTradeLineItem").map((item) => {
+      const quantity = findFirst(item, "BilledQuantity");
+      return {
+        name: childText(findFirst(item, "SpecifiedTradeProduct"), "Name"),
+        quantity: parseAmount(quantity?.textContent),
+        unit: getAttr(quantity, "unitCode"),
+        netPrice: childAmount(
+          findFirst(item, "NetProductPriceTradePrice"),
+          "ChargeAmount",
+        ),
+        total: childAmount(
+          findFirst(item, "SpecifiedTradeSettlementLineMonetarySummation"),
+          "LineTotalAmount",
+        ),
+      };
+    }),
+  };
+}
+
+/**
+ * Read the name, VAT id and country of a trade party
+ */
+function parseParty(party) {
+  if (!party) {
+    return null;
+  }
+  const vatId = findAll(party, "SpecifiedTaxRegistration")
+    .map((registration) => childElement(registration, "ID"))
+    .find((id) => getAttr(id, "schemeID") === "VA");
+  return {
+    name: childText(party, "Name"),
+    vatId: vatId?.textContent?.trim() || null,
+    country: childText(findFirst(party, "PostalTradeAddress"), "CountryID"),
+  };
+}
+
+/**
+ * Get the trimmed text of the first direct child with a local name
+ */
+function childText(node, localName) {
+  return childElement(node, localName)?.textContent?.trim() || null;
+}
+
+/**
+ * Get the first direct child with a local name as a number
+ */
+function childAmount(node, localName) {
+  return parseAmount(childElement(node, localName)?.textContent);
+}
+
+/**
+ * Parse a decimal amount, returning null when missing or invalid
+ */
+function parseAmount(value) {
+  const amount = parseFloat(value);
+  return isNaN(amount) ? null : amount;
+}
+
+/**
+ * Parse a udt:DateTimeString (format 102 is YYYYMMDD) into a UTC date
+ */
+function parseDateTime(element) {
+  const text = findFirst(element, "DateTimeString")?.textContent?.trim();
+  const match = /^(\d{4})(\d{2})(\d{2})$/.exec(text || "");
+  if (!match) {
+    return null;
+  }
+  return new Date(Date.UTC(match[1], match[2] - 1, match[3]));
+}
@@ -1,8 +1,94 @@
+import fs from 'fs';
 import path from 'path';
+import zlib from 'zlib';
+
+// Number of leading bytes inspected for signatures and text heuristics
+const HEADER_BYTES = 8192;
+
+// OLE2 compound file signature (legacy .doc/.xls/.ppt)
+const OLE2_SIGNATURE = Buffer.from([0xd0, 0xcf, 0x11, 0xe0, 0xa1, 0xb1, 0x1a, 0xe1]);
+
+// OOXML main part content types -> format
+const OOXML_CONTENT_TYPES = {
+  'application/vnd.openxmlformats-officedocument.wordprocessingml.document.main+xml': 'docx',
+  'application/vnd.ms-word.document.macroEnabled.main+xml': 'docm',
+  'application/vnd.openxmlformats-officedocument.wordprocessingml.template.main+xml': 'dotx',
+  'application/vnd.ms-word.template.macroEnabledTemplate.main+xml': 'dotm',
+  'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml': 'xlsx',
+  'application/vnd.ms-excel.sheet.macroEnabled.main+xml': 'xlsm',
+  'application/vnd.openxmlformats-officedocument.spreadsheetml.template.main+xml': 'xltx',
+  'application/vnd.ms-excel.template.macroEnabled.main+xml': 'xltm',
+  'application/vnd.openxmlformats-officedocument.presentationml.presentation.main+xml': 'pptx',
+  'application/vnd.ms-powerpoint.presentation.macroEnabled.main+xml': 'pptm',
+  'application/vnd.openxmlformats-officedocument.presentationml.slideshow.main+xml': 'ppsx',
+  'application/vnd.openxmlformats-officedocument.presentationml.template.main+xml': 'potx'
+};
+
+// OpenDocument mimetype entry -> format
+const ODF_MIME_TYPES = {
+  'application/vnd.oasis.opendocument.text': 'odt',
+  'application/vnd.oasis.opendocument.spreadsheet': 'ods',
+  'application/vnd.oasis.opendocument.presentation': 'odp'
+};
+
+// Precise format -> document type used to select a parser
+const FORMAT_TYPES = {
+  pdf: 'pdf',
+  docx: 'docx', docm: 'docx', dotx: 'docx', dotm: 'docx',
+  xlsx: 'excel', xlsm: 'excel', xltx: 'excel', xltm: 'excel', xls: 'excel',
+  pptx: 'pptx', pptm: 'pptx', ppsx: 'pptx', potx: 'pptx',
+  doc: 'doc',
+  ppt: 'ppt',
+  odt: 'odt', ods: 'ods', odp: 'odp',
+  png: 'image', jpeg: 'image', gif: 'image', bmp: 'image', tiff: 'image', webp: 'image',
+  rtf: 'rtf',
+  html: 'html',
+  text: 'text'
+};
+
+// Extension -> precise format it normally holds
+const EXTENSION_FORMATS = {
+  pdf: 'pdf',
+  docx: 'docx', docm: 'docm', dotx: 'dotx', dotm: 'dotm', doc: 'doc',
+  xlsx: 'xlsx', xlsm: 'xlsm', xltx: 'xltx', xltm: 'xltm', xls: 'xls',
+  pptx: 'pptx', pptm: 'pptm', ppsx: 'ppsx', potx: 'potx', ppt: 'ppt',
+  odt: 'odt', ods: 'ods', odp: 'odp',
+  png: 'png', jpg: 'jpeg', jpeg: 'jpeg', gif: 'gif', bmp: 'bmp', tif: 'tiff', tiff: 'tiff', webp: 'webp',
+  rtf: 'rtf',
+  html: 'html', htm: 'html',
+  txt: 'text', md: 'text', csv: 'text', log: 'text'
+};
+
+const MIME_TYPES = {
+  pdf: 'application/pdf',
+  docx: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+  xlsx: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+  pptx: 'application/vnd.openxmlformats-officedocument.presentationml.presentation',
+  doc: 'application/msword',
+  xls: 'application/vnd.ms-excel',
+  ppt: 'application/vnd.ms-powerpoint',
+  png: 'image/png',
+  jpeg: 'image/jpeg',
+  gif: 'image/gif',
+  bmp: 'image/bmp',
+  tiff: 'image/tiff',
+  webp: 'image/webp',
+  rtf: 'application/rtf',
+  html: 'text/html',
+  text: 'text/plain',
+  ...Object.fromEntries(Object.entries(ODF_MIME_TYPES).map(([mime, format]) => [format, mime]))
+};
 
 /**
  * File type detector utility
- * Determines the document type based on file extension.
+ * Determines the document type by sniffing the file contents (magic bytes,
+ * OLE2 directory entries, ZIP package parts) and cross-checks the extension.
+ *
+ * Result fields:
+ * - fileType: document type used to pick a parser (pdf, docx, excel, pptx, doc, ...)
+ * - format: precise format (e.g. xlsm, jpeg)
+ * - confidence: 0-1, how certain the detection is
+ * - warning: set when the extension disagrees with the content
  */
 export class FileTypeDetector {
   constructor() {
@@ -10,32 +96,357 @@ export class FileTypeDetector {
   }
 
   /**
-   * Detect file type from file path
+   * Detect file type from file contents
+   * @param {string} filePath - Path to the file
+   * @returns {Object} { success, fileType, format, mimeType, confidence, warning, error, filePath, extension }
    */
   detect(filePath) {
     const extension = this.getExtension(filePath);
+    const base = { filePath, extension, warning: null };
 
-    // Map extensions to document types
-    const typeMap = {
-      'pdf': 'pdf',
-      'docx': 'docx',
-      'xlsx': 'excel',
-      'xls': 'excel',
-      // Support legacy .doc format as docx
-      'doc': 'docx'
-    };
+    let sniffed;
+    try {
+      sniffed = this.sniff(filePath);
+    } catch (error) {
+      return {
+        ...base,
+        success: false,
+        fileType: null,
+        format: null,
+        mimeType: null,
+        confidence: 0,
+        error: `Could not read file: ${error.message}`
+      };
+    }
+
+    const extensionFormat = EXTENSION_FORMATS[extension] || null;
+    const { format } = sniffed;
+    const fileType = format ? FORMAT_TYPES[format] : null;
+
+    // Weak content signals (plain text, HTML) become more certain when the extension agrees
+    const confidence = extensionFormat === format ? Math.max(sniffed.confidence, 0.9) : sniffed.confidence;
 
-    // Get type from extension or default to null
-    const fileType = typeMap[extension] || null;
+    if (extensionFormat && fileType && FORMAT_TYPES[extensionFormat] !== fileType) {
+      base.warning = `File extension ".${extension}" suggests ${extensionFormat.toUpperCase()} but the content looks like ${format.toUpperCase()}; treating it as ${format.toUpperCase()}`;
+    }
+
+    if (!fileType) {
+      return {
+        ...base,
+        success: false,
+        fileType: null,
+        format: null,
+        mimeType: null,
+        confidence: 0,
+        error: sniffed.error || `Unrecognized file format${extension ? ` (.${extension})` : ''}`
+      };
+    }
 
     return {
+      ...base,
       success: true,
       fileType,
-      filePath,
-      extension
+      format,
+      mimeType: MIME_TYPES[format] || MIME_TYPES[fileType] || null,
+      confidence
     };
   }
 
+  /**
+   * Identify the precise format from the file contents
+   * @returns {Object} { format, confidence, error }
+   */
+  sniff(filePath) {
+    const fd = fs.openSync(filePath, 'r');
+    try {
+      const size = fs.fstatSync(fd).size;
+      if (size === 0) {
+        return { format: null, confidence: 0, error: 'File is empty' };
+      }
+
+      const header = Buffer.alloc(Math.min(HEADER_BYTES, size));
+      fs.readSync(fd, header, 0, header.length, 0);
+
+      // PDF readers accept junk before the header within the first kilobyte; only trust
+      // an offset header when the file also ends like a PDF
+      const pdfOffset = header.subarray(0, 1024).indexOf('%PDF-');
+      if (pdfOffset === 0) {
+        return { format: 'pdf', confidence: 0.99 };
+      }
+      if (pdfOffset > 0 && this.endsWithPdfTrailer(fd, size)) {
+        return { format: 'pdf', confidence: 0.9 };
+      }
+
+      if (header.subarray(0, 8).equals(OLE2_SIGNATURE)) {
+        const format = this.identifyOle2(fd, size);
+        return format
+          ? { format, confidence: 0.95 }
+          : { format: null, confidence: 0, error: 'Unrecognized OLE2 compound document (not a Word, Excel or PowerPoint file)' };
+      }
+
+      if (header.length >= 4 && header.readUInt32LE(0) === 0x04034b50) {
+        const format = this.identifyZip(fd, size);
+        return format
+          ? { format, confidence: 0.95 }
+          : { format: null, confidence: 0, error: 'ZIP archive is not an Office Open XML or OpenDocument file' };
+      }
+
+      const image = this.identifyImage(header);
+      if (image) {
+        return { format: image, confidence: 0.95 };
+      }
+
+      const text = this.decodeText(header);
+      if (text === null) {
+        return { format: null, confidence: 0, error: 'Unrecognized binary file format' };
+      }
+
+      const trimmed = text.replace(/^\uFEFF/, '').trimStart();
+      if (trimmed.startsWith('{\\rtf')) {
+        return { format: 'rtf', confidence: 0.95 };
+      }
+      if (/^(<!doctype\s+html|<html[\s>])/i.test(trimmed) || /<html[\s>]/i.test(trimmed.slice(0, 1024))) {
+        return { format: 'html', confidence: 0.8 };
+      }
+
+      return { format: 'text', confidence: 0.6 };
+    } finally {
+      fs.closeSync(fd);
+    }
+  }
+
+  /**
+   * Check for the %%EOF marker at the end of the file
+   */
+  endsWithPdfTrailer(fd, size) {
+    const tailLength = Math.min(size, 1024);
+    const tail = Buffer.alloc(tailLength);
+    fs.readSync(fd, tail, 0, tailLength, size - tailLength);
+    return /%%EOF\s*$/.test(tail.toString('latin1'));
+  }
+
+  /**
+   * Recognize common image signatures
+   */
+  identifyImage(header) {
+    if (header.length >= 8 && header.readUInt32BE(0) === 0x89504e47) return 'png';
+    if (header.length >= 3 && header[0] === 0xff && header[1] === 0xd8 && header[2] === 0xff) return 'jpeg';
+    if (header.subarray(0, 4).toString('latin1') === 'GIF8') return 'gif';
+    if (header.subarray(0, 2).toString('latin1') === 'BM' && header.length >= 26) return 'bmp';
+    const tiffMarker = header.subarray(0, 4).toString('hex');
+    if (tiffMarker === '49492a00' || tiffMarker === '4d4d002a') return 'tiff';
+    if (header.subarray(0, 4).toString('latin1') === 'RIFF' && header.subarray(8, 12).toString('latin1') === 'WEBP') return 'webp';
+    return null;
+  }
+
+  /**
+   * Decode a header as text, or return null if it looks binary
+   */
+  decodeText(header) {
+    if (header.includes(0)) {
+      return null;
+    }
+
+    const text = header.toString('utf8');
+    // Allow a truncated multi-byte sequence at the very end of the sample
+    const replacements = (text.slice(0, -4).match(/\uFFFD/g) || []).length;
+    const controls = (text.match(/[\x01-\x08\x0E-\x1F\x7F]/g) || []).length;
+    if (replacements > text.length * 0.01 || controls > text.length * 0.05) {
+      return null;
+    }
+    return text;
+  }
+
+  /**
+   * Identify a ZIP-based package by its parts
+   * @returns {string|null} Precise format
+   */
+  identifyZip(fd, size) {
+    const entries = this.readZipDirectory(fd, size);
+    if (!entries) {
+      return null;
+    }
+
+    const names = new Set(entries.keys());
+
+    if (names.has('[Content_Types].xml')) {
+      const contentTypes = this.readZipEntry(fd, entries.get('[Content_Types].xml'));
+      if (contentTypes) {
+        for (const [contentType, format] of Object.entries(OOXML_CONTENT_TYPES)) {
+          if (contentTypes.includes(`"${contentType}"`)) {
+            return format;
+          }
+        }
+      }
+
+      // Fall back to the well-known main part names
+      if (names.has('word/document.xml')) return 'docx';
+      if (names.has('xl/workbook.xml')) return 'xlsx';
+      if (names.has('ppt/presentation.xml')) return 'pptx';
+    }
+
+    if (names.has('mimetype')) {
+      const mimeType = (this.readZipEntry(fd, entries.get('mimetype')) || '').trim();
+      return ODF_MIME_TYPES[mimeType] || null;
+    }
+
+    return null;
+  }
+
+  /**
+   * Read the ZIP central directory
+   * @returns {Map|null} entry name -> { method, compressedSize, localHeaderOffset }
+   */
+  readZipDirectory(fd, size) {
+    // The end of central directory record sits within the last 64 KiB (+22 bytes)
+    const tailLength = Math.min(size, 65557);
+    const tail = Buffer.alloc(tailLength);
+    fs.readSync(fd, tail, 0, tailLength, size - tailLength);
+
+    let eocd = -1;
+    for (let i = tailLength - 22; i >= 0; i--) {
+      if (tail.readUInt32LE(i) === 0x06054b50) {
+        eocd = i;
+        break;
+      }
+    }
+    if (eocd === -1) {
+      return null;
+    }
+
+    const entryCount = tail.readUInt16LE(eocd + 10);
+    const directorySize = tail.readUInt32LE(eocd + 12);
+    const directoryOffset = tail.readUInt32LE(eocd + 16);
+    if (directoryOffset + directorySize > size) {
+      return null;
+    }
+
+    const directory = Buffer.alloc(directorySize);
+    fs.readSync(fd, directory, 0, directorySize, directoryOffset);
+
+    const entries = new Map();
+    let offset = 0;
+    for (let i = 0; i < entryCount && offset + 46 <= directory.length; i++) {
+      if (directory.readUInt32LE(offset) !== 0x02014b50) {
+        break;
+      }
+      const nameLength = directory.readUInt16LE(offset + 28);
+      const extraLength = directory.readUInt16LE(offset + 30);
+      const commentLength = directory.readUInt16LE(offset + 32);
+      const name = directory.toString('utf8', offset + 46, offset + 46 + nameLength);
+      entries.set(name, {
+        method: directory.readUInt16LE(offset + 10),
+        compressedSize: directory.readUInt32LE(offset + 20),
+        localHeaderOffset: directory.readUInt32LE(offset + 42)
+      });
+      offset += 46 + nameLength + extraLength + commentLength;
+    }
+
+    return entries;
+  }
+
+  /**
+   * Read a small ZIP entry as text (stored or deflated)
+   * @returns {string|null} Entry contents
+   */
+  readZipEntry(fd, entry) {
+    // Detection only needs small manifest files
+    if (!entry || entry.compressedSize > 1024 * 1024) {
+      return null;
+    }
+
+    try {
+      const localHeader = Buffer.alloc(30);
+      fs.readSync(fd, localHeader, 0, 30, entry.localHeaderOffset);
+      if (localHeader.readUInt32LE(0) !== 0x04034b50) {
+        return null;
+      }
+
+      const dataOffset = entry.localHeaderOffset + 30 + localHeader.readUInt16LE(26) + localHeader.readUInt16LE(28);
+      const data = Buffer.alloc(entry.compressedSize);
+      fs.readSync(fd, data, 0, entry.compressedSize, dataOffset);
+
+      if (entry.method === 0) {
+        return data.toString('utf8');
+      }
+      if (entry.method === 8) {
+        return zlib.inflateRawSync(data).toString('utf8');
+      }
+    } catch (error) {
+      // Treat unreadable entries as missing
+    }
+    return null;
+  }
+
+  /**
+   * Identify a legacy Office file from its OLE2 directory stream names
+   * @returns {string|null} doc, xls, ppt or null
+   */
+  identifyOle2(fd, size) {
+    const names = this.readOle2StreamNames(fd, size);
+
+    if (names.has('WordDocument')) return 'doc';
+    if (names.has('Workbook') || names.has('Book')) return 'xls';
+    if (names.has('PowerPoint Document')) return 'ppt';
+    return null;
+  }
+
+  /**
+   * Read the names of all entries in an OLE2 compound file directory
+   * @returns {Set<string>} Entry names
+   */
+  readOle2StreamNames(fd, size) {
+    const header = Buffer.alloc(512);
+    fs.readSync(fd, header, 0, 512, 0);
+
+    const sectorSize = 1 << header.readUInt16LE(0x1e);
+    const fatSectorCount = header.readUInt32LE(0x2c);
+    const firstDirectorySector = header.readUInt32LE(0x30);
+    const sectorOffset = (sector) => (sector + 1) * sectorSize;
+
+    const readSector = (sector) => {
+      const buffer = Buffer.alloc(sectorSize);
+      if (sectorOffset(sector) + sectorSize > size) {
+        return null;
+      }
+      fs.readSync(fd, buffer, 0, sectorSize, sectorOffset(sector));
+      return buffer;
+    };
+
+    // Load the FAT from the sectors listed in the header DIFAT (enough for files up to ~6.8 MB
+    // with 512-byte sectors); larger files fall back to scanning the first directory sector only
+    const fat = [];
+    for (let i = 0; i < Math.min(fatSectorCount, 109); i++) {
+      const fatSector = readSector(header.readUInt32LE(0x4c + i * 4));
+      if (!fatSector) break;
+      for (let j = 0; j < sectorSize; j += 4) {
+        fat.push(fatSector.readUInt32LE(j));
+      }
+    }
+
+    const names = new Set();
+    const visited = new Set();
+    let sector = firstDirectorySector;
+
+    // Follow the directory chain (0xFFFFFFFE marks the end)
+    while (sector < 0xfffffffa && !visited.has(sector) && visited.size < 4096) {
+      visited.add(sector);
+      const buffer = readSector(sector);
+      if (!buffer) break;
+
+      for (let offset = 0; offset + 128 <= sectorSize; offset += 128) {
+        const nameLength = buffer.readUInt16LE(offset + 0x40);
+        if (nameLength >= 2 && nameLength <= 64) {
+          names.add(buffer.toString('utf16le', offset, offset + nameLength - 2));
+        }
+      }
+
+      sector = fat[sector] ?? 0xfffffffe;
+    }
+
+    return names;
+  }
+
   /**
    * Extract file extension from path
    */
@@ -11,9 +11,23 @@
  * This module focuses on properly formatting extracted images for MCP responses.
  */
 
+// Image formats that MCP clients can display; others (EMF, WMF, TIFF, SVG,
+// BMP) are left out of image content blocks
+const MCP_IMAGE_MIME_TYPES = new Set([
+  "image/png",
+  "image/jpeg",
+  "image/gif",
+  "image/webp",
+]);
+
 export class ImageProcessor {
   constructor() {
     this.name = "ImageProcessor";
+    // Default per-response limits for images returned as MCP image content
+    this.defaultMaxImages = parseInt(process.env.MAX_RESPONSE_IMAGES || "10");
+    this.defaultMaxImageBytes = parseInt(
+      process.env.MAX_RESPONSE_IMAGE_BYTES || String(5 * 1024 * 1024),
+    );
   }
 
   /**
@@ -40,6 +54,8 @@ export class ImageProcessor {
         height: image.height || null,
         kind: image.kind || null,
         path: image.path || null,
+        sheet: image.sheet || null,
+        anchor: image.anchor?.range || null,
       },
     };
   }
@@ -125,6 +141,158 @@ export class ImageProcessor {
     return contents;
   }
 
+  /**
+   * Convert an image to an MCP image content block carrying the actual pixels
+   * @param {Object} image - Image object with a data URL
+   * @returns {Object} MCP image content ({ type: "image", data, mimeType })
+   * @throws {Error} When the image is not PNG, JPEG, GIF or WebP
+   */
+  toMcpImageContent(image) {
+    const formatted = this.formatImage(image);
+    const base64Data = formatted.data.split(",")[1] || "";
+    const mimeType = this.extractMimeType(formatted.data);
+
+    if (!MCP_IMAGE_MIME_TYPES.has(mimeType)) {
+      throw new Error(`Unsupported image type for MCP content: ${mimeType}`);
+    }
+
+    return {
+      type: "image",
+      data: base64Data,
+      mimeType,
+    };
+  }
+
+  /**
+   * Select images for a response, applying page/size filters and per-response limits
+   * @param {Array} images - Array of image objects
+   * @param {Object} options - Selection options
+   * @param {number[]} [options.pages] - Only include images from these pages
+   * @param {number} [options.minSize] - Minimum width and height in pixels
+   * @param {number} [options.maxImages] - Maximum number of images
+   * @param {number} [options.maxBytes] - Maximum total decoded bytes
+   * @returns {Object} { selected, skipped, totalBytes } where skipped counts
+   *   images left out by reason; images in formats clients cannot display are
+   *   counted as invalid
+   */
+  selectImages(images, options = {}) {
+    const maxImages = options.maxImages ?? this.defaultMaxImages;
+    const maxBytes = options.maxBytes ?? this.defaultMaxImageBytes;
+    const pages =
+      Array.isArray(options.pages) && options.pages.length > 0
+        ? new Set(options.pages)
+        : null;
+    const minSize = options.minSize || 0;
+
+    const selected = [];
+    const skipped = { filtered: 0, count: 0, bytes: 0, invalid: 0 };
+    let totalBytes = 0;
+
+    for (const image of Array.isArray(images) ? images : []) {
+      if (!image || typeof image.data !== "string") {
+        skipped.invalid++;
+        continue;
+      }
+
+      if (pages && !pages.has(image.page)) {
+        skipped.filtered++;
+        continue;
+      }
+
+      // Images without known dimensions (e.g. DOCX media) cannot be size-filtered
+      if (
+        minSize > 0 &&
+        image.width &&
+        image.height &&
+        (image.width < minSize || image.height < minSize)
+      ) {
+        skipped.filtered++;
+        continue;
+      }
+
+      // Formats clients cannot display do not use up the response limits
+      if (
+        !MCP_IMAGE_MIME_TYPES.has(
+          this.extractMimeType(this.ensureDataUrlFormat(image.data)),
+        )
+      ) {
+        skipped.invalid++;
+        continue;
+      }
+
+      if (selected.length >= maxImages) {
+        skipped.count++;
+        continue;
+      }
+
+      const bytes = this.getDecodedByteLength(image.data);
+      if (totalBytes + bytes > maxBytes) {
+        skipped.bytes++;
+        continue;
+      }
+
+      totalBytes += bytes;
+      selected.push(image);
+    }
+
+    return { selected, skipped, totalBytes };
+  }
+
+  /**
+   * Build MCP image content blocks for a response, followed by a short note
+   * describing what was included and what was left out
+   * @param {Array} images - Array of image objects
+   * @param {Object} options - Selection options (see selectImages)
+   * @returns {Array} MCP content blocks
+   */
+  toMcpImageBlocks(images, options = {}) {
+    const { selected, skipped } = this.selectImages(images, options);
+    const contents = [];
+    let attachedBytes = 0;
+
+    selected.forEach((image) => {
+      try {
+        const content = this.toMcpImageContent(image);
+        contents.push(content);
+        attachedBytes += this.getDecodedByteLength(content.data);
+      } catch (error) {
+        skipped.invalid++;
+      }
+    });
+
+    let note = `Attached ${contents.length} image(s) (${attachedBytes} bytes).`;
+    if (skipped.filtered > 0) {
+      note += ` ${skipped.filtered} excluded by page/size filters.`;
+    }
+    if (skipped.count > 0) {
+      note += ` ${skipped.count} omitted (image count limit reached).`;
+    }
+    if (skipped.bytes > 0) {
+      note += ` ${skipped.bytes} omitted (byte limit reached).`;
+    }
+    if (skipped.invalid > 0) {
+      note += ` ${skipped.invalid} could not be encoded.`;
+    }
+    contents.push({ type: "text", text: note });
+
+    return contents;
+  }
+
+  /**
+   * Get the decoded byte length of a base64 data URL
+   * @param {string} dataUrl - Data URL or raw base64 string
+   * @returns {number} Number of bytes
+   */
+  getDecodedByteLength(dataUrl) {
+    const base64Data = dataUrl.includes(",") ? dataUrl.split(",")[1] : dataUrl;
+    const padding = base64Data.endsWith("==")
+      ? 2
+      : base64Data.endsWith("=")
+        ? 1
+        : 0;
+    return Math.max(0, Math.floor((base64Data.length * 3) / 4) - padding);
+  }
+
   /**
    * Format image data as text for inclusion in response
    * @param {Object} formattedImage - Formatted image object
@@ -262,7 +430,12 @@ export class ImageProcessor {
           const mimeType = image?.mimeType || "unknown";
           const size = image?.size || "0";
           summary += `- ${imageName} (${mimeType}, ${size})\n`;
-          if (image?.metadata?.page) {
+          if (image?.metadata?.sheet) {
+            const anchor = image.metadata.anchor
+              ? ` at ${image.metadata.anchor}`
+              : "";
+            summary += `  Sheet: ${image.metadata.sheet}${anchor}\n`;
+          } else if (image?.metadata?.page) {
             summary += `  Page: ${image.metadata.page}\n`;
           }
         });
@@ -58,6 +58,18 @@ export function log(level, message, data = null) {
   }
 }
 
+/**
+ * Copy tool parameters for logging with secrets (document passwords) masked
+ * @param {Object} params - Tool parameters
+ * @returns {Object} Parameters safe to write to the logs
+ */
+export function redactParams(params) {
+  if (!params || typeof params !== "object" || !params.password) {
+    return params;
+  }
+  return { ...params, password: "[redacted]" };
+}
+
 /**
  * Log function entry
  */
@@ -0,0 +1,145 @@
+import {
+  readXmlPart,
+  findAll,
+  findFirst,
+  childElements,
+  getAttr,
+} from "./xml-utils.js";
+
+/**
+ * Office Properties Utility
+ * Reads the document properties shared by all Office Open XML packages
+ * (DOCX, XLSX, PPTX): docProps/core.xml, docProps/app.xml and
+ * docProps/custom.xml.
+ */
+
+// core.xml element local name -> metadata key
+const CORE_PROPERTIES = {
+  title: "title",
+  subject: "subject",
+  creator: "author",
+  keywords: "keywords",
+  description: "description",
+  lastModifiedBy: "lastModifiedBy",
+  revision: "revision",
+  category: "category",
+};
+
+// app.xml element local name -> metadata key
+const APP_PROPERTIES = {
+  Application: "application",
+  AppVersion: "appVersion",
+  Company: "company",
+  Manager: "manager",
+  Template: "template",
+};
+
+// Numeric app.xml statistics -> metadata key
+const APP_STATISTICS = {
+  Pages: "pageCount",
+  Words: "wordCount",
+  Characters: "characterCount",
+  CharactersWithSpaces: "charactersWithSpaces",
+  Lines: "lineCount",
+  Paragraphs: "paragraphCount",
+  TotalTime: "editingMinutes",
+};
+
+/**
+ * Read core, extended (app) and custom properties of an Office package
+ * @param {JSZip} zip - Loaded archive
+ * @returns {Promise<Object>} { title, subject, author, keywords, description,
+ *   lastModifiedBy, revision, category, created, modified, application,
+ *   appVersion, company, manager, template, pageCount, wordCount,
+ *   characterCount, charactersWithSpaces, lineCount, paragraphCount,
+ *   editingMinutes, customProperties }; missing values are null
+ */
+export async function readOfficeProperties(zip) {
+  const properties = {};
+
+  const core = await readXmlPart(zip, "docProps/core.xml");
+  const getText = (doc, localName) =>
+    findFirst(doc, localName)?.textContent?.trim() || null;
+
+  for (const [localName, key] of Object.entries(CORE_PROPERTIES)) {
+    properties[key] = getText(core, localName);
+  }
+  properties.created = parseDate(getText(core, "created"));
+  properties.modified = parseDate(getText(core, "modified"));
+
+  const app = await readXmlPart(zip, "docProps/app.xml");
+  for (const [localName, key] of Object.entries(APP_PROPERTIES)) {
+    properties[key] = getText(app, localName);
+  }
+  for (const [localName, key] of Object.entries(APP_STATISTICS)) {
+    const value = parseInt(getText(app, localName));
+    properties[key] = isNaN(value) ? null : value;
+  }
+
+  properties.customProperties = await readCustomProperties(zip);
+
+  return properties;
+}
+
+/**
+ * Read user-defined properties from docProps/custom.xml
+ * @param {JSZip} zip - Loaded archive
+ * @returns {Promise<Object|null>} name -> value (strings, numbers, booleans
+ *   or Dates), or null if the package has no custom properties
+ */
+export async function readCustomProperties(zip) {
+  const custom = await readXmlPart(zip, "docProps/custom.xml");
+  const properties = {};
+
+  for (const property of findAll(custom, "property")) {
+    const name = getAttr(property, "name");
+    const valueElement = childElements(property)[0];
+    if (name && valueElement) {
+      properties[name] = parseVariant(valueElement);
+    }
+  }
+
+  return Object.keys(properties).length > 0 ? properties : null;
+}
+
+/**
+ * Convert a vt: variant element to a JavaScript value
+ */
+function parseVariant(element) {
+  const text = element.textContent;
+
+  switch (element.localName) {
+    case "bool":
+      return text === "true" || text === "1";
+    case "i1":
+    case "i2":
+    case "i4":
+    case "i8":
+    case "int":
+    case "ui1":
+    case "ui2":
+    case "ui4":
+    case "ui8":
+    case "uint":
+    case "r4":
+    case "r8":
+    case "decimal":
+      return Number(text);
+    case "filetime":
+    case "date":
+      return parseDate(text);
+    default:
+      return text;
+  }
+}
+
+/**
+ * Parse a W3CDTF date, returning null for missing or invalid values
+ */
+function parseDate(value) {
+  if (!value) {
+    return null;
+  }
+  const date = new Date(value);
+  return isNaN(date.getTime()) ? null : date;
+}
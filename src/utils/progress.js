@@ -0,0 +1,113 @@
+/**
+ * Progress Utility
+ * Reports MCP progress notifications for long-running tool calls and exposes
+ * the request's AbortSignal so work can stop when the client cancels.
+ *
+ * Progress is counted in steps (pages, OCR passes, extraction phases). The
+ * total grows as work is discovered, so clients see a monotonically increasing
+ * progress value as the MCP specification requires. Notifications are
+ * throttled so that fast steps (cached pages, small tables) do not flood the
+ * client; the first step and the step that completes the work are always sent.
+ */
+
+import { log } from "./logger.js";
+
+// Minimum time between two progress notifications
+const DEFAULT_MIN_INTERVAL = 250;
+
+/**
+ * Create a progress reporter for a tool call
+ * @param {Object} [extra] - Request handler extra from the MCP SDK
+ *   ({ signal, sendNotification, _meta: { progressToken } })
+ * @param {Object} [options] - { minInterval } milliseconds between notifications
+ * @returns {Object} Reporter with { signal, addSteps(count), step(message), throwIfAborted() }
+ */
+export function createProgressReporter(extra = {}, options = {}) {
+  const progressToken = extra._meta?.progressToken;
+  const canNotify =
+    progressToken !== undefined && typeof extra.sendNotification === "function";
+
+  const minInterval = options.minInterval ?? DEFAULT_MIN_INTERVAL;
+
+  let progress = 0;
+  let total = 0;
+  let lastSentAt = null;
+
+  return {
+    signal: extra.signal,
+
+    /**
+     * Announce additional steps that will be reported
+     * @param {number} count - Number of steps to add to the total
+     */
+    addSteps(count) {
+      total += Math.max(0, count);
+    },
+
+    /**
+     * Mark one step as complete and notify the client
+     * @param {string} message - Human readable description of the step
+     */
+    async step(message) {
+      progress++;
+      total = Math.max(total, progress);
+
+      if (!canNotify || extra.signal?.aborted) {
+        return;
+      }
+
+      const now = Date.now();
+      const finished = progress === total;
+      if (!finished && lastSentAt !== null && now - lastSentAt < minInterval) {
+        return;
+      }
+      lastSentAt = now;
+
+      try {
+        await extra.sendNotification({
+          method: "notifications/progress",
+          params: { progressToken, progress, total, message },
+        });
+      } catch (error) {
+        log("warn", "Failed to send progress notification:", {
+          error: error.message,
+        });
+      }
+    },
+
+    /**
+     * Throw if the client cancelled the request
+     * @throws {Error} AbortError when cancelled
+     */
+    throwIfAborted() {
+      throwIfAborted(extra.signal);
+    },
+  };
+}
+
+/**
+ * Reporter used when a caller does not track progress
+ */
+export const noopProgress = createProgressReporter();
+
+/**
+ * Throw an AbortError if the signal has been aborted
+ * @param {AbortSignal} [signal] - Signal to check
+ * @throws {Error} AbortError when cancelled
+ */
+export function throwIfAborted(signal) {
+  if (signal?.aborted) {
+    const error = new Error("Request was cancelled");
+    error.name = "AbortError";
+    throw error;
+  }
+}
+
+/**
+ * Check whether an error was caused by cancellation
+ * @param {Error} error - Error to check
+ * @returns {boolean} True if the error is an AbortError
+ */
+export function isAbortError(error) {
+  return error?.name === "AbortError";
+}
@@ -0,0 +1,41 @@
+/**
+ * Vision Model Utility
+ * Helpers for discovering vision-capable models on servers that do not
+ * report model capabilities: a name heuristic and a tiny probe image.
+ */
+
+// Name fragments of common vision-language model families
+const VISION_MODEL_PATTERNS = [
+  /(^|[-_./:])vl([-_./:]|\d|$)/, // qwen2-vl, qwen2.5-vl, deepseek-vl
+  /vision/, // llama-3.2-vision, phi-3-vision
+  /llava/,
+  /bakllava/,
+  /pixtral/,
+  /internvl/,
+  /minicpm-v/,
+  /moondream/,
+  /idefics/,
+  /smolvlm/,
+  /molmo/,
+  /florence/,
+  /paligemma/,
+  /gemma-?3/, // Gemma 3 models (except 1B) accept images
+  /glm-?4\.?\d*v/, // glm-4v, glm-4.5v, glm-4.6v
+  /granite.*vision/,
+  /mistral-small-3\.[12]/,
+  /llama-?4/,
+];
+
+// 1x1 white PNG used to check whether a model accepts image input
+export const PROBE_IMAGE_DATA_URL =
+  "data:image/png;base64,iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAIAAACQd1PeAAAADElEQVR4nGP4//8/AAX+Av4N70a4AAAAAElFTkSuQmCC";
+
+/**
+ * Guess from its name whether a model accepts images
+ * @param {string} modelId - Model name as reported by the server
+ * @returns {boolean} True if the name matches a known vision model family
+ */
+export function isLikelyVisionModelName(modelId) {
+  const name = (modelId || "").toLowerCase();
+  return VISION_MODEL_PATTERNS.some((pattern) => pattern.test(name));
+}
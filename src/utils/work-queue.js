@@ -0,0 +1,218 @@
+/**
+ * Work Queue Utility
+ * Flow control for calls to vision providers: a bounded-concurrency queue
+ * that keeps results in input order, a per-provider rate limiter and retry
+ * with exponential backoff for throttled (429) or failing (5xx) requests.
+ */
+
+import { throwIfAborted } from "./progress.js";
+
+/**
+ * Run a worker over items with at most `concurrency` calls in flight
+ * @param {Array} items - Work items
+ * @param {Function} worker - async (item, index) => result
+ * @param {Object} [options] - { concurrency } (default: 1)
+ * @returns {Promise<Array>} Results in the order of the items
+ * @throws {Error} The first error thrown by a worker; no new items are
+ *   started after it, but calls already in flight are allowed to finish
+ */
+export async function runQueue(items, worker, options = {}) {
+  const concurrency = Math.max(1, Math.floor(options.concurrency) || 1);
+  const results = new Array(items.length);
+  let next = 0;
+  let failure = null;
+
+  const lane = async () => {
+    while (next < items.length && !failure) {
+      const index = next++;
+      try {
+        results[index] = await worker(items[index], index);
+      } catch (error) {
+        failure = failure || { error };
+      }
+    }
+  };
+
+  await Promise.all(
+    Array.from({ length: Math.min(concurrency, items.length) }, lane),
+  );
+
+  if (failure) {
+    throw failure.error;
+  }
+  return results;
+}
+
+/**
+ * Spaces requests evenly so a provider receives at most a given number of
+ * requests per minute. A limit of 0 disables the limiter.
+ */
+export class RateLimiter {
+  /**
+   * @param {number} requestsPerMinute - Maximum request rate (0 = unlimited)
+   */
+  constructor(requestsPerMinute = 0) {
+    this.interval = requestsPerMinute > 0 ? 60000 / requestsPerMinute : 0;
+    this.nextSlot = 0;
+  }
+
+  /**
+   * Wait for the next free request slot
+   * @param {AbortSignal} [signal] - Stops waiting when aborted
+   * @throws {Error} AbortError when cancelled while waiting
+   */
+  async acquire(signal) {
+    if (!this.interval) {
+      return;
+    }
+    const now = Date.now();
+    const slot = Math.max(now, this.nextSlot);
+    this.nextSlot = slot + this.interval;
+    await sleep(slot - now, signal);
+  }
+}
+
+/**
+ * Call a task again with exponential backoff while it fails with a
+ * retryable error. A `retryAfter` (ms) on the error overrides the backoff.
+ * @param {Function} task - async (attempt) => result
+ * @param {Object} [options] - { retries, baseDelay, maxDelay, signal,
+ *   shouldRetry(error), onRetry(error, attempt, delay) }
+ * @returns {Promise<*>} Result of the first successful attempt
+ * @throws {Error} The last error once retries are exhausted, or at once for
+ *   errors that are not retryable and for cancellation
+ */
+export async function retryWithBackoff(task, options = {}) {
+  const {
+    retries = 3,
+    baseDelay = 1000,
+    maxDelay = 30000,
+    signal,
+    shouldRetry = () => false,
+    onRetry,
+  } = options;
+
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return await task(attempt);
+    } catch (error) {
+      if (
+        attempt >= retries ||
+        error.name === "AbortError" ||
+        signal?.aborted ||
+        !shouldRetry(error)
+      ) {
+        throw error;
+      }
+
+      // Full backoff with jitter so parallel requests do not retry in lockstep
+      const backoff = Math.min(maxDelay, baseDelay * 2 ** attempt);
+      const delay =
+        typeof error.retryAfter === "number"
+          ? Math.min(maxDelay, error.retryAfter)
+          : backoff / 2 + (Math.random() * backoff) / 2;
+
+      if (onRetry) {
+        onRetry(error, attempt + 1, delay);
+      }
+      await sleep(delay, signal);
+    }
+  }
+}
+
+/**
+ * Call a vision provider within its rate limit, retrying throttled (429) and
+ * failed (5xx) requests with exponential backoff
+ * @param {Function} fn - async () => result, sends one request
+ * @param {AbortSignal} [signal] - Cancels waiting and retrying when aborted
+ * @param {string} label - Log prefix of the provider, e.g. "Ollama"
+ * @param {Object} [options] - { rateLimiter, retries, baseDelay }
+ * @returns {Promise<*>} Result of the first successful request
+ */
+export function callWithRetry(fn, signal, label, options = {}) {
+  const { rateLimiter, retries = 3, baseDelay = 1000 } = options;
+  return retryWithBackoff(
+    async () => {
+      await rateLimiter?.acquire(signal);
+      return fn();
+    },
+    {
+      retries,
+      baseDelay,
+      signal,
+      shouldRetry: (error) => isRetryableStatus(error.status),
+      onRetry: (error, attempt, delay) =>
+        console.error(
+          `[${label}] HTTP ${error.status}, retry ${attempt}/${retries} in ${Math.round(delay)}ms`,
+        ),
+    },
+  );
+}
+
+/**
+ * Check whether an HTTP status is worth retrying
+ * @param {number} [status] - HTTP status code
+ * @returns {boolean} True for 429 Too Many Requests and 5xx server errors
+ */
+export function isRetryableStatus(status) {
+  return status === 429 || (status >= 500 && status < 600);
+}
+
+/**
+ * Read a Retry-After header (seconds or an HTTP date)
+ * @param {string|null} value - Header value
+ * @returns {number|null} Delay in milliseconds, or null when absent or invalid
+ */
+export function parseRetryAfter(value) {
+  if (!value) {
+    return null;
+  }
+  const seconds = Number(value);
+  if (!isNaN(seconds)) {
+    return Math.max(0, seconds * 1000);
+  }
+  const date = Date.parse(value);
+  return isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+/**
+ * Build the error thrown for an unsuccessful HTTP response, carrying the
+ * status and Retry-After delay used by retryWithBackoff
+ * @param {Response} response - Fetch response
+ * @param {string} errorText - Response body
+ * @returns {Error} Error with { status, retryAfter }
+ */
+export function httpError(response, errorText) {
+  const error = new Error(`HTTP ${response.status}: ${errorText}`);
+  error.status = response.status;
+  error.retryAfter = parseRetryAfter(response.headers?.get("retry-after"));
+  return error;
+}
+
+/**
+ * Wait for a number of milliseconds
+ * @param {number} ms - Delay
+ * @param {AbortSignal} [signal] - Stops waiting when aborted
+ * @throws {Error} AbortError when cancelled
+ */
+export function sleep(ms, signal) {
+  throwIfAborted(signal);
+  if (ms <= 0) {
+    return Promise.resolve();
+  }
+  return new Promise((resolve, reject) => {
+    const onAbort = () => {
+      clearTimeout(timer);
+      try {
+        throwIfAborted(signal);
+      } catch (error) {
+        reject(error);
+      }
+    };
+    const timer = setTimeout(() => {
+      signal?.removeEventListener("abort", onAbort);
+      resolve();
+    }, ms);
+    signal?.addEventListener("abort", onAbort, { once: true });
+  });
+}
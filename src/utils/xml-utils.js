@@ -0,0 +1,195 @@
+import path from "path";
+import { DOMParser } from "@xmldom/xmldom";
+
+/**
+ * XML Utility
+ * Small helpers for reading Office Open XML parts (DOCX, XLSX, PPTX) with
+ * @xmldom/xmldom. Elements are matched by local name so callers don't need to
+ * care which namespace prefix a producer used (w:, a:, p:, ...).
+ */
+
+// Namespace of relationship id attributes (r:id, r:embed, ...)
+export const RELATIONSHIPS_NS =
+  "http://schemas.openxmlformats.org/officeDocument/2006/relationships";
+
+/**
+ * Parse an XML string
+ * @param {string} xml - XML source
+ * @returns {Document} Parsed document (malformed input is parsed leniently)
+ */
+export function parseXml(xml) {
+  const parser = new DOMParser({
+    errorHandler: {
+      warning: () => {},
+      error: () => {},
+      fatalError: (message) => {
+        throw new Error(`Invalid XML: ${message}`);
+      },
+    },
+  });
+  return parser.parseFromString(xml, "text/xml");
+}
+
+/**
+ * Read and parse an XML part from a JSZip archive
+ * @param {JSZip} zip - Loaded archive
+ * @param {string} partPath - Path of the part inside the archive
+ * @returns {Promise<Document|null>} Parsed document, or null if the part is missing
+ */
+export async function readXmlPart(zip, partPath) {
+  const file = zip.file(partPath);
+  if (!file) {
+    return null;
+  }
+  return parseXml(await file.async("string"));
+}
+
+/**
+ * Find all descendant elements with a local name, in document order
+ * @param {Node} node - Node to search under
+ * @param {string} localName - Element local name (without prefix)
+ * @returns {Element[]} Matching elements
+ */
+export function findAll(node, localName) {
+  if (!node) {
+    return [];
+  }
+  return Array.from(node.getElementsByTagNameNS("*", localName));
+}
+
+/**
+ * Find the first descendant element with a local name
+ * @param {Node} node - Node to search under
+ * @param {string} localName - Element local name (without prefix)
+ * @returns {Element|null} First match
+ */
+export function findFirst(node, localName) {
+  return findAll(node, localName)[0] || null;
+}
+
+/**
+ * Get the direct child elements of a node, optionally filtered by local name
+ * @param {Node} node - Parent node
+ * @param {string} [localName] - Element local name (without prefix)
+ * @returns {Element[]} Child elements
+ */
+export function childElements(node, localName) {
+  if (!node) {
+    return [];
+  }
+  return Array.from(node.childNodes).filter(
+    (child) =>
+      child.nodeType === 1 && (!localName || child.localName === localName),
+  );
+}
+
+/**
+ * Get the first direct child element with a local name
+ * @param {Node} node - Parent node
+ * @param {string} localName - Element local name (without prefix)
+ * @returns {Element|null} First matching child
+ */
+export function childElement(node, localName) {
+  return childElements(node, localName)[0] || null;
+}
+
+/**
+ * Read an attribute by local name, regardless of its prefix (e.g. w:val)
+ * @param {Element} element - Element to read from
+ * @param {string} localName - Attribute local name
+ * @param {string} [namespaceURI] - Only match attributes in this namespace
+ *   (needed where names clash, e.g. id vs r:id on p:sldId)
+ * @returns {string|null} Attribute value
+ */
+export function getAttr(element, localName, namespaceURI) {
+  if (!element || !element.attributes) {
+    return null;
+  }
+  for (const attribute of Array.from(element.attributes)) {
+    if (
+      (attribute.localName || attribute.name) === localName &&
+      (!namespaceURI || attribute.namespaceURI === namespaceURI)
+    ) {
+      return attribute.value;
+    }
+  }
+  return null;
+}
+
+/**
+ * Concatenate the text content of all descendant elements with a local name
+ * @param {Node} node - Node to search under
+ * @param {string} [localName] - Text element local name (default "t")
+ * @returns {string} Joined text
+ */
+export function textOf(node, localName = "t") {
+  return findAll(node, localName)
+    .map((element) => element.textContent || "")
+    .join("");
+}
+
+/**
+ * Get the relationships part path for a package part
+ * (e.g. ppt/slides/slide1.xml -> ppt/slides/_rels/slide1.xml.rels)
+ * @param {string} partPath - Part path inside the archive
+ * @returns {string} Relationships part path
+ */
+export function getRelsPath(partPath) {
+  const dir = path.posix.dirname(partPath);
+  const base = path.posix.basename(partPath);
+  return path.posix.join(dir === "." ? "" : dir, "_rels", `${base}.rels`);
+}
+
+/**
+ * Read the relationships of a package part
+ * @param {JSZip} zip - Loaded archive
+ * @param {string} partPath - Part whose relationships to read
+ * @returns {Promise<Map>} id -> { id, type, target, external }, with target resolved to an archive path
+ */
+export async function readRelationships(zip, partPath) {
+  const relationships = new Map();
+  const doc = await readXmlPart(zip, getRelsPath(partPath));
+  if (!doc) {
+    return relationships;
+  }
+
+  for (const rel of findAll(doc, "Relationship")) {
+    const id = getAttr(rel, "Id");
+    const target = getAttr(rel, "Target") || "";
+    const external = getAttr(rel, "TargetMode") === "External";
+    relationships.set(id, {
+      id,
+      type: getAttr(rel, "Type") || "",
+      target: external ? target : resolvePartPath(partPath, target),
+      external,
+    });
+  }
+
+  return relationships;
+}
+
+/**
+ * Resolve a relationship target relative to the part that references it
+ * @param {string} partPath - Referencing part path
+ * @param {string} target - Relative or absolute target
+ * @returns {string} Archive path without a leading slash
+ */
+export function resolvePartPath(partPath, target) {
+  if (target.startsWith("/")) {
+    return target.substring(1);
+  }
+  return path.posix.normalize(
+    path.posix.join(path.posix.dirname(partPath), target),
+  );
+}
+
+/**
+ * Check whether a relationship type ends with the given short name
+ * (e.g. ".../relationships/slide" matches "slide")
+ * @param {Object} rel - Relationship
+ * @param {string} shortName - Relationship type suffix
+ * @returns {boolean} True if the type matches
+ */
+export function isRelType(rel, shortName) {
+  return Boolean(rel && rel.type.endsWith(`/${shortName}`));
+}
@@ -0,0 +1,130 @@
+/**
+ * Shared Test Harness
+ *
+ * Assertions and pass/fail reporting used by the test suites. Each suite
+ * prints a header, awaits its checks in order and ends with finish(), which
+ * prints the totals and sets the exit code.
+ */
+
+import fs from "fs";
+import os from "os";
+import path from "path";
+
+// ANSI colors for output
+export const colors = {
+  reset: "\x1b[0m",
+  green: "\x1b[32m",
+  red: "\x1b[31m",
+  yellow: "\x1b[33m",
+  cyan: "\x1b[36m",
+  bold: "\x1b[1m",
+};
+
+let passed = 0;
+let failed = 0;
+
+/**
+ * Print the suite title
+ * @param {string} title - Suite name
+ */
+export function header(title) {
+  console.log(`${colors.cyan}${colors.bold}${title}${colors.reset}\n`);
+}
+
+/**
+ * Run one named check and record whether it passed
+ * @param {string} name - Check description
+ * @param {Function} fn - Check body; may be async, fails by throwing
+ */
+export async function check(name, fn) {
+  try {
+    await fn();
+    passed++;
+    console.log(`${colors.green}  ✓ PASS: ${name}${colors.reset}`);
+  } catch (err) {
+    failed++;
+    console.error(
+      `${colors.red}  ✘ FAIL: ${name}: ${err.message}${colors.reset}`,
+    );
+  }
+}
+
+/**
+ * Compare two values by their JSON form
+ * @param {*} actual - Value produced by the code under test
+ * @param {*} expected - Expected value
+ * @throws {Error} When the values differ
+ */
+export function assertEqual(actual, expected) {
+  const a = JSON.stringify(actual);
+  const e = JSON.stringify(expected);
+  if (a !== e) {
+    throw new Error(`Expected ${e}, got ${a}`);
+  }
+}
+
+/**
+ * Assert that a function throws
+ * @param {Function} fn - Function expected to throw
+ * @throws {Error} When the function returns normally
+ */
+export function assertThrows(fn) {
+  try {
+    fn();
+  } catch {
+    return;
+  }
+  throw new Error("Expected an error to be thrown");
+}
+
+/**
+ * Run a function with environment variables set, restoring them afterwards
+ * @param {Object} vars - Variables to set
+ * @param {Function} fn - Function to run; its result is returned
+ * @returns {*} Result of fn
+ */
+export function withEnv(vars, fn) {
+  const saved = Object.fromEntries(
+    Object.keys(vars).map((key) => [key, process.env[key]]),
+  );
+  Object.assign(process.env, vars);
+  try {
+    return fn();
+  } finally {
+    for (const [key, value] of Object.entries(saved)) {
+      if (value === undefined) {
+        delete process.env[key];
+      } else {
+        process.env[key] = value;
+      }
+    }
+  }
+}
+
+const tempDirs = [];
+
+/**
+ * Create a temporary directory that is removed when the suite exits
+ * @param {string} name - Suite name used in the directory name
+ * @returns {string} Path of the new directory
+ */
+export function createTempDir(name) {
+  if (tempDirs.length === 0) {
+    process.once("exit", () => {
+      for (const dir of tempDirs) {
+        fs.rmSync(dir, { recursive: true, force: true });
+      }
+    });
+  }
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), `${name}-test-`));
+  tempDirs.push(dir);
+  return dir;
+}
+
+/**
+ * Print the totals and exit with a failing code if any check failed
+ */
+export function finish() {
+  console.log(`\nPassed: ${passed}, Failed: ${failed}`);
+  process.exit(failed > 0 ? 1 : 0);
+}
@@ -0,0 +1,70 @@
+#!/usr/bin/env node
+
+/**
+ * Test Suite Runner
+ *
+ * Runs every self-contained test suite in its own Node process, one after
+ * another, and exits with a failing code if any of them failed. These
+ * suites build their fixtures in memory or in a temporary directory, so
+ * they need neither the testfiles/ documents nor a running vision model.
+ */
+
+import { spawnSync } from "child_process";
+import path from "path";
+import { fileURLToPath } from "url";
+import { colors } from "./helpers.js";
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+const SUITES = [
+  "test-content-slicer.js",
+  "test-progress.js",
+  "test-parse-cache.js",
+  "test-file-detector.js",
+  "test-pptx-parser.js",
+  "test-docx-structure.js",
+  "test-excel-drawings.js",
+  "test-excel-cells.js",
+  "test-excel-metadata.js",
+  "test-docx-metadata.js",
+  "test-docx-revisions.js",
+  "test-docx-notes.js",
+  "test-docx-tables.js",
+  "test-pdf-outline.js",
+  "test-pdf-forms.js",
+  "test-pdf-annotations.js",
+  "test-pdf-password.js",
+  "test-pdf-hybrid-ocr.js",
+  "test-work-queue.js",
+  "test-tesseract-ocr.js",
+  "test-vision-chain.js",
+  "test-vision-providers.js",
+  "test-http-transport.js",
+  "test-resources.js",
+  "test-image-blocks.js",
+];
+
+// Stop a hanging suite instead of blocking the whole run
+const SUITE_TIMEOUT = 5 * 60 * 1000;
+
+const failures = [];
+
+for (const suite of SUITES) {
+  console.log(`${colors.bold}> ${suite}${colors.reset}`);
+  const result = spawnSync(process.execPath, [path.join(__dirname, suite)], {
+    stdio: "inherit",
+    timeout: SUITE_TIMEOUT,
+  });
+  if (result.status !== 0) {
+    failures.push(suite);
+  }
+  console.log();
+}
+
+if (failures.length > 0) {
+  console.error(
+    `${colors.red}${failures.length} of ${SUITES.length} suites failed: ${failures.join(", ")}${colors.reset}`,
+  );
+  process.exit(1);
+}
+console.log(`${colors.green}All ${SUITES.length} suites passed${colors.reset}`);
@@ -0,0 +1,109 @@
+#!/usr/bin/env node
+
+/**
+ * Content Slicer Test Suite
+ *
+ * Verifies page range parsing, continuation cursors and chunked reading
+ * used by get-doc-indepth's pages/offset/maxChars/cursor parameters.
+ */
+
+import {
+  parsePageRange,
+  formatPageRange,
+  decodeCursor,
+  sliceDocument,
+} from "../src/utils/content-slicer.js";
+import { header, check, assertEqual, assertThrows, finish } from "./helpers.js";
+
+const document = {
+  text: "Page one text.\nPage two text.\nPage three text.",
+  segmentUnit: "page",
+  segments: [
+    { number: 1, label: "Page 1", text: "Page one text." },
+    { number: 2, label: "Page 2", text: "Page two text." },
+    { number: 3, label: "Page 3", text: "Page three text." },
+  ],
+};
+
+header("Content Slicer Tests");
+
+await check("parses single pages and ranges", () => {
+  assertEqual(parsePageRange("5-7,2, 6"), [2, 5, 6, 7]);
+});
+
+await check("clamps open-ended ranges to the page count", () => {
+  assertEqual(parsePageRange("2-", 4), [2, 3, 4]);
+});
+
+await check("rejects malformed ranges", () => {
+  assertThrows(() => parsePageRange("3-1"));
+  assertThrows(() => parsePageRange("abc"));
+});
+
+await check("formats page lists back into compact ranges", () => {
+  assertEqual(formatPageRange([1, 2, 3, 5, 7, 8]), "1-3,5,7-8");
+});
+
+await check("selects segments by page range", () => {
+  const slice = sliceDocument(document, { pages: "1,3" });
+  assertEqual(slice.pages, [1, 3]);
+  assertEqual(
+    slice.text,
+    "--- Page 1 ---\nPage one text.\n\n--- Page 3 ---\nPage three text.",
+  );
+  assertEqual(slice.truncated, false);
+});
+
+await check("truncates at maxChars and returns a continuation cursor", () => {
+  const first = sliceDocument(document, { maxChars: 16 });
+  assertEqual(first.truncated, true);
+  assertEqual(first.text, "Page one text.\n");
+
+  const second = sliceDocument(document, {
+    maxChars: 1000,
+    cursor: first.nextCursor,
+  });
+  assertEqual(second.start, first.end);
+  assertEqual(first.text + second.text, document.text);
+  assertEqual(second.nextCursor, null);
+});
+
+await check("cursor keeps the page selection", () => {
+  const first = sliceDocument(document, { pages: "2-3", maxChars: 16 });
+  assertEqual(decodeCursor(first.nextCursor).pages, "2-3");
+  const second = sliceDocument(document, { cursor: first.nextCursor });
+  assertEqual(second.pages, [2, 3]);
+});
+
+await check("a cursor alone returns the next chunk of the same size", () => {
+  const first = sliceDocument(document, { maxChars: 16 });
+  const second = sliceDocument(document, { cursor: first.nextCursor });
+  assertEqual(
+    [second.start, second.text, second.truncated],
+    [first.end, "Page two text.\n", true],
+  );
+  const third = sliceDocument(document, { cursor: second.nextCursor });
+  assertEqual([third.text, third.nextCursor], ["Page three text.", null]);
+});
+
+await check("cursor carries caller state", () => {
+  const first = sliceDocument(document, {
+    maxChars: 16,
+    cursorState: { revisionView: "redline" },
+  });
+  assertEqual(decodeCursor(first.nextCursor), {
+    revisionView: "redline",
+    offset: 15,
+    maxChars: 16,
+  });
+});
+
+await check("reports pages that do not exist", () => {
+  assertThrows(() => sliceDocument(document, { pages: "9" }));
+});
+
+await check("rejects malformed cursors", () => {
+  assertThrows(() => sliceDocument(document, { cursor: "not-a-cursor" }));
+});
+
+finish();
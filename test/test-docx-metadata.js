@@ -0,0 +1,107 @@
+#!/usr/bin/env node
+
+/**
+ * DOCX Metadata Test Suite
+ *
+ * Generates a Word document with core, app and custom properties and verifies
+ * that DocxParser reads them in Node and the summary shows the provenance.
+ */
+
+import fs from "fs";
+import path from "path";
+import JSZip from "jszip";
+import { Document, Packer, Paragraph } from "docx";
+import { DocxParser } from "../src/parsers/docx-parser.js";
+import { handleSummary } from "../src/tools/summary-tool.js";
+import {
+  header,
+  check,
+  assertEqual,
+  createTempDir,
+  finish,
+} from "./helpers.js";
+
+const tempDir = createTempDir("docx-metadata");
+const docPath = path.join(tempDir, "contract.docx");
+
+const doc = new Document({
+  title: "Service Agreement",
+  creator: "Jane Doe",
+  lastModifiedBy: "Legal Team",
+  revision: 7,
+  customProperties: [{ name: "Client", value: "ACME" }],
+  sections: [{ children: [new Paragraph("Terms and conditions.")] }],
+});
+
+// Add statistics and typed custom properties the way Word writes them
+const zip = await JSZip.loadAsync(await Packer.toBuffer(doc));
+zip.file(
+  "docProps/app.xml",
+  '<Properties xmlns="http://schemas.openxmlformats.org/officeDocument/2006/extended-properties"><Template>Contract.dotx</Template><Pages>3</Pages><Words>1250</Words><Characters>7000</Characters><Application>Microsoft Office Word</Application><Company>ACME Corp</Company></Properties>',
+);
+zip.file(
+  "docProps/custom.xml",
+  '<Properties xmlns="http://schemas.openxmlformats.org/officeDocument/2006/custom-properties" xmlns:vt="http://schemas.openxmlformats.org/officeDocument/2006/docPropsVTypes"><property fmtid="{D5CDD505-2E9C-101B-9397-08002B2CF9AE}" pid="2" name="Client"><vt:lpwstr>ACME</vt:lpwstr></property><property fmtid="{D5CDD505-2E9C-101B-9397-08002B2CF9AE}" pid="3" name="Approved"><vt:bool>true</vt:bool></property><property fmtid="{D5CDD505-2E9C-101B-9397-08002B2CF9AE}" pid="4" name="Value"><vt:r8>1500.5</vt:r8></property></Properties>',
+);
+fs.writeFileSync(docPath, await zip.generateAsync({ type: "nodebuffer" }));
+
+const parser = new DocxParser();
+const { metadata } = await parser.parse(docPath);
+
+header("DOCX Metadata Tests");
+
+await check("reads core properties without a browser DOMParser", () => {
+  assertEqual(
+    [
+      metadata.title,
+      metadata.author,
+      metadata.lastModifiedBy,
+      metadata.revision,
+    ],
+    ["Service Agreement", "Jane Doe", "Legal Team", "7"],
+  );
+  assertEqual(metadata.created instanceof Date, true);
+});
+
+await check("reads app properties and statistics", () => {
+  assertEqual(
+    [
+      metadata.template,
+      metadata.company,
+      metadata.application,
+      metadata.pageCount,
+      metadata.wordCount,
+      metadata.characterCount,
+    ],
+    ["Contract.dotx", "ACME Corp", "Microsoft Office Word", 3, 1250, 7000],
+  );
+});
+
+await check("reads typed custom properties", () => {
+  assertEqual(metadata.customProperties, {
+    Client: "ACME",
+    Approved: true,
+    Value: 1500.5,
+  });
+});
+
+await check("summary shows the document provenance", async () => {
+  const response = await handleSummary({ filePath: docPath });
+  const text = response.content[0].text;
+  for (const line of [
+    "Author: Jane Doe",
+    "Last Modified By: Legal Team",
+    "Company: ACME Corp",
+    "Revision: 7",
+    "Template: Contract.dotx",
+    "Page Count: 3",
+    "Word Count: 1250",
+    "Custom Properties: Client=ACME, Approved=true, Value=1500.5",
+  ]) {
+    if (!text.includes(line)) {
+      throw new Error(`Missing "${line}"`);
+    }
+  }
+});
+
+finish();
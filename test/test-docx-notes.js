@@ -0,0 +1,183 @@
+#!/usr/bin/env node
+
+/**
+ * DOCX Notes Test Suite
+ *
+ * Generates a Word document with footnotes, an endnote, a header and a footer
+ * and verifies they are extracted, linked to their references and listed in
+ * the structure and in-depth output.
+ */
+
+import fs from "fs";
+import path from "path";
+import JSZip from "jszip";
+import {
+  Document,
+  Packer,
+  Paragraph,
+  TextRun,
+  FootnoteReferenceRun,
+  Header,
+  Footer,
+} from "docx";
+import { DocxParser } from "../src/parsers/docx-parser.js";
+import { handleInDepth } from "../src/tools/indepth-tool.js";
+import {
+  header,
+  check,
+  assertEqual,
+  createTempDir,
+  finish,
+} from "./helpers.js";
+
+const W_NS = "http://schemas.openxmlformats.org/wordprocessingml/2006/main";
+
+/**
+ * Build the test document. The docx library has no endnote support, so the
+ * endnote part and its reference are added to the generated package.
+ */
+async function buildDocument() {
+  const doc = new Document({
+    footnotes: {
+      // Defined out of reference order to check numbering
+      1: { children: [new Paragraph("Figures are unaudited.")] },
+      2: { children: [new Paragraph("Source: annual report 2023.")] },
+    },
+    sections: [
+      {
+        headers: {
+          default: new Header({ children: [new Paragraph("CONFIDENTIAL")] }),
+        },
+        footers: {
+          default: new Footer({
+            children: [new Paragraph("Not for distribution.")],
+          }),
+        },
+        children: [
+          new Paragraph("Annual Summary"),
+          new Paragraph({
+            children: [
+              new TextRun("Revenue grew 12%"),
+              new FootnoteReferenceRun(2),
+              new TextRun(" last year."),
+            ],
+          }),
+          new Paragraph({
+            children: [
+              new TextRun("Margins were stable"),
+              new FootnoteReferenceRun(1),
+              new TextRun("."),
+            ],
+          }),
+          new Paragraph("See the closing remarks."),
+        ],
+      },
+    ],
+  });
+
+  const zip = await JSZip.loadAsync(await Packer.toBuffer(doc));
+  zip.file(
+    "word/endnotes.xml",
+    `<w:endnotes xmlns:w="${W_NS}"><w:endnote w:type="separator" w:id="-1"><w:p><w:r><w:separator/></w:r></w:p></w:endnote><w:endnote w:id="1"><w:p><w:r><w:endnoteRef/></w:r><w:r><w:t xml:space="preserve"> Closing remarks by the board.</w:t></w:r></w:p></w:endnote></w:endnotes>`,
+  );
+  const documentXml = await zip.file("word/document.xml").async("string");
+  zip.file(
+    "word/document.xml",
+    documentXml.replace(
+      '<w:t xml:space="preserve">See the closing remarks.</w:t></w:r>',
+      '<w:t xml:space="preserve">See the closing remarks.</w:t></w:r><w:r><w:endnoteReference w:id="1"/></w:r>',
+    ),
+  );
+  return zip.generateAsync({ type: "nodebuffer" });
+}
+
+const tempDir = createTempDir("docx-notes");
+const docPath = path.join(tempDir, "report.docx");
+fs.writeFileSync(docPath, await buildDocument());
+
+const parser = new DocxParser();
+const result = await parser.parse(docPath);
+
+header("DOCX Notes Tests");
+
+await check("parses successfully", () => {
+  assertEqual([result.success, result.error], [true, undefined]);
+});
+
+await check("numbers footnotes in reference order", () => {
+  const footnotes = result.notes.filter((note) => note.type === "footnote");
+  assertEqual(
+    footnotes.map((note) => [note.number, note.text]),
+    [
+      [1, "Source: annual report 2023."],
+      [2, "Figures are unaudited."],
+    ],
+  );
+});
+
+await check("links notes to the paragraphs that reference them", () => {
+  const first = result.notes[0];
+  assertEqual(
+    [first.paragraphIndex, first.referenceText],
+    [1, "Revenue grew 12% last year."],
+  );
+});
+
+await check("extracts endnotes, skipping separators", () => {
+  const endnotes = result.notes.filter((note) => note.type === "endnote");
+  assertEqual(
+    endnotes.map((note) => [note.number, note.text, note.paragraphIndex]),
+    [[1, "Closing remarks by the board.", 3]],
+  );
+});
+
+await check("extracts header and footer text", () => {
+  assertEqual(
+    result.headersFooters.map((entry) => [
+      entry.type,
+      entry.kind,
+      entry.section,
+      entry.text,
+    ]),
+    [
+      ["header", "default", 1, "CONFIDENTIAL"],
+      ["footer", "default", 1, "Not for distribution."],
+    ],
+  );
+});
+
+await check("lists notes as labelled sections in the structure", async () => {
+  const structure = await parser.getStructure(result.text, result);
+  const groups = structure
+    .filter((item) => item.isHeader)
+    .map((item) => item.text);
+  assertEqual(groups, ["Headers and Footers", "Footnotes", "Endnotes"]);
+  assertEqual(
+    structure.some(
+      (item) =>
+        item.text === "[1] Source: annual report 2023." && item.level === 2,
+    ),
+    true,
+  );
+});
+
+await check("in-depth tool shows labelled sections", async () => {
+  const response = await handleInDepth({ filePath: docPath });
+  const text = response.content[0].text;
+  assertEqual(text.includes("=== Headers and Footers ==="), true);
+  assertEqual(
+    text.includes("- Header (default, section 1): CONFIDENTIAL"),
+    true,
+  );
+  assertEqual(
+    text.includes("=== Footnotes ===\n[1] Source: annual report 2023."),
+    true,
+  );
+  assertEqual(
+    text.includes('Referenced in paragraph 1: "Revenue grew 12% last year."'),
+    true,
+  );
+  assertEqual(text.includes("=== Endnotes ==="), true);
+});
+
+finish();
@@ -0,0 +1,181 @@
+#!/usr/bin/env node
+
+/**
+ * DOCX Tracked Changes Test Suite
+ *
+ * Generates a Word document with insertions, deletions and a comment and
+ * verifies the revisions, comments and accepted/original/redline views.
+ */
+
+import fs from "fs";
+import path from "path";
+import {
+  Document,
+  Packer,
+  Paragraph,
+  TextRun,
+  InsertedTextRun,
+  DeletedTextRun,
+  CommentRangeStart,
+  CommentRangeEnd,
+  CommentReference,
+} from "docx";
+import { DocxParser } from "../src/parsers/docx-parser.js";
+import { handleInDepth } from "../src/tools/indepth-tool.js";
+import {
+  header,
+  check,
+  assertEqual,
+  createTempDir,
+  finish,
+} from "./helpers.js";
+
+const tempDir = createTempDir("docx-revisions");
+const docPath = path.join(tempDir, "contract.docx");
+const date = "2024-05-01T10:00:00Z";
+
+const doc = new Document({
+  comments: {
+    children: [
+      {
+        id: 0,
+        author: "Reviewer",
+        initials: "RV",
+        date: new Date(date),
+        children: [new Paragraph("Is 30 days acceptable?")],
+      },
+    ],
+  },
+  sections: [
+    {
+      children: [
+        new Paragraph({
+          children: [
+            new TextRun("Payment is due within "),
+            new DeletedTextRun({
+              text: "60",
+              id: 1,
+              author: "Alice",
+              date,
+            }),
+            new InsertedTextRun({
+              text: "30",
+              id: 2,
+              author: "Bob",
+              date,
+            }),
+            new TextRun(" days."),
+          ],
+        }),
+        new Paragraph({
+          children: [
+            new CommentRangeStart(0),
+            new TextRun("Late fees apply."),
+            new CommentRangeEnd(0),
+            new TextRun({ children: [new CommentReference(0)] }),
+          ],
+        }),
+      ],
+    },
+  ],
+});
+fs.writeFileSync(docPath, await Packer.toBuffer(doc));
+
+const parser = new DocxParser();
+const result = await parser.parse(docPath);
+
+header("DOCX Tracked Changes Tests");
+
+await check("returns revisions with author, date and text", () => {
+  assertEqual(
+    result.revisions.map((revision) => [
+      revision.type,
+      revision.author,
+      revision.text,
+      revision.paragraphIndex,
+    ]),
+    [
+      ["deletion", "Alice", "60", 0],
+      ["insertion", "Bob", "30", 0],
+    ],
+  );
+  assertEqual(
+    result.revisions[0].date.toISOString(),
+    "2024-05-01T10:00:00.000Z",
+  );
+});
+
+await check("returns comments with the text they refer to", () => {
+  assertEqual(
+    result.comments.map((comment) => [
+      comment.author,
+      comment.text,
+      comment.anchorText,
+      comment.paragraphIndex,
+    ]),
+    [["Reviewer", "Is 30 days acceptable?", "Late fees apply.", 1]],
+  );
+});
+
+await check("builds accepted, original and redline views", () => {
+  const firstLine = (view) => result.revisionViews[view].text.split("\n")[0];
+  assertEqual(firstLine("accepted"), "Payment is due within 30 days.");
+  assertEqual(firstLine("original"), "Payment is due within 60 days.");
+  assertEqual(firstLine("redline"), "Payment is due within [-60-][+30+] days.");
+});
+
+await check("in-depth tool renders the requested view", async () => {
+  const response = await handleInDepth({
+    filePath: docPath,
+    revisionView: "redline",
+  });
+  const text = response.content[0].text;
+  assertEqual(text.includes("[-60-][+30+]"), true);
+  assertEqual(text.includes("- [insertion] Bob"), true);
+  assertEqual(text.includes('On: "Late fees apply."'), true);
+});
+
+await check(
+  "a continuation cursor alone keeps the view and chunk size",
+  async () => {
+    const cursorOf = (response) =>
+      /cursor: "([^"]+)"/.exec(response.content[0].text)?.[1];
+    const first = await handleInDepth({
+      filePath: docPath,
+      revisionView: "redline",
+      maxChars: 20,
+    });
+    const second = await handleInDepth({
+      filePath: docPath,
+      cursor: cursorOf(first),
+    });
+    const text = second.content[0].text;
+    const shown = /characters (\d+)-(\d+) of/.exec(text);
+    assertEqual(text.includes("[Revision view: redline"), true);
+    assertEqual(shown[2] - shown[1] <= 20, true);
+    assertEqual(typeof cursorOf(second), "string");
+  },
+);
+
+await check("in-depth tool rejects unknown views", async () => {
+  const response = await handleInDepth({
+    filePath: docPath,
+    revisionView: "final",
+  });
+  assertEqual(response.isError, true);
+});
+
+await check("documents without tracked changes have no views", async () => {
+  const plainPath = path.join(tempDir, "plain.docx");
+  const plain = new Document({
+    sections: [{ children: [new Paragraph("No changes here.")] }],
+  });
+  fs.writeFileSync(plainPath, await Packer.toBuffer(plain));
+  const plainResult = await parser.parse(plainPath);
+  assertEqual(
+    [plainResult.revisions, plainResult.comments, plainResult.revisionViews],
+    [[], [], null],
+  );
+});
+
+finish();
@@ -0,0 +1,153 @@
+#!/usr/bin/env node
+
+/**
+ * DOCX Structure Test Suite
+ *
+ * Generates a Word document with heading styles, outline levels and nested
+ * lists and verifies the outline and sections built from its XML.
+ */
+
+import fs from "fs";
+import path from "path";
+import { Document, Packer, Paragraph, HeadingLevel } from "docx";
+import { DocxParser } from "../src/parsers/docx-parser.js";
+import {
+  header,
+  check,
+  assertEqual,
+  createTempDir,
+  finish,
+} from "./helpers.js";
+
+const tempDir = createTempDir("docx-structure");
+const docPath = path.join(tempDir, "report.docx");
+
+const doc = new Document({
+  numbering: {
+    config: [
+      {
+        reference: "bullets",
+        levels: [
+          { level: 0, format: "bullet", text: "•" },
+          { level: 1, format: "bullet", text: "o" },
+        ],
+      },
+    ],
+  },
+  sections: [
+    {
+      children: [
+        new Paragraph({ text: "Annual Report", heading: HeadingLevel.TITLE }),
+        // Looks like a heading to the text heuristics but is body text
+        new Paragraph("PREPARED BY THE FINANCE TEAM"),
+        new Paragraph({ text: "Overview", heading: HeadingLevel.HEADING_1 }),
+        new Paragraph("Revenue grew in every region."),
+        new Paragraph({
+          text: "EMEA",
+          numbering: { reference: "bullets", level: 0 },
+        }),
+        new Paragraph({
+          text: "Germany",
+          numbering: { reference: "bullets", level: 1 },
+        }),
+        new Paragraph({ text: "Details", heading: HeadingLevel.HEADING_2 }),
+        new Paragraph("Figures per quarter."),
+        // Plain paragraph promoted to the outline by a direct outline level
+        new Paragraph({ text: "Appendix", outlineLevel: 0 }),
+        new Paragraph("Raw data."),
+      ],
+    },
+  ],
+});
+fs.writeFileSync(docPath, await Packer.toBuffer(doc));
+
+const parser = new DocxParser();
+const result = await parser.parse(docPath);
+
+header("DOCX Structure Tests");
+
+await check("parses successfully", () => {
+  assertEqual(result.success, true);
+});
+
+await check("takes headings and levels from styles and outline levels", () => {
+  const headings = result.outline.filter((item) => item.isHeader);
+  assertEqual(
+    headings.map((item) => [item.text, item.level]),
+    [
+      ["Annual Report", 1],
+      ["Overview", 1],
+      ["Details", 2],
+      ["Appendix", 1],
+    ],
+  );
+  assertEqual(headings[2].style, "Heading 2");
+});
+
+await check("records the paragraph index each heading starts at", () => {
+  assertEqual(
+    result.outline.map((item) => item.paragraphIndex),
+    [0, 2, 4, 5, 6, 8],
+  );
+});
+
+await check("reports list items with their nesting level", () => {
+  const items = result.outline.filter((item) => item.isListItem);
+  assertEqual(
+    items.map((item) => [item.text, item.level]),
+    [
+      ["EMEA", 1],
+      ["Germany", 2],
+    ],
+  );
+});
+
+await check("builds sections from the real headings", () => {
+  assertEqual(
+    result.segments.map((section) => section.label),
+    ["Annual Report", "Overview", "Details", "Appendix"],
+  );
+  assertEqual(
+    result.segments[0].text.includes("PREPARED BY THE FINANCE TEAM"),
+    true,
+  );
+});
+
+await check("keeps building sections after an unmatched heading", () => {
+  const outline = [
+    { text: "Scope", isHeader: true },
+    // XML text of a heading with a field, differing from the extracted text
+    { text: "Term 2024", isHeader: true },
+    { text: "Payment\tTerms", isHeader: true },
+    { text: "Termination", isHeader: true },
+  ];
+  const text = [
+    "Scope",
+    "What is covered.",
+    "Term { DATE }",
+    "One year.",
+    "Payment  Terms",
+    "Net 30.",
+    "Termination",
+    "With notice.",
+  ].join("\n");
+  assertEqual(
+    parser.buildSections(text, outline).map((section) => section.label),
+    ["Scope", "Payment  Terms", "Termination"],
+  );
+});
+
+await check("getStructure returns the outline", async () => {
+  const structure = await parser.getStructure(result.text, result);
+  assertEqual(structure, result.outline);
+});
+
+await check(
+  "falls back to text heuristics without a parse result",
+  async () => {
+    const structure = await parser.getStructure("INTRODUCTION\nSome text");
+    assertEqual(structure[0].isHeader, true);
+  },
+);
+
+finish();
@@ -0,0 +1,139 @@
+#!/usr/bin/env node
+
+/**
+ * DOCX Table Test Suite
+ *
+ * Generates a Word document with merged cells and a nested table and verifies
+ * the tables returned by the DOCX parser.
+ */
+
+import fs from "fs";
+import path from "path";
+import { Document, Packer, Paragraph, Table, TableRow, TableCell } from "docx";
+import { DocxParser } from "../src/parsers/docx-parser.js";
+import {
+  header,
+  check,
+  assertEqual,
+  createTempDir,
+  finish,
+} from "./helpers.js";
+
+function cell(text, options = {}) {
+  return new TableCell({ children: [new Paragraph(text)], ...options });
+}
+
+const nested = new Table({
+  rows: [
+    new TableRow({ children: [cell("Q1"), cell("40")] }),
+    new TableRow({ children: [cell("Q2"), cell("80")] }),
+  ],
+});
+
+const doc = new Document({
+  sections: [
+    {
+      children: [
+        new Paragraph("Regional results"),
+        new Table({
+          rows: [
+            new TableRow({
+              children: [cell("Region"), cell("Revenue", { columnSpan: 2 })],
+            }),
+            new TableRow({
+              children: [
+                cell("EMEA", { rowSpan: 2 }),
+                cell("2023"),
+                cell("120"),
+              ],
+            }),
+            new TableRow({ children: [cell("2024"), cell("150")] }),
+            new TableRow({
+              children: [
+                cell("APAC"),
+                new TableCell({
+                  children: [new Paragraph("By quarter"), nested],
+                  columnSpan: 2,
+                }),
+              ],
+            }),
+          ],
+        }),
+        new Paragraph("End of report"),
+      ],
+    },
+  ],
+});
+
+const tempDir = createTempDir("docx-tables");
+const docPath = path.join(tempDir, "results.docx");
+fs.writeFileSync(docPath, await Packer.toBuffer(doc));
+
+const parser = new DocxParser();
+const result = await parser.parse(docPath);
+
+header("DOCX Table Tests");
+
+await check("parses successfully", () => {
+  assertEqual([result.success, result.error], [true, undefined]);
+});
+
+await check("returns the outer table and its nested table", () => {
+  assertEqual(
+    result.tables.map((table) => [table.type, table.index, table.depth]),
+    [
+      ["docx-table", 0, 0],
+      ["docx-table", 1, 1],
+    ],
+  );
+});
+
+await check("lays cells out on the table grid", () => {
+  const [outer] = result.tables;
+  assertEqual([outer.rowCount, outer.columnCount], [4, 3]);
+  assertEqual(outer.rows, [
+    ["Region", "Revenue", ""],
+    ["EMEA", "2023", "120"],
+    ["", "2024", "150"],
+    ["APAC", "By quarter\n[Table 2]", ""],
+  ]);
+});
+
+await check("records horizontal and vertical merges", () => {
+  assertEqual(result.tables[0].merges, [
+    { row: 0, col: 1, rowSpan: 1, colSpan: 2 },
+    { row: 1, col: 0, rowSpan: 2, colSpan: 1 },
+    { row: 3, col: 1, rowSpan: 1, colSpan: 2 },
+  ]);
+});
+
+await check("links nested tables to their parent cell", () => {
+  const inner = result.tables[1];
+  assertEqual(inner.parent, { table: 0, row: 3, col: 1 });
+  assertEqual(inner.rows, [
+    ["Q1", "40"],
+    ["Q2", "80"],
+  ]);
+});
+
+await check("uses the same fields as PDF tables", () => {
+  const [outer] = result.tables;
+  assertEqual([outer.source, outer.confidence], ["docx", 1]);
+  assertEqual(outer.content, outer.extractedContent);
+  assertEqual(outer.content.split("\n").slice(0, 2), [
+    "| Region | Revenue |  |",
+    "| --- | --- | --- |",
+  ]);
+  assertEqual(outer.paragraphIndex, 1);
+});
+
+await check("documents without tables return an empty list", async () => {
+  const plainPath = path.join(tempDir, "plain.docx");
+  const plain = new Document({
+    sections: [{ children: [new Paragraph("No tables here.")] }],
+  });
+  fs.writeFileSync(plainPath, await Packer.toBuffer(plain));
+  assertEqual((await parser.parse(plainPath)).tables, []);
+});
+
+finish();
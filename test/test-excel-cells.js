@@ -0,0 +1,108 @@
+#!/usr/bin/env node
+
+/**
+ * Excel Cell Model Test Suite
+ *
+ * Writes a workbook with formulas, number formats, dates and merged cells and
+ * verifies the structured sheet model and the showFormulas output.
+ */
+
+import path from "path";
+import XLSX from "xlsx";
+import { ExcelParser } from "../src/parsers/excel-parser.js";
+import { handleInDepth } from "../src/tools/indepth-tool.js";
+import {
+  header,
+  check,
+  assertEqual,
+  createTempDir,
+  finish,
+} from "./helpers.js";
+
+const tempDir = createTempDir("excel-cells");
+const bookPath = path.join(tempDir, "budget.xlsx");
+
+const sheet = XLSX.utils.aoa_to_sheet([
+  ["Budget 2024", null, null],
+  ["Item", "Cost", "Share"],
+  ["Rent", 1200, 0.6],
+  ["Power", 800, 0.4],
+  ["Total", 2000, 1],
+  ["Due", new Date(Date.UTC(2024, 2, 31)), null],
+]);
+sheet["B3"].z = '"$"#,##0.00';
+sheet["B4"].z = '"$"#,##0.00';
+sheet["B5"] = { t: "n", v: 2000, f: "SUM(B3:B4)", z: '"$"#,##0.00' };
+sheet["C3"].z = "0%";
+sheet["C4"].z = "0%";
+sheet["C5"] = { t: "n", v: 1, f: "SUM(C3:C4)", z: "0%" };
+sheet["!merges"] = [XLSX.utils.decode_range("A1:C1")];
+
+const workbook = XLSX.utils.book_new();
+XLSX.utils.book_append_sheet(workbook, sheet, "Budget");
+XLSX.utils.book_append_sheet(
+  workbook,
+  XLSX.utils.aoa_to_sheet([["plain"]]),
+  "Other",
+);
+XLSX.writeFile(workbook, bookPath);
+
+const parser = new ExcelParser();
+const result = await parser.parse(bookPath);
+const [budget] = result.sheetModels;
+const cell = (address) => budget.cells.find((item) => item.address === address);
+
+header("Excel Cell Model Tests");
+
+await check("builds one model per sheet with range and merges", () => {
+  assertEqual(
+    result.sheetModels.map((model) => [model.name, model.index]),
+    [
+      ["Budget", 1],
+      ["Other", 2],
+    ],
+  );
+  assertEqual([budget.range, budget.merges], ["A1:C6", ["A1:C1"]]);
+  assertEqual(cell("A1").merge, "A1:C1");
+});
+
+await check("keeps formulas with their computed values", () => {
+  assertEqual(
+    [cell("B5").formula, cell("B5").value, cell("C5").formula],
+    ["=SUM(B3:B4)", 2000, "=SUM(C3:C4)"],
+  );
+  assertEqual(cell("B3").formula, null);
+});
+
+await check("types values using their number formats", () => {
+  assertEqual(
+    ["A2", "B3", "C3", "B6"].map((address) => cell(address).type),
+    ["string", "currency", "percentage", "date"],
+  );
+  assertEqual(cell("B3").format, '"$"#,##0.00');
+  assertEqual(cell("B6").value instanceof Date, true);
+});
+
+await check("keeps the plain text extraction unchanged", () => {
+  assertEqual(result.text.startsWith("## Sheet: Budget\nBudget 2024"), true);
+});
+
+await check("in-depth output lists formulas on request", async () => {
+  const response = await handleInDepth({
+    filePath: bookPath,
+    showFormulas: true,
+    pages: "1",
+  });
+  const formulas = response.content[0].text.split("=== Formulas ===")[1];
+  assertEqual(formulas.includes("B5: =SUM(B3:B4) -> $2,000.00"), true);
+  assertEqual(formulas.includes("Merged: A1:C1"), true);
+  // Only the selected sheet is listed
+  assertEqual(formulas.includes("Sheet: Other"), false);
+});
+
+await check("in-depth output omits formulas by default", async () => {
+  const response = await handleInDepth({ filePath: bookPath });
+  assertEqual(response.content[0].text.includes("=== Formulas ==="), false);
+});
+
+finish();
@@ -0,0 +1,147 @@
+#!/usr/bin/env node
+
+/**
+ * Excel Drawings Test Suite
+ *
+ * Adds a drawing with a picture and a bar chart to a generated workbook and
+ * verifies the images, anchors and chart definitions read by ExcelParser.
+ */
+
+import fs from "fs";
+import path from "path";
+import JSZip from "jszip";
+import XLSX from "xlsx";
+import { ExcelParser } from "../src/parsers/excel-parser.js";
+import {
+  header,
+  check,
+  assertEqual,
+  createTempDir,
+  finish,
+} from "./helpers.js";
+
+const REL =
+  "http://schemas.openxmlformats.org/officeDocument/2006/relationships";
+const NS = `xmlns:xdr="http://schemas.openxmlformats.org/drawingml/2006/spreadsheetDrawing" xmlns:a="http://schemas.openxmlformats.org/drawingml/2006/main" xmlns:r="${REL}" xmlns:c="http://schemas.openxmlformats.org/drawingml/2006/chart"`;
+// 1x1 transparent PNG
+const PNG = Buffer.from(
+  "iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAQAAAC1HAwCAAAAC0lEQVR42mNkYAAAAAYAAjCB0C8AAAAASUVORK5CYII=",
+  "base64",
+);
+
+function anchor(from, to, content) {
+  const marker = (tag, [col, row]) =>
+    `<xdr:${tag}><xdr:col>${col}</xdr:col><xdr:colOff>0</xdr:colOff><xdr:row>${row}</xdr:row><xdr:rowOff>0</xdr:rowOff></xdr:${tag}>`;
+  return `<xdr:twoCellAnchor>${marker("from", from)}${marker("to", to)}${content}<xdr:clientData/></xdr:twoCellAnchor>`;
+}
+
+async function buildWorkbook() {
+  const workbook = XLSX.utils.book_new();
+  const rows = [["Month", "Revenue"]];
+  for (let month = 1; month <= 12; month++) {
+    rows.push([`M${month}`, month * 10]);
+  }
+  XLSX.utils.book_append_sheet(
+    workbook,
+    XLSX.utils.aoa_to_sheet(rows),
+    "Revenue",
+  );
+  XLSX.utils.book_append_sheet(
+    workbook,
+    XLSX.utils.aoa_to_sheet([["notes"]]),
+    "Notes",
+  );
+
+  const zip = await JSZip.loadAsync(
+    XLSX.write(workbook, { bookType: "xlsx", type: "buffer" }),
+  );
+  zip.file(
+    "xl/worksheets/_rels/sheet1.xml.rels",
+    `<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships"><Relationship Id="rId1" Type="${REL}/drawing" Target="../drawings/drawing1.xml"/></Relationships>`,
+  );
+  zip.file(
+    "xl/drawings/drawing1.xml",
+    `<xdr:wsDr ${NS}>${anchor(
+      [3, 1],
+      [9, 14],
+      `<xdr:graphicFrame><xdr:nvGraphicFramePr><xdr:cNvPr id="2" name="Chart 1"/></xdr:nvGraphicFramePr><a:graphic><a:graphicData><c:chart r:id="rId2"/></a:graphicData></a:graphic></xdr:graphicFrame>`,
+    )}${anchor(
+      [0, 15],
+      [2, 20],
+      `<xdr:pic><xdr:nvPicPr><xdr:cNvPr id="3" name="Logo" descr="Company logo"/></xdr:nvPicPr><xdr:blipFill><a:blip r:embed="rId1"/></xdr:blipFill></xdr:pic>`,
+    )}</xdr:wsDr>`,
+  );
+  zip.file(
+    "xl/drawings/_rels/drawing1.xml.rels",
+    `<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships"><Relationship Id="rId1" Type="${REL}/image" Target="../media/image1.png"/><Relationship Id="rId2" Type="${REL}/chart" Target="../charts/chart1.xml"/></Relationships>`,
+  );
+  zip.file("xl/media/image1.png", PNG);
+  zip.file(
+    "xl/charts/chart1.xml",
+    `<c:chartSpace ${NS}><c:chart><c:title><c:tx><c:rich><a:p><a:r><a:t>Monthly Revenue</a:t></a:r></a:p></c:rich></c:tx></c:title><c:plotArea><c:barChart><c:barDir val="col"/><c:ser><c:tx><c:strRef><c:f>Revenue!$B$1</c:f><c:strCache><c:pt idx="0"><c:v>Revenue</c:v></c:pt></c:strCache></c:strRef></c:tx><c:cat><c:strRef><c:f>Revenue!$A$2:$A$13</c:f></c:strRef></c:cat><c:val><c:numRef><c:f>Revenue!$B$2:$B$13</c:f></c:numRef></c:val></c:ser></c:barChart></c:plotArea></c:chart></c:chartSpace>`,
+  );
+  return zip.generateAsync({ type: "nodebuffer" });
+}
+
+const tempDir = createTempDir("excel-drawings");
+const bookPath = path.join(tempDir, "revenue.xlsx");
+fs.writeFileSync(bookPath, await buildWorkbook());
+
+const parser = new ExcelParser();
+const result = await parser.parse(bookPath);
+
+header("Excel Drawings Tests");
+
+await check("parses successfully", () => {
+  assertEqual(result.success, true);
+});
+
+await check("extracts embedded pictures with sheet and anchor", () => {
+  assertEqual(result.images.length, 1);
+  const [image] = result.images;
+  assertEqual(
+    [image.sheet, image.anchor.range, image.mimeType, image.description],
+    ["Revenue", "A16:C21", "image/png", "Company logo"],
+  );
+  assertEqual(image.data.startsWith("data:image/png;base64,"), true);
+});
+
+await check("extracts chart type, title and series references", () => {
+  assertEqual(result.charts.length, 1);
+  const [chart] = result.charts;
+  assertEqual(
+    [chart.sheet, chart.type, chart.title, chart.anchor.range],
+    ["Revenue", "column", "Monthly Revenue", "D2:J15"],
+  );
+  assertEqual(chart.series, [
+    {
+      name: "Revenue",
+      nameRef: "Revenue!$B$1",
+      categories: "Revenue!$A$2:$A$13",
+      values: "Revenue!$B$2:$B$13",
+      type: "column",
+    },
+  ]);
+});
+
+await check("describes charts in one sentence", () => {
+  assertEqual(
+    result.charts[0].description,
+    'Sheet Revenue has a column chart "Monthly Revenue" of B2:B13 (placed at D2:J15)',
+  );
+});
+
+await check("returns no drawings for legacy .xls workbooks", async () => {
+  const workbook = XLSX.utils.book_new();
+  XLSX.utils.book_append_sheet(
+    workbook,
+    XLSX.utils.aoa_to_sheet([["a", 1]]),
+    "Sheet1",
+  );
+  const xlsPath = path.join(tempDir, "legacy.xls");
+  XLSX.writeFile(workbook, xlsPath, { bookType: "xls" });
+  const legacy = await parser.parse(xlsPath);
+  assertEqual([legacy.images, legacy.charts], [[], []]);
+});
+
+finish();
@@ -0,0 +1,143 @@
+#!/usr/bin/env node
+
+/**
+ * Excel Metadata Test Suite
+ *
+ * Verifies document properties, hidden sheet reporting, defined names,
+ * external links and macro detection for generated workbooks.
+ */
+
+import fs from "fs";
+import path from "path";
+import JSZip from "jszip";
+import XLSX from "xlsx";
+import { ExcelParser } from "../src/parsers/excel-parser.js";
+import {
+  header,
+  check,
+  assertEqual,
+  createTempDir,
+  finish,
+} from "./helpers.js";
+
+const REL =
+  "http://schemas.openxmlformats.org/officeDocument/2006/relationships";
+const tempDir = createTempDir("excel-metadata");
+
+function buildWorkbook() {
+  const workbook = XLSX.utils.book_new();
+  for (const name of ["Prices", "Old", "Secret"]) {
+    XLSX.utils.book_append_sheet(
+      workbook,
+      XLSX.utils.aoa_to_sheet([[name, 1]]),
+      name,
+    );
+  }
+  workbook.Props = {
+    Title: "Vendor Prices",
+    Author: "Vendor Ltd",
+    Company: "Vendor Ltd",
+    CreatedDate: new Date("2024-01-15T09:00:00Z"),
+  };
+  workbook.Workbook = {
+    Sheets: [{ Hidden: 0 }, { Hidden: 1 }, { Hidden: 2 }],
+    Names: [
+      { Name: "PriceList", Ref: "Prices!$A$1:$B$1" },
+      { Name: "Rate", Ref: "Secret!$B$1", Sheet: 0, Hidden: true },
+    ],
+  };
+  return workbook;
+}
+
+/**
+ * Add an external link and a VBA project to an XLSX package
+ */
+async function addLinkAndMacros(buffer) {
+  const zip = await JSZip.loadAsync(buffer);
+  const relsPath = "xl/_rels/workbook.xml.rels";
+  const rels = await zip.file(relsPath).async("string");
+  zip.file(
+    relsPath,
+    rels.replace(
+      "</Relationships>",
+      `<Relationship Id="rIdLink1" Type="${REL}/externalLink" Target="externalLinks/externalLink1.xml"/></Relationships>`,
+    ),
+  );
+  zip.file(
+    "xl/externalLinks/externalLink1.xml",
+    '<externalLink xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main"/>',
+  );
+  zip.file(
+    "xl/externalLinks/_rels/externalLink1.xml.rels",
+    `<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships"><Relationship Id="rId1" Type="${REL}/externalLinkPath" Target="file:///C:/vendor/costs.xlsx" TargetMode="External"/></Relationships>`,
+  );
+  zip.file("xl/vbaProject.bin", Buffer.from("not a real VBA project"));
+  return zip.generateAsync({ type: "nodebuffer" });
+}
+
+const xlsxPath = path.join(tempDir, "prices.xlsm");
+fs.writeFileSync(
+  xlsxPath,
+  await addLinkAndMacros(
+    XLSX.write(buildWorkbook(), { bookType: "xlsx", type: "buffer" }),
+  ),
+);
+const xlsPath = path.join(tempDir, "prices.xls");
+XLSX.writeFile(buildWorkbook(), xlsPath, { bookType: "xls" });
+
+const parser = new ExcelParser();
+const result = await parser.parse(xlsxPath);
+const metadata = result.metadata;
+
+header("Excel Metadata Tests");
+
+await check("reads core and app properties", () => {
+  assertEqual(
+    [metadata.title, metadata.author, metadata.company],
+    ["Vendor Prices", "Vendor Ltd", "Vendor Ltd"],
+  );
+  assertEqual(metadata.creationDate instanceof Date, true);
+});
+
+await check("reports hidden and very hidden sheets", () => {
+  assertEqual(
+    metadata.sheets.map((sheet) => sheet.visibility),
+    ["visible", "hidden", "veryHidden"],
+  );
+  assertEqual(metadata.hiddenSheets, ["Old", "Secret"]);
+});
+
+await check("marks hidden sheets in the text and sheet labels", () => {
+  assertEqual(result.text.includes("## Sheet: Secret (very hidden)"), true);
+  assertEqual(result.segments[1].label, "Sheet: Old (hidden)");
+});
+
+await check("lists defined names with their scope", () => {
+  assertEqual(metadata.definedNames, [
+    { name: "PriceList", ref: "Prices!$A$1:$B$1", scope: null, hidden: false },
+    { name: "Rate", ref: "Secret!$B$1", scope: "Prices", hidden: true },
+  ]);
+});
+
+await check("lists external links", () => {
+  assertEqual(metadata.externalLinks, [
+    {
+      part: "xl/externalLinks/externalLink1.xml",
+      target: "file:///C:/vendor/costs.xlsx",
+    },
+  ]);
+});
+
+await check("detects VBA projects", () => {
+  assertEqual(metadata.hasMacros, true);
+});
+
+await check("reads legacy .xls properties and visibility", async () => {
+  const legacy = (await parser.parse(xlsPath)).metadata;
+  assertEqual(
+    [legacy.title, legacy.hiddenSheets, legacy.hasMacros],
+    ["Vendor Prices", ["Old", "Secret"], false],
+  );
+});
+
+finish();
@@ -0,0 +1,166 @@
+#!/usr/bin/env node
+
+/**
+ * File Type Detector Test Suite
+ *
+ * Verifies content sniffing for PDF, OLE2 (legacy Office), OOXML/ODF packages,
+ * images, RTF, HTML and plain text, plus extension mismatch warnings.
+ */
+
+import fs from "fs";
+import path from "path";
+import JSZip from "jszip";
+import XLSX from "xlsx";
+import { FileTypeDetector } from "../src/utils/file-detector.js";
+import {
+  header,
+  check,
+  assertEqual,
+  createTempDir,
+  finish,
+} from "./helpers.js";
+
+const tempDir = createTempDir("file-detector");
+const detector = new FileTypeDetector();
+
+function writeFixture(name, content) {
+  const filePath = path.join(tempDir, name);
+  fs.writeFileSync(filePath, content);
+  return filePath;
+}
+
+async function ooxmlPackage(mainPart, contentType) {
+  const zip = new JSZip();
+  zip.file(
+    "[Content_Types].xml",
+    `<?xml version="1.0" encoding="UTF-8"?><Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types"><Override PartName="/${mainPart}" ContentType="${contentType}"/></Types>`,
+  );
+  zip.file(mainPart, "<root/>");
+  return zip.generateAsync({ type: "nodebuffer", compression: "DEFLATE" });
+}
+
+/**
+ * Build a minimal OLE2 compound file with a single named stream entry
+ */
+function ole2File(streamName) {
+  const sector = 512;
+  const buffer = Buffer.alloc(sector * 3);
+  Buffer.from([0xd0, 0xcf, 0x11, 0xe0, 0xa1, 0xb1, 0x1a, 0xe1]).copy(buffer);
+  buffer.writeUInt16LE(9, 0x1e); // 512-byte sectors
+  buffer.writeUInt32LE(1, 0x2c); // one FAT sector
+  buffer.writeUInt32LE(1, 0x30); // directory starts at sector 1
+  buffer.writeUInt32LE(0, 0x4c); // FAT lives in sector 0
+
+  // FAT: sector 0 is the FAT itself, sector 1 is a one-sector directory chain
+  buffer.writeUInt32LE(0xfffffffd, sector);
+  buffer.writeUInt32LE(0xfffffffe, sector + 4);
+
+  const writeEntry = (index, name) => {
+    const offset = sector * 2 + index * 128;
+    const encoded = Buffer.from(`${name}\0`, "utf16le");
+    encoded.copy(buffer, offset);
+    buffer.writeUInt16LE(encoded.length, offset + 0x40);
+  };
+  writeEntry(0, "Root Entry");
+  writeEntry(1, streamName);
+  return buffer;
+}
+
+header("File Type Detector Tests");
+
+await check("detects PDF by header", () => {
+  const result = detector.detect(
+    writeFixture("a.pdf", "%PDF-1.4\n1 0 obj\n<<>>\nendobj\n"),
+  );
+  assertEqual(
+    [result.success, result.fileType, result.warning],
+    [true, "pdf", null],
+  );
+});
+
+await check("tells OOXML packages apart by content type", async () => {
+  const types = [
+    ["word/document.xml", "wordprocessingml.document.main+xml", "docx", "docx"],
+    ["xl/workbook.xml", "spreadsheetml.sheet.main+xml", "excel", "xlsx"],
+    [
+      "ppt/presentation.xml",
+      "presentationml.presentation.main+xml",
+      "pptx",
+      "pptx",
+    ],
+  ];
+  for (const [part, suffix, fileType, format] of types) {
+    const buffer = await ooxmlPackage(
+      part,
+      `application/vnd.openxmlformats-officedocument.${suffix}`,
+    );
+    const result = detector.detect(writeFixture(`doc.${format}`, buffer));
+    assertEqual([result.fileType, result.format], [fileType, format]);
+  }
+});
+
+await check("detects OpenDocument text from its mimetype entry", async () => {
+  const zip = new JSZip();
+  zip.file("mimetype", "application/vnd.oasis.opendocument.text", {
+    compression: "STORE",
+  });
+  zip.file("content.xml", "<office:document-content/>");
+  const buffer = await zip.generateAsync({ type: "nodebuffer" });
+  assertEqual(detector.detect(writeFixture("a.odt", buffer)).format, "odt");
+});
+
+await check("identifies legacy Word files by OLE2 stream names", () => {
+  const result = detector.detect(
+    writeFixture("legacy.doc", ole2File("WordDocument")),
+  );
+  assertEqual([result.fileType, result.warning], ["doc", null]);
+});
+
+await check("identifies legacy Excel workbooks", () => {
+  const workbook = XLSX.utils.book_new();
+  XLSX.utils.book_append_sheet(
+    workbook,
+    XLSX.utils.aoa_to_sheet([["a", 1]]),
+    "Sheet1",
+  );
+  const buffer = XLSX.write(workbook, { bookType: "xls", type: "buffer" });
+  const result = detector.detect(writeFixture("book.xls", buffer));
+  assertEqual([result.fileType, result.format], ["excel", "xls"]);
+});
+
+await check("warns when the extension disagrees with the content", async () => {
+  const buffer = await ooxmlPackage(
+    "word/document.xml",
+    "application/vnd.openxmlformats-officedocument.wordprocessingml.document.main+xml",
+  );
+  const result = detector.detect(writeFixture("renamed.doc", buffer));
+  assertEqual(result.fileType, "docx");
+  assertEqual(typeof result.warning, "string");
+});
+
+await check("detects images, RTF, HTML and text", () => {
+  const png = Buffer.from("89504e470d0a1a0a0000000d49484452", "hex");
+  assertEqual(detector.detect(writeFixture("a.bin", png)).format, "png");
+  assertEqual(
+    detector.detect(writeFixture("a.rtf", "{\\rtf1\\ansi Hello}")).format,
+    "rtf",
+  );
+  assertEqual(
+    detector.detect(writeFixture("a.htm", "<!DOCTYPE html><html></html>"))
+      .format,
+    "html",
+  );
+  const text = detector.detect(writeFixture("notes.txt", "Just some notes\n"));
+  assertEqual([text.format, text.confidence], ["text", 0.9]);
+});
+
+await check("fails for empty and unknown binary files", () => {
+  const empty = detector.detect(writeFixture("empty.pdf", ""));
+  assertEqual([empty.success, empty.fileType], [false, null]);
+  const binary = detector.detect(
+    writeFixture("blob.dat", Buffer.from([0, 1, 2, 3, 4, 5, 0, 255])),
+  );
+  assertEqual(binary.success, false);
+});
+
+finish();
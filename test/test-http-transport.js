@@ -0,0 +1,312 @@
+#!/usr/bin/env node
+
+/**
+ * HTTP Transport Test Suite
+ *
+ * Starts the HTTP transport on an ephemeral port and verifies bearer token
+ * authentication, the DNS rebinding checks, session reuse and cleanup,
+ * idle session expiry and the transport options read from the environment.
+ */
+
+import http from "http";
+import { Server } from "@modelcontextprotocol/sdk/server/index.js";
+import {
+  HttpTransportServer,
+  getTransportOptions,
+} from "../src/transports/http-transport.js";
+import { header, check, assertEqual, finish } from "./helpers.js";
+
+const TOKEN = "test-token-123";
+
+const INITIALIZE = {
+  jsonrpc: "2.0",
+  id: 1,
+  method: "initialize",
+  params: {
+    protocolVersion: "2025-03-26",
+    capabilities: {},
+    clientInfo: { name: "http-transport-test", version: "1.0.0" },
+  },
+};
+
+// MCP servers created by the transport, so tests can check they were closed
+const servers = [];
+
+function createServer() {
+  const server = new Server(
+    { name: "test-server", version: "1.0.0" },
+    { capabilities: {} },
+  );
+  server.closed = false;
+  server.onclose = () => (server.closed = true);
+  servers.push(server);
+  return server;
+}
+
+/**
+ * Start a transport with the given options on an ephemeral port
+ */
+async function startTransport(options = {}, factory = createServer) {
+  const transport = new HttpTransportServer(factory, { port: 0, ...options });
+  const { port } = await transport.start();
+  return { transport, port };
+}
+
+/**
+ * Send a request with node:http so the Host header can be set freely
+ * @returns {Promise<Object>} { status, headers, body }
+ */
+function request(port, { method = "GET", path = "/mcp", headers = {}, body }) {
+  return new Promise((resolve, reject) => {
+    const req = http.request(
+      {
+        host: "127.0.0.1",
+        port,
+        method,
+        path,
+        headers: {
+          Accept: "application/json, text/event-stream",
+          ...(body && { "Content-Type": "application/json" }),
+          ...headers,
+        },
+      },
+      (res) => {
+        let text = "";
+        res.on("data", (chunk) => (text += chunk));
+        res.on("end", () =>
+          resolve({ status: res.statusCode, headers: res.headers, body: text }),
+        );
+      },
+    );
+    req.on("error", reject);
+    req.end(body ? JSON.stringify(body) : undefined);
+  });
+}
+
+/**
+ * Initialize a Streamable HTTP session
+ * @returns {Promise<string>} Session id
+ */
+async function openSession(port, headers = {}) {
+  const response = await request(port, {
+    method: "POST",
+    headers,
+    body: INITIALIZE,
+  });
+  assertEqual(response.status, 200);
+  const sessionId = response.headers["mcp-session-id"];
+  await request(port, {
+    method: "POST",
+    headers: { ...headers, "Mcp-Session-Id": sessionId },
+    body: { jsonrpc: "2.0", method: "notifications/initialized" },
+  });
+  return sessionId;
+}
+
+const ping = (port, sessionId, headers = {}) =>
+  request(port, {
+    method: "POST",
+    headers: { ...headers, "Mcp-Session-Id": sessionId },
+    body: { jsonrpc: "2.0", id: 2, method: "ping" },
+  });
+
+header("HTTP Transport Tests");
+
+await check("rejects requests without a valid bearer token", async () => {
+  const { transport, port } = await startTransport({ authToken: TOKEN });
+  try {
+    const missing = await request(port, { method: "POST", body: INITIALIZE });
+    const wrong = await request(port, {
+      method: "POST",
+      headers: { Authorization: "Bearer wrong-token" },
+      body: INITIALIZE,
+    });
+    assertEqual([missing.status, wrong.status], [401, 401]);
+    assertEqual(
+      missing.headers["www-authenticate"],
+      'Bearer realm="mcp-doc-processor"',
+    );
+    assertEqual(JSON.parse(wrong.body).error.code, -32001);
+    assertEqual(transport.sessions.size, 0);
+
+    const sessionId = await openSession(port, {
+      Authorization: `Bearer ${TOKEN}`,
+    });
+    assertEqual(typeof sessionId, "string");
+  } finally {
+    await transport.close();
+  }
+});
+
+await check("serves /health without a token", async () => {
+  const { transport, port } = await startTransport({ authToken: TOKEN });
+  try {
+    const response = await request(port, { path: "/health" });
+    const health = JSON.parse(response.body);
+    assertEqual(
+      [response.status, health.status, health.sessions],
+      [200, "ok", { streamable: 0, sse: 0 }],
+    );
+  } finally {
+    await transport.close();
+  }
+});
+
+await check("reuses an initialized session", async () => {
+  const { transport, port } = await startTransport();
+  try {
+    const sessionId = await openSession(port);
+    const first = await ping(port, sessionId);
+    const second = await ping(port, sessionId);
+    assertEqual([first.status, second.status], [200, 200]);
+    assertEqual(second.body.includes('"result":{}'), true);
+    assertEqual([...transport.sessions.keys()], [sessionId]);
+
+    const health = JSON.parse((await request(port, { path: "/health" })).body);
+    assertEqual(health.sessions, { streamable: 1, sse: 0 });
+  } finally {
+    await transport.close();
+  }
+});
+
+await check("answers 404 for an unknown session id", async () => {
+  const { transport, port } = await startTransport();
+  try {
+    const response = await ping(port, "no-such-session");
+    assertEqual(response.status, 404);
+    assertEqual(JSON.parse(response.body).error.message, "Session not found");
+  } finally {
+    await transport.close();
+  }
+});
+
+await check("DELETE ends the session and closes its server", async () => {
+  const { transport, port } = await startTransport();
+  try {
+    const sessionId = await openSession(port);
+    const server = servers.at(-1);
+    const response = await request(port, {
+      method: "DELETE",
+      headers: { "Mcp-Session-Id": sessionId },
+    });
+    assertEqual(response.status, 200);
+    assertEqual([transport.sessions.size, server.closed], [0, true]);
+    assertEqual((await ping(port, sessionId)).status, 404);
+  } finally {
+    await transport.close();
+  }
+});
+
+await check("rejects disallowed hosts and origins", async () => {
+  const { transport, port } = await startTransport({
+    allowedOrigins: ["https://app.example.com"],
+  });
+  try {
+    const statuses = [];
+    for (const headers of [
+      { Origin: "https://evil.example.com" },
+      { Host: `rebind.example.com:${port}` },
+      { Origin: "null" },
+      { Origin: `http://localhost:${port}` },
+      { Origin: "https://app.example.com" },
+      { Host: `localhost:${port}` },
+    ]) {
+      const response = await request(port, {
+        method: "POST",
+        headers,
+        body: INITIALIZE,
+      });
+      statuses.push(response.status);
+    }
+    assertEqual(statuses, [403, 403, 403, 200, 200, 200]);
+    assertEqual(transport.sessions.size, 3);
+  } finally {
+    await transport.close();
+  }
+});
+
+await check("closes sessions that stay idle", async () => {
+  const { transport, port } = await startTransport({
+    sessionIdleTimeout: 60000,
+  });
+  try {
+    const idleId = await openSession(port);
+    const idleServer = servers.at(-1);
+    await openSession(port);
+
+    assertEqual(await transport.expireIdleSessions(), 0);
+
+    // Only the session used recently survives
+    const later = Date.now() + 60000;
+    transport.sessions.forEach((session, id) => {
+      session.lastActivity = id === idleId ? 0 : later;
+    });
+    assertEqual(await transport.expireIdleSessions(later), 1);
+    assertEqual(
+      [transport.sessions.has(idleId), transport.sessions.size],
+      [false, 1],
+    );
+    assertEqual(idleServer.closed, true);
+    assertEqual((await ping(port, idleId)).status, 404);
+  } finally {
+    await transport.close();
+  }
+});
+
+await check("closes the server when initialize fails", async () => {
+  let closed = 0;
+  const failing = () => {
+    const server = createServer();
+    server.connect = async () => {
+      throw new Error("connect failed");
+    };
+    server.close = async () => {
+      closed++;
+    };
+    return server;
+  };
+  const { transport, port } = await startTransport({}, failing);
+  try {
+    const response = await request(port, { method: "POST", body: INITIALIZE });
+    assertEqual(
+      [response.status, transport.sessions.size, closed],
+      [500, 0, 1],
+    );
+  } finally {
+    await transport.close();
+  }
+});
+
+await check("reads transport options from flags and environment", () => {
+  const options = getTransportOptions(["--transport=http", "--port", "8080"], {
+    MCP_ALLOWED_HOSTS: "Docs.Internal, proxy",
+    MCP_SESSION_IDLE_TIMEOUT: "0",
+  });
+  assertEqual(
+    [
+      options.transport,
+      options.port,
+      options.allowedHosts,
+      options.sessionIdleTimeout,
+    ],
+    ["http", 8080, ["docs.internal", "proxy"], 0],
+  );
+
+  const errors = [];
+  for (const env of [
+    { MCP_HTTP_PORT: "not-a-port" },
+    { MCP_SESSION_IDLE_TIMEOUT: "-5" },
+  ]) {
+    try {
+      getTransportOptions([], env);
+    } catch (error) {
+      errors.push(error.message);
+    }
+  }
+  assertEqual(errors, [
+    "Invalid HTTP port: not-a-port",
+    "Invalid session idle timeout: -5",
+  ]);
+});
+
+finish();
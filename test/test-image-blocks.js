@@ -0,0 +1,208 @@
+#!/usr/bin/env node
+
+/**
+ * Image Content Block Test Suite
+ *
+ * Verifies how extracted images are attached to tool responses as MCP image
+ * content: the per-response image count and byte limits, the page and
+ * minimum size filters, and the note that reports what was left out.
+ */
+
+import {
+  ImageProcessor,
+  imageProcessor,
+} from "../src/utils/image-processor.js";
+import { getImageResponseOptions } from "../src/tools/utils.js";
+import { header, check, assertEqual, withEnv, finish } from "./helpers.js";
+
+/**
+ * Build an image whose data decodes to the given number of bytes
+ */
+function image(bytes, fields = {}) {
+  const data = Buffer.alloc(bytes, fields.page || 1).toString("base64");
+  return { data: `data:image/png;base64,${data}`, ...fields };
+}
+
+const noteOf = (blocks) => blocks.at(-1).text;
+const imageBlocks = (blocks) =>
+  blocks.filter((block) => block.type === "image");
+
+header("Image Content Block Tests");
+
+await check("attaches images as MCP image blocks followed by a note", () => {
+  const blocks = imageProcessor.toMcpImageBlocks([
+    image(30, { page: 1 }),
+    { data: `data:image/jpeg;base64,${Buffer.alloc(12).toString("base64")}` },
+  ]);
+  assertEqual(
+    blocks.map((block) => [block.type, block.mimeType]),
+    [
+      ["image", "image/png"],
+      ["image", "image/jpeg"],
+      ["text", undefined],
+    ],
+  );
+  assertEqual(blocks[0].data, Buffer.alloc(30, 1).toString("base64"));
+  assertEqual(noteOf(blocks), "Attached 2 image(s) (42 bytes).");
+});
+
+await check("limits the number of images per response", () => {
+  const images = [1, 2, 3, 4, 5].map((page) => image(10, { page }));
+  const blocks = imageProcessor.toMcpImageBlocks(images, { maxImages: 2 });
+  assertEqual(
+    imageBlocks(blocks).map((block) => block.data),
+    [images[0], images[1]].map((item) => item.data.split(",")[1]),
+  );
+  assertEqual(
+    noteOf(blocks),
+    "Attached 2 image(s) (20 bytes). 3 omitted (image count limit reached).",
+  );
+});
+
+await check("limits the total bytes per response", () => {
+  const images = [
+    image(300, { page: 1 }),
+    image(300, { page: 2 }),
+    image(300, { page: 3 }),
+    image(50, { page: 4 }),
+  ];
+  const { selected, skipped, totalBytes } = imageProcessor.selectImages(
+    images,
+    { maxBytes: 700 },
+  );
+  // Smaller images after the limit was reached still fit
+  assertEqual(
+    [selected.map((item) => item.page), totalBytes, skipped.bytes],
+    [[1, 2, 4], 650, 1],
+  );
+  assertEqual(
+    noteOf(imageProcessor.toMcpImageBlocks(images, { maxBytes: 700 })),
+    "Attached 3 image(s) (650 bytes). 1 omitted (byte limit reached).",
+  );
+});
+
+await check("filters images by page", () => {
+  const images = [1, 2, 3, 2].map((page) => image(10, { page }));
+  const options = getImageResponseOptions({ imagePages: [2] });
+  const { selected } = imageProcessor.selectImages(images, options);
+  assertEqual(
+    [selected.length, selected.every((item) => item.page === 2)],
+    [2, true],
+  );
+  assertEqual(
+    noteOf(imageProcessor.toMcpImageBlocks(images, options)),
+    "Attached 2 image(s) (20 bytes). 2 excluded by page/size filters.",
+  );
+
+  // An empty page list selects every page
+  assertEqual(
+    imageProcessor.selectImages(images, { pages: [] }).selected.length,
+    4,
+  );
+});
+
+await check(
+  "filters out small images but keeps those without dimensions",
+  () => {
+    const images = [
+      image(10, { name: "icon", width: 16, height: 16 }),
+      image(10, { name: "banner", width: 800, height: 40 }),
+      image(10, { name: "photo", width: 640, height: 480 }),
+      image(10, { name: "docx-media" }),
+    ];
+    const options = getImageResponseOptions({ minImageSize: 64 });
+    const { selected, skipped } = imageProcessor.selectImages(images, options);
+    assertEqual(
+      [selected.map((item) => item.name), skipped.filtered],
+      [["photo", "docx-media"], 2],
+    );
+  },
+);
+
+await check("reports every reason images were left out", () => {
+  const images = [
+    image(10, { page: 1 }),
+    image(10, { page: 2 }),
+    image(500, { page: 1 }),
+    image(10, { page: 1 }),
+    { name: "broken", page: 1 },
+  ];
+  const blocks = imageProcessor.toMcpImageBlocks(images, {
+    pages: [1],
+    maxImages: 2,
+    maxBytes: 100,
+  });
+  assertEqual(imageBlocks(blocks).length, 2);
+  assertEqual(
+    noteOf(blocks),
+    "Attached 2 image(s) (20 bytes). 1 excluded by page/size filters. 1 omitted (byte limit reached). 1 could not be encoded.",
+  );
+});
+
+await check("attaches only formats clients can display", () => {
+  const encoded = Buffer.alloc(10).toString("base64");
+  const images = [
+    image(10, { page: 1 }),
+    { data: `data:image/emf;base64,${encoded}` },
+    { data: `data:image/wmf;base64,${encoded}` },
+    { data: `data:image/tiff;base64,${encoded}` },
+    { data: `data:image/svg+xml;base64,${encoded}` },
+    { data: `data:image/webp;base64,${encoded}` },
+    { data: `data:image/gif;base64,${encoded}` },
+  ];
+  // Unsupported images do not use up the image count
+  const blocks = imageProcessor.toMcpImageBlocks(images, { maxImages: 3 });
+  assertEqual(
+    imageBlocks(blocks).map((block) => block.mimeType),
+    ["image/png", "image/webp", "image/gif"],
+  );
+  assertEqual(
+    noteOf(blocks),
+    "Attached 3 image(s) (30 bytes). 4 could not be encoded.",
+  );
+});
+
+await check("counts only the bytes of attached images", () => {
+  const processor = new ImageProcessor();
+  const original = processor.toMcpImageContent.bind(processor);
+  processor.toMcpImageContent = (item) => {
+    if (item.page === 2) {
+      throw new Error("Corrupt image");
+    }
+    return original(item);
+  };
+  const blocks = processor.toMcpImageBlocks([
+    image(10, { page: 1 }),
+    image(300, { page: 2 }),
+  ]);
+  assertEqual(
+    noteOf(blocks),
+    "Attached 1 image(s) (10 bytes). 1 could not be encoded.",
+  );
+});
+
+await check("reads the default limits from the environment", () => {
+  const processor = withEnv(
+    { MAX_RESPONSE_IMAGES: "1", MAX_RESPONSE_IMAGE_BYTES: "15" },
+    () => new ImageProcessor(),
+  );
+  assertEqual(
+    [processor.defaultMaxImages, processor.defaultMaxImageBytes],
+    [1, 15],
+  );
+
+  const images = [image(20), image(10), image(10)];
+  assertEqual(
+    noteOf(processor.toMcpImageBlocks(images)),
+    "Attached 1 image(s) (10 bytes). 1 omitted (image count limit reached). 1 omitted (byte limit reached).",
+  );
+  // Explicit options take precedence over the defaults
+  assertEqual(
+    imageBlocks(
+      processor.toMcpImageBlocks(images, { maxImages: 3, maxBytes: 40 }),
+    ).length,
+    3,
+  );
+});
+
+finish();
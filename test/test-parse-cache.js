@@ -0,0 +1,121 @@
+#!/usr/bin/env node
+
+/**
+ * Parse Cache Test Suite
+ *
+ * Verifies cache keys, LRU eviction by count and size, and on-disk persistence of the parse
+ * cache used by DocumentProcessor and the PDF OCR pipeline.
+ */
+
+import { ParseCache } from "../src/services/parse-cache.js";
+import {
+  header,
+  check,
+  assertEqual,
+  createTempDir,
+  finish,
+} from "./helpers.js";
+
+function createCache(env = {}) {
+  const previous = { ...process.env };
+  Object.assign(process.env, env);
+  const cache = new ParseCache();
+  process.env = previous;
+  return cache;
+}
+
+const tempDir = createTempDir("parse-cache");
+
+header("Parse Cache Tests");
+
+await check("parse keys depend on content hash and options", () => {
+  const cache = createCache();
+  const key = cache.buildParseKey("abc", { fileType: "pdf" });
+  assertEqual(key === cache.buildParseKey("abc", { fileType: "pdf" }), true);
+  assertEqual(key === cache.buildParseKey("abd", { fileType: "pdf" }), false);
+  assertEqual(key === cache.buildParseKey("abc", { fileType: "docx" }), false);
+});
+
+await check("OCR keys depend on image, prompt and provider", () => {
+  const cache = createCache();
+  const key = cache.buildOcrKey("data:image/png;base64,AAA", "prompt", "a");
+  assertEqual(
+    key === cache.buildOcrKey("data:image/png;base64,AAA", "prompt", "b"),
+    false,
+  );
+  assertEqual(
+    key === cache.buildOcrKey("data:image/png;base64,AAA", "other", "a"),
+    false,
+  );
+});
+
+await check("evicts the least recently used entry", async () => {
+  const cache = createCache({ PARSE_CACHE_MAX_ENTRIES: "2" });
+  await cache.set("a", 1);
+  await cache.set("b", 2);
+  await cache.get("a");
+  await cache.set("c", 3);
+  assertEqual([...cache.entries.keys()], ["a", "c"]);
+});
+
+await check("evicts entries to stay within the byte budget", async () => {
+  const cache = createCache({ PARSE_CACHE_MAX_BYTES: "3000" });
+  const image = (char) => `data:image/png;base64,${char.repeat(1000)}`;
+  await cache.set("a", { images: [image("A")] });
+  await cache.set("b", { images: [image("B")] });
+  assertEqual([...cache.entries.keys()], ["a", "b"]);
+
+  await cache.set("c", { images: [image("C")] });
+  assertEqual([...cache.entries.keys()], ["b", "c"]);
+  assertEqual(cache.totalBytes <= 3000, true);
+
+  // Too large for the whole budget: not kept in memory at all
+  await cache.set("huge", { images: [image("D").repeat(4)] });
+  assertEqual([...cache.entries.keys()], ["b", "c"]);
+  assertEqual(await cache.get("huge"), undefined);
+
+  cache.clear();
+  assertEqual([cache.entries.size, cache.totalBytes], [0, 0]);
+});
+
+await check("only computes once and respects shouldCache", async () => {
+  const cache = createCache();
+  let calls = 0;
+  const compute = async () => ({ success: ++calls > 1 });
+  const shouldCache = (value) => value.success;
+
+  assertEqual(
+    (await cache.getOrCompute("k", compute, shouldCache)).cached,
+    false,
+  );
+  assertEqual(
+    (await cache.getOrCompute("k", compute, shouldCache)).cached,
+    false,
+  );
+  assertEqual(
+    (await cache.getOrCompute("k", compute, shouldCache)).cached,
+    true,
+  );
+  assertEqual(calls, 2);
+});
+
+await check("persists entries to disk including Dates", async () => {
+  const writer = createCache({ PARSE_CACHE_DIR: tempDir });
+  const created = new Date("2024-01-02T03:04:05Z");
+  await writer.set("parse-disk", { text: "hello", created });
+
+  const reader = createCache({ PARSE_CACHE_DIR: tempDir });
+  const value = await reader.get("parse-disk");
+  assertEqual(value.text, "hello");
+  assertEqual(value.created instanceof Date, true);
+  assertEqual(value.created.getTime(), created.getTime());
+  assertEqual(reader.stats.diskHits, 1);
+});
+
+await check("can be disabled", async () => {
+  const cache = createCache({ PARSE_CACHE_ENABLED: "false" });
+  await cache.set("a", 1);
+  assertEqual(await cache.get("a"), undefined);
+});
+
+finish();
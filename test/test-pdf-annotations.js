@@ -0,0 +1,224 @@
+#!/usr/bin/env node
+
+/**
+ * PDF Annotation Test Suite
+ *
+ * Writes a small PDF with a sticky note, a highlight, links and an embedded
+ * Factur-X invoice and verifies what the parser, the tools and the
+ * attachment resource return.
+ */
+
+import fs from "fs";
+import path from "path";
+import { PdfParser } from "../src/parsers/pdf-parser.js";
+import { handleSummary } from "../src/tools/summary-tool.js";
+import { handleInDepth } from "../src/tools/indepth-tool.js";
+import { resourceService } from "../src/services/resource-service.js";
+import {
+  header,
+  check,
+  assertEqual,
+  createTempDir,
+  finish,
+} from "./helpers.js";
+
+/**
+ * Assemble a PDF from numbered object bodies, with a valid xref table
+ */
+function buildPdf(objects) {
+  let pdf = "%PDF-1.4\n";
+  const offsets = [];
+  objects.forEach((body, index) => {
+    offsets.push(pdf.length);
+    pdf += `${index + 1} 0 obj\n${body}\nendobj\n`;
+  });
+  const xref = pdf.length;
+  pdf += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`;
+  pdf += offsets
+    .map((offset) => `${String(offset).padStart(10, "0")} 00000 n \n`)
+    .join("");
+  pdf += `trailer\n<< /Size ${objects.length + 1} /Root 1 0 R >>\nstartxref\n${xref}\n%%EOF\n`;
+  return Buffer.from(pdf, "latin1");
+}
+
+const INVOICE_XML = `<?xml version="1.0" encoding="UTF-8"?>
+<rsm:CrossIndustryInvoice xmlns:rsm="urn:un:unece:uncefact:data:standard:CrossIndustryInvoice:100" xmlns:ram="urn:un:unece:uncefact:data:standard:ReusableAggregateBusinessInformationEntity:100" xmlns:udt="urn:un:unece:uncefact:data:standard:UnqualifiedDataType:100">
+  <rsm:ExchangedDocumentContext><ram:GuidelineSpecifiedDocumentContextParameter><ram:ID>urn:cen.eu:en16931:2017</ram:ID></ram:GuidelineSpecifiedDocumentContextParameter></rsm:ExchangedDocumentContext>
+  <rsm:ExchangedDocument><ram:ID>INV-2024-001</ram:ID><ram:TypeCode>380</ram:TypeCode><ram:IssueDateTime><udt:DateTimeString format="102">20240315</udt:DateTimeString></ram:IssueDateTime></rsm:ExchangedDocument>
+  <rsm:SupplyChainTradeTransaction>
+    <ram:IncludedSupplyChainTradeLineItem>
+      <ram:SpecifiedTradeProduct><ram:Name>Consulting</ram:Name></ram:SpecifiedTradeProduct>
+      <ram:SpecifiedLineTradeAgreement><ram:NetProductPriceTradePrice><ram:ChargeAmount>100.00</ram:ChargeAmount></ram:NetProductPriceTradePrice></ram:SpecifiedLineTradeAgreement>
+      <ram:SpecifiedLineTradeDelivery><ram:BilledQuantity unitCode="HUR">2</ram:BilledQuantity></ram:SpecifiedLineTradeDelivery>
+      <ram:SpecifiedLineTradeSettlement><ram:SpecifiedTradeSettlementLineMonetarySummation><ram:LineTotalAmount>200.00</ram:LineTotalAmount></ram:SpecifiedTradeSettlementLineMonetarySummation></ram:SpecifiedLineTradeSettlement>
+    </ram:IncludedSupplyChainTradeLineItem>
+    <ram:ApplicableHeaderTradeAgreement>
+      <ram:SellerTradeParty><ram:Name>Acme GmbH</ram:Name><ram:PostalTradeAddress><ram:CountryID>DE</ram:CountryID></ram:PostalTradeAddress><ram:SpecifiedTaxRegistration><ram:ID schemeID="VA">DE123456789</ram:ID></ram:SpecifiedTaxRegistration></ram:SellerTradeParty>
+      <ram:BuyerTradeParty><ram:Name>Client SARL</ram:Name></ram:BuyerTradeParty>
+    </ram:ApplicableHeaderTradeAgreement>
+    <ram:ApplicableHeaderTradeSettlement>
+      <ram:InvoiceCurrencyCode>EUR</ram:InvoiceCurrencyCode>
+      <ram:SpecifiedTradePaymentTerms><ram:DueDateDateTime><udt:DateTimeString format="102">20240414</udt:DateTimeString></ram:DueDateDateTime></ram:SpecifiedTradePaymentTerms>
+      <ram:SpecifiedTradeSettlementHeaderMonetarySummation><ram:LineTotalAmount>200.00</ram:LineTotalAmount><ram:TaxBasisTotalAmount>200.00</ram:TaxBasisTotalAmount><ram:TaxTotalAmount currencyID="EUR">38.00</ram:TaxTotalAmount><ram:GrandTotalAmount>238.00</ram:GrandTotalAmount><ram:DuePayableAmount>238.00</ram:DuePayableAmount></ram:SpecifiedTradeSettlementHeaderMonetarySummation>
+    </ram:ApplicableHeaderTradeSettlement>
+  </rsm:SupplyChainTradeTransaction>
+</rsm:CrossIndustryInvoice>`;
+
+const page1 =
+  "BT /F1 12 Tf 72 720 Td (Payment terms: 30 days net) Tj 0 -20 Td (Late fees apply to overdue invoices) Tj ET";
+const page2 =
+  "BT /F1 12 Tf 72 720 Td (Appendix with the general conditions) Tj ET";
+
+// Objects: 1 catalog, 2 pages, 3-4 page 1, 5-6 page 2, 7 font,
+// 8-11 annotations, 12-13 embedded invoice
+const objects = [
+  "<< /Type /Catalog /Pages 2 0 R /Names << /EmbeddedFiles << /Names [(factur-x.xml) 12 0 R] >> >> >>",
+  "<< /Type /Pages /Kids [3 0 R 5 0 R] /Count 2 >>",
+  "<< /Type /Page /Parent 2 0 R /MediaBox [0 0 612 792] /Resources << /Font << /F1 7 0 R >> >> /Contents 4 0 R /Annots [8 0 R 9 0 R 10 0 R 11 0 R] >>",
+  `<< /Length ${page1.length} >>\nstream\n${page1}\nendstream`,
+  "<< /Type /Page /Parent 2 0 R /MediaBox [0 0 612 792] /Resources << /Font << /F1 7 0 R >> >> /Contents 6 0 R >>",
+  `<< /Length ${page2.length} >>\nstream\n${page2}\nendstream`,
+  "<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica >>",
+  "<< /Type /Annot /Subtype /Text /Rect [400 700 420 720] /T (Alice) /Contents (Check the fee amount) /M (D:20240315103000Z) >>",
+  "<< /Type /Annot /Subtype /Highlight /Rect [70 690 400 712] /QuadPoints [70 712 400 712 70 690 400 690] /T (Bob) /Contents (Too strict?) >>",
+  "<< /Type /Annot /Subtype /Link /Rect [70 715 400 735] /A << /S /URI /URI (https://example.com/terms) >> >>",
+  "<< /Type /Annot /Subtype /Link /Rect [70 600 150 615] /Dest [5 0 R /Fit] >>",
+  "<< /Type /Filespec /F (factur-x.xml) /UF (factur-x.xml) /Desc (Factur-X invoice) /EF << /F 13 0 R >> >>",
+  `<< /Type /EmbeddedFile /Subtype /text#2Fxml /Length ${Buffer.byteLength(INVOICE_XML)} >>\nstream\n${INVOICE_XML}\nendstream`,
+];
+
+const tempDir = createTempDir("pdf-annotations");
+const pdfPath = path.join(tempDir, "invoice.pdf");
+fs.writeFileSync(pdfPath, buildPdf(objects));
+
+const parser = new PdfParser();
+const result = await parser.parse(pdfPath);
+
+header("PDF Annotation Tests");
+
+await check("parses successfully", () => {
+  assertEqual([result.success, result.error], [true, undefined]);
+});
+
+await check("extracts sticky notes with author and date", () => {
+  const note = result.annotations.find((item) => item.type === "note");
+  assertEqual(
+    [note.author, note.text, note.page, note.date.toISOString()],
+    ["Alice", "Check the fee amount", 1, "2024-03-15T10:30:00.000Z"],
+  );
+});
+
+await check("quotes the text under a highlight", () => {
+  const highlight = result.annotations.find(
+    (item) => item.type === "highlight",
+  );
+  assertEqual(
+    [highlight.author, highlight.text, highlight.quotedText],
+    ["Bob", "Too strict?", "Late fees apply to overdue invoices"],
+  );
+});
+
+await check("extracts links with URLs and target pages", () => {
+  assertEqual(
+    result.links.map((link) => [
+      link.page,
+      link.url,
+      link.targetPage,
+      link.text,
+    ]),
+    [
+      [1, "https://example.com/terms", null, "Payment terms: 30 days net"],
+      [1, null, 2, null],
+    ],
+  );
+});
+
+await check("extracts embedded files", () => {
+  assertEqual(result.attachments.length, 1);
+  const [attachment] = result.attachments;
+  assertEqual(
+    [
+      attachment.name,
+      attachment.mimeType,
+      attachment.description,
+      attachment.page,
+    ],
+    ["factur-x.xml", "application/xml", "Factur-X invoice", null],
+  );
+  assertEqual(
+    Buffer.from(attachment.data, "base64").toString("utf8"),
+    INVOICE_XML,
+  );
+});
+
+await check("parses the Factur-X invoice", () => {
+  const { invoice } = result;
+  assertEqual(
+    [
+      invoice.source,
+      invoice.number,
+      invoice.currency,
+      invoice.seller,
+      invoice.buyer.name,
+    ],
+    [
+      "factur-x.xml",
+      "INV-2024-001",
+      "EUR",
+      { name: "Acme GmbH", vatId: "DE123456789", country: "DE" },
+      "Client SARL",
+    ],
+  );
+  assertEqual(invoice.totals, {
+    lineTotal: 200,
+    taxBasis: 200,
+    tax: 38,
+    grandTotal: 238,
+    duePayable: 238,
+  });
+  assertEqual(invoice.dueDate.toISOString(), "2024-04-14T00:00:00.000Z");
+  assertEqual(invoice.lineItems, [
+    { name: "Consulting", quantity: 2, unit: "HUR", netPrice: 100, total: 200 },
+  ]);
+});
+
+await check("returns attachment bytes as a resource", async () => {
+  const uri = resourceService.buildUri(pdfPath, "attachments", 0);
+  const resource = await resourceService.readResource(uri);
+  const [content] = resource.contents;
+  assertEqual(content.mimeType, "application/xml");
+  assertEqual(
+    Buffer.from(content.blob, "base64").toString("utf8"),
+    INVOICE_XML,
+  );
+});
+
+await check(
+  "summary and in-depth output show annotations and the invoice",
+  async () => {
+    const summary = (await handleSummary({ filePath: pdfPath })).content[0]
+      .text;
+    assertEqual(summary.includes("Annotations: 2 by Alice, Bob"), true);
+    assertEqual(
+      summary.includes(
+        "E-Invoice: invoice INV-2024-001 from Acme GmbH to Client SARL, total 238 EUR, due 2024-04-14 (factur-x.xml)",
+      ),
+      true,
+    );
+
+    const indepth = (await handleInDepth({ filePath: pdfPath })).content[0]
+      .text;
+    assertEqual(
+      indepth.includes('  On: "Late fees apply to overdue invoices"'),
+      true,
+    );
+    assertEqual(indepth.includes("- Page 1 -> page 2"), true);
+    assertEqual(
+      indepth.includes("=== Embedded Invoice (factur-x.xml) ==="),
+      true,
+    );
+    assertEqual(indepth.includes("- Consulting: 2 HUR x 100 = 200 EUR"), true);
+  },
+);
+
+finish();
@@ -0,0 +1,157 @@
+#!/usr/bin/env node
+
+/**
+ * PDF Form Field Test Suite
+ *
+ * Writes a small fillable PDF (text, checkbox, radio and choice fields) and
+ * verifies the extracted form fields and how the tools show them.
+ */
+
+import fs from "fs";
+import path from "path";
+import { PdfParser } from "../src/parsers/pdf-parser.js";
+import { handleSummary } from "../src/tools/summary-tool.js";
+import { handleInDepth } from "../src/tools/indepth-tool.js";
+import {
+  header,
+  check,
+  assertEqual,
+  createTempDir,
+  finish,
+} from "./helpers.js";
+
+/**
+ * Assemble a PDF from numbered object bodies, with a valid xref table
+ */
+function buildPdf(objects) {
+  let pdf = "%PDF-1.4\n";
+  const offsets = [];
+  objects.forEach((body, index) => {
+    offsets.push(pdf.length);
+    pdf += `${index + 1} 0 obj\n${body}\nendobj\n`;
+  });
+  const xref = pdf.length;
+  pdf += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`;
+  pdf += offsets
+    .map((offset) => `${String(offset).padStart(10, "0")} 00000 n \n`)
+    .join("");
+  pdf += `trailer\n<< /Size ${objects.length + 1} /Root 1 0 R >>\nstartxref\n${xref}\n%%EOF\n`;
+  return Buffer.from(pdf, "latin1");
+}
+
+const stream = "BT /F1 12 Tf 72 740 Td (Membership application form) Tj ET";
+const widget = (rect, extra) =>
+  `<< /Type /Annot /Subtype /Widget /P 3 0 R /Rect [${rect}] ${extra} >>`;
+const appearance = (onState) =>
+  `/AP << /N << /${onState} 11 0 R /Off 11 0 R >> >>`;
+
+const objects = [
+  "<< /Type /Catalog /Pages 2 0 R /AcroForm << /Fields [5 0 R 6 0 R 7 0 R 10 0 R 12 0 R] >> >>",
+  "<< /Type /Pages /Kids [3 0 R] /Count 1 >>",
+  "<< /Type /Page /Parent 2 0 R /MediaBox [0 0 612 792] /Resources << /Font << /F1 13 0 R >> >> /Contents 4 0 R /Annots [5 0 R 6 0 R 8 0 R 9 0 R 10 0 R 12 0 R] >>",
+  `<< /Length ${stream.length} >>\nstream\n${stream}\nendstream`,
+  widget("100 700 300 720", "/FT /Tx /T (FullName) /V (Jane Doe)"),
+  widget(
+    "100 670 115 685",
+    `/FT /Btn /T (Subscribe) /V /Yes /AS /Yes ${appearance("Yes")}`,
+  ),
+  // Radio group: the parent holds the value, each kid is one option
+  "<< /FT /Btn /Ff 49152 /T (Plan) /V /Pro /Kids [8 0 R 9 0 R] >>",
+  widget("100 640 115 655", `/Parent 7 0 R /AS /Off ${appearance("Basic")}`),
+  widget("130 640 145 655", `/Parent 7 0 R /AS /Pro ${appearance("Pro")}`),
+  widget(
+    "100 610 300 630",
+    "/FT /Ch /Ff 131072 /T (Country) /V (France) /Opt [(Germany) (France) (Spain)]",
+  ),
+  "<< /Type /XObject /Subtype /Form /BBox [0 0 10 10] /Length 0 >>\nstream\n\nendstream",
+  widget(
+    "100 580 115 595",
+    `/FT /Btn /T (Agree) /V /Off /AS /Off /Ff 1 ${appearance("Yes")}`,
+  ),
+  "<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica >>",
+];
+
+const tempDir = createTempDir("pdf-forms");
+const pdfPath = path.join(tempDir, "application.pdf");
+fs.writeFileSync(pdfPath, buildPdf(objects));
+
+const parser = new PdfParser();
+const result = await parser.parse(pdfPath);
+const byName = Object.fromEntries(
+  (result.formFields || []).map((field) => [field.name, field]),
+);
+
+header("PDF Form Field Tests");
+
+await check("parses successfully", () => {
+  assertEqual([result.success, result.error], [true, undefined]);
+});
+
+await check("extracts every field with its type and page", () => {
+  assertEqual(
+    result.formFields.map((field) => [field.name, field.type, field.page]),
+    [
+      ["FullName", "text", 1],
+      ["Subscribe", "checkbox", 1],
+      ["Plan", "radiobutton", 1],
+      ["Country", "combobox", 1],
+      ["Agree", "checkbox", 1],
+    ],
+  );
+});
+
+await check("reads text values", () => {
+  assertEqual(byName.FullName.value, "Jane Doe");
+  assertEqual(byName.FullName.checked, null);
+});
+
+await check("reads checked state of checkboxes", () => {
+  assertEqual(
+    [byName.Subscribe.checked, byName.Subscribe.value],
+    [true, "Yes"],
+  );
+  assertEqual([byName.Agree.checked, byName.Agree.value], [false, null]);
+  assertEqual(byName.Agree.readOnly, true);
+});
+
+await check("reads radio and choice values with their options", () => {
+  assertEqual(
+    [byName.Plan.value, byName.Plan.options],
+    ["Pro", ["Basic", "Pro"]],
+  );
+  assertEqual(
+    [byName.Country.value, byName.Country.options],
+    ["France", ["Germany", "France", "Spain"]],
+  );
+});
+
+await check("summary lists fields as key/value pairs", async () => {
+  const response = await handleSummary({ filePath: pdfPath });
+  const text = response.content[0].text;
+  assertEqual(text.includes("Form Fields (5):\n- FullName: Jane Doe\n"), true);
+  assertEqual(text.includes("- Agree: unchecked"), true);
+});
+
+await check("in-depth output lists fields with details", async () => {
+  const response = await handleInDepth({ filePath: pdfPath });
+  const text = response.content[0].text;
+  assertEqual(text.includes("=== Form Fields ==="), true);
+  assertEqual(text.includes("- Subscribe: checked (checkbox, page 1)"), true);
+  assertEqual(
+    text.includes(
+      "- Country: France (combobox, page 1)\n  Options: Germany, France, Spain",
+    ),
+    true,
+  );
+});
+
+await check("PDFs without a form have no fields", async () => {
+  const plainPath = path.join(tempDir, "plain.pdf");
+  const plain = objects.slice();
+  plain[0] = "<< /Type /Catalog /Pages 2 0 R >>";
+  plain[2] = plain[2].replace(/ \/Annots \[[^\]]*\]/, "");
+  fs.writeFileSync(plainPath, buildPdf(plain));
+  assertEqual((await parser.parse(plainPath)).formFields, []);
+});
+
+finish();
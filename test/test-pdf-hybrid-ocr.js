@@ -0,0 +1,306 @@
+#!/usr/bin/env node
+
+/**
+ * Hybrid OCR Test Suite
+ *
+ * Writes a PDF mixing digital pages with a scanned page (a full-page image
+ * without text) and verifies that only the scanned page is OCR'd, that the
+ * OCR text is merged in page order and that every page is tagged with the
+ * source of its text. The vision service is replaced with a canned reader.
+ */
+
+import fs from "fs";
+import path from "path";
+import { OPS } from "pdfjs-dist/legacy/build/pdf.mjs";
+import { PdfParser } from "../src/parsers/pdf-parser.js";
+import { documentProcessor } from "../src/services/document-processor.js";
+import { parseCache } from "../src/services/parse-cache.js";
+import { DocumentLayoutAnalyzer } from "../src/services/layout-analyzer.js";
+import { visionService } from "../src/services/vision-factory.js";
+import { formatOcrNote } from "../src/tools/utils.js";
+import {
+  header,
+  check,
+  assertEqual,
+  createTempDir,
+  finish,
+} from "./helpers.js";
+
+/**
+ * Assemble a PDF from numbered object bodies, with a valid xref table
+ */
+function buildPdf(objects) {
+  let pdf = "%PDF-1.4\n";
+  const offsets = [];
+  objects.forEach((body, index) => {
+    offsets.push(pdf.length);
+    pdf += `${index + 1} 0 obj\n${body}\nendobj\n`;
+  });
+  const xref = pdf.length;
+  pdf += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`;
+  pdf += offsets
+    .map((offset) => `${String(offset).padStart(10, "0")} 00000 n \n`)
+    .join("");
+  pdf += `trailer\n<< /Size ${objects.length + 1} /Root 1 0 R >>\nstartxref\n${xref}\n%%EOF\n`;
+  return Buffer.from(pdf, "latin1");
+}
+
+const streamObject = (content) =>
+  `<< /Length ${content.length} >>\nstream\n${content}\nendstream`;
+const textContent = (text) => `BT /F1 12 Tf 72 720 Td (${text}) Tj ET`;
+const page = (contents) =>
+  `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 612 792] /Resources << /Font << /F1 3 0 R >> /XObject << /Im1 4 0 R >> >> /Contents ${contents} 0 R >>`;
+// 2x2 grey image; its size on the page comes from the cm operator
+const image =
+  "<< /Type /XObject /Subtype /Image /Width 2 /Height 2 /ColorSpace /DeviceGray /BitsPerComponent 8 /Length 4 >>\nstream\n\x80\x80\x80\x80\nendstream";
+
+/**
+ * Build a PDF whose pages are "text", "scan" (full-page image, no text) or
+ * "logo" (text with a small image)
+ */
+function buildDocument(kinds) {
+  const objects = [
+    "<< /Type /Catalog /Pages 2 0 R >>",
+    "", // Pages, filled in below
+    "<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica >>",
+    image,
+  ];
+  const kids = [];
+  kinds.forEach((kind, index) => {
+    const content =
+      kind === "scan"
+        ? "q 612 0 0 792 0 0 cm /Im1 Do Q"
+        : kind === "logo"
+          ? `q 60 0 0 60 500 700 cm /Im1 Do Q ${textContent(`Closing terms of the agreement on page ${index + 1}`)}`
+          : textContent(
+              `Contract clauses and definitions on page ${index + 1}`,
+            );
+    objects.push(streamObject(content));
+    objects.push(page(objects.length));
+    kids.push(`${objects.length} 0 R`);
+  });
+  objects[1] = `<< /Type /Pages /Kids [${kids.join(" ")}] /Count ${kids.length} >>`;
+  return buildPdf(objects);
+}
+
+// Canned vision service: every scanned page reads as a signature block
+const cannedRead = async () => ({
+  success: true,
+  text: "Signed: Jane Doe",
+  service: "TestVision",
+  fallback: false,
+});
+visionService.initialize = async () => ({ success: true });
+visionService.extractText = cannedRead;
+
+const tempDir = createTempDir("pdf-hybrid-ocr");
+const mixedPath = path.join(tempDir, "contract.pdf");
+const scanPath = path.join(tempDir, "scan.pdf");
+fs.writeFileSync(mixedPath, buildDocument(["text", "scan", "logo"]));
+fs.writeFileSync(scanPath, buildDocument(["scan", "scan"]));
+
+const parser = new PdfParser();
+const result = await parser.parse(mixedPath);
+
+header("Hybrid OCR Tests");
+
+await check("parses successfully", () => {
+  assertEqual([result.success, result.error], [true, undefined]);
+});
+
+await check("measures image coverage and text density per page", () => {
+  const pages = result.layoutAnalysis.pages;
+  assertEqual(
+    pages.map((p) => p.imageCoverage),
+    [0, 1, 0.01],
+  );
+  assertEqual(pages[1].textDensity, 0);
+  assertEqual(pages[0].textDensity > 0, true);
+  assertEqual(
+    pages.map((p) => p.needsOcr),
+    [false, true, false],
+  );
+});
+
+await check("OCRs only the scanned page", () => {
+  assertEqual(result.ocrPages, [2]);
+  assertEqual([result.isImageBased, result.ocrApplied], [true, true]);
+  assertEqual(
+    result.pageTexts.map((p) => p.source),
+    ["text", "ocr", "text"],
+  );
+  assertEqual(result.pageTexts[1].text, "Signed: Jane Doe");
+});
+
+await check("merges OCR text with the extracted text in page order", () => {
+  const first = result.text.indexOf("clauses and definitions on page 1");
+  const scanned = result.text.indexOf("Signed: Jane Doe");
+  const last = result.text.indexOf("Closing terms of the agreement on page 3");
+  assertEqual(first >= 0 && first < scanned && scanned < last, true);
+  assertEqual(
+    result.segments.map((s) => s.source),
+    ["text", "ocr", "text"],
+  );
+});
+
+await check("still OCRs every page of a fully scanned PDF", async () => {
+  const scan = await parser.parse(scanPath);
+  assertEqual(scan.ocrPages, [1, 2]);
+  assertEqual(
+    scan.pageTexts.map((p) => p.source),
+    ["ocr", "ocr"],
+  );
+});
+
+await check("measures images painted with the repeat operator", async () => {
+  // A page covered by four strips of one image, as an optimized operator list
+  const strips = [0, 198, 396, 594];
+  const page = {
+    view: [0, 0, 612, 792],
+    getOperatorList: async () => ({
+      fnArray: [OPS.save, OPS.paintImageXObjectRepeat, OPS.restore],
+      argsArray: [
+        null,
+        ["img_p1_1", 612, 198, strips.flatMap((y) => [0, y])],
+        null,
+      ],
+    }),
+    cleanup: () => {},
+  };
+  const fakeParser = {
+    load: async () => ({ numPages: 1, getPage: async () => page }),
+  };
+  const geometry = await new DocumentLayoutAnalyzer().measurePageGeometry(
+    fakeParser,
+  );
+  assertEqual(geometry.get(1), { area: 612 * 792, imageCoverage: 1 });
+});
+
+await check(
+  "reads the operator list only for pages that may be scans",
+  async () => {
+    const measured = [];
+    const fakeParser = {
+      load: async () => ({
+        numPages: 3,
+        getPage: async (pageNumber) => ({
+          view: [0, 0, 612, 792],
+          getOperatorList: async () => {
+            measured.push(pageNumber);
+            return { fnArray: [], argsArray: [] };
+          },
+          cleanup: () => {},
+        }),
+      }),
+    };
+    // Text only, an image without text, an image beside a full page of text
+    const textResult = {
+      pages: [
+        { num: 1, text: "Short note" },
+        { num: 2, text: "" },
+        { num: 3, text: "Body text of a long report. ".repeat(40) },
+      ],
+    };
+    const imageResult = {
+      pages: [{ images: [] }, { images: [{}] }, { images: [{}] }],
+    };
+    const layout = await new DocumentLayoutAnalyzer().analyzeDocument(
+      "unused.pdf",
+      { textResult, imageResult, parser: fakeParser },
+    );
+    assertEqual(measured, [2]);
+    assertEqual(
+      layout.pages.map((p) => [p.imageCoverage, p.needsOcr]),
+      [
+        [0, false],
+        [0, false],
+        [null, false],
+      ],
+    );
+  },
+);
+
+await check("keeps the text layer of searchable scans", () => {
+  const analyzer = new DocumentLayoutAnalyzer();
+  const geometry = { area: 612 * 792, imageCoverage: 1 };
+  const searchable = analyzer.classifyPageTextSource(
+    "Recognised text of a scanned page. ".repeat(20),
+    [{}],
+    geometry,
+  );
+  const bare = analyzer.classifyPageTextSource("", [{}], geometry);
+  assertEqual([searchable.needsOcr, bare.needsOcr], [false, true]);
+});
+
+await check("names the scanned pages in the tool note", () => {
+  assertEqual(
+    formatOcrNote(result).startsWith(
+      "[OCR Applied: Scanned pages 2 extracted via TestVision;",
+    ),
+    true,
+  );
+  assertEqual(
+    formatOcrNote({ ...result, ocrApplied: false }).startsWith(
+      "[Note: Pages 2 are scanned images.",
+    ),
+    true,
+  );
+});
+
+await check("names the service that read each page", () => {
+  const segments = [1, 2, 3].map((number) => ({
+    number,
+    source: "ocr",
+    ocrSource: number === 2 ? "TesseractService" : "LmStudioService",
+  }));
+  assertEqual(
+    formatOcrNote({
+      isImageBased: true,
+      ocrApplied: true,
+      ocrPages: [1, 2, 3],
+      ocrSource: "LmStudioService, TesseractService",
+      segments,
+    }),
+    "[OCR Applied: Text extracted via LmStudioService (pages 1,3), TesseractService (page 2)]\n\n",
+  );
+});
+
+await check("does not cache text read by a fallback provider", async () => {
+  parseCache.clear();
+  let reads = 0;
+  visionService.extractText = async (imageData) => {
+    // Count page images, not the text sent for post-processing
+    if (imageData.startsWith("data:image/")) {
+      reads++;
+    }
+    return {
+      success: true,
+      text: "Signed: J?ne D0e",
+      service: "TesseractService",
+      fallback: true,
+    };
+  };
+  try {
+    const first = await documentProcessor.processDocument(scanPath, "indepth");
+    await documentProcessor.processDocument(scanPath, "indepth");
+    assertEqual(
+      [first.ocrSource, first.segments.map((s) => s.ocrSource), reads],
+      ["TesseractService", ["TesseractService", "TesseractService"], 4],
+    );
+
+    // Once the preferred provider answers, its text replaces the fallback's
+    visionService.extractText = cannedRead;
+    const upgraded = await documentProcessor.processDocument(
+      scanPath,
+      "indepth",
+    );
+    assertEqual(
+      [upgraded.ocrSource, upgraded.text.includes("Jane Doe")],
+      ["TestVision", true],
+    );
+  } finally {
+    visionService.extractText = cannedRead;
+  }
+});
+
+finish();
@@ -0,0 +1,131 @@
+#!/usr/bin/env node
+
+/**
+ * PDF Outline Test Suite
+ *
+ * Writes a small PDF with bookmarks (one through a named destination) and
+ * verifies the outline, the structure built from it and the table of
+ * contents in the summary.
+ */
+
+import fs from "fs";
+import path from "path";
+import { PdfParser } from "../src/parsers/pdf-parser.js";
+import { handleSummary } from "../src/tools/summary-tool.js";
+import {
+  header,
+  check,
+  assertEqual,
+  createTempDir,
+  finish,
+} from "./helpers.js";
+
+/**
+ * Assemble a PDF from numbered object bodies, with a valid xref table
+ */
+function buildPdf(objects) {
+  let pdf = "%PDF-1.4\n";
+  const offsets = [];
+  objects.forEach((body, index) => {
+    offsets.push(pdf.length);
+    pdf += `${index + 1} 0 obj\n${body}\nendobj\n`;
+  });
+  const xref = pdf.length;
+  pdf += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`;
+  pdf += offsets
+    .map((offset) => `${String(offset).padStart(10, "0")} 00000 n \n`)
+    .join("");
+  pdf += `trailer\n<< /Size ${objects.length + 1} /Root 1 0 R >>\nstartxref\n${xref}\n%%EOF\n`;
+  return Buffer.from(pdf, "latin1");
+}
+
+function page(text) {
+  const stream = `BT /F1 18 Tf 72 720 Td (${text}) Tj ET`;
+  return [
+    `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 612 792] /Resources << /Font << /F1 3 0 R >> >> /Contents ${"CONTENTS"} >>`,
+    `<< /Length ${stream.length} >>\nstream\n${stream}\nendstream`,
+  ];
+}
+
+// Objects: 1 catalog, 2 pages, 3 font, 4-9 pages and contents, 10-13 outline
+const pages = [
+  page("Introduction to the annual report"),
+  page("Background of the company"),
+  page("Results for the year"),
+];
+const objects = [
+  "<< /Type /Catalog /Pages 2 0 R /Outlines 10 0 R /Names << /Dests << /Names [(background) [6 0 R /Fit]] >> >> >>",
+  "<< /Type /Pages /Kids [4 0 R 6 0 R 8 0 R] /Count 3 >>",
+  "<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica >>",
+];
+pages.forEach(([pageObject, contents]) => {
+  const contentsId = objects.length + 2;
+  objects.push(pageObject.replace("CONTENTS", `${contentsId} 0 R`), contents);
+});
+objects.push(
+  "<< /Type /Outlines /First 11 0 R /Last 13 0 R /Count 3 >>",
+  "<< /Title (Introduction) /Parent 10 0 R /Next 13 0 R /First 12 0 R /Last 12 0 R /Count 1 /Dest [4 0 R /Fit] >>",
+  "<< /Title (Background) /Parent 11 0 R /Dest (background) >>",
+  "<< /Title (Results) /Parent 10 0 R /Prev 11 0 R /Dest [8 0 R /XYZ 0 792 0] >>",
+);
+
+const tempDir = createTempDir("pdf-outline");
+const pdfPath = path.join(tempDir, "report.pdf");
+fs.writeFileSync(pdfPath, buildPdf(objects));
+
+const parser = new PdfParser();
+const result = await parser.parse(pdfPath);
+
+header("PDF Outline Tests");
+
+await check("parses successfully", () => {
+  assertEqual([result.success, result.error], [true, undefined]);
+});
+
+await check("reads bookmarks with levels and target pages", () => {
+  assertEqual(
+    result.outline.map((entry) => [entry.title, entry.level, entry.page]),
+    [
+      ["Introduction", 1, 1],
+      ["Background", 2, 2],
+      ["Results", 1, 3],
+    ],
+  );
+});
+
+await check("uses the outline as the document structure", async () => {
+  const structure = await parser.getStructure(result.text, result);
+  assertEqual(structure[1], {
+    text: "Background",
+    isHeader: true,
+    level: 2,
+    page: 2,
+  });
+  assertEqual(structure.length, 3);
+});
+
+await check("falls back to guessed headers without an outline", async () => {
+  const structure = await parser.getStructure("INTRODUCTION\nSome text", {
+    outline: null,
+  });
+  assertEqual(
+    structure.map((item) => [item.text, item.isHeader]),
+    [
+      ["INTRODUCTION", true],
+      ["Some text", false],
+    ],
+  );
+});
+
+await check("summary lists a table of contents with pages", async () => {
+  const response = await handleSummary({ filePath: pdfPath });
+  const text = response.content[0].text;
+  assertEqual(
+    text.includes(
+      "Table of Contents:\n- Introduction (page 1)\n  - Background (page 2)\n- Results (page 3)\n",
+    ),
+    true,
+  );
+});
+
+finish();
@@ -0,0 +1,274 @@
+#!/usr/bin/env node
+
+/**
+ * PDF Password Test Suite
+ *
+ * Writes a small RC4-encrypted PDF (standard security handler, revision 3)
+ * and verifies that it opens with the right password, that a missing or
+ * wrong password is reported with a machine-readable error code, and that
+ * neither passwords nor decrypted content reach the logs or the disk cache.
+ */
+
+import crypto from "crypto";
+import fs from "fs";
+import path from "path";
+import { PdfParser } from "../src/parsers/pdf-parser.js";
+import { documentProcessor } from "../src/services/document-processor.js";
+import { parseCache } from "../src/services/parse-cache.js";
+import { handleSummary } from "../src/tools/summary-tool.js";
+import { handleInDepth } from "../src/tools/indepth-tool.js";
+import { ResourceService } from "../src/services/resource-service.js";
+import { redactParams } from "../src/utils/logger.js";
+import {
+  header,
+  check,
+  assertEqual,
+  createTempDir,
+  finish,
+} from "./helpers.js";
+
+// Padding string from the PDF specification (Algorithm 2)
+const PADDING = Buffer.from(
+  "28BF4E5E4E758A4164004E56FFFA01082E2E00B6D0683E802F0CA9FE6453697A",
+  "hex",
+);
+
+const md5 = (...parts) =>
+  crypto.createHash("md5").update(Buffer.concat(parts)).digest();
+
+const padPassword = (password) =>
+  Buffer.concat([Buffer.from(password, "latin1"), PADDING]).subarray(0, 32);
+
+/**
+ * RC4 stream cipher (not available in OpenSSL 3 default providers)
+ */
+function rc4(key, data) {
+  const s = [...Array(256).keys()];
+  for (let i = 0, j = 0; i < 256; i++) {
+    j = (j + s[i] + key[i % key.length]) & 255;
+    [s[i], s[j]] = [s[j], s[i]];
+  }
+  const out = Buffer.alloc(data.length);
+  for (let n = 0, i = 0, j = 0; n < data.length; n++) {
+    i = (i + 1) & 255;
+    j = (j + s[i]) & 255;
+    [s[i], s[j]] = [s[j], s[i]];
+    out[n] = data[n] ^ s[(s[i] + s[j]) & 255];
+  }
+  return out;
+}
+
+/**
+ * RC4 with the 20 key variations used by revision 3 for the O and U entries
+ */
+function rc4Rounds(key, data) {
+  let out = rc4(key, data);
+  for (let i = 1; i <= 19; i++) {
+    out = rc4(
+      key.map((byte) => byte ^ i),
+      out,
+    );
+  }
+  return out;
+}
+
+/**
+ * Write a one-page PDF whose content stream is encrypted with a user password
+ */
+function buildEncryptedPdf(userPassword, ownerPassword, text) {
+  const id = crypto.randomBytes(16);
+  const permissions = Buffer.alloc(4);
+  permissions.writeInt32LE(-4);
+
+  let ownerKey = md5(padPassword(ownerPassword));
+  for (let i = 0; i < 50; i++) {
+    ownerKey = md5(ownerKey);
+  }
+  const O = rc4Rounds(ownerKey, padPassword(userPassword));
+
+  let key = md5(padPassword(userPassword), O, permissions, id);
+  for (let i = 0; i < 50; i++) {
+    key = md5(key);
+  }
+  const U = Buffer.concat([rc4Rounds(key, md5(PADDING, id)), Buffer.alloc(16)]);
+
+  // Per-object key for the content stream (object 4, generation 0)
+  const objectKey = md5(key, Buffer.from([4, 0, 0, 0, 0])).subarray(0, 16);
+  const stream = rc4(
+    objectKey,
+    Buffer.from(`BT /F1 12 Tf 72 720 Td (${text}) Tj ET`, "latin1"),
+  );
+
+  const objects = [
+    Buffer.from("<< /Type /Catalog /Pages 2 0 R >>"),
+    Buffer.from("<< /Type /Pages /Kids [3 0 R] /Count 1 >>"),
+    Buffer.from(
+      "<< /Type /Page /Parent 2 0 R /MediaBox [0 0 612 792] /Resources << /Font << /F1 5 0 R >> >> /Contents 4 0 R >>",
+    ),
+    Buffer.concat([
+      Buffer.from(`<< /Length ${stream.length} >>\nstream\n`),
+      stream,
+      Buffer.from("\nendstream"),
+    ]),
+    Buffer.from("<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica >>"),
+    Buffer.from(
+      `<< /Filter /Standard /V 2 /R 3 /Length 128 /P -4 /O <${O.toString("hex")}> /U <${U.toString("hex")}> >>`,
+    ),
+  ];
+
+  const chunks = [Buffer.from("%PDF-1.4\n")];
+  let length = chunks[0].length;
+  const offsets = [];
+  objects.forEach((body, index) => {
+    offsets.push(length);
+    const chunk = Buffer.concat([
+      Buffer.from(`${index + 1} 0 obj\n`),
+      body,
+      Buffer.from("\nendobj\n"),
+    ]);
+    chunks.push(chunk);
+    length += chunk.length;
+  });
+
+  const fileId = id.toString("hex");
+  let tail = `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`;
+  tail += offsets
+    .map((offset) => `${String(offset).padStart(10, "0")} 00000 n \n`)
+    .join("");
+  tail += `trailer\n<< /Size ${objects.length + 1} /Root 1 0 R /Encrypt 6 0 R /ID [<${fileId}> <${fileId}>] >>\nstartxref\n${length}\n%%EOF\n`;
+  chunks.push(Buffer.from(tail));
+  return Buffer.concat(chunks);
+}
+
+const tempDir = createTempDir("pdf-password");
+const pdfPath = path.join(tempDir, "salaries.pdf");
+fs.writeFileSync(
+  pdfPath,
+  buildEncryptedPdf("secret", "owner", "Confidential salary review"),
+);
+
+const parser = new PdfParser();
+
+header("PDF Password Tests");
+
+await check("reports PDF_PASSWORD_REQUIRED without a password", async () => {
+  const result = await parser.parse(pdfPath);
+  assertEqual(
+    [result.success, result.errorCode],
+    [false, "PDF_PASSWORD_REQUIRED"],
+  );
+});
+
+await check("reports PDF_PASSWORD_INCORRECT for a wrong password", async () => {
+  const result = await parser.parse(pdfPath, { password: "guess" });
+  assertEqual(
+    [result.success, result.errorCode],
+    [false, "PDF_PASSWORD_INCORRECT"],
+  );
+});
+
+await check("opens the PDF with the right password", async () => {
+  const result = await parser.parse(pdfPath, { password: "secret" });
+  assertEqual(result.success, true);
+  assertEqual(result.text.includes("Confidential salary review"), true);
+  assertEqual(result.metadata.isEncrypted, true);
+});
+
+await check(
+  "does not serve a decrypted result without the password",
+  async () => {
+    const opened = await documentProcessor.processDocument(pdfPath, "summary", {
+      password: "secret",
+    });
+    assertEqual(opened.success, true);
+    const again = await documentProcessor.processDocument(pdfPath, "summary");
+    assertEqual(
+      [again.success, again.errorCode],
+      [false, "PDF_PASSWORD_REQUIRED"],
+    );
+  },
+);
+
+await check("keeps decrypted results out of the disk cache", async () => {
+  const cacheDir = path.join(tempDir, "cache");
+  const bonusPath = path.join(tempDir, "bonus.pdf");
+  const noticePath = path.join(tempDir, "notice.pdf");
+  fs.writeFileSync(
+    bonusPath,
+    buildEncryptedPdf("secret", "owner", "Quarterly bonus plan"),
+  );
+  // Owner password only: opens without a password
+  fs.writeFileSync(noticePath, buildEncryptedPdf("", "owner", "Public notice"));
+
+  const saved = { enabled: parseCache.enabled, cacheDir: parseCache.cacheDir };
+  Object.assign(parseCache, { enabled: true, cacheDir });
+  try {
+    const options = { password: "secret" };
+    await documentProcessor.processDocument(bonusPath, "summary", options);
+    const hits = parseCache.stats.hits;
+    const again = await documentProcessor.processDocument(
+      bonusPath,
+      "summary",
+      options,
+    );
+    assertEqual(again.success, true);
+    assertEqual(parseCache.stats.hits, hits + 1);
+    assertEqual(fs.existsSync(cacheDir) ? fs.readdirSync(cacheDir) : [], []);
+
+    const notice = await documentProcessor.processDocument(
+      noticePath,
+      "summary",
+    );
+    assertEqual(notice.success, true);
+    assertEqual(fs.readdirSync(cacheDir).length, 1);
+  } finally {
+    Object.assign(parseCache, saved);
+  }
+});
+
+await check(
+  "tools flag password failures as errors with the code",
+  async () => {
+    const response = await handleSummary({ filePath: pdfPath });
+    assertEqual(response.isError, true);
+    assertEqual(
+      response.content[0].text.startsWith("Error [PDF_PASSWORD_REQUIRED]:"),
+      true,
+    );
+    const wrong = await handleInDepth({ filePath: pdfPath, password: "guess" });
+    assertEqual(
+      wrong.content[0].text.startsWith("Error [PDF_PASSWORD_INCORRECT]:"),
+      true,
+    );
+  },
+);
+
+await check("tools read the document when given the password", async () => {
+  const response = await handleInDepth({
+    filePath: pdfPath,
+    password: "secret",
+  });
+  assertEqual(response.isError, undefined);
+  assertEqual(
+    response.content[0].text.includes("Confidential salary review"),
+    true,
+  );
+});
+
+await check("resource reads report the password error code", async () => {
+  const service = new ResourceService();
+  const uri = service.buildUri(pdfPath, "text");
+  const error = await service.readResource(uri).catch((err) => err);
+  assertEqual(error.data, { uri, errorCode: "PDF_PASSWORD_REQUIRED" });
+  assertEqual(error.message.includes("[PDF_PASSWORD_REQUIRED]"), true);
+  assertEqual(error.message.includes("get-doc-indepth"), true);
+});
+
+await check("masks passwords in logged parameters", () => {
+  const params = { filePath: pdfPath, password: "secret" };
+  assertEqual(redactParams(params).password, "[redacted]");
+  assertEqual(params.password, "secret");
+  assertEqual(redactParams({ filePath: pdfPath }), { filePath: pdfPath });
+});
+
+finish();
@@ -0,0 +1,212 @@
+#!/usr/bin/env node
+
+/**
+ * PPTX Parser Test Suite
+ *
+ * Builds a small presentation in memory and verifies slide order, titles,
+ * body text, speaker notes, tables, media and the structure used by the tools.
+ */
+
+import fs from "fs";
+import path from "path";
+import JSZip from "jszip";
+import { PptxParser } from "../src/parsers/pptx-parser.js";
+import {
+  header,
+  check,
+  assertEqual,
+  createTempDir,
+  finish,
+} from "./helpers.js";
+
+const NS =
+  'xmlns:a="http://schemas.openxmlformats.org/drawingml/2006/main" xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships" xmlns:p="http://schemas.openxmlformats.org/presentationml/2006/main"';
+const REL =
+  "http://schemas.openxmlformats.org/officeDocument/2006/relationships";
+// 1x1 transparent PNG
+const PNG = Buffer.from(
+  "iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAQAAAC1HAwCAAAAC0lEQVR42mNkYAAAAAYAAjCB0C8AAAAASUVORK5CYII=",
+  "base64",
+);
+
+function shape(type, paragraphs) {
+  const ph = type ? `<p:nvPr><p:ph type="${type}"/></p:nvPr>` : "<p:nvPr/>";
+  const body = paragraphs
+    .map(
+      ([text, lvl = 0]) =>
+        `<a:p><a:pPr lvl="${lvl}"/><a:r><a:t>${text}</a:t></a:r></a:p>`,
+    )
+    .join("");
+  return `<p:sp><p:nvSpPr><p:cNvPr id="1" name="s"/><p:cNvSpPr/>${ph}</p:nvSpPr><p:txBody><a:bodyPr/>${body}</p:txBody></p:sp>`;
+}
+
+function table(rows) {
+  const tr = rows
+    .map(
+      (row) =>
+        `<a:tr>${row
+          .map(
+            (cell) =>
+              `<a:tc><a:txBody><a:bodyPr/><a:p><a:r><a:t>${cell}</a:t></a:r></a:p></a:txBody></a:tc>`,
+          )
+          .join("")}</a:tr>`,
+    )
+    .join("");
+  return `<p:graphicFrame><a:graphic><a:graphicData><a:tbl>${tr}</a:tbl></a:graphicData></a:graphic></p:graphicFrame>`;
+}
+
+function slide(content, attrs = "") {
+  return `<?xml version="1.0" encoding="UTF-8"?><p:sld ${NS}${attrs}><p:cSld><p:spTree>${content}</p:spTree></p:cSld></p:sld>`;
+}
+
+function rels(entries) {
+  return `<?xml version="1.0" encoding="UTF-8"?><Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">${entries
+    .map(
+      ([id, type, target, external]) =>
+        `<Relationship Id="${id}" Type="${REL}/${type}" Target="${target}"${external ? ' TargetMode="External"' : ""}/>`,
+    )
+    .join("")}</Relationships>`;
+}
+
+async function buildDeck() {
+  const zip = new JSZip();
+  zip.file(
+    "[Content_Types].xml",
+    '<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types"><Override PartName="/ppt/presentation.xml" ContentType="application/vnd.openxmlformats-officedocument.presentationml.presentation.main+xml"/></Types>',
+  );
+  // Slide order in presentation.xml deliberately differs from file names
+  zip.file(
+    "ppt/presentation.xml",
+    `<p:presentation ${NS}><p:sldIdLst><p:sldId id="256" r:id="rId2"/><p:sldId id="257" r:id="rId1"/></p:sldIdLst></p:presentation>`,
+  );
+  zip.file(
+    "ppt/_rels/presentation.xml.rels",
+    rels([
+      ["rId1", "slide", "slides/slide1.xml"],
+      ["rId2", "slide", "slides/slide2.xml"],
+    ]),
+  );
+  zip.file(
+    "ppt/slides/slide2.xml",
+    slide(
+      shape("ctrTitle", [["Quarterly Review"]]) +
+        shape("body", [["Revenue up"], ["Mostly in EMEA", 1]]) +
+        shape("sldNum", [["1"]]),
+    ),
+  );
+  zip.file(
+    "ppt/slides/_rels/slide2.xml.rels",
+    rels([
+      ["rId1", "image", "../media/image1.png"],
+      ["rId2", "notesSlide", "../notesSlides/notesSlide1.xml"],
+      ["rId3", "video", "https://example.com/clip.mp4", true],
+    ]),
+  );
+  zip.file(
+    "ppt/notesSlides/notesSlide1.xml",
+    `<p:notes ${NS}><p:cSld><p:spTree>${shape("sldImg", [])}${shape("body", [["Mention the EMEA deal"]])}</p:spTree></p:cSld></p:notes>`,
+  );
+  zip.file("ppt/media/image1.png", PNG);
+  zip.file(
+    "ppt/slides/slide1.xml",
+    slide(
+      shape("title", [["Figures"]]) +
+        table([
+          ["Region", "Revenue"],
+          ["EMEA", "120"],
+        ]),
+      ' show="0"',
+    ),
+  );
+  zip.file(
+    "docProps/core.xml",
+    '<cp:coreProperties xmlns:cp="http://schemas.openxmlformats.org/package/2006/metadata/core-properties" xmlns:dc="http://purl.org/dc/elements/1.1/" xmlns:dcterms="http://purl.org/dc/terms/"><dc:title>Review Deck</dc:title><dc:creator>Finance</dc:creator><dcterms:created>2024-03-01T10:00:00Z</dcterms:created></cp:coreProperties>',
+  );
+  return zip.generateAsync({ type: "nodebuffer" });
+}
+
+const tempDir = createTempDir("pptx-parser");
+const deckPath = path.join(tempDir, "deck.pptx");
+fs.writeFileSync(deckPath, await buildDeck());
+
+const parser = new PptxParser();
+const result = await parser.parse(deckPath);
+
+header("PPTX Parser Tests");
+
+await check("parses successfully", () => {
+  assertEqual([result.success, result.error], [true, undefined]);
+});
+
+await check("orders slides as listed in presentation.xml", () => {
+  assertEqual(
+    result.slides.map((s) => s.title),
+    ["Quarterly Review", "Figures"],
+  );
+  assertEqual(result.segmentUnit, "slide");
+  assertEqual(result.segments[0].label, "Slide 1: Quarterly Review");
+});
+
+await check(
+  "extracts body text with bullet levels, skipping slide numbers",
+  () => {
+    assertEqual(result.slides[0].body, "Revenue up\n  Mostly in EMEA");
+  },
+);
+
+await check("extracts speaker notes", () => {
+  assertEqual(result.slides[0].notes, "Mention the EMEA deal");
+  assertEqual(result.slides[1].notes, null);
+});
+
+await check("extracts tables and flags hidden slides", () => {
+  assertEqual(result.tables.length, 1);
+  assertEqual(result.tables[0].slide, 2);
+  assertEqual(result.tables[0].rows, [
+    ["Region", "Revenue"],
+    ["EMEA", "120"],
+  ]);
+  assertEqual(result.slides[1].hidden, true);
+  assertEqual(result.metadata.hiddenSlideCount, 1);
+});
+
+await check("collects images and linked media per slide", () => {
+  assertEqual(result.images.length, 1);
+  assertEqual(
+    [result.images[0].slide, result.images[0].mimeType],
+    [1, "image/png"],
+  );
+  assertEqual(result.images[0].data.startsWith("data:image/png;base64,"), true);
+  assertEqual(
+    [result.media[0].type, result.media[0].url],
+    ["video", "https://example.com/clip.mp4"],
+  );
+});
+
+await check("reads core properties", () => {
+  assertEqual(
+    [result.metadata.title, result.metadata.author, result.metadata.slideCount],
+    ["Review Deck", "Finance", 2],
+  );
+});
+
+await check("exposes slides as structure items", async () => {
+  const structure = await parser.getStructure(result.text, result);
+  assertEqual(
+    structure.map((item) => item.text),
+    ["Slide 1: Quarterly Review", "Slide 2: Figures"],
+  );
+  const fromText = await parser.getStructure(result.text);
+  assertEqual(fromText.length, 2);
+});
+
+await check("fails cleanly on a non-presentation zip", async () => {
+  const zip = new JSZip();
+  zip.file("hello.txt", "hi");
+  const badPath = path.join(tempDir, "bad.pptx");
+  fs.writeFileSync(badPath, await zip.generateAsync({ type: "nodebuffer" }));
+  const bad = await parser.parse(badPath);
+  assertEqual(bad.success, false);
+});
+
+finish();
@@ -0,0 +1,166 @@
+#!/usr/bin/env node
+
+/**
+ * Progress and Cancellation Test Suite
+ *
+ * Verifies that tool calls with a progressToken receive throttled
+ * notifications/progress messages with a growing progress value, and that
+ * aborting the request signal stops page OCR with a cancelled error.
+ */
+
+import crypto from "crypto";
+import { createProgressReporter, isAbortError } from "../src/utils/progress.js";
+import { header, check, assertEqual, finish } from "./helpers.js";
+
+const delay = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * Request handler extra that records the notifications sent to the client
+ */
+function fakeExtra(signal) {
+  const notifications = [];
+  return {
+    notifications,
+    signal,
+    _meta: { progressToken: "token-1" },
+    sendNotification: async (notification) => notifications.push(notification),
+  };
+}
+
+// Services read their configuration when their modules load
+process.env.OCR_CONCURRENCY = "1";
+
+header("Progress Tests");
+
+await check(
+  "sends progress notifications with the progress token",
+  async () => {
+    const extra = fakeExtra();
+    const progress = createProgressReporter(extra, { minInterval: 0 });
+    progress.addSteps(2);
+    await progress.step("Parsed document");
+    progress.addSteps(1);
+    await progress.step("OCR page 1");
+    await progress.step("OCR page 2");
+
+    assertEqual(
+      extra.notifications.map(({ method, params }) => [
+        method,
+        params.progressToken,
+        params.progress,
+        params.total,
+        params.message,
+      ]),
+      [
+        ["notifications/progress", "token-1", 1, 2, "Parsed document"],
+        ["notifications/progress", "token-1", 2, 3, "OCR page 1"],
+        ["notifications/progress", "token-1", 3, 3, "OCR page 2"],
+      ],
+    );
+  },
+);
+
+await check(
+  "throttles notifications but always reports completion",
+  async () => {
+    const extra = fakeExtra();
+    const progress = createProgressReporter(extra, { minInterval: 50 });
+    progress.addSteps(6);
+    for (let page = 1; page <= 4; page++) {
+      await progress.step(`OCR page ${page}`);
+    }
+    await delay(60);
+    await progress.step("OCR page 5");
+    await progress.step("OCR page 6");
+
+    assertEqual(
+      extra.notifications.map((n) => [n.params.progress, n.params.total]),
+      [
+        [1, 6],
+        [5, 6],
+        [6, 6],
+      ],
+    );
+  },
+);
+
+await check("stays silent without a progress token", async () => {
+  const sent = [];
+  const progress = createProgressReporter({
+    sendNotification: async (notification) => sent.push(notification),
+  });
+  progress.addSteps(1);
+  await progress.step("Parsed document");
+  assertEqual(sent, []);
+});
+
+await check("throws a cancelled error once the signal is aborted", async () => {
+  const controller = new AbortController();
+  const extra = fakeExtra(controller.signal);
+  const progress = createProgressReporter(extra, { minInterval: 0 });
+  progress.throwIfAborted();
+
+  controller.abort();
+  await progress.step("After cancellation");
+  const error = (() => {
+    try {
+      progress.throwIfAborted();
+    } catch (err) {
+      return err;
+    }
+  })();
+  assertEqual(
+    [isAbortError(error), error.message, extra.notifications.length],
+    [true, "Request was cancelled", 0],
+  );
+});
+
+await check(
+  "stops OCR of later pages when the request is cancelled",
+  async () => {
+    const { PdfParser } = await import("../src/parsers/pdf-parser.js");
+    const { visionService } = await import("../src/services/vision-factory.js");
+
+    const runId = crypto.randomUUID();
+    const pages = [1, 2, 3, 4].map((pageNumber) => ({
+      dataUrl: `data:image/png;base64,${runId}-${pageNumber}`,
+      pageNumber,
+    }));
+    const fakeParser = { getScreenshot: async () => ({ pages }) };
+
+    const controller = new AbortController();
+    const extra = fakeExtra(controller.signal);
+    const progress = createProgressReporter(extra, { minInterval: 0 });
+
+    const requested = [];
+    const originalExtractText = visionService.extractText;
+    visionService.extractText = async (imageData, prompt, options) => {
+      const pageNumber = Number(imageData.split("-").pop());
+      requested.push(pageNumber);
+      // The client cancels while page 2 is being read
+      if (pageNumber === 2) {
+        controller.abort();
+      }
+      return options.signal.aborted
+        ? { success: false, error: "Request was cancelled", cancelled: true }
+        : { success: true, text: `Text of page ${pageNumber}` };
+    };
+
+    try {
+      const parser = new PdfParser();
+      const error = await parser
+        .performOcr(fakeParser, [], "prompt", { progress })
+        .catch((err) => err);
+      assertEqual(isAbortError(error), true);
+      assertEqual(requested, [1, 2]);
+      assertEqual(
+        extra.notifications.map((n) => n.params.message),
+        ["OCR page 1 (1 of 4)"],
+      );
+    } finally {
+      visionService.extractText = originalExtractText;
+    }
+  },
+);
+
+finish();
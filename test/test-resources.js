@@ -0,0 +1,241 @@
+#!/usr/bin/env node
+
+/**
+ * Document Resource Test Suite
+ *
+ * Verifies doc:// URI parsing, full text and per-sheet reads of a generated
+ * workbook, reuse of the processed document between reads, not-found errors
+ * and that unsubscribing removes the file watcher.
+ */
+
+import fs from "fs";
+import path from "path";
+import XLSX from "xlsx";
+import { ErrorCode } from "@modelcontextprotocol/sdk/types.js";
+import { ResourceService } from "../src/services/resource-service.js";
+import { documentProcessor } from "../src/services/document-processor.js";
+import {
+  header,
+  check,
+  assertEqual,
+  withEnv,
+  createTempDir,
+  finish,
+} from "./helpers.js";
+
+const RESOURCE_NOT_FOUND = -32002;
+
+const tempDir = createTempDir("resources");
+const delay = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * Write a workbook with one sheet per entry of { name: rows }
+ */
+function writeWorkbook(filePath, sheets) {
+  const workbook = XLSX.utils.book_new();
+  for (const [name, rows] of Object.entries(sheets)) {
+    XLSX.utils.book_append_sheet(workbook, XLSX.utils.aoa_to_sheet(rows), name);
+  }
+  XLSX.writeFile(workbook, filePath);
+}
+
+/**
+ * Resolve to the error a promise rejects with
+ */
+const rejection = (promise) =>
+  promise.then(
+    () => {
+      throw new Error("Expected the read to fail");
+    },
+    (error) => error,
+  );
+
+// Count how often documents are processed
+let processCalls = 0;
+const originalProcessDocument =
+  documentProcessor.processDocument.bind(documentProcessor);
+documentProcessor.processDocument = (...args) => {
+  processCalls++;
+  return originalProcessDocument(...args);
+};
+
+const workbookPath = path.join(tempDir, "Quarterly report.xlsx");
+writeWorkbook(workbookPath, {
+  Revenue: [
+    ["Region", "Revenue"],
+    ["North", 1200],
+  ],
+  Costs: [
+    ["Item", "Cost"],
+    ["Rent", 800],
+  ],
+});
+
+header("Document Resource Tests");
+
+await check("builds and parses doc:// URIs", () => {
+  const service = new ResourceService();
+  const uri = service.buildUri(workbookPath, "page", 2);
+  assertEqual(uri, `doc://${encodeURIComponent(workbookPath)}/page/2`);
+  assertEqual(service.parseUri(uri), {
+    filePath: workbookPath,
+    kind: "page",
+    index: 2,
+  });
+  assertEqual(service.parseUri(service.buildUri(workbookPath, "text")), {
+    filePath: workbookPath,
+    kind: "text",
+    index: null,
+  });
+
+  const codes = [
+    "file:///tmp/report.pdf",
+    `doc://${encodeURIComponent(workbookPath)}/pages/1`,
+    `doc://${encodeURIComponent(workbookPath)}/page`,
+    "doc://%E0%A4%A/text",
+  ].map((invalid) => {
+    try {
+      service.parseUri(invalid);
+      return null;
+    } catch (error) {
+      return error.code;
+    }
+  });
+  assertEqual(codes, Array(4).fill(ErrorCode.InvalidParams));
+});
+
+await check("reads the full text and single sheets", async () => {
+  const service = new ResourceService();
+  const text = await service.readResource(
+    service.buildUri(workbookPath, "text"),
+  );
+  const costsUri = service.buildUri(workbookPath, "page", 2);
+  const costs = await service.readResource(costsUri);
+
+  assertEqual(text.contents[0].mimeType, "text/plain");
+  assertEqual(
+    ["North", "Rent"].map((word) => text.contents[0].text.includes(word)),
+    [true, true],
+  );
+  assertEqual(
+    [
+      costs.contents[0].uri,
+      costs.contents[0].text.includes("Rent"),
+      costs.contents[0].text.includes("North"),
+    ],
+    [costsUri, true, false],
+  );
+  assertEqual(
+    service.listResources().map((resource) => resource.name),
+    ["Quarterly report.xlsx"],
+  );
+});
+
+await check("processes a document once for repeated reads", async () => {
+  const service = new ResourceService();
+  processCalls = 0;
+  await Promise.all(
+    [1, 2, 1].map((page) =>
+      service.readResource(service.buildUri(workbookPath, "page", page)),
+    ),
+  );
+  await service.readResource(service.buildUri(workbookPath, "text"));
+  assertEqual(processCalls, 1);
+
+  // A changed file is processed again
+  const changedPath = path.join(tempDir, "changing.xlsx");
+  writeWorkbook(changedPath, { Draft: [["Version", 1]] });
+  const uri = service.buildUri(changedPath, "text");
+  const before = await service.readResource(uri);
+  writeWorkbook(changedPath, { Final: [["Version", 2, "approved"]] });
+  const future = new Date(Date.now() + 5000);
+  fs.utimesSync(changedPath, future, future);
+  const after = await service.readResource(uri);
+  assertEqual(
+    [
+      processCalls,
+      before.contents[0].text.includes("approved"),
+      after.contents[0].text.includes("approved"),
+    ],
+    [3, false, true],
+  );
+});
+
+await check("reports missing files and items as not found", async () => {
+  const service = new ResourceService();
+  const missingUri = service.buildUri(
+    path.join(tempDir, "missing.pdf"),
+    "text",
+  );
+  const missing = await rejection(service.readResource(missingUri));
+  assertEqual(
+    [missing.code, missing.data],
+    [RESOURCE_NOT_FOUND, { uri: missingUri }],
+  );
+
+  const errors = await Promise.all(
+    [
+      service.buildUri(workbookPath, "page", 3),
+      service.buildUri(workbookPath, "images", 0),
+      service.buildUri(workbookPath, "tables", 0),
+      service.buildUri(workbookPath, "attachments", 0),
+    ].map((uri) => rejection(service.readResource(uri))),
+  );
+  assertEqual(
+    errors.map((error) => error.code),
+    Array(4).fill(RESOURCE_NOT_FOUND),
+  );
+  assertEqual(
+    errors[0].message.includes("sheet 3 not found (document has 2 sheets)"),
+    true,
+  );
+});
+
+await check(
+  "notifies subscribers of changes and removes the watcher on unsubscribe",
+  async () => {
+    const service = withEnv(
+      { RESOURCE_WATCH_INTERVAL: "20" },
+      () => new ResourceService(),
+    );
+    const watchedPath = path.join(tempDir, "watched.xlsx");
+    writeWorkbook(watchedPath, { Sheet1: [["a"]] });
+    const textUri = service.buildUri(watchedPath, "text");
+    const pageUri = service.buildUri(watchedPath, "page", 1);
+
+    const unwatched = [];
+    const originalUnwatchFile = fs.unwatchFile;
+    fs.unwatchFile = (...args) => {
+      unwatched.push(args[0]);
+      return originalUnwatchFile(...args);
+    };
+
+    try {
+      const notified = [];
+      const notify = (uri) => notified.push(uri);
+      service.subscribe(textUri, notify);
+      service.subscribe(pageUri, notify);
+      assertEqual([...service.watchers.keys()], [watchedPath]);
+
+      writeWorkbook(watchedPath, { Sheet1: [["a", "b", "c"]] });
+      for (let i = 0; i < 50 && notified.length < 2; i++) {
+        await delay(20);
+      }
+      assertEqual(notified.sort(), [pageUri, textUri].sort());
+
+      // The watcher stays while another URI of the file is subscribed
+      service.unsubscribe(textUri, notify);
+      assertEqual([service.watchers.size, unwatched], [1, []]);
+
+      service.unsubscribeAll(notify);
+      assertEqual(
+        [service.subscriptions.size, service.watchers.size, unwatched],
+        [0, 0, [watchedPath]],
+      );
+    } finally {
+      fs.unwatchFile = originalUnwatchFile;
+    }
+  },
+);
+
+finish();
@@ -0,0 +1,164 @@
+#!/usr/bin/env node
+
+/**
+ * Local OCR Test Suite
+ *
+ * Renders a small PDF page to an image and verifies that the Tesseract
+ * engine reads it with the bundled language data, that it can be selected
+ * with VISION_PROVIDER, and that the provider chain uses it as the last
+ * resort when the vision models are unavailable.
+ */
+
+import { PDFParse } from "pdf-parse";
+import { PdfParser } from "../src/parsers/pdf-parser.js";
+import { tesseractService } from "../src/services/tesseract-service.js";
+import {
+  VisionFactory,
+  VisionProviderChain,
+  visionService,
+} from "../src/services/vision-factory.js";
+import { header, check, assertEqual, finish } from "./helpers.js";
+
+/**
+ * Build a one-page PDF showing a single line of text
+ */
+function buildPdf(text) {
+  const content = `BT /F1 24 Tf 40 100 Td (${text}) Tj ET`;
+  const objects = [
+    "<< /Type /Catalog /Pages 2 0 R >>",
+    "<< /Type /Pages /Kids [3 0 R] /Count 1 >>",
+    "<< /Type /Page /Parent 2 0 R /MediaBox [0 0 612 200] /Resources << /Font << /F1 5 0 R >> >> /Contents 4 0 R >>",
+    `<< /Length ${content.length} >>\nstream\n${content}\nendstream`,
+    "<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica >>",
+  ];
+  let pdf = "%PDF-1.4\n";
+  const offsets = [];
+  objects.forEach((body, index) => {
+    offsets.push(pdf.length);
+    pdf += `${index + 1} 0 obj\n${body}\nendobj\n`;
+  });
+  const xref = pdf.length;
+  pdf += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`;
+  pdf += offsets
+    .map((offset) => `${String(offset).padStart(10, "0")} 00000 n \n`)
+    .join("");
+  pdf += `trailer\n<< /Size ${objects.length + 1} /Root 1 0 R >>\nstartxref\n${xref}\n%%EOF\n`;
+  return Buffer.from(pdf, "latin1");
+}
+
+// Render the page the way the PDF parser does before sending it to OCR
+const renderer = new PDFParse({ data: buildPdf("Invoice total 42 EUR") });
+const screenshot = await renderer.getScreenshot({ scale: 2 });
+await renderer.destroy();
+const pageImage = screenshot.pages[0].dataUrl;
+
+const unavailable = {
+  success: false,
+  error: "Z.AI API key not configured. Set Z_AI_API_KEY environment variable.",
+};
+
+header("Local OCR Tests");
+
+await check(
+  "reads a rendered page with the bundled language data",
+  async () => {
+    const result = await tesseractService.extractText(pageImage);
+    assertEqual([result.success, result.source], [true, "tesseract"]);
+    assertEqual(result.text.includes("Invoice total 42 EUR"), true);
+    assertEqual(result.confidence > 50, true);
+  },
+);
+
+await check("refuses input that is not an image", async () => {
+  const result = await tesseractService.extractText("Plain OCR text");
+  assertEqual(result.success, false);
+});
+
+await check("is selected with VISION_PROVIDER=tesseract", async () => {
+  process.env.VISION_PROVIDER = "tesseract";
+  try {
+    assertEqual(new VisionFactory().getService().name, "TesseractService");
+    const chain = new VisionProviderChain();
+    assertEqual(chain.getProviderNames(), ["tesseract"]);
+    const initialized = await chain.initialize();
+    assertEqual(initialized, { success: true, service: "TesseractService" });
+  } finally {
+    delete process.env.VISION_PROVIDER;
+  }
+});
+
+await check("OCRs PDF pages through the selected engine", async () => {
+  process.env.VISION_PROVIDER = "tesseract";
+  visionService.configure();
+  try {
+    const fakeParser = {
+      getScreenshot: async () => ({
+        pages: [{ dataUrl: pageImage, pageNumber: 1 }],
+      }),
+    };
+    const result = await new PdfParser().performOcr(fakeParser, [], null);
+    assertEqual(result.success, true);
+    assertEqual(result.pageTexts[0].text.includes("Invoice total 42"), true);
+  } finally {
+    delete process.env.VISION_PROVIDER;
+    visionService.configure();
+  }
+});
+
+/**
+ * Build a chain of Z.AI and LM Studio stand-ins followed by Tesseract
+ */
+function chainWith(zai, lmStudio) {
+  const services = { zai, "lm-studio": lmStudio, tesseract: tesseractService };
+  return new VisionProviderChain({
+    getProviderChain: () => ["zai", "lm-studio", "tesseract"],
+    getServiceByName: (name) => services[name],
+  });
+}
+
+await check(
+  "falls back to local OCR when no vision model answers",
+  async () => {
+    const chain = chainWith(
+      { name: "Zai", extractText: async () => unavailable },
+      {
+        name: "LmStudio",
+        extractText: async () => ({
+          success: false,
+          error: "OCR extraction failed: fetch failed",
+        }),
+      },
+    );
+    const result = await chain.extractText(pageImage);
+    assertEqual([result.success, result.source], [true, "tesseract"]);
+    assertEqual(chain.getActiveService(), "TesseractService");
+  },
+);
+
+await check("keeps the vision error when local OCR cannot help", async () => {
+  const zai = { name: "Zai", extractText: async () => unavailable };
+  const chain = chainWith(zai, zai);
+
+  // Text (as sent by the OCR post-processor) is not an image
+  const textResult = await chain.extractText("Plain OCR text");
+  assertEqual(textResult.error, unavailable.error);
+
+  const cancelled = { success: false, error: "aborted", cancelled: true };
+  zai.extractText = async () => cancelled;
+  assertEqual(await chain.extractText(pageImage), cancelled);
+});
+
+await check("is left out of the chain with TESSERACT_FALLBACK=false", () => {
+  process.env.VISION_PROVIDER = "zai";
+  process.env.TESSERACT_FALLBACK = "false";
+  try {
+    assertEqual(new VisionFactory().getProviderChain(), ["zai", "lm-studio"]);
+  } finally {
+    delete process.env.VISION_PROVIDER;
+    delete process.env.TESSERACT_FALLBACK;
+  }
+});
+
+await tesseractService.terminate();
+
+finish();
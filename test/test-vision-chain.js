@@ -0,0 +1,260 @@
+#!/usr/bin/env node
+
+/**
+ * Vision Provider Chain Test Suite
+ *
+ * Verifies that the provider chain is read from the configuration, that
+ * requests fail over on auth errors, timeouts and 5xx responses but not on
+ * rejected requests, that circuit breakers skip failing providers until
+ * their cooldown has passed, and that the diagnostics tool reports the
+ * health and latency of every provider. Providers are in-memory stand-ins.
+ */
+
+import {
+  VisionFactory,
+  VisionProviderChain,
+  classifyFailure,
+} from "../src/services/vision-factory.js";
+import {
+  CircuitBreaker,
+  CIRCUIT_OPEN,
+  CIRCUIT_CLOSED,
+} from "../src/utils/circuit-breaker.js";
+import { handleVisionDiagnostics } from "../src/tools/diagnostics-tool.js";
+import { header, check, assertEqual, withEnv, finish } from "./helpers.js";
+
+const delay = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * Stand-in vision service that answers with queued results
+ */
+function fakeService(name, results = []) {
+  return {
+    name,
+    calls: 0,
+    results,
+    async initialize() {
+      return true;
+    },
+    async extractText() {
+      this.calls++;
+      return (
+        this.results.shift() || {
+          success: true,
+          text: `${name} text`,
+          source: name,
+        }
+      );
+    },
+  };
+}
+
+const httpFailure = (status) => ({
+  success: false,
+  error: `OCR extraction failed: HTTP ${status}: upstream error`,
+  details: Object.assign(new Error(`HTTP ${status}`), { status }),
+});
+
+/**
+ * Build a chain over the given services, in order
+ */
+function chainOf(services, breaker = {}) {
+  return withEnv(
+    {
+      VISION_BREAKER_THRESHOLD: String(breaker.threshold || 3),
+      VISION_BREAKER_COOLDOWN_MS: String(breaker.cooldown ?? 60000),
+    },
+    () =>
+      new VisionProviderChain({
+        getProviderChain: () => Object.keys(services),
+        getServiceByName: (name) => services[name],
+      }),
+  );
+}
+
+header("Vision Chain Tests");
+
+await check("builds the default chain from VISION_PROVIDER", () => {
+  const factory = new VisionFactory();
+  withEnv({ VISION_PROVIDER: "zai" }, () =>
+    assertEqual(factory.getProviderChain(), ["zai", "lm-studio", "tesseract"]),
+  );
+  withEnv({ VISION_PROVIDER: "lm-studio" }, () =>
+    assertEqual(factory.getProviderChain(), ["lm-studio", "zai", "tesseract"]),
+  );
+  withEnv({ VISION_PROVIDER: "local-ocr" }, () =>
+    assertEqual(factory.getProviderChain(), ["tesseract"]),
+  );
+});
+
+await check("reads an ordered chain from VISION_PROVIDERS", () => {
+  const factory = new VisionFactory();
+  withEnv({ VISION_PROVIDERS: "tesseract, Z.AI, unknown, lmstudio, zai" }, () =>
+    assertEqual(factory.getProviderChain(), ["tesseract", "zai", "lm-studio"]),
+  );
+  withEnv({ VISION_PROVIDERS: "nothing", VISION_PROVIDER: "zai" }, () =>
+    assertEqual(factory.getProviderChain()[0], "zai"),
+  );
+});
+
+await check("classifies failures that warrant failover", () => {
+  assertEqual(
+    [
+      classifyFailure(httpFailure(503)),
+      classifyFailure(httpFailure(429)),
+      classifyFailure(httpFailure(401)),
+      classifyFailure({ error: "Request timeout after 300000ms" }),
+      classifyFailure({
+        error: "OCR extraction failed: aborted due to timeout",
+        details: Object.assign(new Error("aborted"), { name: "TimeoutError" }),
+      }),
+      classifyFailure({ error: "OCR extraction failed: fetch failed" }),
+      classifyFailure(httpFailure(400)),
+    ],
+    ["server", "server", "auth", "timeout", "timeout", "unavailable", null],
+  );
+});
+
+await check("fails over on 5xx responses and timeouts", async () => {
+  const first = fakeService("First", [httpFailure(503)]);
+  const second = fakeService("Second", [
+    {
+      success: false,
+      error: "OCR extraction failed: Request timeout after 5ms",
+    },
+  ]);
+  const third = fakeService("Third");
+  const chain = chainOf({ first, second, third });
+
+  const result = await chain.extractText("data:image/png;base64,AAAA");
+  assertEqual(result.text, "Third text");
+  assertEqual([first.calls, second.calls, third.calls], [1, 1, 1]);
+  assertEqual(chain.getActiveService(), "Third");
+});
+
+await check("names the service that answered and flags fallbacks", async () => {
+  const missingKey = fakeService("MissingKey");
+  missingKey.isConfigured = () => false;
+  const primary = fakeService("Primary", [httpFailure(503)]);
+  const backup = fakeService("Backup");
+  const chain = chainOf({ missingKey, primary, backup });
+  assertEqual(chain.getPreferredService(), "Primary");
+
+  const fallback = await chain.extractText("data:image/png;base64,AAAA");
+  const preferred = await chain.extractText("data:image/png;base64,AAAA");
+  assertEqual(
+    [fallback.service, fallback.fallback, fallback.source],
+    ["Backup", true, "Backup"],
+  );
+  assertEqual([preferred.service, preferred.fallback], ["Primary", false]);
+});
+
+await check("returns rejected requests without failing over", async () => {
+  const first = fakeService("First", [httpFailure(400)]);
+  const second = fakeService("Second");
+  const chain = chainOf({ first, second });
+
+  const result = await chain.extractText("data:image/png;base64,AAAA");
+  assertEqual([result.success, second.calls], [false, 0]);
+  assertEqual(chain.getDiagnostics().providers[0].lastErrorType, "rejected");
+});
+
+await check("skips providers that are not configured", async () => {
+  const missingKey = fakeService("MissingKey");
+  missingKey.isConfigured = () => false;
+  const chain = chainOf({ missingKey });
+
+  const result = await chain.extractText("data:image/png;base64,AAAA");
+  assertEqual(
+    result.error,
+    "No vision provider available: missingKey (not configured)",
+  );
+  assertEqual(missingKey.calls, 0);
+});
+
+await check("opens the circuit after repeated failures", async () => {
+  const flaky = fakeService("Flaky", [
+    httpFailure(502),
+    httpFailure(502),
+    httpFailure(502),
+  ]);
+  const backup = fakeService("Backup");
+  const chain = chainOf({ flaky, backup }, { threshold: 2, cooldown: 50 });
+
+  await chain.extractText("data:image/png;base64,AAAA");
+  await chain.extractText("data:image/png;base64,AAAA");
+  assertEqual(chain.getDiagnostics().providers[0].circuit, CIRCUIT_OPEN);
+
+  // While open, requests go straight to the backup
+  await chain.extractText("data:image/png;base64,AAAA");
+  assertEqual([flaky.calls, backup.calls], [2, 3]);
+
+  // After the cooldown one trial request goes through; it fails and reopens
+  await delay(60);
+  await chain.extractText("data:image/png;base64,AAAA");
+  assertEqual(flaky.calls, 3);
+  assertEqual(chain.getDiagnostics().providers[0].circuit, CIRCUIT_OPEN);
+
+  // The next trial succeeds and closes the circuit
+  await delay(60);
+  const result = await chain.extractText("data:image/png;base64,AAAA");
+  assertEqual(result.text, "Flaky text");
+  assertEqual(chain.getDiagnostics().providers[0].circuit, CIRCUIT_CLOSED);
+});
+
+await check("lets a single trial request through when half-open", () => {
+  const breaker = new CircuitBreaker({ failureThreshold: 1, cooldown: 0 });
+  breaker.recordFailure();
+  assertEqual([breaker.tryAcquire(), breaker.tryAcquire()], [true, false]);
+  breaker.release();
+  assertEqual(breaker.tryAcquire(), true);
+});
+
+await check("does not fail over or count cancelled requests", async () => {
+  const first = fakeService("First", [
+    { success: false, error: "Request was cancelled", cancelled: true },
+  ]);
+  const second = fakeService("Second");
+  const chain = chainOf({ first, second });
+
+  const result = await chain.extractText("data:image/png;base64,AAAA");
+  assertEqual([result.cancelled, second.calls], [true, 0]);
+  assertEqual(chain.getDiagnostics().providers[0].failures, 0);
+});
+
+await check("tracks request counts and latency per provider", async () => {
+  const slow = fakeService("Slow");
+  slow.extractText = async function () {
+    this.calls++;
+    await delay(20);
+    return this.calls === 2
+      ? httpFailure(500)
+      : { success: true, text: "slow text" };
+  };
+  const chain = chainOf({ slow, backup: fakeService("Backup") });
+  for (let i = 0; i < 3; i++) {
+    await chain.extractText("data:image/png;base64,AAAA");
+  }
+
+  const stats = chain.getDiagnostics().providers[0];
+  assertEqual(
+    [stats.requests, stats.successes, stats.failures, stats.lastErrorType],
+    [3, 2, 1, "server"],
+  );
+  assertEqual(stats.averageLatencyMs >= 15 && stats.p95LatencyMs >= 15, true);
+  assertEqual(typeof stats.lastSuccessAt, "string");
+});
+
+await check(
+  "diagnostics tool reports the chain and probes providers",
+  async () => {
+    const response = await handleVisionDiagnostics({ probe: true });
+    const text = response.content[0].text;
+    assertEqual(text.startsWith("# Vision Provider Diagnostics"), true);
+    assertEqual(/\*\*Provider chain:\*\* .*tesseract/.test(text), true);
+    assertEqual(text.includes("- Circuit: closed"), true);
+    assertEqual(text.includes("- Probe:"), true);
+  },
+);
+
+finish();
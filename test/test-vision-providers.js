@@ -0,0 +1,332 @@
+#!/usr/bin/env node
+
+/**
+ * OpenAI-Compatible and Ollama Provider Test Suite
+ *
+ * Runs the providers against local HTTP servers that emulate vLLM and
+ * Ollama. Verifies model discovery and vision capability detection, that
+ * images are sent in each API's own format, and that both providers can be
+ * selected through the vision factory.
+ */
+
+import http from "http";
+import { OpenAiCompatibleService } from "../src/services/openai-compatible-service.js";
+import { OllamaService } from "../src/services/ollama-service.js";
+import { VisionFactory } from "../src/services/vision-factory.js";
+import { isLikelyVisionModelName } from "../src/utils/vision-models.js";
+import { header, check, assertEqual, withEnv, finish } from "./helpers.js";
+
+const IMAGE = "data:image/png;base64,AAAA";
+
+/**
+ * Start a JSON server; the handler gets (method, path, body, headers) and
+ * returns [status, body]. Every request is recorded.
+ */
+async function startServer(handler) {
+  const requests = [];
+  const server = http.createServer((req, res) => {
+    let raw = "";
+    req.on("data", (chunk) => (raw += chunk));
+    req.on("end", () => {
+      const body = raw ? JSON.parse(raw) : null;
+      requests.push({
+        method: req.method,
+        path: req.url,
+        body,
+        headers: req.headers,
+      });
+      const [status, payload] = handler(req.method, req.url, body, req.headers);
+      res.writeHead(status, { "Content-Type": "application/json" });
+      res.end(JSON.stringify(payload));
+    });
+  });
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  return {
+    url: `http://127.0.0.1:${server.address().port}`,
+    requests,
+    close: () => new Promise((resolve) => server.close(resolve)),
+  };
+}
+
+/**
+ * Construct a service with environment variables set, restoring them afterwards
+ */
+function createWithEnv(ServiceClass, vars) {
+  return withEnv(vars, () => new ServiceClass());
+}
+
+const completion = (content) => [
+  200,
+  { choices: [{ message: { role: "assistant", content } }] },
+];
+
+header("Vision Provider Tests");
+
+await check("recognises vision models by name", () => {
+  assertEqual(
+    [
+      "Qwen/Qwen2.5-VL-7B-Instruct",
+      "llava:13b",
+      "llama3.2-vision:11b",
+      "google/gemma-3-12b-it",
+      "Qwen/Qwen2.5-7B-Instruct",
+      "mistral:7b",
+    ].map(isLikelyVisionModelName),
+    [true, true, true, true, false, false],
+  );
+});
+
+await check(
+  "OpenAI-compatible: selects a vision model by name and sends image_url parts",
+  async () => {
+    const server = await startServer((method, path) =>
+      path === "/v1/models"
+        ? [
+            200,
+            {
+              data: [
+                { id: "Qwen/Qwen2.5-7B-Instruct" },
+                { id: "Qwen/Qwen2.5-VL-7B-Instruct" },
+              ],
+            },
+          ]
+        : completion("Invoice total 42 EUR"),
+    );
+    try {
+      const service = createWithEnv(OpenAiCompatibleService, {
+        OPENAI_BASE_URL: `${server.url}/v1/`,
+        OPENAI_API_KEY: "secret-key",
+      });
+      const result = await service.extractText(IMAGE, "Read it");
+      assertEqual(
+        [result.success, result.text, result.model],
+        [true, "Invoice total 42 EUR", "Qwen/Qwen2.5-VL-7B-Instruct"],
+      );
+
+      const chat = server.requests.find(
+        (r) => r.path === "/v1/chat/completions",
+      );
+      const user = chat.body.messages[1];
+      assertEqual(user.images, undefined);
+      assertEqual(user.content, [
+        { type: "image_url", image_url: { url: IMAGE } },
+        { type: "text", text: "Read it" },
+      ]);
+      assertEqual(chat.headers.authorization, "Bearer secret-key");
+    } finally {
+      await server.close();
+    }
+  },
+);
+
+await check(
+  "OpenAI-compatible: uses declared modalities and probes unknown models",
+  async () => {
+    const server = await startServer((method, path, body) => {
+      if (path === "/models") {
+        return [
+          200,
+          {
+            data: [
+              { id: "text-only", architecture: { input_modalities: ["text"] } },
+              { id: "custom-a" },
+              { id: "custom-b" },
+            ],
+          },
+        ];
+      }
+      // Only custom-b accepts the test image
+      return body.model === "custom-b"
+        ? completion("OK")
+        : [400, { error: { message: "model does not support images" } }];
+    });
+    try {
+      const service = createWithEnv(OpenAiCompatibleService, {
+        OPENAI_BASE_URL: server.url,
+        OPENAI_API_KEY: "",
+      });
+      assertEqual(await service.initialize(), "custom-b");
+
+      const probed = server.requests
+        .filter((r) => r.path === "/chat/completions")
+        .map((r) => [r.body.model, r.body.max_tokens]);
+      assertEqual(probed, [
+        ["custom-a", 1],
+        ["custom-b", 1],
+      ]);
+      assertEqual(server.requests[0].headers.authorization, undefined);
+      assertEqual(service.visionSupport.get("custom-a"), false);
+    } finally {
+      await server.close();
+    }
+  },
+);
+
+await check(
+  "OpenAI-compatible: honours OPENAI_VISION_MODEL without discovery",
+  async () => {
+    const server = await startServer(() => completion("text"));
+    try {
+      const service = createWithEnv(OpenAiCompatibleService, {
+        OPENAI_BASE_URL: server.url,
+        OPENAI_VISION_MODEL: "my-vlm",
+      });
+      const result = await service.analyzeImage(IMAGE);
+      assertEqual([result.success, result.analysis], [true, "text"]);
+      assertEqual(
+        server.requests.map((r) => [r.path, r.body.model]),
+        [["/chat/completions", "my-vlm"]],
+      );
+    } finally {
+      await server.close();
+    }
+  },
+);
+
+await check(
+  "Ollama: selects a loaded vision model from its capabilities",
+  async () => {
+    const server = await startServer((method, path, body) => {
+      if (path === "/api/tags") {
+        return [
+          200,
+          {
+            models: [
+              { name: "llama3.1:8b" },
+              { name: "qwen2.5vl:7b" },
+              { name: "my-ocr:latest" },
+            ],
+          },
+        ];
+      }
+      if (path === "/api/ps") {
+        return [200, { models: [{ name: "my-ocr:latest" }] }];
+      }
+      if (path === "/api/show") {
+        return [
+          200,
+          {
+            capabilities:
+              body.model === "llama3.1:8b"
+                ? ["completion", "tools"]
+                : ["completion", "vision"],
+          },
+        ];
+      }
+      return [200, { message: { role: "assistant", content: "Hello" } }];
+    });
+    try {
+      const service = createWithEnv(OllamaService, {
+        OLLAMA_BASE_URL: `${server.url}/`,
+      });
+      const result = await service.extractText(IMAGE, "Read it");
+      assertEqual(
+        [result.success, result.text, result.source, result.model],
+        [true, "Hello", "ollama", "my-ocr:latest"],
+      );
+
+      const chat = server.requests.find((r) => r.path === "/api/chat");
+      assertEqual(chat.body.messages[1], {
+        role: "user",
+        content: "Read it",
+        images: ["AAAA"],
+      });
+      assertEqual(
+        [chat.body.stream, chat.body.options.num_predict > 0],
+        [false, true],
+      );
+    } finally {
+      await server.close();
+    }
+  },
+);
+
+await check(
+  "Ollama: falls back to model families on older servers",
+  async () => {
+    const server = await startServer((method, path, body) => {
+      if (path === "/api/tags") {
+        return [
+          200,
+          {
+            models: [
+              { name: "mistral:7b", details: { families: ["llama"] } },
+              {
+                name: "custom:latest",
+                details: { families: ["llama", "clip"] },
+              },
+            ],
+          },
+        ];
+      }
+      if (path === "/api/ps") {
+        return [200, { models: [] }];
+      }
+      return [200, { details: { families: null } }];
+    });
+    try {
+      const service = createWithEnv(OllamaService, {
+        OLLAMA_BASE_URL: server.url,
+      });
+      assertEqual(await service.initialize(), "custom:latest");
+    } finally {
+      await server.close();
+    }
+  },
+);
+
+await check("Ollama: retries 503 responses", async () => {
+  let attempts = 0;
+  const server = await startServer(() =>
+    ++attempts < 3
+      ? [503, { error: "server busy" }]
+      : [200, { message: { content: "done" } }],
+  );
+  try {
+    const service = createWithEnv(OllamaService, {
+      OLLAMA_BASE_URL: server.url,
+      OLLAMA_VISION_MODEL: "llava",
+      VISION_RETRY_BASE_DELAY_MS: "5",
+    });
+    const result = await service.analyzeImage(IMAGE);
+    assertEqual([result.success, result.analysis, attempts], [true, "done", 3]);
+  } finally {
+    await server.close();
+  }
+});
+
+await check("reports unreachable servers as unavailable", async () => {
+  const server = await startServer(() => [200, {}]);
+  await server.close();
+  const service = createWithEnv(OllamaService, {
+    OLLAMA_BASE_URL: server.url,
+  });
+  const result = await service.extractText(IMAGE);
+  assertEqual(result.success, false);
+  assertEqual(result.error.includes("No vision models available"), true);
+});
+
+await check("factory resolves the new provider names", () => {
+  const factory = new VisionFactory();
+  assertEqual(
+    ["vllm", "OpenAI-Compatible", "ollama"].map((name) =>
+      factory.resolveProviderName(name),
+    ),
+    ["openai", "openai", "ollama"],
+  );
+  assertEqual(
+    factory.getServiceByName("openai").name,
+    "OpenAiCompatibleService",
+  );
+  assertEqual(factory.getServiceByName("ollama").name, "OllamaService");
+
+  withEnv({ VISION_PROVIDER: "ollama" }, () =>
+    assertEqual(factory.getProviderChain().slice(0, 3), [
+      "ollama",
+      "zai",
+      "lm-studio",
+    ]),
+  );
+});
+
+finish();
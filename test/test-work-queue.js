@@ -0,0 +1,273 @@
+#!/usr/bin/env node
+
+/**
+ * Work Queue Test Suite
+ *
+ * Verifies the bounded-concurrency queue, rate limiter and retry with
+ * backoff used for vision calls, the parallel OCR page pipeline, and that
+ * the Z.AI service retries throttled requests against a local HTTP server.
+ */
+
+import http from "http";
+import crypto from "crypto";
+import {
+  runQueue,
+  RateLimiter,
+  retryWithBackoff,
+  callWithRetry,
+  isRetryableStatus,
+  parseRetryAfter,
+} from "../src/utils/work-queue.js";
+import { header, check, assertEqual, finish } from "./helpers.js";
+
+const delay = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * Track how many calls are running at once
+ */
+function inFlightCounter() {
+  const counter = { current: 0, max: 0 };
+  counter.run = async (fn) => {
+    counter.current++;
+    counter.max = Math.max(counter.max, counter.current);
+    try {
+      return await fn();
+    } finally {
+      counter.current--;
+    }
+  };
+  return counter;
+}
+
+header("Work Queue Tests");
+
+await check("runs at most N items at once and keeps input order", async () => {
+  const counter = inFlightCounter();
+  const results = await runQueue(
+    [50, 10, 30, 5, 20],
+    (ms, index) =>
+      counter.run(async () => {
+        await delay(ms);
+        return index;
+      }),
+    { concurrency: 2 },
+  );
+  assertEqual(results, [0, 1, 2, 3, 4]);
+  assertEqual(counter.max, 2);
+});
+
+await check("stops starting new items after a failure", async () => {
+  const started = [];
+  let error = null;
+  try {
+    await runQueue(
+      [1, 2, 3, 4],
+      async (item) => {
+        started.push(item);
+        if (item === 1) {
+          throw new Error("boom");
+        }
+        await delay(5);
+      },
+      { concurrency: 1 },
+    );
+  } catch (err) {
+    error = err;
+  }
+  assertEqual([error?.message, started], ["boom", [1]]);
+});
+
+await check("rate limiter spaces requests evenly", async () => {
+  const limiter = new RateLimiter(1200); // one request per 50ms
+  const start = Date.now();
+  await Promise.all([limiter.acquire(), limiter.acquire(), limiter.acquire()]);
+  assertEqual(Date.now() - start >= 95, true);
+
+  const unlimited = new RateLimiter(0);
+  const unlimitedStart = Date.now();
+  await Promise.all([unlimited.acquire(), unlimited.acquire()]);
+  assertEqual(Date.now() - unlimitedStart < 20, true);
+});
+
+await check("retries 429 and 5xx errors but not other failures", async () => {
+  assertEqual([429, 500, 503, 400, 404, undefined].map(isRetryableStatus), [
+    true,
+    true,
+    true,
+    false,
+    false,
+    false,
+  ]);
+
+  const statuses = [503, 429];
+  let attempts = 0;
+  const value = await retryWithBackoff(
+    async () => {
+      attempts++;
+      const status = statuses.shift();
+      if (status) {
+        throw Object.assign(new Error(`HTTP ${status}`), { status });
+      }
+      return "ok";
+    },
+    { baseDelay: 1, shouldRetry: (e) => isRetryableStatus(e.status) },
+  );
+  assertEqual([value, attempts], ["ok", 3]);
+
+  let badRequestAttempts = 0;
+  await retryWithBackoff(
+    async () => {
+      badRequestAttempts++;
+      throw Object.assign(new Error("HTTP 400"), { status: 400 });
+    },
+    { baseDelay: 1, shouldRetry: (e) => isRetryableStatus(e.status) },
+  ).catch(() => {});
+  assertEqual(badRequestAttempts, 1);
+});
+
+await check("gives up after the configured number of retries", async () => {
+  let attempts = 0;
+  const error = await retryWithBackoff(
+    async () => {
+      attempts++;
+      throw Object.assign(new Error("HTTP 500"), { status: 500 });
+    },
+    { retries: 2, baseDelay: 1, shouldRetry: () => true },
+  ).catch((err) => err);
+  assertEqual([error.message, attempts], ["HTTP 500", 3]);
+});
+
+await check(
+  "callWithRetry waits for the rate limiter on every attempt",
+  async () => {
+    let acquired = 0;
+    const rateLimiter = { acquire: async () => acquired++ };
+    const statuses = [429, 500];
+    const value = await callWithRetry(
+      async () => {
+        const status = statuses.shift();
+        if (status) {
+          throw Object.assign(new Error(`HTTP ${status}`), { status });
+        }
+        return "ok";
+      },
+      undefined,
+      "Test",
+      { rateLimiter, baseDelay: 1 },
+    );
+    assertEqual([value, acquired], ["ok", 3]);
+
+    // Errors without a retryable status fail at once
+    acquired = 0;
+    const error = await callWithRetry(
+      async () => {
+        throw Object.assign(new Error("HTTP 401"), { status: 401 });
+      },
+      undefined,
+      "Test",
+      { rateLimiter, baseDelay: 1 },
+    ).catch((err) => err);
+    assertEqual([error.message, acquired], ["HTTP 401", 1]);
+  },
+);
+
+await check("reads Retry-After in seconds and as a date", () => {
+  assertEqual(parseRetryAfter("2"), 2000);
+  assertEqual(parseRetryAfter(null), null);
+  const inFuture = new Date(Date.now() + 60000).toUTCString();
+  assertEqual(parseRetryAfter(inFuture) > 50000, true);
+});
+
+await check("cancels a backoff wait when the request is aborted", async () => {
+  const controller = new AbortController();
+  setTimeout(() => controller.abort(), 20);
+  const start = Date.now();
+  const error = await retryWithBackoff(
+    async () => {
+      throw Object.assign(new Error("HTTP 429"), {
+        status: 429,
+        retryAfter: 10000,
+      });
+    },
+    { signal: controller.signal, shouldRetry: () => true },
+  ).catch((err) => err);
+  assertEqual(error.name, "AbortError");
+  assertEqual(Date.now() - start < 1000, true);
+});
+
+// Services read their configuration when their modules load
+process.env.OCR_CONCURRENCY = "3";
+process.env.VISION_RETRY_BASE_DELAY_MS = "5";
+
+await check("OCRs pages in parallel and keeps page order", async () => {
+  const { PdfParser } = await import("../src/parsers/pdf-parser.js");
+  const { visionService } = await import("../src/services/vision-factory.js");
+
+  const counter = inFlightCounter();
+  const runId = crypto.randomUUID();
+  const pages = [1, 2, 3, 4, 5, 6].map((pageNumber) => ({
+    dataUrl: `data:image/png;base64,${runId}-${pageNumber}`,
+    pageNumber,
+    width: 10,
+    height: 10,
+  }));
+  const fakeParser = { getScreenshot: async () => ({ pages }) };
+
+  const originalExtractText = visionService.extractText;
+  visionService.extractText = (imageData) =>
+    counter.run(async () => {
+      const pageNumber = Number(imageData.split("-").pop());
+      // Later pages finish first
+      await delay((7 - pageNumber) * 10);
+      return { success: true, text: `Text of page ${pageNumber}` };
+    });
+
+  try {
+    const parser = new PdfParser();
+    const result = await parser.performOcr(fakeParser, [], "prompt");
+    assertEqual(
+      result.pageTexts.map((page) => page.page),
+      [1, 2, 3, 4, 5, 6],
+    );
+    assertEqual(result.text.startsWith("--- Page 1 ---\nText of page 1"), true);
+    assertEqual(counter.max, 3);
+  } finally {
+    visionService.extractText = originalExtractText;
+  }
+});
+
+await check("Z.AI requests are retried after a 429 response", async () => {
+  let requests = 0;
+  const server = http.createServer((req, res) => {
+    requests++;
+    req.resume();
+    req.on("end", () => {
+      if (requests === 1) {
+        res.writeHead(429, { "Retry-After": "0" });
+        res.end("rate limited");
+      } else if (requests === 2) {
+        res.writeHead(502);
+        res.end("bad gateway");
+      } else {
+        res.writeHead(200, { "Content-Type": "application/json" });
+        res.end(
+          JSON.stringify({ choices: [{ message: { content: "Hello" } }] }),
+        );
+      }
+    });
+  });
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+
+  try {
+    const { ZaiVisionService } = await import("../src/services/zai-vision.js");
+    process.env.Z_AI_API_KEY = "test-token-123";
+    process.env.Z_AI_BASE_URL = `http://127.0.0.1:${server.address().port}/`;
+    const service = new ZaiVisionService();
+    const result = await service.extractText("data:image/png;base64,AAAA");
+    assertEqual([result.success, result.text, requests], [true, "Hello", 3]);
+  } finally {
+    server.close();
+  }
+});
+
+finish();